@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+import { run } from "../src/cli/ethsignal.js";
+
+// Ctrl‑C ends listen / connect cleanly; a second one exits at once
+const controller = new AbortController();
+process.once("SIGINT", () => {
+  controller.abort();
+  process.once("SIGINT", () => process.exit(130));
+});
+
+run(process.argv.slice(2), { signal: controller.signal }).then(code => process.exit(code));
@@ -0,0 +1,30 @@
+// Bundles src/sdk/browser.js for the web:
+//
+//   npm run build:browser      → dist/ethsignal.browser.js (+ .map)
+import { fileURLToPath } from "url";
+import * as esbuild from "esbuild";
+
+export const BROWSER_ENTRY = fileURLToPath(new URL("../src/sdk/browser.js", import.meta.url));
+
+// only reached on Node code paths (config files, .env, file checkpoints)
+const NODE_ONLY = ["fs", "path", "dotenv"];
+
+/** esbuild options for the browser bundle, with `overrides` on top */
+export function browserBuildOptions(overrides = {}) {
+  return {
+    entryPoints: [BROWSER_ENTRY],
+    bundle:      true,
+    platform:    "browser",
+    format:      "esm",
+    target:      "es2022",
+    external:    NODE_ONLY,
+    logLevel:    "warning",
+    ...overrides,
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const outfile = fileURLToPath(new URL("../dist/ethsignal.browser.js", import.meta.url));
+  await esbuild.build(browserBuildOptions({ outfile, minify: true, sourcemap: true }));
+  console.log("wrote", outfile);
+}
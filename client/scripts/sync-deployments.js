@@ -0,0 +1,25 @@
+// Regenerates src/sdk/knownDeployments.js from the Foundry broadcast files:
+//
+//   npm run deployments [-- <broadcast dir>]
+//
+// Local dev chains (Anvil, Hardhat, Ganache) are left out: an address
+// there only means something on the machine that deployed it.
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { DeploymentRegistry } from "../src/sdk/Deployments.js";
+
+const dir  = process.argv[2] || fileURLToPath(new URL("../../ethsignal/broadcast", import.meta.url));
+const out  = fileURLToPath(new URL("../src/sdk/knownDeployments.js", import.meta.url));
+
+const LOCAL_CHAINS = new Set([1337, 31337]);
+
+const found    = await DeploymentRegistry.fromBroadcast(dir);
+const registry = new DeploymentRegistry(
+  Object.fromEntries(Object.entries(found.toJSON()).filter(([chainId]) => !LOCAL_CHAINS.has(Number(chainId)))),
+);
+fs.writeFileSync(out,
+  "// Generated by scripts/sync-deployments.js from ethsignal/broadcast; do not edit.\n" +
+  "// chainId → { address, startBlock, txHash }\n" +
+  `export default ${JSON.stringify(registry.toJSON(), null, 2)};\n`
+);
+console.log(`wrote ${registry.chains().length} deployment(s) to ${out}:`, registry.chains().join(", "));
@@ -0,0 +1,569 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import readline from "readline";
+import { parseArgs } from "util";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import { SignalServerSdk } from "../sdk/SignalServerSDK.js";
+import { loadConfig, createProvider, DEFAULT_ABI } from "../sdk/Config.js";
+import { defaultDeployments, detectChainId, validateDeployment } from "../sdk/Deployments.js";
+import { createIdentity } from "../sdk/Ecies.js";
+import { isKeystore, saveKeystore, decryptKeystore } from "../sdk/Identity.js";
+import { SignalServerSdkError, DECLINE_REASONS } from "../sdk/Errors.js";
+import { FileCheckpointStore } from "../sdk/CheckpointStore.js";
+import { ContractTransport } from "../sdk/transports/ContractTransport.js";
+import { WebSocketTransport } from "../sdk/transports/WebSocketTransport.js";
+import { wireFormatOf } from "../sdk/WireCodec.js";
+
+/**
+ * The `ethsignal` command line (bin/ethsignal.js).  run() takes the
+ * arguments and an `io` of streams, environment and an AbortSignal, so
+ * commands can be driven in‑process; it resolves with the exit code.
+ *
+ * Settings come from flags, then the config file (JSON with rpcUrl,
+ * chainId, contractAddress, catchUpFromBlock, privateKey, identity,
+ * deriveIdentity, relay, relayer, iceServers), then the environment.  With --json every line on stdout is one
+ * JSON object with an `event` field.
+ */
+
+export const USAGE = `Usage: ethsignal <command> [options]
+
+Commands:
+  keygen                      create and store an encryption identity
+  whoami                      print the wallet address and encryption public key
+  rotate                      switch to a new encryption key and announce it
+  listen                      answer help requests and print what arrives
+  connect <address>           request help and chat over the data channel
+                              (stdin lines are sent; /file <path> sends a file, /quit leaves)
+  send-file <address> <path>  request help, send one file and leave
+  history [address]           list SignalSent traffic to and from an address
+
+Options:
+  --config <file>        settings file (default: ~/.ethsignal/config.json)
+  --identity <file>      encryption identity (default: ~/.ethsignal/identity.json)
+  --password-file <file> encrypt the identity with this password (or ETHSIGNAL_PASSWORD)
+  --derive               derive the identity from a wallet signature instead of a file
+  --private-key <hex>    wallet key (or ETHSIGNAL_PRIVATE_KEY, or privateKey in the config)
+  --rpc <url>            JSON-RPC endpoint (or RPC_URL)
+  --chain-id <id>        chain to expect (or CHAIN_ID)
+  --contract <address>   SignalServer address (or CONTRACT_ADDRESS; default: the known deployment)
+  --relay <url>          signal through a WebSocket relay instead of the contract (or ETHSIGNAL_RELAY)
+  --relayer <url>        meta-transaction relayer that pays for signals while the wallet has no ETH
+                         (or ETHSIGNAL_RELAYER)
+  --from-block <n>       history / catch-up start (or START_BLOCK)
+  --to-block <n>         history end
+  --timeout <ms>         signalling timeout (default: 60000)
+  --json                 machine-readable output, one JSON object per line
+  -h, --help
+
+listen:
+  --accept <address>     accept requests from this address (repeatable)
+  --accept-all           accept every request
+  --decline-others       decline the rest instead of ignoring them
+  --catch-up             first replay requests sent while we were offline
+  --out-dir <dir>        where received files are saved (default: .)
+
+keygen:
+  --force                replace an existing identity
+`;
+
+const OPTIONS = {
+  config:           { type: "string" },
+  identity:         { type: "string" },
+  "password-file":  { type: "string" },
+  derive:           { type: "boolean" },
+  "private-key":    { type: "string" },
+  rpc:              { type: "string" },
+  "chain-id":       { type: "string" },
+  contract:         { type: "string" },
+  relay:            { type: "string" },
+  relayer:          { type: "string" },
+  "from-block":     { type: "string" },
+  "to-block":       { type: "string" },
+  timeout:          { type: "string" },
+  json:             { type: "boolean" },
+  help:             { type: "boolean", short: "h" },
+  accept:           { type: "string", multiple: true },
+  "accept-all":     { type: "boolean" },
+  "decline-others": { type: "boolean" },
+  "catch-up":       { type: "boolean" },
+  "out-dir":        { type: "string" },
+  force:            { type: "boolean" },
+};
+
+const COMMANDS = {
+  "keygen":    keygen,
+  "whoami":    whoami,
+  "rotate":    rotate,
+  "listen":    listen,
+  "connect":   connect,
+  "send-file": sendFile,
+  "history":   history,
+};
+
+/** a usage or settings mistake: reported without a stack */
+export class CliError extends SignalServerSdkError {
+  constructor(message) {
+    super(`ethsignal: ${message}`);
+    this.name = "CliError";
+  }
+}
+
+/**
+ * @param {string[]} argv – arguments after `ethsignal`
+ * @param {object}   [io]
+ * @param {Writable} [io.stdout]
+ * @param {Writable} [io.stderr]
+ * @param {Readable} [io.stdin]
+ * @param {object}   [io.env]
+ * @param {AbortSignal} [io.signal] – stops listen / connect
+ */
+export async function run(argv, io = {}) {
+  io = {
+    stdout: process.stdout,
+    stderr: process.stderr,
+    stdin:  process.stdin,
+    env:    process.env,
+    signal: null,
+    ...io,
+  };
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (err) {
+    io.stderr.write(`ethsignal: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const [command, ...positionals] = args.positionals;
+  if (args.values.help || !command) {
+    io.stdout.write(USAGE);
+    return command || args.values.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    io.stderr.write(`ethsignal: unknown command ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const out = output(io, args.values.json);
+  try {
+    const settings = await loadSettings(args.values, io.env);
+    await COMMANDS[command]({ settings, flags: args.values, positionals, io, out });
+    return 0;
+  } catch (err) {
+    out.error(err);
+    return 1;
+  }
+}
+
+// ─── COMMANDS ────────────────────────────────────────────────────────
+
+async function keygen({ settings, flags, out }) {
+  if (settings.derive) throw new CliError("a derived identity needs no keygen; use it with --derive");
+  const file = settings.identity;
+  if (fs.existsSync(file) && !flags.force) {
+    throw new CliError(`${file} exists; pass --force to replace it`);
+  }
+  const identity = createIdentity();
+  await writeIdentities(settings, [identity]);
+  out.emit("identity", { publicKey: identity.publicKey, file, encrypted: !!settings.password },
+    `wrote ${file}${settings.password ? " (encrypted)" : ""}\npublic key ${identity.publicKey}`);
+}
+
+async function whoami({ settings, io, out }) {
+  const wallet = settings.privateKey ? walletFrom(settings.privateKey) : null;
+  let publicKey;
+  if (settings.derive) {
+    // which derived key is current depends on what we last announced
+    const sdk = await openSdk(settings, io);
+    publicKey = sdk.identity.publicKey;
+    close(sdk);
+  } else {
+    // a keystore shows its current public key without the password
+    publicKey = readJson(requireIdentityFile(settings.identity)).publicKey;
+  }
+  out.emit("whoami", {
+    address:  wallet ? wallet.address : null,
+    publicKey,
+    identity: settings.derive ? "derived" : settings.identity,
+  }, `address    ${wallet ? wallet.address : "(no wallet key)"}\npublic key ${publicKey}`);
+}
+
+async function rotate({ settings, out, io }) {
+  const sdk = await openSdk(settings, io);
+  try {
+    const previous = sdk.identity.publicKey;
+    if (!settings.derive) {
+      // saved before it is announced, so the new key is never lost
+      const next = createIdentity();
+      await writeIdentities(settings, [next, sdk.identity, ...sdk.previousIdentities]);
+      await sdk.rotateIdentity(next);
+    } else {
+      await sdk.rotateIdentity();
+    }
+    const { publicKey } = sdk.identity;
+    out.emit("rotated", { publicKey, previous }, `announced new public key ${publicKey}`);
+  } finally {
+    close(sdk);
+  }
+}
+
+async function listen({ settings, flags, io, out }) {
+  const accept = new Set((flags.accept || []).map(a => checksum(a)));
+  const sdk    = await openSdk(settings, io);
+  try {
+    sdk.onHelpRequest(async (req) => {
+      const ok = flags["accept-all"] || accept.has(req.sender);
+      out.emit("request", { from: req.sender, chainId: req.chainId, accepted: ok },
+        `${req.sender} asks for help${ok ? "" : flags["decline-others"] ? " (declined)" : " (ignored)"}`);
+      if (!ok) {
+        if (flags["decline-others"]) await req.reject(DECLINE_REASONS.DECLINED);
+        return;
+      }
+      try {
+        follow(await req.accept(), { settings, flags, out });
+      } catch (err) {
+        out.error(err);
+      }
+    });
+    // requesters find our key through a self‑addressed announcement;
+    // publish one unless the latest already names this identity
+    const published = await sdk.keyResolver.resolve(sdk.address).catch(() => null);
+    if (published !== sdk.identity.publicKey) {
+      await sdk.announceKey();
+      out.emit("announced", { publicKey: sdk.identity.publicKey }, "published our encryption key");
+    }
+    if (flags["catch-up"]) {
+      const count = await sdk.catchUp();
+      out.emit("caughtUp", { count }, `replayed ${count} request(s)`);
+    }
+    out.emit("listening", { address: sdk.address }, `listening as ${sdk.address}`);
+    await aborted(io.signal);
+  } finally {
+    close(sdk);
+  }
+}
+
+async function connect({ settings, flags, positionals, io, out }) {
+  const peer   = checksum(required(positionals[0], "connect needs an <address>"));
+  const sdk    = await openSdk(settings, io);
+  try {
+    const stream = await sdk.requestHelp(peer);
+    const closed = follow(stream, { settings, flags, out });
+
+    const lines = readline.createInterface({ input: io.stdin, terminal: false });
+    lines.on("line", (line) => {
+      // stdin may still hold lines once the peer (or /quit) has closed the stream
+      if (stream.state === "closed") return;
+      if (line === "/quit") return stream.close();
+      if (line.startsWith("/file ")) {
+        sendPath(stream, line.slice(6).trim(), out).catch(err => out.error(err));
+        return;
+      }
+      if (!line) return;
+      try {
+        stream.respond(line);
+      } catch (err) {
+        out.error(err);
+      }
+    });
+    lines.on("close", () => stream.close());
+    const stop = () => stream.close();
+    io.signal?.addEventListener("abort", stop);
+
+    await closed;
+    lines.close();
+    io.signal?.removeEventListener("abort", stop);
+  } finally {
+    close(sdk);
+  }
+}
+
+async function sendFile({ settings, positionals, io, out }) {
+  const peer = checksum(required(positionals[0], "send-file needs an <address> and a <path>"));
+  const file = required(positionals[1], "send-file needs an <address> and a <path>");
+  if (!fs.existsSync(file)) throw new CliError(`no such file ${file}`);
+  const sdk = await openSdk(settings, io);
+  try {
+    const stream = await sdk.requestHelp(peer);
+    await sendPath(stream, file, out);
+    stream.close();
+  } finally {
+    close(sdk);
+  }
+}
+
+async function history({ settings, flags, positionals, out }) {
+  const address = positionals[0]
+    ? checksum(positionals[0])
+    : settings.privateKey ? walletFrom(settings.privateKey).address : null;
+  if (!address) throw new CliError("history needs an [address] or a wallet key");
+
+  const { transport, fromBlock, stop } = await historyTransport(settings, flags);
+  try {
+    const query = { fromBlock, toBlock: toNumber(flags["to-block"], "--to-block") };
+    const [received, sent] = await Promise.all([
+      transport.history({ ...query, recipient: address }),
+      transport.history({ ...query, sender: address }),
+    ]);
+    const byId = new Map([...received, ...sent].map(s => [s.id, s]));
+    const signals = [...byId.values()].sort((a, b) => a.blockNumber - b.blockNumber);
+    for (const s of signals) {
+      const direction = s.sender === s.recipient ? "self" : s.recipient === address ? "in" : "out";
+      const peer      = direction === "in" ? s.sender : s.recipient;
+      const bytes     = ethers.dataLength(s.data);
+      const format    = wireFormatOf(s.data);
+      out.emit("signal", {
+        blockNumber: s.blockNumber, direction, peer, format, bytes, txHash: s.txHash ?? null,
+      }, `#${s.blockNumber}\t${direction}\t${peer}\t${format}\t${bytes} B${s.txHash ? `\t${s.txHash}` : ""}`);
+    }
+    if (!flags.json) out.text(`${signals.length} signal(s) for ${address}`);
+  } finally {
+    stop();
+  }
+}
+
+// ─── SETTINGS ────────────────────────────────────────────────────────
+
+/** flags, then the config file, then the environment */
+async function loadSettings(flags, env) {
+  const home       = env.ETHSIGNAL_HOME || path.join(os.homedir(), ".ethsignal");
+  const configFile = flags.config || path.join(home, "config.json");
+  if (flags.config && !fs.existsSync(configFile)) throw new CliError(`no config file ${configFile}`);
+  const file = fs.existsSync(configFile) ? readJson(configFile) : {};
+
+  const chain = await loadConfig({
+    file:             fs.existsSync(configFile) ? configFile : undefined,
+    env,
+    rpcUrl:           flags.rpc,
+    chainId:          flags["chain-id"],
+    contractAddress:  flags.contract,
+    catchUpFromBlock: flags["from-block"],
+  });
+  return {
+    ...chain,
+    home,
+    privateKey: flags["private-key"] || file.privateKey || env.ETHSIGNAL_PRIVATE_KEY || null,
+    identity:   path.resolve(flags.identity || file.identity || path.join(home, "identity.json")),
+    derive:     !!(flags.derive || file.deriveIdentity),
+    password:   flags["password-file"]
+      ? fs.readFileSync(flags["password-file"], "utf8").replace(/\r?\n$/, "")
+      : env.ETHSIGNAL_PASSWORD || null,
+    relay:      flags.relay || file.relay || env.ETHSIGNAL_RELAY || null,
+    relayer:    flags.relayer || file.relayer || env.ETHSIGNAL_RELAYER || null,
+    iceServers: file.iceServers,
+    timeoutMs:  toNumber(flags.timeout, "--timeout") ?? 60000,
+  };
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new CliError(`could not read ${file}: ${err.message}`);
+  }
+}
+
+function requireIdentityFile(file) {
+  if (!fs.existsSync(file)) throw new CliError(`no identity at ${file}; run ethsignal keygen`);
+  return file;
+}
+
+/** the stored identities, current first: a keystore, or a plain file with `previous` keys */
+async function readIdentities(settings) {
+  const stored = readJson(requireIdentityFile(settings.identity));
+  if (isKeystore(stored)) {
+    if (!settings.password) {
+      throw new CliError(`${settings.identity} is encrypted; pass --password-file or set ETHSIGNAL_PASSWORD`);
+    }
+    return decryptKeystore(stored, settings.password);
+  }
+  if (!stored.publicKey || !stored.privateKey) throw new CliError(`${settings.identity} is not an identity`);
+  return [stored, ...(stored.previous || [])].map(({ publicKey, privateKey }) => ({ publicKey, privateKey }));
+}
+
+/** store `identities` (current first), encrypted if there is a password; owner‑only either way */
+async function writeIdentities(settings, identities) {
+  const file = settings.identity;
+  if (settings.password) {
+    await saveKeystore(file, identities, settings.password);
+    return;
+  }
+  const [current, ...previous] = identities.map(({ publicKey, privateKey }) => ({ publicKey, privateKey }));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = file + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify({
+    ...current,
+    createdAt: new Date().toISOString(),
+    ...(previous.length && { previous }),
+  }, null, 2) + "\n", { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function walletFrom(privateKey) {
+  try {
+    return new ethers.Wallet(privateKey);
+  } catch (err) {
+    throw new CliError("invalid wallet key");
+  }
+}
+
+function checksum(address) {
+  try {
+    return ethers.getAddress(address);
+  } catch (err) {
+    throw new CliError(`invalid address ${address}`);
+  }
+}
+
+function required(value, message) {
+  if (value == null) throw new CliError(message);
+  return value;
+}
+
+function toNumber(value, flag) {
+  if (value == null) return undefined;
+  const n = Number(value);
+  if (!Number.isSafeInteger(n) || n < 0) throw new CliError(`invalid ${flag} ${value}`);
+  return n;
+}
+
+// ─── SDK ─────────────────────────────────────────────────────────────
+
+/** an SDK on the relay, or on the contract after create()'s checks */
+async function openSdk(settings, io) {
+  if (!settings.privateKey) {
+    throw new CliError("no wallet key; pass --private-key, set ETHSIGNAL_PRIVATE_KEY or privateKey in the config");
+  }
+  const wallet   = walletFrom(settings.privateKey);
+  const logger   = {
+    warn:  (...args) => io.stderr.write(args.map(String).join(" ") + "\n"),
+    error: (...args) => io.stderr.write(args.map(String).join(" ") + "\n"),
+  };
+  let identities = {};
+  if (settings.derive) {
+    identities = { deriveIdentity: true };
+  } else {
+    const [current, ...previous] = await readIdentities(settings);
+    identities = { encryptionIdentity: current, previousIdentities: previous };
+  }
+  const opts = {
+    wallet,
+    ...identities,
+    wrtc,
+    logger,
+    timeoutMs: settings.timeoutMs,
+    ...(settings.iceServers && { iceServers: settings.iceServers }),
+    // listen --catch-up resumes where the last run stopped
+    checkpointStore: new FileCheckpointStore(path.join(settings.home, "checkpoints.json")),
+  };
+  if (settings.relay) {
+    const transport = new WebSocketTransport({ url: settings.relay, signer: wallet, logger });
+    return SignalServerSdk.create({ ...opts, transport });
+  }
+  const { rpcUrl, chainId, contractAddress, catchUpFromBlock } = settings;
+  return SignalServerSdk.create({
+    ...opts, rpcUrl, chainId, contractAddress, catchUpFromBlock, relayer: settings.relayer,
+  });
+}
+
+/** a read‑only transport for history, and where its scan starts */
+async function historyTransport(settings, flags) {
+  if (settings.relay) {
+    if (!settings.privateKey) throw new CliError("the relay only shows its history to a logged-in wallet; pass a wallet key");
+    const transport = new WebSocketTransport({ url: settings.relay, signer: walletFrom(settings.privateKey) });
+    return { transport, fromBlock: settings.catchUpFromBlock ?? 0, stop: () => transport.close() };
+  }
+  const provider = createProvider(settings.rpcUrl);
+  try {
+    const chainId    = settings.chainId ?? await detectChainId(provider, { timeoutMs: settings.timeoutMs });
+    const deployment = defaultDeployments().get(chainId);
+    const address    = settings.contractAddress || deployment?.address;
+    if (!address) throw new CliError(`no SignalServer deployment known on chain ${chainId}; pass --contract`);
+    await validateDeployment(provider, { address, chainId, timeoutMs: settings.timeoutMs });
+    const fromBlock = settings.catchUpFromBlock ?? (deployment?.address === address ? deployment.startBlock : 0);
+    const transport = new ContractTransport({ contract: new ethers.Contract(address, DEFAULT_ABI, provider), provider });
+    return { transport, fromBlock, stop: () => provider.destroy() };
+  } catch (err) {
+    provider.destroy();
+    throw err;
+  }
+}
+
+function close(sdk) {
+  sdk.destroy();
+  if (sdk.transport.close) sdk.transport.close();
+}
+
+/** print what arrives on `stream`; resolves once it closes */
+function follow(stream, { flags, out }) {
+  const from = stream.remoteAddress;
+  out.emit("open", { peer: from }, `connected to ${from}`);
+  stream.onMessage(text => out.emit("message", { from, text }, `${from}> ${text}`));
+  stream.onFile((bytes, meta) => {
+    const file = saveFile(flags["out-dir"] || ".", meta.name, bytes);
+    out.emit("file", { from, name: meta.name, size: bytes.length, hash: meta.hash, path: file },
+      `${from} sent ${meta.name || "a file"} (${bytes.length} B) → ${file}`);
+  });
+  return new Promise(resolve => stream.onClose((reason) => {
+    out.emit("close", { peer: from, reason }, `disconnected from ${from} (${reason})`);
+    resolve(reason);
+  }));
+}
+
+async function sendPath(stream, file, out) {
+  const { size } = await fs.promises.stat(file);
+  const name     = path.basename(file);
+  const transfer = stream.sendFile(fs.createReadStream(file), { name, size });
+  transfer.onProgress(p => out.progress(`${name}: ${p.bytes}/${p.total} B`));
+  const meta     = await transfer.done;
+  out.progress("\n");
+  out.emit("sent", { to: stream.remoteAddress, name, size, hash: meta.hash }, `sent ${name} (${size} B, sha256 ${meta.hash})`);
+}
+
+/** write a received file under `dir` without overwriting; returns its path */
+function saveFile(dir, name, bytes) {
+  fs.mkdirSync(dir, { recursive: true });
+  const base = path.basename(name || "file") || "file";
+  const ext  = path.extname(base);
+  for (let i = 0; ; i++) {
+    const file = path.join(dir, i ? `${base.slice(0, base.length - ext.length)}-${i}${ext}` : base);
+    try {
+      fs.writeFileSync(file, bytes, { flag: "wx" });
+      return file;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+  }
+}
+
+function aborted(signal) {
+  if (!signal) return new Promise(() => {});
+  if (signal.aborted) return Promise.resolve();
+  return new Promise(resolve => signal.addEventListener("abort", resolve, { once: true }));
+}
+
+// ─── OUTPUT ──────────────────────────────────────────────────────────
+
+function output(io, json) {
+  const line = (stream, text) => stream.write(text + "\n");
+  return {
+    /** one event: a JSON object with --json, else `text` */
+    emit(event, data, text) {
+      if (json) line(io.stdout, JSON.stringify({ event, ...data }));
+      else line(io.stdout, text);
+    },
+    text(text) {
+      line(io.stdout, text);
+    },
+    /** an overwritten status line on stderr; silent with --json */
+    progress(text) {
+      if (!json) io.stderr.write(`\r${text}`);
+    },
+    error(err) {
+      const message = err instanceof CliError ? err.message.replace(/^ethsignal: /, "") : err.message;
+      if (json) line(io.stdout, JSON.stringify({ event: "error", name: err.name, message }));
+      line(io.stderr, `ethsignal: ${message}`);
+    },
+  };
+}
@@ -1,14 +1,16 @@
 import dotenv from "dotenv";
 import fs from "fs";
 import { ethers } from "ethers";
-import EthCrypto from "eth-crypto";
+import wrtc from "@roamhq/wrtc";
 import { SignalServerSdk } from "../sdk/SignalServerSDK.js";
+import { loadConfig, createProvider } from "../sdk/Config.js";
 
 dotenv.config();
 
-// --- Configuration (from your .env) ---
+// --- Configuration (from the environment or your .env) ---
 const ALICE_PK = process.env.ALICE_PRIVATE_KEY;
 const BOB_PK   = process.env.BOB_PRIVATE_KEY;
+const config   = await loadConfig();   // RPC_URL, CHAIN_ID, CONTRACT_ADDRESS, START_BLOCK
 
 // Validate
 if (!ALICE_PK || !BOB_PK) {
@@ -16,7 +18,7 @@ if (!ALICE_PK || !BOB_PK) {
 }
 
 // --- Ethers + Wallets ---
-const provider    = new ethers.JsonRpcProvider();
+const provider    = createProvider(config.rpcUrl);
 const aliceWallet = new ethers.Wallet(ALICE_PK, provider);
 const bobWallet   = new ethers.Wallet(BOB_PK,   provider);
 
@@ -24,52 +26,45 @@ console.log("On‑chain setup:");
 console.log("  Alice →",   aliceWallet.address);
 console.log("  Bob   →",   bobWallet.address);
 
-// --- Encryption identities (X25519) ---
-const aliceIdentity = EthCrypto.createIdentity();
-const bobIdentity   = EthCrypto.createIdentity();
-
-console.log("\nEncryption identities:");
-console.log("  Alice pubKey:", aliceIdentity.publicKey);
-console.log("  Bob   pubKey:", bobIdentity.publicKey);
-
 async function main() {
-  // build a true address→publicKey map
-  const aliceToBob = { [bobWallet.address]: bobIdentity.publicKey };
-  const bobToAlice = { [aliceWallet.address]: aliceIdentity.publicKey };
-
-  // --- Instantiate two SDKs ---
-  const sdkAlice = new SignalServerSdk({
-    wallet:             aliceWallet,
-    encryptionIdentity: aliceIdentity,
-    peerPublicKeys:     aliceToBob,
-    timeoutMs:          60_000,
+  // --- Instantiate two SDKs (create() checks the chain and contract first) ---
+  // Encryption keys are derived from a signature of each wallet, so they
+  // are the same on every run and peers' cached keys stay valid.
+  const sdkAlice = await SignalServerSdk.create({
+    ...config,
+    provider,
+    wrtc,
+    wallet:         aliceWallet,
+    deriveIdentity: true,
+    timeoutMs:      60_000,
   });
 
-  const sdkBob = new SignalServerSdk({
-    wallet:             bobWallet,
-    encryptionIdentity: bobIdentity,
-    peerPublicKeys:     bobToAlice,
-    timeoutMs:          60_000,
+  const sdkBob = await SignalServerSdk.create({
+    ...config,
+    provider,
+    wrtc,
+    wallet:         bobWallet,
+    deriveIdentity: true,
+    timeoutMs:      60_000,
   });
 
+  console.log("\nEncryption identities:");
+  console.log("  Alice pubKey:", sdkAlice.identity.publicKey);
+  console.log("  Bob   pubKey:", sdkBob.identity.publicKey);
+
+  // Alice finds Bob's key through his announcement; publish it once
+  if (await sdkAlice.keyResolver.resolve(bobWallet.address).catch(() => null) !== sdkBob.identity.publicKey) {
+    console.log("\n[Bob SDK] Announcing encryption key…");
+    await sdkBob.announceKey();
+  }
+
   // ─────────────────────────────────────────────────────────────────  
-  // 1) Inject a very simple queue into each SDK so _sendSignal
-  //    and _sendCandidate are never called in parallel with the same wallet
-  function addSendQueue(sdk) {
-    const origSignal    = sdk._sendSignal.bind(sdk);
-    const origCandidate = sdk._sendCandidate.bind(sdk);
-    let queue = Promise.resolve();
-    sdk._sendSignal = (to, desc) => {
-      queue = queue.then(() => origSignal(to, desc));
-      return queue;
-    };
-    sdk._sendCandidate = (to, cand) => {
-      queue = queue.then(() => origCandidate(to, cand));
-      return queue;
-    };
+  // 1) Each SDK's TxManager serializes sends per wallet; just log them
+  for (const [name, sdk] of [["Alice", sdkAlice], ["Bob", sdkBob]]) {
+    sdk.txManager.on("sent",     ev => console.log(`[${name} tx] sent     #${ev.nonce} ${ev.hash}`));
+    sdk.txManager.on("replaced", ev => console.log(`[${name} tx] replaced #${ev.nonce} ${ev.hash}`));
+    sdk.txManager.on("failed",   ev => console.error(`[${name} tx] failed   #${ev.nonce}`, ev.error));
   }
-  addSendQueue(sdkAlice);
-  addSendQueue(sdkBob);
   // ─────────────────────────────────────────────────────────────────  
 
   // --- Bob auto‑accepts any help request ---
@@ -3,6 +3,7 @@ import { ethers } from "ethers";
 import EthCrypto from "eth-crypto";
 import dotenv from "dotenv";
 import fs from "fs"; // To read the ABI file
+import { deriveIdentity } from "../sdk/Identity.js";
 
 dotenv.config(); // Load .env variables
 
@@ -42,10 +43,10 @@ console.log(`Alice Address: ${aliceWallet.address}`);
 console.log(`Bob Address: ${bobWallet.address}\n`);
 
 // --- Encryption Key Pairs (Separate from Wallet Keys) ---
-// Let eth-crypto generate random identities for encryption/decryption
-console.log("Generating encryption key pairs...");
-const aliceEncryptionIdentity = EthCrypto.createIdentity();
-const bobEncryptionIdentity = EthCrypto.createIdentity();
+// Derived from a signature of each wallet, so they survive restarts
+console.log("Deriving encryption key pairs...");
+const aliceEncryptionIdentity = await deriveIdentity(aliceWallet);
+const bobEncryptionIdentity = await deriveIdentity(bobWallet);
 
 console.log("Encryption Keys Generated:");
 console.log(`  Alice Enc PubKey: ${aliceEncryptionIdentity.publicKey}`);
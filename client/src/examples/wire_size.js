@@ -0,0 +1,80 @@
+import { ethers } from "ethers";
+import EthCrypto from "eth-crypto";
+import wrtc from "@roamhq/wrtc";
+import { sealEnvelope } from "../sdk/Envelope.js";
+import { WIRE_LEGACY, WIRE_COMPACT, encodeSignal, normalizeSdp } from "../sdk/WireCodec.js";
+
+// Compares the legacy and compact wire formats for a typical offer:
+// a data‑channel SDP with its bundled host candidates, inside a signed
+// envelope, encrypted to a fresh identity.
+//
+//   node src/examples/wire_size.js
+
+const iface = new ethers.Interface([
+  "function sendSignal(address _recipient, bytes _encryptedData)",
+]);
+
+// EIP‑2028 calldata pricing: 16 gas per non‑zero byte, 4 per zero byte
+function calldataGas(hex) {
+  let gas = 0;
+  for (const b of ethers.getBytes(hex)) gas += b === 0 ? 4 : 16;
+  return gas;
+}
+
+// LOG data costs 8 gas per byte of ABI‑encoded event data (memory
+// expansion ignored)
+function logDataGas(data) {
+  return 8 * ethers.getBytes(ethers.AbiCoder.defaultAbiCoder().encode(["bytes"], [data])).length;
+}
+
+async function typicalOffer() {
+  const pc = new wrtc.RTCPeerConnection({ iceServers: [] });
+  pc.createDataChannel("chat");
+  const candidates = [];
+  pc.onicecandidate = (evt) => { if (evt.candidate) candidates.push(evt.candidate.toJSON()); };
+  await pc.setLocalDescription(await pc.createOffer());
+  await new Promise((res) => {
+    if (pc.iceGatheringState === "complete") return res();
+    pc.onicegatheringstatechange = () => {
+      if (pc.iceGatheringState === "complete") res();
+    };
+  });
+  const sdp = pc.localDescription.sdp;
+  setImmediate(() => pc.close());
+  return { type: "offer", sdp, candidates };
+}
+
+async function main() {
+  const sender    = ethers.Wallet.createRandom();
+  const recipient = ethers.Wallet.createRandom();
+  const identity  = EthCrypto.createIdentity();
+  const offer     = await typicalOffer();
+
+  const rows = [];
+  for (const format of [WIRE_LEGACY, WIRE_COMPACT]) {
+    const body = format === WIRE_COMPACT ? { ...offer, sdp: normalizeSdp(offer.sdp) } : offer;
+    const msg  = await sealEnvelope(sender, recipient.address, body, { ttlMs: 60_000 });
+    const data = await encodeSignal(identity.publicKey, msg, format);
+    const calldata = iface.encodeFunctionData("sendSignal", [recipient.address, data]);
+    rows.push({
+      format,
+      "payload bytes": data.length,
+      "calldata gas":  calldataGas(calldata),
+      "log data gas":  logDataGas(data),
+    });
+  }
+
+  console.log(`Typical offer: ${offer.sdp.length} SDP chars, ${offer.candidates.length} candidates\n`);
+  console.table(rows);
+  const [legacy, compact] = rows;
+  const saved = (legacy["calldata gas"] + legacy["log data gas"])
+              - (compact["calldata gas"] + compact["log data gas"]);
+  console.log(`\nCompact payload is ${(100 * compact["payload bytes"] / legacy["payload bytes"]).toFixed(0)}% `
+    + `of legacy, saving ~${saved} gas per offer.`);
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error("wire_size failed:", err);
+  process.exit(1);
+});
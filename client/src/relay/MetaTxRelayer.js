@@ -0,0 +1,277 @@
+import http from "http";
+import { ethers } from "ethers";
+import { pathToFileURL } from "url";
+import { TxManager } from "../sdk/TxManager.js";
+import { DEFAULT_ABI, createProvider } from "../sdk/Config.js";
+import { RelayError } from "../sdk/Errors.js";
+import { relayedSignalSigner, sendSignalForArgs } from "../sdk/MetaTx.js";
+
+/**
+ * A meta‑transaction relayer: takes signals signed as EIP‑712 typed data
+ * (see src/sdk/MetaTx.js) and submits them through
+ * SignalServer.sendSignalFor, paying the gas from its own wallet.  Each
+ * request is checked before anything is spent — chain and contract,
+ * deadline, payload size, signature, the sender's quota, then a dry run
+ * (eth_call) of the transaction.  Quotas are per sender: at most
+ * `quota.max` relayed signals per `quota.windowMs`, kept in memory.
+ * `globalQuota` caps all senders together, so many fresh addresses can't
+ * drain the relayer's wallet.
+ *
+ *   const relayer = new MetaTxRelayer({ contract, signer: relayerWallet, port: 8788 });
+ *   await relayer.listen();
+ *
+ * HTTP: POST /signal with a relay request → 200 { txHash, blockNumber,
+ * remaining } once mined, or an error status with { error } (429 and 503
+ * add `retryAfterMs`).
+ *
+ * or from the command line:
+ *   RPC_URL=… CONTRACT_ADDRESS=… RELAYER_PRIVATE_KEY=… PORT=8788 npm run relayer
+ */
+export class MetaTxRelayer {
+  /**
+   * @param {object} opts
+   * @param {ethers.Contract} opts.contract        – the SignalServer
+   * @param {ethers.Signer}   opts.signer          – pays for the transactions
+   * @param {ethers.Provider} [opts.provider]      – defaults to signer.provider
+   * @param {TxManager}       [opts.txManager]     – built from signer if omitted
+   * @param {number}          [opts.port]          – 0 picks a free port
+   * @param {string}          [opts.host]
+   * @param {object}          [opts.quota]         – { max, windowMs } per sender
+   * @param {object}          [opts.globalQuota]   – { max, windowMs } for all senders together
+   * @param {number}          [opts.maxDataBytes]  – largest payload relayed
+   * @param {number}          [opts.maxDeadlineMs] – furthest deadline accepted
+   * @param {object}          [opts.logger]
+   */
+  constructor({
+    contract,
+    signer,
+    provider      = signer.provider,
+    txManager,
+    port          = 8788,
+    host,
+    quota         = {},
+    globalQuota   = {},
+    maxDataBytes  = 16 * 1024,
+    maxDeadlineMs = 60 * 60 * 1000,
+    logger        = console,
+  }) {
+    this.contract      = contract.connect(signer);
+    this.signer        = signer;
+    this.provider      = provider;
+    this.txManager     = txManager || new TxManager({ signer, provider, logger });
+    this.port          = port;
+    this.host          = host;
+    this.quota         = { max: 100, windowMs: 60 * 60 * 1000, ...quota };
+    this.globalQuota   = { max: 5000, windowMs: 60 * 60 * 1000, ...globalQuota };
+    this.maxDataBytes  = maxDataBytes;
+    this.maxDeadlineMs = maxDeadlineMs;
+    this.logger        = logger;
+
+    this._usage   = new Map();   // sender → { count, resetAt }
+    this._global  = { count: 0, resetAt: 0 };
+    this._chainId = null;
+    this._server  = null;
+  }
+
+  /**
+   * Check a relay request and submit it; resolves with { txHash,
+   * blockNumber, remaining } once mined.  Rejects with a RelayError whose
+   * `status` is what the HTTP API answers.
+   */
+  async relay(request) {
+    const req = this._parse(request);
+    await this._checkTarget(req);
+
+    const now = Date.now();
+    if (req.deadline * 1000 < now) throw new RelayError("signature expired", { status: 400 });
+    if (req.deadline * 1000 > now + this.maxDeadlineMs) throw new RelayError("deadline too far ahead", { status: 400 });
+    let signer;
+    try {
+      signer = relayedSignalSigner(req);
+    } catch (err) {
+      throw new RelayError("invalid signature", { status: 403, cause: err });
+    }
+    if (signer !== req.sender) throw new RelayError("invalid signature", { status: 403 });
+
+    const remaining = this._take(req.sender, now);
+    const args = sendSignalForArgs(req);
+    try {
+      await this.contract.sendSignalFor.staticCall(...args);
+    } catch (err) {
+      this._refund(req.sender);
+      throw new RelayError(`rejected by the contract: ${err.reason ?? err.shortMessage ?? err.message}`, {
+        status: 400, cause: err,
+      });
+    }
+
+    let receipt;
+    try {
+      receipt = await this.txManager.send(
+        (overrides) => this.contract.sendSignalFor(...args, overrides)
+      );
+    } catch (err) {
+      this.logger.warn("[MetaTxRelayer] submission failed -", err.shortMessage ?? err.message);
+      throw new RelayError("submission failed", { status: 502, cause: err });
+    }
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber, remaining };
+  }
+
+  /** start the HTTP API; resolves with the bound port */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this._server = http.createServer((req, res) => this._onRequest(req, res));
+      this._server.once("error", reject);
+      this._server.listen(this.port, this.host, () => {
+        this.port = this._server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  close() {
+    if (!this._server) return Promise.resolve();
+    this._server.closeAllConnections();
+    return new Promise(resolve => this._server.close(() => resolve()));
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  _parse(request) {
+    try {
+      const req = {
+        chainId:   Number(request.chainId),
+        contract:  ethers.getAddress(request.contract),
+        sender:    ethers.getAddress(request.sender),
+        recipient: ethers.getAddress(request.recipient),
+        data:      request.data,
+        nonce:     BigInt(request.nonce).toString(),
+        deadline:  Number(request.deadline),
+        signature: request.signature,
+      };
+      if (!Number.isSafeInteger(req.deadline) || !ethers.isHexString(req.signature, 65)) throw new Error();
+      if (!ethers.isHexString(req.data) || req.data.length <= 2) throw new Error();
+      if (ethers.dataLength(req.data) > this.maxDataBytes) {
+        throw new RelayError(`payload over ${this.maxDataBytes} bytes`, { status: 413 });
+      }
+      return req;
+    } catch (err) {
+      if (err instanceof RelayError) throw err;
+      throw new RelayError("malformed relay request", { status: 400 });
+    }
+  }
+
+  async _checkTarget(req) {
+    this._chainId ??= Number((await this.provider.getNetwork()).chainId);
+    if (req.chainId !== this._chainId || req.contract !== ethers.getAddress(this.contract.target)) {
+      throw new RelayError(`this relayer serves ${this.contract.target} on chain ${this._chainId}`, { status: 400 });
+    }
+  }
+
+  /** count one signal against `sender`'s window and the global one; returns what `sender` has left */
+  _take(sender, now) {
+    let usage = this._usage.get(sender);
+    if (!usage || usage.resetAt <= now) {
+      if (this._usage.size > 10000) this._prune(now);
+      usage = { count: 0, resetAt: now + this.quota.windowMs };
+      this._usage.set(sender, usage);
+    }
+    if (usage.count >= this.quota.max) {
+      throw new RelayError("quota exceeded", { status: 429, retryAfterMs: usage.resetAt - now });
+    }
+    if (this._global.resetAt <= now) this._global = { count: 0, resetAt: now + this.globalQuota.windowMs };
+    if (this._global.count >= this.globalQuota.max) {
+      throw new RelayError("relayer busy, try later", { status: 503, retryAfterMs: this._global.resetAt - now });
+    }
+    usage.count++;
+    this._global.count++;
+    return this.quota.max - usage.count;
+  }
+
+  _refund(sender) {
+    const usage = this._usage.get(sender);
+    if (usage && usage.count > 0) usage.count--;
+    if (this._global.count > 0) this._global.count--;
+  }
+
+  _prune(now) {
+    for (const [sender, usage] of this._usage) {
+      if (usage.resetAt <= now) this._usage.delete(sender);
+    }
+  }
+
+  async _onRequest(req, res) {
+    // browsers post from other origins
+    res.setHeader("access-control-allow-origin", "*");
+    res.setHeader("access-control-allow-headers", "content-type");
+    if (req.method === "OPTIONS") return reply(res, 204);
+    if (req.method !== "POST" || req.url !== "/signal") return reply(res, 404, { error: "not found" });
+
+    let request;
+    try {
+      request = JSON.parse(await readBody(req, this.maxDataBytes * 2 + 4096));
+    } catch (err) {
+      return reply(res, err instanceof RelayError ? err.status : 400, { error: err.message || "malformed JSON" });
+    }
+    try {
+      reply(res, 200, await this.relay(request));
+    } catch (err) {
+      if (!(err instanceof RelayError)) {
+        this.logger.error("[MetaTxRelayer] relay failed -", err);
+        return reply(res, 500, { error: "internal error" });
+      }
+      if (err.retryAfterMs != null) res.setHeader("retry-after", String(Math.ceil(err.retryAfterMs / 1000)));
+      reply(res, err.status, { error: err.message, retryAfterMs: err.retryAfterMs });
+    }
+  }
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new RelayError("request too large", { status: 413 }));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function reply(res, status, body) {
+  if (body === undefined) return res.writeHead(status).end();
+  res.writeHead(status, { "content-type": "application/json" }).end(JSON.stringify(body));
+}
+
+// run directly: node src/relay/MetaTxRelayer.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const {
+    RPC_URL, CONTRACT_ADDRESS, RELAYER_PRIVATE_KEY,
+    QUOTA_MAX, QUOTA_WINDOW_MS, GLOBAL_QUOTA_MAX, GLOBAL_QUOTA_WINDOW_MS,
+  } = process.env;
+  if (!CONTRACT_ADDRESS || !RELAYER_PRIVATE_KEY) {
+    console.error("[MetaTxRelayer] set CONTRACT_ADDRESS and RELAYER_PRIVATE_KEY (and RPC_URL)");
+    process.exit(2);
+  }
+  const provider = createProvider(RPC_URL);
+  const relayer  = new MetaTxRelayer({
+    contract: new ethers.Contract(CONTRACT_ADDRESS, DEFAULT_ABI, provider),
+    signer:   new ethers.Wallet(RELAYER_PRIVATE_KEY, provider),
+    port:     Number(process.env.PORT || 8788),
+    host:     process.env.HOST,
+    quota:    {
+      ...(QUOTA_MAX && { max: Number(QUOTA_MAX) }),
+      ...(QUOTA_WINDOW_MS && { windowMs: Number(QUOTA_WINDOW_MS) }),
+    },
+    globalQuota: {
+      ...(GLOBAL_QUOTA_MAX && { max: Number(GLOBAL_QUOTA_MAX) }),
+      ...(GLOBAL_QUOTA_WINDOW_MS && { windowMs: Number(GLOBAL_QUOTA_WINDOW_MS) }),
+    },
+  });
+  relayer.listen().then(port => console.log(`[MetaTxRelayer] relaying to ${CONTRACT_ADDRESS} on http://localhost:${port}/signal`));
+}
@@ -0,0 +1,179 @@
+import { ethers } from "ethers";
+import { WebSocketServer } from "ws";
+import { pathToFileURL } from "url";
+import { relayLoginMessage } from "../sdk/transports/WebSocketTransport.js";
+
+/**
+ * A small WebSocket signalling relay for WebSocketTransport.
+ *
+ * Clients log in by signing a nonce, then may send signals (stamped with
+ * their address), subscribe to signals addressed to them and read recent
+ * history: their own inbox, what they sent, and anyone's self‑addressed
+ * signals (public key announcements).  A client that holds another key
+ * too — a pool's — gets that address's inbox as well by sending the
+ * nonce signed with it as `proof`.  The last `historySize` signals are
+ * kept in memory.
+ *
+ *   const relay = new WsRelay({ port: 8787 });
+ *   await relay.listen();
+ *
+ * or from the command line:  PORT=8787 npm run relay
+ */
+export class WsRelay {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.port]           – 0 picks a free port
+   * @param {string} [opts.host]
+   * @param {number} [opts.historySize]
+   * @param {number} [opts.maxPayloadBytes] – per frame
+   */
+  constructor({ port = 8787, host, historySize = 10000, maxPayloadBytes = 64 * 1024 } = {}) {
+    this.port            = port;
+    this.host            = host;
+    this.historySize     = historySize;
+    this.maxPayloadBytes = maxPayloadBytes;
+
+    this.signals = [];          // newest last, bounded by historySize
+    this._seq    = 0;
+    this._subs   = new Map();   // recipient → Set<socket>
+    this._wss    = null;
+  }
+
+  /** start listening; resolves with the bound port */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this._wss = new WebSocketServer({
+        port:       this.port,
+        host:       this.host,
+        maxPayload: this.maxPayloadBytes,
+      });
+      this._wss.once("error", reject);
+      this._wss.once("listening", () => {
+        this.port = this._wss.address().port;
+        resolve(this.port);
+      });
+      this._wss.on("connection", (ws) => this._onConnection(ws));
+    });
+  }
+
+  close() {
+    if (!this._wss) return Promise.resolve();
+    for (const ws of this._wss.clients) ws.terminate();
+    return new Promise(resolve => this._wss.close(() => resolve()));
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  _onConnection(ws) {
+    const nonce = ethers.hexlify(ethers.randomBytes(16));
+    ws.address  = null;
+    ws.owned    = new Set();   // addresses this client has proven keys for
+    ws.on("message", (raw) => {
+      let frame;
+      try {
+        frame = JSON.parse(raw.toString());
+      } catch {
+        return this._reply(ws, { op: "error", error: "malformed frame" });
+      }
+      try {
+        this._onFrame(ws, nonce, frame);
+      } catch (err) {
+        this._reply(ws, { op: "error", ref: frame.ref, error: err.message });
+      }
+    });
+    ws.on("close", () => {
+      for (const subs of this._subs.values()) subs.delete(ws);
+    });
+    this._reply(ws, { op: "challenge", nonce });
+  }
+
+  _onFrame(ws, nonce, frame) {
+    if (frame.op === "hello") {
+      const address = ethers.verifyMessage(relayLoginMessage(nonce), frame.signature);
+      if (address !== ethers.getAddress(frame.address)) {
+        this._reply(ws, { op: "error", error: "bad login signature" });
+        return ws.close();
+      }
+      ws.address = address;
+      ws.owned.add(address);
+      return this._reply(ws, { op: "welcome", address });
+    }
+    if (!ws.address) throw new Error("not logged in");
+
+    const ok = (result = null) => this._reply(ws, { op: "result", ref: frame.ref, result });
+    switch (frame.op) {
+      case "subscribe": {
+        const recipient = ethers.getAddress(frame.recipient);
+        if (!this._owns(ws, nonce, recipient, frame.proof)) {
+          throw new Error("can only subscribe to addresses whose key you hold");
+        }
+        const subs = this._subs.get(recipient) || new Set();
+        subs.add(ws);
+        this._subs.set(recipient, subs);
+        return ok();
+      }
+      case "unsubscribe": {
+        const subs = this._subs.get(ethers.getAddress(frame.recipient));
+        if (subs) subs.delete(ws);
+        return ok();
+      }
+      case "send":
+        return ok(this._publish(ws.address, frame.to, frame.data));
+      case "history":
+        return ok(this._history(ws, nonce, frame));
+      case "head":
+        return ok(this._seq);
+      default:
+        throw new Error(`unknown op ${frame.op}`);
+    }
+  }
+
+  _publish(sender, to, data) {
+    if (!ethers.isHexString(data) || data.length <= 2) throw new Error("data must be non‑empty hex");
+    const signal = {
+      id:          `relay:${this._seq + 1}`,
+      sender,
+      recipient:   ethers.getAddress(to),
+      data:        data.toLowerCase(),
+      blockNumber: ++this._seq,
+      timestamp:   Date.now(),
+    };
+    this.signals.push(signal);
+    if (this.signals.length > this.historySize) this.signals.shift();
+
+    for (const sub of this._subs.get(signal.recipient) || []) {
+      this._reply(sub, { op: "signal", signal });
+    }
+    return { id: signal.id, blockNumber: signal.blockNumber };
+  }
+
+  /** whether `address` is the client's, or `proof` (the nonce signed by its key) shows it is */
+  _owns(ws, nonce, address, proof) {
+    if (ws.owned.has(address)) return true;
+    if (!proof || ethers.verifyMessage(relayLoginMessage(nonce), proof) !== address) return false;
+    ws.owned.add(address);
+    return true;
+  }
+
+  _history(ws, nonce, { sender, recipient, fromBlock = 0, toBlock, proof }) {
+    sender    = sender ? ethers.getAddress(sender) : null;
+    recipient = recipient ? ethers.getAddress(recipient) : null;
+    const allowed = sender === ws.address || (sender && sender === recipient) ||
+                    (recipient && this._owns(ws, nonce, recipient, proof));
+    if (!allowed) throw new Error("history is limited to your own signals and announcements");
+    return this.signals.filter(s =>
+      s.blockNumber >= fromBlock && (toBlock == null || s.blockNumber <= toBlock) &&
+      (!sender || s.sender === sender) &&
+      (!recipient || s.recipient === recipient));
+  }
+
+  _reply(ws, frame) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(frame));
+  }
+}
+
+// run directly: node src/relay/WsRelay.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const relay = new WsRelay({ port: Number(process.env.PORT || 8787), host: process.env.HOST });
+  relay.listen().then(port => console.log(`[WsRelay] listening on ws://localhost:${port}`));
+}
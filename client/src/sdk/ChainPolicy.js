@@ -0,0 +1,115 @@
+import { ethers } from "ethers";
+import { SignalServerSdkError, TimeoutError } from "./Errors.js";
+
+/**
+ * Picks the chain a requestHelp() offer goes out on when the SDK
+ * signals over several (see MultiChainTransport).  Everything after the
+ * offer stays on the chain it went out on.  Strategies:
+ *
+ *   preferred  the first of `preferred` that is configured, else the first chain
+ *   cheapest   the lowest current fee per gas, from each chain's provider
+ *   last-seen  the chain the peer last signalled us on, else as preferred
+ *
+ * `strategy` may also be a function async (peer, chainIds) => chainId.
+ */
+export const CHAIN_STRATEGIES = ["preferred", "cheapest", "last-seen"];
+
+// beyond this many peers the least recently seen are forgotten
+const MAX_TRACKED = 10000;
+
+export class ChainPolicy {
+  /**
+   * @param {object}          [opts]
+   * @param {string|function} [opts.strategy]     – one of CHAIN_STRATEGIES; default "preferred"
+   * @param {number[]}        [opts.preferred]    – chainIds, most wanted first
+   * @param {number}          [opts.feeTimeoutMs] – a chain slower than this to quote a fee is skipped
+   * @param {object}          [opts.logger]       – { warn, error }; defaults to console
+   */
+  constructor({ strategy = "preferred", preferred = [], feeTimeoutMs = 5000, logger = console } = {}) {
+    if (typeof strategy !== "function" && !CHAIN_STRATEGIES.includes(strategy)) {
+      throw new SignalServerSdkError(`SignalServerSdk: unknown chain strategy ${strategy}`);
+    }
+    this.strategy     = strategy;
+    this.preferred    = preferred.map(Number);
+    this.feeTimeoutMs = feeTimeoutMs;
+    this.logger       = logger;
+
+    this._lastSeen = new Map();   // address → chainId (recently seen last)
+  }
+
+  // PUBLIC API --------------------------------------------------------
+
+  /** note that `peer` just signalled us on `chainId` */
+  seen(peer, chainId) {
+    const addr = ethers.getAddress(peer);
+    this._lastSeen.delete(addr);
+    this._lastSeen.set(addr, Number(chainId));
+    if (this._lastSeen.size > MAX_TRACKED) {
+      this._lastSeen.delete(this._lastSeen.keys().next().value);
+    }
+  }
+
+  /** the chain `peer` last signalled us on, or null */
+  lastSeen(peer) {
+    return this._lastSeen.get(ethers.getAddress(peer)) ?? null;
+  }
+
+  /**
+   * The chain to reach `peer` on.
+   *
+   * @param {string} peer
+   * @param {array}  chains – [{ chainId, provider? }] in configured order
+   */
+  async pick(peer, chains) {
+    const ids = chains.map(c => c.chainId);
+    if (typeof this.strategy === "function") {
+      const chainId = Number(await this.strategy(peer, ids));
+      if (!ids.includes(chainId)) {
+        throw new SignalServerSdkError(`SignalServerSdk: chain strategy picked unconfigured chain ${chainId}`);
+      }
+      return chainId;
+    }
+    if (this.strategy === "last-seen") {
+      const seen = this.lastSeen(peer);
+      if (ids.includes(seen)) return seen;
+    }
+    if (this.strategy === "cheapest") {
+      const cheapest = await this._cheapest(chains);
+      if (cheapest != null) return cheapest;
+    }
+    return this.preferred.find(id => ids.includes(id)) ?? ids[0];
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  /** the chain quoting the lowest fee per gas; null if none could quote */
+  async _cheapest(chains) {
+    const fees = await Promise.all(chains.map(async ({ chainId, provider }) => {
+      if (!provider) return null;
+      try {
+        const fee = await this._feeData(provider);
+        const perGas = fee.maxFeePerGas ?? fee.gasPrice;
+        return perGas == null ? null : { chainId, perGas: BigInt(perGas) };
+      } catch (err) {
+        this.logger.warn(`[SignalServerSdk] no fee quote from chain ${chainId} -`, err.message);
+        return null;
+      }
+    }));
+    // ties go to the earlier chain
+    let best = null;
+    for (const fee of fees) {
+      if (fee && (!best || fee.perGas < best.perGas)) best = fee;
+    }
+    return best ? best.chainId : null;
+  }
+
+  _feeData(provider) {
+    let timer;
+    return Promise.race([
+      provider.getFeeData(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new TimeoutError("SignalServerSdk: fee quote timed out")), this.feeTimeoutMs);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Checkpoint stores remember the last block whose SignalSent logs were
+ * processed, so SignalServerSdk.catchUp() can resume after a restart.
+ *
+ * Any object with these two async methods can be passed as
+ * `checkpointStore`:
+ *
+ *   load(key)               → Promise<number | null>
+ *   save(key, blockNumber)  → Promise<void>
+ */
+
+/** keeps checkpoints for the lifetime of the process */
+export class MemoryCheckpointStore {
+  constructor() {
+    this._blocks = new Map();
+  }
+
+  async load(key) {
+    return this._blocks.has(key) ? this._blocks.get(key) : null;
+  }
+
+  async save(key, blockNumber) {
+    this._blocks.set(key, blockNumber);
+  }
+}
+
+/** persists checkpoints in Web Storage (localStorage by default), one item per key */
+export class WebStorageCheckpointStore {
+  constructor({ storage = globalThis.localStorage, prefix = "ethsignal:checkpoint:" } = {}) {
+    this.storage = storage;
+    this.prefix  = prefix;
+  }
+
+  async load(key) {
+    const value = this.storage.getItem(this.prefix + key);
+    return value == null ? null : Number(value);
+  }
+
+  async save(key, blockNumber) {
+    this.storage.setItem(this.prefix + key, String(blockNumber));
+  }
+}
+
+/** persists checkpoints as { [key]: blockNumber } in a JSON file (Node only) */
+export class FileCheckpointStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._writing = Promise.resolve();
+  }
+
+  async load(key) {
+    const all = await this._readAll();
+    return all[key] ?? null;
+  }
+
+  async save(key, blockNumber) {
+    // serialize writes so concurrent saves can't interleave
+    this._writing = this._writing.then(async () => {
+      const [fs, path] = await Promise.all([import("fs"), import("path")]);
+      const all = await this._readAll();
+      all[key] = blockNumber;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmp = this.filePath + ".tmp";
+      await fs.promises.writeFile(tmp, JSON.stringify(all, null, 2));
+      await fs.promises.rename(tmp, this.filePath);
+    });
+    return this._writing;
+  }
+
+  async _readAll() {
+    const fs = await import("fs");
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+  }
+}
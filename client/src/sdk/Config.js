@@ -0,0 +1,115 @@
+import { ethers } from "ethers";
+import { SignalServerSdkError } from "./Errors.js";
+import artifact from "../abi/SignalServer.json" with { type: "json" };
+
+/**
+ * SDK configuration.  Nothing is read at import time: loadConfig()
+ * gathers settings when asked, from these sources (first wins):
+ *
+ *   1. values passed to loadConfig() itself
+ *   2. a JSON file            { rpcUrl, chainId, contractAddress, catchUpFromBlock }
+ *   3. the environment        RPC_URL, CHAIN_ID, CONTRACT_ADDRESS, START_BLOCK
+ *   4. a .env file, via dotenv, only if `dotenv` is set
+ *
+ * The result can be spread straight into SignalServerSdk.create().
+ * Files are read through Node's fs, loaded only when one is named; in a
+ * browser pass the values themselves (and `env: false`).
+ */
+
+export const DEFAULT_RPC_URL = "http://localhost:8545";
+
+// config key → environment variable
+const ENV_KEYS = {
+  rpcUrl:           "RPC_URL",
+  chainId:          "CHAIN_ID",
+  contractAddress:  "CONTRACT_ADDRESS",
+  catchUpFromBlock: "START_BLOCK",
+};
+
+/** the SignalServer ABI from the compiled artifact shipped in src/abi */
+export const DEFAULT_ABI = artifact.abi;
+
+/**
+ * @param {object}         [opts]
+ * @param {string}         [opts.file]   – JSON config file
+ * @param {object|false}   [opts.env]    – defaults to process.env; false skips it
+ * @param {boolean|string} [opts.dotenv] – true reads ./.env, a string names the file
+ * @param {...*}           [opts.values] – rpcUrl, chainId, contractAddress, catchUpFromBlock
+ */
+export async function loadConfig({ file, env = globalThis.process?.env, dotenv = false, ...values } = {}) {
+  const sources = [values];
+  if (file) sources.push(await readJson(file));
+  if (env) sources.push(fromEnv(env));
+  if (dotenv) sources.push(fromEnv(await readDotenv(dotenv === true ? ".env" : dotenv)));
+
+  const config = {};
+  for (const key of Object.keys(ENV_KEYS)) {
+    const value = sources.map(s => s[key]).find(v => v != null && v !== "");
+    if (value != null) config[key] = value;
+  }
+  if (config.chainId != null) config.chainId = toInteger(config.chainId, "chainId");
+  if (config.catchUpFromBlock != null) {
+    config.catchUpFromBlock = toInteger(config.catchUpFromBlock, "catchUpFromBlock");
+  }
+  if (config.contractAddress) {
+    try {
+      config.contractAddress = ethers.getAddress(config.contractAddress);
+    } catch (err) {
+      throw new SignalServerSdkError(`SignalServerSdk: invalid contractAddress ${config.contractAddress}`, { cause: err });
+    }
+  }
+  return config;
+}
+
+/**
+ * The SignalServer ABI from a compiled Foundry artifact (its `abi`
+ * field) or a bare ABI file; DEFAULT_ABI without a file.
+ */
+export async function loadAbi(file) {
+  if (!file) return DEFAULT_ABI;
+  const json = await readJson(file);
+  const abi  = Array.isArray(json) ? json : json.abi;
+  if (!Array.isArray(abi)) {
+    throw new SignalServerSdkError(`SignalServerSdk: no ABI in ${file}`);
+  }
+  return abi;
+}
+
+/** a JSON‑RPC provider; it doesn't connect until first used */
+export function createProvider(rpcUrl = DEFAULT_RPC_URL) {
+  return new ethers.JsonRpcProvider(rpcUrl);
+}
+
+function fromEnv(env) {
+  const values = {};
+  for (const [key, name] of Object.entries(ENV_KEYS)) values[key] = env[name];
+  return values;
+}
+
+async function readDotenv(file) {
+  const { parse } = (await import("dotenv")).default;
+  const fs = await import("fs");
+  try {
+    return parse(await fs.promises.readFile(file));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+async function readJson(file) {
+  try {
+    const fs = await import("fs");
+    return JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (err) {
+    throw new SignalServerSdkError(`SignalServerSdk: could not read ${file}: ${err.message}`, { cause: err });
+  }
+}
+
+function toInteger(value, name) {
+  const n = Number(value);
+  if (!Number.isSafeInteger(n) || n < 0) {
+    throw new SignalServerSdkError(`SignalServerSdk: invalid ${name} ${value}`);
+  }
+  return n;
+}
@@ -0,0 +1,297 @@
+import { ethers } from "ethers";
+import { OutgoingTransfer, IncomingTransfer, parseChunkFrame } from "./FileTransfer.js";
+import { RpcEndpoint } from "./Rpc.js";
+import { Emitter } from "./Emitter.js";
+import { SignalServerSdkError, MalformedPayloadError } from "./Errors.js";
+
+/**
+ * DataStream events, for on(event, cb):
+ *
+ *   message       cb(text)
+ *   file          cb(bytes, meta)            a complete, verified file
+ *   fileTransfer  cb(IncomingTransfer)       a peer started sending one
+ *   track         cb(track, streams)         a remote media track arrived
+ *   trackRemoved  cb(track)                  the peer stopped sending it
+ *   stateChange   cb(state, previous)
+ *   close         cb(reason)
+ *   error         cb(MalformedPayloadError)  a frame we couldn't read
+ */
+export const STREAM_EVENTS = [
+  "message", "file", "fileTransfer", "track", "trackRemoved", "stateChange", "close", "error",
+];
+
+/**
+ * DataStream wraps a WebRTC data‑channel.  Text frames are JSON:
+ * `{ message }` for chat messages, `{ xfer, ... }` for file‑transfer
+ * control (see FileTransfer.js) and `{ rpc, ... }` for RPC (see Rpc.js);
+ * binary frames carry file chunks.  Older peers' inline
+ * `{ message, file: base64 }` frames are still understood.
+ *
+ * `state` is "open", "disconnected" (the network dropped; it may come
+ * back), "reconnecting" (an ICE restart is under way) or "closed".  The
+ * SDK drives the middle two from the peer connection; the object stays
+ * the same across reconnects.
+ *
+ * Audio and video share the channel's peer connection: addTrack(),
+ * removeTrack() and addTransceiver() change what we send, and the SDK
+ * renegotiates over the signalling transport.  The peer's tracks come
+ * through onTrack().
+ */
+export class DataStream {
+  /**
+   * @param {string} remoteAddress
+   * @param {RTCDataChannel} dataChannel
+   * @param {string} [sessionId]
+   * @param {object} [opts]
+   * @param {object} [opts.logger]     – { warn, error }; defaults to console
+   * @param {string} [opts.transcript] – a forward‑secret session's transcript hash
+   * @param {RTCPeerConnection} [opts.peerConnection] – the channel's, for media
+   */
+  constructor(remoteAddress, dataChannel, sessionId = null, { logger = console, transcript = null, peerConnection = null } = {}) {
+    this.remoteAddress = remoteAddress;
+    this.sessionId     = sessionId;
+    this.transcript    = transcript;
+    this.logger        = logger;
+    this._dc = dataChannel;
+    this._pc = peerConnection;
+    this._dc.binaryType = "arraybuffer";
+    this.state             = "open";
+    this.closeReason       = null;
+    this._events           = new Emitter(STREAM_EVENTS, { logger, name: "DataStream" });
+    this._transfers        = new Map();   // id → Outgoing/IncomingTransfer
+    this._rpc              = new RpcEndpoint(frame => this._sendFrame(frame), { logger });
+    this._remoteTracks     = new Map();   // track → the MediaStreams it came with
+
+    this._dc.onmessage = (ev) => {
+      try {
+        if (typeof ev.data === "string") this._onText(ev.data);
+        else this._onBinary(ev.data);
+      } catch (err) {
+        const error = err instanceof SignalServerSdkError
+          ? err
+          : new MalformedPayloadError(`SignalServerSdk: invalid frame from ${this.remoteAddress}`, { cause: err });
+        this.logger.warn("[DataStream] invalid payload", error.cause ?? error);
+        this._events.emit("error", error);
+      }
+    };
+    this._dc.onclose = () => this._closed("remote");
+  }
+
+  /**
+   * Send a text message, plus an optional file.  The file goes out as a
+   * chunked transfer, which is returned.
+   */
+  respond(message, file) {
+    this._sendFrame({ message });
+    if (file) return this.sendFile(file);
+  }
+
+  /**
+   * Send a file in chunks, pausing while the channel's buffer is full.
+   * `file` is a Uint8Array / Buffer, ArrayBuffer, Blob / File or an
+   * (async) iterable of byte chunks (e.g. a Node read stream — pass
+   * `size` if you know it).  Returns an OutgoingTransfer: watch it with
+   * onProgress(), stop it with cancel(), and await `done`, which resolves
+   * once the receiver has verified the file's sha256.
+   *
+   * @param {object} [opts]
+   * @param {string} [opts.name]          – defaults to file.name or "file"
+   * @param {string} [opts.type]          – MIME type; defaults to file.type
+   * @param {number} [opts.size]          – bytes, for iterables
+   * @param {number} [opts.chunkSize]     – bytes per frame (default 16 KiB)
+   * @param {number} [opts.highWaterMark] – pause above this many buffered bytes
+   * @param {number} [opts.lowWaterMark]  – resume at or below this
+   */
+  sendFile(file, opts = {}) {
+    const transfer = new OutgoingTransfer(this, file, opts);
+    this._track(transfer);
+    transfer._run().catch(err => transfer._finish(err));
+    return transfer;
+  }
+
+  /** cb(...) on every `event` (see STREAM_EVENTS); returns an unsubscribe */
+  on(event, cb) { return this._events.on(event, cb); }
+  once(event, cb) { return this._events.once(event, cb); }
+  off(event, cb) { this._events.off(event, cb); }
+
+  /** shorthand for on("message", cb) */
+  onMessage(cb) { return this.on("message", cb); }
+
+  /** cb(bytes, meta) for every complete, verified file */
+  onFile(cb) { return this.on("file", cb); }
+
+  /**
+   * cb(IncomingTransfer) when a peer starts sending a file — before any
+   * chunk arrives, so you can cancel it, follow its progress or stream
+   * it with onChunk().
+   */
+  onFileTransfer(cb) { return this.on("fileTransfer", cb); }
+
+  /**
+   * Call `method` on the peer's handle()r.  Resolves with the result or
+   * rejects with an RpcError; `signal` (an AbortSignal) cancels the call.
+   *
+   * @param {string} method
+   * @param {*}      [params]        – anything JSON can carry
+   * @param {object} [opts]
+   * @param {number} [opts.timeoutMs] – default 30000; 0 waits forever
+   * @param {AbortSignal} [opts.signal]
+   */
+  call(method, params, opts) { return this._rpc.call(method, params, opts); }
+
+  /**
+   * Serve `method`: fn(params, { signal, notify }) returns the result (or
+   * a promise of it).  Returns a function that removes the handler.
+   */
+  handle(method, fn) { return this._rpc.handle(method, fn); }
+
+  /** one‑way RPC notification */
+  notify(method, params) { this._rpc.notify(method, params); }
+
+  /** cb(params) for each `method` notification; returns an unsubscribe */
+  onNotification(method, cb) { return this._rpc.onNotification(method, cb); }
+
+  /**
+   * Send a media track (e.g. from getUserMedia(), or wrtc's
+   * nonstandard.RTCAudioSource / RTCVideoSource in Node), as part of
+   * `streams` if given.  Returns its RTCRtpSender; the peer's onTrack()
+   * fires once the renegotiation is through.
+   */
+  addTrack(track, ...streams) {
+    return this._peerConnection().addTrack(track, ...streams);
+  }
+
+  /** stop sending the track of `sender` (from addTrack()) */
+  removeTrack(sender) {
+    this._peerConnection().removeTrack(sender);
+  }
+
+  /**
+   * Add an RTCRtpTransceiver for a track or a kind ("audio" / "video"),
+   * e.g. addTransceiver("video", { direction: "recvonly" }) to receive a
+   * screen share without sending one.
+   */
+  addTransceiver(trackOrKind, init) {
+    return this._peerConnection().addTransceiver(trackOrKind, init);
+  }
+
+  /** the peer's tracks we are receiving, with the streams they came in */
+  get remoteTracks() {
+    return [...this._remoteTracks.keys()];
+  }
+
+  /**
+   * cb(track, streams) for each remote media track: first for those
+   * already here (tracks sent with the offer arrive before the stream
+   * opens), then as they arrive.  Returns an unsubscribe.
+   */
+  onTrack(cb) {
+    for (const [track, streams] of this._remoteTracks) cb(track, streams);
+    return this.on("track", cb);
+  }
+
+  /** cb(track) when the peer stops sending a track */
+  onTrackRemoved(cb) { return this.on("trackRemoved", cb); }
+
+  /**
+   * Close the channel; the SDK then closes the peer connection.  Pending
+   * calls and transfers fail on both sides.
+   */
+  close() {
+    if (this.state === "closed") return;
+    this._closed("local");
+    this._dc.close();
+  }
+
+  /**
+   * cb(reason) once the stream closes: "local" (close() was called),
+   * "remote" (the peer closed it or went away), "failed" (reconnecting
+   * gave up) or "destroyed" (sdk.destroy()).
+   */
+  onClose(cb) { return this.on("close", cb); }
+
+  /** cb(state, previous) on every state change */
+  onStateChange(cb) { return this.on("stateChange", cb); }
+
+  // INTERNALS ---------------------------------------------------------
+
+  _setState(state) {
+    const previous = this.state;
+    if (state === previous || previous === "closed") return;
+    this.state = state;
+    this._events.emit("stateChange", state, previous);
+  }
+
+  _peerConnection() {
+    if (this.state === "closed") throw new SignalServerSdkError("SignalServerSdk: stream is closed");
+    if (!this._pc) throw new SignalServerSdkError("SignalServerSdk: this stream has no peer connection for media");
+    return this._pc;
+  }
+
+  _addRemoteTrack(track, streams = []) {
+    if (this._remoteTracks.has(track)) return;
+    this._remoteTracks.set(track, [...streams]);
+    this._events.emit("track", track, [...streams]);
+  }
+
+  _removeRemoteTrack(track) {
+    if (!this._remoteTracks.delete(track)) return;
+    this._events.emit("trackRemoved", track);
+  }
+
+  _closed(reason) {
+    if (this.state === "closed") return;
+    this.closeReason = reason;
+    this._setState("closed");
+    const err = new SignalServerSdkError(`SignalServerSdk: stream closed (${reason})`);
+    this._rpc.close(err);
+    for (const transfer of this._transfers.values()) transfer._finish(err);
+    this._events.emit("close", reason);
+  }
+
+  _sendFrame(obj) {
+    if (this.state === "closed") throw new SignalServerSdkError("SignalServerSdk: stream is closed");
+    this._dc.send(JSON.stringify(obj));
+  }
+
+  _onText(text) {
+    const frame = JSON.parse(text);
+    if (frame.xfer) return this._onTransferControl(frame);
+    if (frame.rpc) return this._rpc._onFrame(frame);
+
+    const { message, file } = frame;
+    if (message != null) this._events.emit("message", message);
+    if (file) {
+      // inline file from a peer that predates chunked transfers
+      const buf = ethers.decodeBase64(file);
+      this._events.emit("file", buf, { name: null, size: buf.length, type: null, hash: null });
+    }
+  }
+
+  _onBinary(data) {
+    const { id, chunk } = parseChunkFrame(data);
+    const transfer = this._transfers.get(id);
+    if (transfer && transfer.direction === "receive") transfer._onChunk(chunk);
+  }
+
+  _onTransferControl(frame) {
+    if (frame.xfer === "start") {
+      if (this._transfers.has(frame.id)) return;
+      const transfer = new IncomingTransfer(this, frame);
+      this._track(transfer);
+      this._events.emit("fileTransfer", transfer);
+      transfer.done.then((bytes) => {
+        if (bytes) this._events.emit("file", bytes, transfer.meta);
+      }, () => {});
+      return;
+    }
+    const transfer = this._transfers.get(frame.id);
+    if (transfer) transfer._onControl(frame);
+  }
+
+  _track(transfer) {
+    this._transfers.set(transfer.id, transfer);
+    const forget = () => this._transfers.delete(transfer.id);
+    transfer.done.then(forget, forget);
+  }
+}
@@ -0,0 +1,143 @@
+import { ethers } from "ethers";
+import { SignalServerSdkError, TimeoutError } from "./Errors.js";
+import KNOWN_DEPLOYMENTS from "./knownDeployments.js";
+
+/**
+ * Where SignalServer lives on each chain: chainId → { address,
+ * startBlock, txHash? }.  `startBlock` is the block the contract was
+ * created in, so catch‑up scans never need to start earlier.
+ *
+ * The built‑in list (knownDeployments.js) is generated from the Foundry
+ * broadcast files by `npm run deployments`, public chains only;
+ * fromBroadcast() reads them directly, e.g. for a local Anvil deploy.
+ */
+export class DeploymentRegistry {
+  /** @param {object} [entries] – { [chainId]: { address, startBlock, txHash? } } */
+  constructor(entries = {}) {
+    this._byChain = new Map();
+    for (const [chainId, entry] of Object.entries(entries)) this.set(chainId, entry);
+  }
+
+  /**
+   * Read every `<script>/<chainId>/run-latest.json` under a Foundry
+   * `broadcast/` directory and register the contracts it created.
+   *
+   * @param {string} dir
+   * @param {object} [opts]
+   * @param {string} [opts.contractName] – defaults to "SignalServer"
+   */
+  static async fromBroadcast(dir, { contractName = "SignalServer" } = {}) {
+    const fs       = await import("fs");
+    const path     = await import("path");
+    const registry = new DeploymentRegistry();
+    for (const script of fs.readdirSync(dir)) {
+      const scriptDir = path.join(dir, script);
+      if (!fs.statSync(scriptDir).isDirectory()) continue;
+      for (const chain of fs.readdirSync(scriptDir)) {
+        const file = path.join(scriptDir, chain, "run-latest.json");
+        if (!fs.existsSync(file)) continue;
+        const entry = parseBroadcastRun(JSON.parse(fs.readFileSync(file, "utf8")), contractName);
+        if (entry) registry.set(entry.chainId, entry);
+      }
+    }
+    return registry;
+  }
+
+  // PUBLIC API --------------------------------------------------------
+
+  set(chainId, { address, startBlock = 0, txHash }) {
+    const entry = { address: ethers.getAddress(address), startBlock: Number(startBlock) };
+    if (txHash) entry.txHash = txHash;
+    this._byChain.set(toChainId(chainId), entry);
+    return this;
+  }
+
+  /** the deployment on `chainId`, or null */
+  get(chainId) {
+    return this._byChain.get(toChainId(chainId)) ?? null;
+  }
+
+  has(chainId) {
+    return this._byChain.has(toChainId(chainId));
+  }
+
+  /** every registered chainId, ascending */
+  chains() {
+    return [...this._byChain.keys()].sort((a, b) => a - b);
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.chains().map(id => [id, this._byChain.get(id)]));
+  }
+}
+
+/** a fresh registry holding the built‑in deployments */
+export function defaultDeployments() {
+  return new DeploymentRegistry(KNOWN_DEPLOYMENTS);
+}
+
+/**
+ * The `contractName` deployment in a parsed Foundry run file, as
+ * { chainId, address, startBlock, txHash }, or null if it has none.
+ */
+export function parseBroadcastRun(run, contractName = "SignalServer") {
+  const tx = (run.transactions || []).find(t =>
+    t.contractName === contractName &&
+    (t.transactionType === "CREATE" || t.transactionType === "CREATE2") &&
+    t.contractAddress
+  );
+  if (!tx) return null;
+  const receipt = (run.receipts || []).find(r => r.transactionHash === tx.hash);
+  return {
+    chainId:    toChainId(run.chain),
+    address:    ethers.getAddress(tx.contractAddress),
+    startBlock: receipt ? Number(receipt.blockNumber) : 0,
+    txHash:     tx.hash,
+  };
+}
+
+/**
+ * The chainId `provider` is on.  An unreachable node fails after
+ * `timeoutMs` instead of being retried forever.
+ */
+export function detectChainId(provider, { timeoutMs = 10000 } = {}) {
+  return withTimeout(provider.getNetwork(), timeoutMs).then(network => Number(network.chainId));
+}
+
+/**
+ * Check that `provider` is on `chainId` (if given) and that `address`
+ * holds contract code there.  Resolves with { chainId, address }.
+ *
+ * @param {ethers.Provider} provider
+ * @param {object} opts
+ * @param {string} opts.address
+ * @param {number} [opts.chainId]
+ * @param {number} [opts.timeoutMs] – per chain read
+ */
+export async function validateDeployment(provider, { address, chainId, timeoutMs = 10000 }) {
+  const actual = await detectChainId(provider, { timeoutMs });
+  if (chainId != null && actual !== Number(chainId)) {
+    throw new SignalServerSdkError(`SignalServerSdk: provider is on chain ${actual}, expected ${chainId}`);
+  }
+  const code = await withTimeout(provider.getCode(address), timeoutMs);
+  if (!code || code === "0x") {
+    throw new SignalServerSdkError(`SignalServerSdk: no contract at ${address} on chain ${actual}`);
+  }
+  return { chainId: actual, address: ethers.getAddress(address) };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError("SignalServerSdk: chain read timed out")), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function toChainId(chainId) {
+  const id = Number(chainId);
+  if (!Number.isSafeInteger(id) || id <= 0) {
+    throw new SignalServerSdkError(`SignalServerSdk: invalid chainId ${chainId}`);
+  }
+  return id;
+}
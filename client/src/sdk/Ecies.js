@@ -0,0 +1,110 @@
+import { ethers } from "ethers";
+import { SignalServerSdkError } from "./Errors.js";
+
+/**
+ * ECIES over secp256k1, byte‑compatible with eth-crypto / eccrypto:
+ *
+ *   shared   = x( ECDH( ephemeral, recipient ) )
+ *   keys     = sha512( shared ) → aes key ‖ mac key
+ *   cipher   = AES‑256‑CBC( iv, plaintext )
+ *   mac      = HMAC‑SHA256( iv ‖ ephemPublicKey(65) ‖ ciphertext )
+ *
+ * Built on ethers and WebCrypto only, so it runs unchanged in browsers
+ * and in Node; bytes in and out are Uint8Arrays.
+ */
+
+/** a fresh { privateKey, publicKey, address }, keys in eth-crypto form */
+export function createIdentity() {
+  const key = new ethers.SigningKey(ethers.randomBytes(32));
+  return {
+    privateKey: key.privateKey,
+    publicKey:  key.publicKey.slice(4),
+    address:    ethers.computeAddress(key.publicKey),
+  };
+}
+
+/** encrypt `plain` to `publicKey` (eth-crypto form, 0x04‑prefixed or compressed) */
+export async function encrypt(publicKey, plain) {
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+  const iv        = ethers.randomBytes(16);
+  const ephemPublicKey = ethers.getBytes(ephemeral.publicKey);
+  const [aesKey, macKey] = deriveKeys(sharedX(ephemeral, toPublicKey(publicKey))[0]);
+  const ciphertext = await aesCbc("encrypt", aesKey, iv, plain);
+  const mac = ethers.getBytes(ethers.computeHmac("sha256", macKey, ethers.concat([iv, ephemPublicKey, ciphertext])));
+  return { iv, ephemPublicKey, ciphertext, mac };
+}
+
+/** open a { iv, ephemPublicKey, ciphertext, mac } with `privateKey`; throws on a bad MAC */
+export async function decrypt(privateKey, { iv, ephemPublicKey, ciphertext, mac }) {
+  const key      = new ethers.SigningKey(privateKey);
+  const macInput = ethers.concat([iv, ephemPublicKey, ciphertext]);
+  for (const x of sharedX(key, ethers.hexlify(ephemPublicKey))) {
+    const [aesKey, macKey] = deriveKeys(x);
+    if (equalBytes(ethers.getBytes(ethers.computeHmac("sha256", macKey, macInput)), ethers.getBytes(mac))) {
+      return aesCbc("decrypt", aesKey, iv, ciphertext);
+    }
+  }
+  throw new SignalServerSdkError("SignalServerSdk: bad MAC");
+}
+
+/** iv(16) ‖ ephemPublicKey(33, compressed) ‖ mac(32) ‖ ciphertext, as eth-crypto's cipher.stringify */
+export function serializeCipher({ iv, ephemPublicKey, ciphertext, mac }) {
+  return ethers.getBytes(ethers.concat([
+    iv,
+    ethers.SigningKey.computePublicKey(ephemPublicKey, true),
+    mac,
+    ciphertext,
+  ]));
+}
+
+/** the inverse of serializeCipher() */
+export function parseCipher(data) {
+  const bytes = ethers.getBytes(data);
+  if (bytes.length < 16 + 33 + 32 + 16) {
+    throw new SignalServerSdkError("SignalServerSdk: cipher too short");
+  }
+  return {
+    iv:             bytes.slice(0, 16),
+    ephemPublicKey: ethers.getBytes(ethers.SigningKey.computePublicKey(bytes.slice(16, 49), false)),
+    mac:            bytes.slice(49, 81),
+    ciphertext:     bytes.slice(81),
+  };
+}
+
+// INTERNALS ---------------------------------------------------------
+
+function toPublicKey(publicKey) {
+  const hex = publicKey.replace(/^0x/, "");
+  return "0x" + (hex.length === 128 ? "04" + hex : hex);
+}
+
+/**
+ * the ECDH x coordinate; eccrypto's JS fallback drops its leading zero
+ * bytes where the native build keeps all 32, so when they differ both
+ * are returned (ours first) and decrypt() tries each
+ */
+function sharedX(key, publicKey) {
+  const x        = ethers.getBytes(key.computeSharedSecret(publicKey)).slice(1, 33);
+  const stripped = x.slice(x.findIndex(b => b !== 0));
+  return stripped.length === x.length ? [x] : [stripped, x];
+}
+
+/** compare in constant time, so a forged MAC can't be found byte by byte */
+function equalBytes(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+function deriveKeys(x) {
+  const hash = ethers.getBytes(ethers.sha512(x));
+  return [hash.slice(0, 32), hash.slice(32)];
+}
+
+async function aesCbc(op, key, iv, data) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) throw new SignalServerSdkError("SignalServerSdk: WebCrypto is unavailable");
+  const cryptoKey = await subtle.importKey("raw", key, "AES-CBC", false, [op]);
+  return new Uint8Array(await subtle[op]({ name: "AES-CBC", iv }, cryptoKey, data));
+}
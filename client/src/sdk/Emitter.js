@@ -0,0 +1,68 @@
+import { SignalServerSdkError } from "./Errors.js";
+
+/**
+ * A small typed event emitter for the SDK and DataStream.  Only the
+ * events declared up front exist (a typo throws instead of silently
+ * never firing), each may have any number of listeners, and on() returns
+ * an unsubscribe function.  A listener that throws or rejects is logged;
+ * it never breaks the emitter or the other listeners.
+ */
+export class Emitter {
+  /**
+   * @param {string[]} events
+   * @param {object}   [opts]
+   * @param {object}   [opts.logger] – where listener failures go
+   * @param {string}   [opts.name]   – log prefix
+   */
+  constructor(events, { logger = console, name = "SignalServerSdk" } = {}) {
+    this._listeners = new Map(events.map(e => [e, new Set()]));
+    this._logger    = logger;
+    this._name      = name;
+  }
+
+  /** cb(...args) on every `event`; returns an unsubscribe */
+  on(event, cb) {
+    this._set(event).add(cb);
+    return () => this.off(event, cb);
+  }
+
+  /** cb(...args) on the next `event` only; returns an unsubscribe */
+  once(event, cb) {
+    const off = this.on(event, (...args) => {
+      off();
+      return cb(...args);
+    });
+    return off;
+  }
+
+  off(event, cb) {
+    this._set(event).delete(cb);
+  }
+
+  listenerCount(event) {
+    return this._set(event).size;
+  }
+
+  emit(event, ...args) {
+    for (const cb of [...this._set(event)]) {
+      try {
+        const result = cb(...args);
+        if (result && typeof result.then === "function") {
+          result.then(null, err => this._listenerFailed(event, err));
+        }
+      } catch (err) {
+        this._listenerFailed(event, err);
+      }
+    }
+  }
+
+  _set(event) {
+    const set = this._listeners.get(event);
+    if (!set) throw new SignalServerSdkError(`SignalServerSdk: unknown event ${event}`);
+    return set;
+  }
+
+  _listenerFailed(event, err) {
+    this._logger.error(`[${this._name}] ${event} listener failed`, err);
+  }
+}
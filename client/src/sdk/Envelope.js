@@ -0,0 +1,142 @@
+import { ethers } from "ethers";
+import { SignalServerSdkError } from "./Errors.js";
+
+/**
+ * Signalling envelope.
+ *
+ * Every encrypted signal is a JSON object.  Protocol v0 (the original
+ * format) is just the body, e.g. { type, sdp, candidates }.  From v1 on,
+ * the envelope fields ride alongside the body fields:
+ *
+ *   {
+ *     v,          // protocol version the message is encoded in
+ *     sid,        // session id, shared by an offer and everything after it
+ *     nonce,      // random, unique per message (replay protection)
+ *     sentAt,     // sender's clock, ms
+ *     expiresAt,  // receivers drop the message after this, ms
+ *     from, to,   // checksummed addresses; binds the message to both peers
+ *     type, ...   // the body
+ *     sig         // wallet signature over everything else
+ *   }
+ *
+ * Keeping the body at the top level means a v0 peer, which only reads
+ * type/sdp/candidates, still understands v1 messages.
+ */
+
+export const PROTOCOL_VERSION     = 1;
+export const MIN_PROTOCOL_VERSION = 0;
+
+const ENVELOPE_FIELDS = ["v", "sid", "nonce", "sentAt", "expiresAt", "from", "to", "sig"];
+
+/** 16 random bytes as hex; used for session ids and nonces */
+export function randomId() {
+  return ethers.hexlify(ethers.randomBytes(16)).slice(2);
+}
+
+/** JSON with object keys sorted recursively, so both sides hash the same text */
+export function canonicalJson(value) {
+  return JSON.stringify(value, (_key, v) =>
+    v && typeof v === "object" && !Array.isArray(v)
+      ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+      : v
+  );
+}
+
+/** the digest a sender signs: everything except the signature itself */
+export function envelopeDigest(msg) {
+  const { sig, ...unsigned } = msg;
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(unsigned)));
+}
+
+/**
+ * Wrap `body` in a v1 envelope signed by `signer`.
+ * `body.sid` is kept if present (answers and candidates reuse the
+ * offer's session id); otherwise a new session id is created.
+ */
+export async function sealEnvelope(signer, to, body, { ttlMs, now = Date.now() }) {
+  // a snapshot: the caller's arrays may still grow while a slow signer
+  // (a browser wallet) signs, and we must send exactly what was signed
+  const msg = {
+    ...JSON.parse(JSON.stringify(body)),
+    v:         PROTOCOL_VERSION,
+    sid:       body.sid ?? randomId(),
+    nonce:     randomId(),
+    sentAt:    now,
+    expiresAt: now + ttlMs,
+    from:      ethers.getAddress(await signer.getAddress()),
+    to:        ethers.getAddress(to),
+  };
+  msg.sig = await signer.signMessage(ethers.getBytes(envelopeDigest(msg)));
+  return msg;
+}
+
+/**
+ * Check an incoming v1+ envelope.  Throws with a short reason if it is
+ * unsigned, signed by someone other than `sender`, addressed to someone
+ * other than `recipient`, future‑dated beyond `clockSkewMs` or expired.
+ * Replays are the caller's business (see ReplayCache).
+ */
+export function verifyEnvelope(msg, { sender, recipient, clockSkewMs, now = Date.now() }) {
+  for (const f of ENVELOPE_FIELDS) {
+    if (msg[f] == null) throw new SignalServerSdkError(`SignalServerSdk: envelope missing ${f}`);
+  }
+  let signer;
+  try {
+    signer = ethers.verifyMessage(ethers.getBytes(envelopeDigest(msg)), msg.sig);
+  } catch {
+    throw new SignalServerSdkError("SignalServerSdk: bad envelope signature");
+  }
+  if (signer !== ethers.getAddress(sender) || msg.from !== signer) {
+    throw new SignalServerSdkError("SignalServerSdk: envelope not signed by sender");
+  }
+  if (msg.to !== ethers.getAddress(recipient)) {
+    throw new SignalServerSdkError("SignalServerSdk: envelope addressed to someone else");
+  }
+  if (msg.sentAt > now + clockSkewMs) {
+    throw new SignalServerSdkError("SignalServerSdk: envelope sent in the future");
+  }
+  if (msg.expiresAt + clockSkewMs < now) {
+    throw new SignalServerSdkError("SignalServerSdk: envelope expired");
+  }
+}
+
+/** the body without envelope fields */
+export function envelopeBody(msg) {
+  const body = { ...msg };
+  for (const f of ENVELOPE_FIELDS) delete body[f];
+  return body;
+}
+
+/**
+ * Remembers (sender, nonce) pairs until their envelope expires, so a
+ * replayed signal is recognised.  Bounded: once `maxEntries` is reached
+ * the oldest entries are evicted first.
+ */
+export class ReplayCache {
+  constructor(maxEntries = 5000) {
+    this.maxEntries = maxEntries;
+    this._seen = new Map();   // "sender:nonce" → expiresAt (insertion ordered)
+  }
+
+  /** records the pair; returns false if it was already seen */
+  check(sender, nonce, expiresAt, now = Date.now()) {
+    const key = `${ethers.getAddress(sender)}:${nonce}`;
+    if (this._seen.has(key)) return false;
+    this._prune(now);
+    this._seen.set(key, expiresAt);
+    return true;
+  }
+
+  get size() {
+    return this._seen.size;
+  }
+
+  _prune(now) {
+    for (const [key, exp] of this._seen) {
+      if (exp < now) this._seen.delete(key);
+    }
+    while (this._seen.size >= this.maxEntries) {
+      this._seen.delete(this._seen.keys().next().value);
+    }
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Typed errors.  Everything the SDK throws, rejects with or emits as an
+ * "error" event is a SignalServerSdkError, so callers can tell failures
+ * apart with instanceof instead of matching messages.  Errors about an
+ * incoming signal carry its `sender`, and `cause` keeps the underlying
+ * error where there is one.
+ */
+
+/** base class of the SDK's errors */
+export class SignalServerSdkError extends Error {
+  constructor(message, { cause, sender } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "SignalServerSdkError";
+    if (sender) this.sender = sender;
+  }
+}
+
+/** a signal that none of our keys decrypts (not for us, or corrupted) */
+export class DecryptError extends SignalServerSdkError {
+  constructor(message = "SignalServerSdk: could not decrypt signal", opts) {
+    super(message, opts);
+    this.name = "DecryptError";
+  }
+}
+
+/** a decrypted signal or data‑channel frame that isn't valid */
+export class MalformedPayloadError extends SignalServerSdkError {
+  constructor(message = "SignalServerSdk: malformed payload", opts) {
+    super(message, opts);
+    this.name = "MalformedPayloadError";
+  }
+}
+
+/** a signal that failed the envelope checks: mis‑signed, stale, replayed or in an unsupported version */
+export class InvalidSignalError extends SignalServerSdkError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = "InvalidSignalError";
+  }
+}
+
+/** no key source knows the peer's encryption key */
+export class UnknownPeerError extends SignalServerSdkError {
+  constructor(address, opts) {
+    super(`SignalServerSdk: no public key for peer ${address}`, opts);
+    this.name    = "UnknownPeerError";
+    this.address = address;
+  }
+}
+
+/** a wait ran out; the message names it (e.g. "HelpResponseTimeout") */
+export class TimeoutError extends SignalServerSdkError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ * Why a helper turned a request down.  Carried in signed
+ * `{ type: "decline", reason, sid }` signals.
+ */
+export const DECLINE_REASONS = {
+  BUSY:                "busy",                 // at its concurrent‑session limit
+  DECLINED:            "declined",             // said no
+  UNKNOWN_PEER:        "unknown-peer",         // doesn't talk to strangers
+  UNSUPPORTED_VERSION: "unsupported-version",  // can't speak our protocol version
+};
+
+/** requestHelp() was declined; `reason` is one of DECLINE_REASONS */
+export class HelpDeclinedError extends SignalServerSdkError {
+  constructor(reason, peer) {
+    super(`SignalServerSdk: help request declined by ${peer} (${reason})`);
+    this.name   = "HelpDeclinedError";
+    this.reason = reason;
+    this.peer   = peer;
+  }
+}
+
+/**
+ * A pool request went to another helper: accept() rejects with this once
+ * the requester says who it picked.
+ */
+export class HelpClaimedError extends SignalServerSdkError {
+  constructor(requester, helper) {
+    super(`SignalServerSdk: help request from ${requester} claimed by ${helper}`);
+    this.name      = "HelpClaimedError";
+    this.requester = requester;
+    this.helper    = helper;
+  }
+}
+
+/**
+ * A meta‑transaction relayer refused or failed to submit a signal.
+ * `status` is its HTTP status (429: over quota, then `retryAfterMs`
+ * says when to try again).
+ */
+export class RelayError extends SignalServerSdkError {
+  constructor(message, { status, retryAfterMs, ...opts } = {}) {
+    super(message, opts);
+    this.name   = "RelayError";
+    this.status = status ?? null;
+    if (retryAfterMs != null) this.retryAfterMs = retryAfterMs;
+  }
+}
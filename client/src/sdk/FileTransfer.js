@@ -0,0 +1,279 @@
+import { ethers } from "ethers";
+import { sha256 } from "@noble/hashes/sha256";
+import { SignalServerSdkError } from "./Errors.js";
+
+/**
+ * Chunked file transfer over a DataStream's data channel.
+ *
+ * Control frames are JSON text, keyed by `xfer` so older peers (which
+ * only look at `message` / `file`) ignore them:
+ *
+ *   { xfer: "start",    id, name, size, type }   sender → receiver
+ *   { xfer: "end",      id, size, hash }         sender → receiver, hash = sha256 hex
+ *   { xfer: "verified", id, ok }                 receiver → sender
+ *   { xfer: "cancel",   id, reason }             either way
+ *
+ * Chunks are binary frames: the 8‑byte transfer id followed by the data.
+ * The channel is reliable and ordered, so offsets are implicit.  The
+ * sender stops writing while more than `highWaterMark` bytes are queued
+ * and resumes once the channel drains to `lowWaterMark`.
+ */
+
+export const DEFAULT_CHUNK_SIZE = 16 * 1024;        // safe across browsers
+export const DEFAULT_HIGH_WATER = 1024 * 1024;
+export const DEFAULT_LOW_WATER  = 256 * 1024;
+
+const ID_BYTES = 8;
+
+class FileTransfer {
+  constructor({ id, direction, name, size, type }) {
+    this.id        = id;
+    this.direction = direction;   // "send" | "receive"
+    this.name      = name;
+    this.size      = size;        // null if the sender didn't know it
+    this.type      = type;
+    this.bytes     = 0;           // transferred so far
+    this.hash      = null;        // sha256 hex, once known
+
+    this._progressHandlers = [];
+    this._finished = false;
+    this.done = new Promise((res, rej) => { this._resolve = res; this._reject = rej; });
+    // nobody may be awaiting `done` (e.g. onFile users); don't crash on reject
+    this.done.catch(() => {});
+  }
+
+  /** cb({ id, bytes, total }) after every chunk */
+  onProgress(cb) { this._progressHandlers.push(cb); }
+
+  get meta() {
+    return { id: this.id, name: this.name, size: this.size, type: this.type, hash: this.hash };
+  }
+
+  _progress() {
+    const ev = { id: this.id, bytes: this.bytes, total: this.size };
+    this._progressHandlers.forEach(cb => cb(ev));
+  }
+
+  _finish(err, value) {
+    if (this._finished) return false;
+    this._finished = true;
+    if (err) this._reject(err);
+    else this._resolve(value);
+    return true;
+  }
+}
+
+/**
+ * A file we are sending.  `done` resolves with the metadata once the
+ * receiver has verified the hash, and rejects if either side cancels.
+ */
+export class OutgoingTransfer extends FileTransfer {
+  constructor(stream, source, {
+    name,
+    type,
+    size,
+    chunkSize     = DEFAULT_CHUNK_SIZE,
+    highWaterMark = DEFAULT_HIGH_WATER,
+    lowWaterMark  = DEFAULT_LOW_WATER,
+  } = {}) {
+    super({
+      id:        ethers.hexlify(ethers.randomBytes(ID_BYTES)).slice(2),
+      direction: "send",
+      name:      name ?? source.name ?? "file",
+      size:      size ?? sizeOf(source),
+      type:      type || source.type || "application/octet-stream",
+    });
+    this._stream    = stream;
+    this._source    = source;
+    this._chunkSize = chunkSize;
+    this._high      = highWaterMark;
+    this._low       = lowWaterMark;
+  }
+
+  cancel(reason = "cancelled") {
+    if (!this._finish(new SignalServerSdkError(`SignalServerSdk: file transfer cancelled: ${reason}`))) return;
+    try {
+      this._stream._sendFrame({ xfer: "cancel", id: this.id, reason });
+    } catch {
+      // the channel is gone (often why we cancel); the peer sees it close
+    }
+  }
+
+  async _run() {
+    const dc     = this._stream._dc;
+    const prefix = ethers.getBytes("0x" + this.id);
+    const hasher = sha256.create();
+    try {
+      this._stream._sendFrame({ xfer: "start", id: this.id, name: this.name, size: this.size, type: this.type });
+      for await (const chunk of chunksOf(this._source, this._chunkSize)) {
+        if (this._finished) return;
+        if (dc.bufferedAmount > this._high) await drained(dc, this._low);
+        if (this._finished) return;
+
+        const frame = new Uint8Array(ID_BYTES + chunk.length);
+        frame.set(prefix);
+        frame.set(chunk, ID_BYTES);
+        dc.send(frame);
+        hasher.update(chunk);
+        this.bytes += chunk.length;
+        this._progress();
+      }
+      this.hash = ethers.hexlify(hasher.digest()).slice(2);
+      if (this.size == null) this.size = this.bytes;
+      this._stream._sendFrame({ xfer: "end", id: this.id, size: this.bytes, hash: this.hash });
+    } catch (err) {
+      if (!this._finished) this.cancel(err.message);
+    }
+  }
+
+  _onControl(frame) {
+    if (frame.xfer === "verified") {
+      if (frame.ok) this._finish(null, this.meta);
+      else this._finish(new SignalServerSdkError("SignalServerSdk: file transfer failed the receiver's integrity check"));
+    } else if (frame.xfer === "cancel") {
+      this._finish(new SignalServerSdkError(`SignalServerSdk: file transfer cancelled by peer: ${frame.reason}`));
+    }
+  }
+}
+
+/**
+ * A file we are receiving.  Chunks are buffered and `done` resolves with
+ * the whole file as a Uint8Array once the hash checks out — unless an
+ * onChunk handler is registered before the first chunk arrives, in which
+ * case nothing is kept and `done` resolves with null.
+ */
+export class IncomingTransfer extends FileTransfer {
+  constructor(stream, { id, name, size, type }) {
+    super({ id, direction: "receive", name, size: size ?? null, type });
+    this._stream        = stream;
+    this._hasher        = sha256.create();
+    this._chunks        = [];
+    this._chunkHandlers = [];
+  }
+
+  /** cb(Uint8Array) for each chunk, in order; disables buffering */
+  onChunk(cb) { this._chunkHandlers.push(cb); }
+
+  cancel(reason = "cancelled") {
+    if (this._finish(new SignalServerSdkError(`SignalServerSdk: file transfer cancelled: ${reason}`))) {
+      this._chunks = [];
+      this._stream._sendFrame({ xfer: "cancel", id: this.id, reason });
+    }
+  }
+
+  _onChunk(chunk) {
+    if (this._finished) return;
+    this.bytes += chunk.length;
+    if (this.size != null && this.bytes > this.size) {
+      return this.cancel("more data than announced");
+    }
+    this._hasher.update(chunk);
+    if (this._chunkHandlers.length) this._chunkHandlers.forEach(cb => cb(chunk));
+    else this._chunks.push(chunk);
+    this._progress();
+  }
+
+  _onControl(frame) {
+    if (frame.xfer === "cancel") {
+      this._chunks = [];
+      this._finish(new SignalServerSdkError(`SignalServerSdk: file transfer cancelled by peer: ${frame.reason}`));
+      return;
+    }
+    if (frame.xfer !== "end" || this._finished) return;
+
+    this.hash = ethers.hexlify(this._hasher.digest()).slice(2);
+    const ok  = this.bytes === frame.size && this.hash === frame.hash;
+    this._stream._sendFrame({ xfer: "verified", id: this.id, ok });
+    if (!ok) {
+      this._chunks = [];
+      this._finish(new SignalServerSdkError("SignalServerSdk: received file failed its integrity check"));
+      return;
+    }
+    if (this.size == null) this.size = this.bytes;
+    const file = this._chunkHandlers.length ? null : concat(this._chunks, this.bytes);
+    this._chunks = [];
+    this._finish(null, file);
+  }
+}
+
+/** split a binary frame into its transfer id and chunk */
+export function parseChunkFrame(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  return {
+    id:    ethers.hexlify(bytes.subarray(0, ID_BYTES)).slice(2),
+    chunk: bytes.subarray(ID_BYTES),
+  };
+}
+
+// ─── HELPERS ─────────────────────────────────────────────────────────
+
+function sizeOf(source) {
+  if (source instanceof ArrayBuffer) return source.byteLength;
+  if (ArrayBuffer.isView(source)) return source.byteLength;
+  if (typeof source.size === "number") return source.size;   // Blob / File
+  return null;
+}
+
+/**
+ * Uint8Array chunks of at most `size` bytes from a Uint8Array,
+ * ArrayBuffer, Blob or (async) iterable of byte arrays, such as a Node
+ * read stream.
+ */
+async function* chunksOf(source, size) {
+  if (source instanceof ArrayBuffer) source = new Uint8Array(source);
+  if (ArrayBuffer.isView(source)) {
+    const bytes = new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    for (let i = 0; i < bytes.length; i += size) yield bytes.subarray(i, i + size);
+    return;
+  }
+  if (typeof source.slice === "function" && typeof source.size === "number") {
+    for (let i = 0; i < source.size; i += size) {
+      yield new Uint8Array(await source.slice(i, i + size).arrayBuffer());
+    }
+    return;
+  }
+  // iterables: re‑cut whatever sizes they produce
+  let pending = new Uint8Array(0);
+  for await (const piece of source) {
+    const bytes = typeof piece === "string" ? new TextEncoder().encode(piece) : new Uint8Array(piece);
+    pending = pending.length ? concat([pending, bytes], pending.length + bytes.length) : bytes;
+    while (pending.length >= size) {
+      yield pending.subarray(0, size);
+      pending = pending.subarray(size);
+    }
+  }
+  if (pending.length) yield pending;
+}
+
+/**
+ * Resolves once the channel's send buffer is at or below `low`.  Uses
+ * `bufferedamountlow` where the implementation has it and polls
+ * otherwise (node‑webrtc doesn't fire the event).
+ */
+function drained(dc, low, pollMs = 10) {
+  return new Promise((resolve, reject) => {
+    const finish = (err) => {
+      clearInterval(timer);
+      if (dc.removeEventListener) dc.removeEventListener("bufferedamountlow", check);
+      if (err) reject(err);
+      else resolve();
+    };
+    const check = () => {
+      if (dc.readyState !== "open") finish(new SignalServerSdkError("SignalServerSdk: data channel closed"));
+      else if (dc.bufferedAmount <= low) finish();
+    };
+    if ("bufferedAmountLowThreshold" in dc) dc.bufferedAmountLowThreshold = low;
+    if (dc.addEventListener) dc.addEventListener("bufferedamountlow", check);
+    const timer = setInterval(check, pollMs);
+  });
+}
+
+function concat(chunks, length) {
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.length;
+  }
+  return out;
+}
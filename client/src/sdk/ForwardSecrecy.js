@@ -0,0 +1,63 @@
+import { ethers } from "ethers";
+import { canonicalJson } from "./Envelope.js";
+
+/**
+ * Forward‑secret sessions (the SDK's `forwardSecrecy` option).
+ *
+ * The offer is still encrypted to the helper's long‑term key, but it
+ * carries `eph`, a public key made for this session only.  The helper
+ * answers to `eph` with an `eph` of its own, and every later signal of
+ * the session (answer, candidates, ICE restarts, decline) is encrypted
+ * to the other side's session key.  Both private keys are dropped when
+ * the session ends, so a leaked long‑term key opens the offer but
+ * nothing after it.
+ *
+ * Both sides also hash a transcript of the session: its id, both
+ * addresses, both session keys and the DTLS fingerprints of both SDPs.
+ * The helper signs it into the answer, the requester checks it and
+ * echoes it as the first data‑channel frame, where the helper checks it
+ * in turn; ICE restarts must keep the same fingerprints.
+ */
+
+export const FS_PROTOCOL = "ethsignal-fs/1";
+
+/** the `a=fingerprint:` values of an SDP, lower‑cased, sorted, deduplicated */
+export function sdpFingerprints(sdp) {
+  const found = new Set();
+  for (const line of String(sdp).split(/\r?\n/)) {
+    const m = /^a=fingerprint:(\S+) (\S+)$/i.exec(line.trim());
+    if (m) found.add(`${m[1].toLowerCase()} ${m[2].toLowerCase()}`);
+  }
+  return [...found].sort();
+}
+
+/**
+ * The transcript hash both peers of a forward‑secret session compute.
+ *
+ * @param {object} t
+ * @param {string} t.sid
+ * @param {string} t.offerer    – address
+ * @param {string} t.answerer   – address
+ * @param {string} t.offerKey   – the offer's `eph`
+ * @param {string} t.answerKey  – the answer's `eph`
+ * @param {string} t.offerSdp
+ * @param {string} t.answerSdp
+ */
+export function sessionTranscript({ sid, offerer, answerer, offerKey, answerKey, offerSdp, answerSdp }) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson({
+    protocol:           FS_PROTOCOL,
+    sid,
+    offerer:            ethers.getAddress(offerer),
+    answerer:           ethers.getAddress(answerer),
+    offerKey:           offerKey.toLowerCase(),
+    answerKey:          answerKey.toLowerCase(),
+    offerFingerprints:  sdpFingerprints(offerSdp),
+    answerFingerprints: sdpFingerprints(answerSdp),
+  })));
+}
+
+/** true if `sdp` keeps exactly the fingerprints a session started with */
+export function sameFingerprints(sdp, fingerprints) {
+  const now = sdpFingerprints(sdp);
+  return now.length === fingerprints.length && now.every((f, i) => f === fingerprints[i]);
+}
@@ -0,0 +1,166 @@
+import { ethers } from "ethers";
+import { SignalServerSdkError } from "./Errors.js";
+
+/**
+ * Encryption identities that survive restarts, two ways:
+ *
+ *   derived   one wallet signature over a fixed, domain‑separated message
+ *             gives a seed; key i is hashed from (seed, i).  Same wallet,
+ *             same keys, nothing to store.  Needs a signer that signs
+ *             deterministically (RFC 6979), as ethers and common wallets do.
+ *
+ *   keystore  standalone keys in a password‑encrypted JSON file
+ *             (scrypt → AES‑256‑GCM), newest first so rotated‑out keys
+ *             can still open signals sent before the rotation.
+ *
+ * Identities are { privateKey, publicKey, address } in eth-crypto form,
+ * like createIdentity(); derived ones also carry their `index`.
+ */
+
+export const IDENTITY_SEED_VERSION = 1;
+export const KEYSTORE_TYPE         = "ethsignal-keystore";
+
+/** what the wallet signs to derive its seed; never sign it for anyone else */
+export function identitySeedMessage(address) {
+  return [
+    "ethsignal encryption key",
+    "",
+    "Signing this derives the key that encrypts your ethsignal messages.",
+    "Only sign it in an app you trust to read them.",
+    "",
+    `Address: ${ethers.getAddress(address)}`,
+    `Version: ${IDENTITY_SEED_VERSION}`,
+  ].join("\n");
+}
+
+/** ask `signer` for the signature behind its derived identities; resolves with a 32‑byte hex seed */
+export async function deriveIdentitySeed(signer) {
+  const address   = await signer.getAddress();
+  const message   = identitySeedMessage(address);
+  const signature = await signer.signMessage(message);
+  if (ethers.verifyMessage(message, signature) !== ethers.getAddress(address)) {
+    throw new SignalServerSdkError("SignalServerSdk: identity seed not signed by the wallet");
+  }
+  // r ‖ s only: wallets disagree on how to write v
+  const { r, s } = ethers.Signature.from(signature);
+  return ethers.keccak256(ethers.concat([ethers.toUtf8Bytes("ethsignal:identity-seed"), r, s]));
+}
+
+/** derived identity number `index` (0, 1, … one per rotation) from a seed */
+export function identityFromSeed(seed, index = 0) {
+  if (!Number.isSafeInteger(index) || index < 0) {
+    throw new SignalServerSdkError(`SignalServerSdk: invalid identity index ${index}`);
+  }
+  for (let attempt = 0; ; attempt++) {
+    const key = ethers.keccak256(ethers.concat([
+      seed, ethers.toBeHex(index, 4), ethers.toBeHex(attempt, 1),
+    ]));
+    // out of range for secp256k1 about once in 2^128 tries
+    if (BigInt(key) === 0n || BigInt(key) >= SECP256K1_N) continue;
+    return { ...fromPrivateKey(key), index };
+  }
+}
+
+/** derived identity `index` of `signer` (one signature request) */
+export async function deriveIdentity(signer, { index = 0 } = {}) {
+  return identityFromSeed(await deriveIdentitySeed(signer), index);
+}
+
+/**
+ * Encrypt `identities` (current first) under `password`.  Resolves with
+ * the keystore object; only the current public key is readable without
+ * the password.
+ *
+ * @param {array}  identities
+ * @param {string} password
+ * @param {object} [opts]
+ * @param {number} [opts.scryptN]  – cost; defaults to 2^17
+ * @param {function} [opts.progress] – (fraction) => void while scrypt runs
+ */
+export async function encryptKeystore(identities, password, { scryptN = 1 << 17, progress } = {}) {
+  const list = [].concat(identities).map(id => ({ privateKey: fromPrivateKey(id.privateKey).privateKey, index: id.index }));
+  if (!list.length) throw new SignalServerSdkError("SignalServerSdk: no identities to store");
+  const kdfparams = { n: scryptN, r: 8, p: 1, dklen: 32, salt: ethers.hexlify(ethers.randomBytes(32)) };
+  const iv        = ethers.randomBytes(12);
+  const key       = await kdf(password, kdfparams, progress);
+  const plain     = ethers.toUtf8Bytes(JSON.stringify({ identities: list }));
+  return {
+    type:      KEYSTORE_TYPE,
+    version:   1,
+    publicKey: fromPrivateKey(list[0].privateKey).publicKey,
+    crypto: {
+      kdf:        "scrypt",
+      kdfparams,
+      cipher:     "aes-256-gcm",
+      iv:         ethers.hexlify(iv),
+      ciphertext: ethers.hexlify(await aesGcm("encrypt", key, iv, plain)),
+    },
+  };
+}
+
+/** open a keystore (object or JSON text); resolves with its identities, current first */
+export async function decryptKeystore(keystore, password, { progress } = {}) {
+  const ks = typeof keystore === "string" ? JSON.parse(keystore) : keystore;
+  if (!isKeystore(ks) || ks.crypto?.kdf !== "scrypt" || ks.crypto?.cipher !== "aes-256-gcm") {
+    throw new SignalServerSdkError("SignalServerSdk: not an ethsignal keystore");
+  }
+  const key = await kdf(password, ks.crypto.kdfparams, progress);
+  let plain;
+  try {
+    plain = await aesGcm("decrypt", key, ethers.getBytes(ks.crypto.iv), ethers.getBytes(ks.crypto.ciphertext));
+  } catch (err) {
+    throw new SignalServerSdkError("SignalServerSdk: wrong keystore password", { cause: err });
+  }
+  const { identities } = JSON.parse(ethers.toUtf8String(plain));
+  return identities.map(({ privateKey, index }) => ({
+    ...fromPrivateKey(privateKey),
+    ...(index != null && { index }),
+  }));
+}
+
+/** true for what encryptKeystore() produces */
+export function isKeystore(obj) {
+  return !!obj && obj.type === KEYSTORE_TYPE;
+}
+
+/** write a keystore file, readable by its owner only (Node only) */
+export async function saveKeystore(file, identities, password, opts) {
+  const [fs, path] = await Promise.all([import("fs"), import("path")]);
+  const keystore   = await encryptKeystore(identities, password, opts);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = file + ".tmp";
+  await fs.promises.writeFile(tmp, JSON.stringify(keystore, null, 2) + "\n", { mode: 0o600 });
+  await fs.promises.rename(tmp, file);
+  return keystore;
+}
+
+/** read and open a keystore file (Node only); resolves with its identities, current first */
+export async function loadKeystore(file, password, opts) {
+  const fs = await import("fs");
+  return decryptKeystore(await fs.promises.readFile(file, "utf8"), password, opts);
+}
+
+// INTERNALS ---------------------------------------------------------
+
+const SECP256K1_N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+function fromPrivateKey(privateKey) {
+  const key = new ethers.SigningKey(privateKey);
+  return {
+    privateKey: key.privateKey,
+    publicKey:  key.publicKey.slice(4),
+    address:    ethers.computeAddress(key.publicKey),
+  };
+}
+
+async function kdf(password, { n, r, p, dklen, salt }, progress) {
+  const key = await ethers.scrypt(ethers.toUtf8Bytes(password.normalize("NFKC")), salt, n, r, p, dklen, progress);
+  return ethers.getBytes(key);
+}
+
+async function aesGcm(op, key, iv, data) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) throw new SignalServerSdkError("SignalServerSdk: WebCrypto is unavailable");
+  const cryptoKey = await subtle.importKey("raw", key, "AES-GCM", false, [op]);
+  return new Uint8Array(await subtle[op]({ name: "AES-GCM", iv }, cryptoKey, data));
+}
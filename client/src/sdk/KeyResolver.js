@@ -0,0 +1,260 @@
+import { ethers } from "ethers";
+import { SignalServerSdkError, UnknownPeerError } from "./Errors.js";
+
+/**
+ * KeyResolver works out the eth-crypto (secp256k1) encryption public key
+ * for a peer address.  Sources are tried in order:
+ *
+ *   1. the static `peerPublicKeys` map (always wins, never expires)
+ *   2. the cache of previously resolved keys
+ *   3. custom resolver hooks: async (address) => publicKey | null
+ *   4. signed key announcements the peer published through the transport
+ *   5. the wallet key recovered from one of the peer's signed transactions
+ *
+ * Keys are returned in eth-crypto form: 128 hex chars, no 0x04 prefix.
+ */
+export class KeyResolver {
+  /**
+   * @param {object} opts
+   * @param {object}   [opts.staticKeys]  – { address: publicKey } overrides
+   * @param {array}    [opts.resolvers]   – async (address) => publicKey | null
+   * @param {object}   [opts.transport]   – signalling transport, for history lookups
+   * @param {object}   [opts.provider]    – used to fetch peers' transactions
+   * @param {number}   [opts.cacheTtlMs]  – defaults to no expiry
+   * @param {number}   [opts.fromBlock]   – earliest block scanned for history
+   */
+  constructor({
+    staticKeys  = {},
+    resolvers   = [],
+    transport   = null,
+    provider    = null,
+    cacheTtlMs  = Infinity,
+    fromBlock   = 0,
+  } = {}) {
+    this.staticKeys = {};
+    for (const [addr, pk] of Object.entries(staticKeys)) {
+      this.staticKeys[ethers.getAddress(addr)] = normalizePublicKey(pk);
+    }
+    this.resolvers  = resolvers;
+    this.transport  = transport;
+    this.provider   = provider;
+    this.cacheTtlMs = cacheTtlMs;
+    this.fromBlock  = fromBlock;
+
+    this._cache    = new Map();  // address → { publicKey, source, at }
+    this._inflight = new Map();  // address → Promise<publicKey|null>
+  }
+
+  // PUBLIC API --------------------------------------------------------
+
+  /** synchronous lookup in the static map and cache; null if unknown */
+  peek(address) {
+    const addr = ethers.getAddress(address);
+    if (this.staticKeys[addr]) return this.staticKeys[addr];
+    const hit = this._cache.get(addr);
+    if (!hit) return null;
+    if (Date.now() - hit.at > this.cacheTtlMs) {
+      this._cache.delete(addr);
+      return null;
+    }
+    return hit.publicKey;
+  }
+
+  /**
+   * Resolve the public key for `address`, trying every source.
+   * `hints.txHash` names a transaction known to be signed by the peer,
+   * on `hints.chainId` when the transport spans several chains.
+   * Throws an UnknownPeerError if no source knows the key.
+   */
+  async resolve(address, hints = {}) {
+    const addr  = ethers.getAddress(address);
+    const known = this.peek(addr);
+    if (known) return known;
+
+    if (!this._inflight.has(addr)) {
+      const p = this._lookup(addr, hints).finally(() => this._inflight.delete(addr));
+      this._inflight.set(addr, p);
+    }
+    const pk = await this._inflight.get(addr);
+    if (!pk) throw new UnknownPeerError(addr);
+    return pk;
+  }
+
+  /** store a key learned elsewhere */
+  set(address, publicKey, source = "manual") {
+    const addr = ethers.getAddress(address);
+    this._cache.set(addr, { publicKey: normalizePublicKey(publicKey), source, at: Date.now() });
+  }
+
+  /** which source produced the key for `address` (or null) */
+  sourceOf(address) {
+    const addr = ethers.getAddress(address);
+    if (this.staticKeys[addr]) return "static";
+    const hit = this._cache.get(addr);
+    return hit ? hit.source : null;
+  }
+
+  /**
+   * Verify and cache a key announcement.  If `sender` is given (e.g. the
+   * on-chain msg.sender), the announcement must be for that address.
+   * Returns true if the announcement was accepted.
+   */
+  ingestAnnouncement(announcement, sender) {
+    const addr = verifyKeyAnnouncement(announcement);
+    if (!addr) return false;
+    if (sender && ethers.getAddress(sender) !== addr) return false;
+
+    // never let an older announcement replace a newer one
+    const hit = this._cache.get(addr);
+    if (hit && hit.source === "announcement" && hit.issuedAt > announcement.issuedAt) {
+      return false;
+    }
+    this._cache.set(addr, {
+      publicKey: normalizePublicKey(announcement.publicKey),
+      source:    "announcement",
+      issuedAt:  announcement.issuedAt,
+      at:        Date.now(),
+    });
+    return true;
+  }
+
+  /** recover the signer's public key from a transaction hash (on `chainId`, if several) */
+  async fromTransaction(txHash, expectedAddress, chainId = null) {
+    const provider = this._providerFor(chainId);
+    if (!provider) return null;
+    const resp = await provider.getTransaction(txHash);
+    if (!resp || !resp.signature) return null;
+    const tx = ethers.Transaction.from(resp);
+    if (expectedAddress && tx.from !== ethers.getAddress(expectedAddress)) return null;
+    return normalizePublicKey(tx.fromPublicKey);
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  async _lookup(addr, hints) {
+    for (const hook of this.resolvers) {
+      const pk = await hook(addr);
+      if (pk) {
+        this.set(addr, pk, "resolver");
+        return this.peek(addr);
+      }
+    }
+
+    if (await this._fromAnnouncements(addr)) return this.peek(addr);
+
+    const txs = [];
+    if (hints.txHash) txs.push({ txHash: hints.txHash, chainId: hints.chainId ?? null });
+    txs.push(...await this._recentTxs(addr));
+    for (const { txHash, chainId } of txs) {
+      const pk = await this.fromTransaction(txHash, addr, chainId).catch(() => null);
+      if (pk) {
+        this.set(addr, pk, "transaction");
+        return pk;
+      }
+    }
+    return null;
+  }
+
+  /** scan self-addressed announcements, newest first */
+  async _fromAnnouncements(addr) {
+    if (!this.transport || !this.transport.history) return false;
+    const signals = await this.transport
+      .history({ sender: addr, recipient: addr, fromBlock: this.fromBlock })
+      .catch(() => []);
+    for (const signal of [...signals].reverse()) {
+      const ann = parseKeyAnnouncement(signal.data);
+      if (ann && this.ingestAnnouncement(ann, addr)) return true;
+    }
+    return false;
+  }
+
+  /** { txHash, chainId } of transactions the peer has sent to the SignalServer, newest first */
+  async _recentTxs(addr) {
+    if (!this.transport || !this.transport.history) return [];
+    if (!this.provider && !this.transport.chainIds) return [];
+    const signals = await this.transport
+      .history({ sender: addr, fromBlock: this.fromBlock })
+      .catch(() => []);
+    return signals
+      .filter(s => s.txHash)
+      .reverse()
+      .slice(0, 3)
+      .map(s => ({ txHash: s.txHash, chainId: s.chainId ?? null }));
+  }
+
+  /** the chain's own provider with a multi‑chain transport, else ours */
+  _providerFor(chainId) {
+    if (chainId != null && this.transport && this.transport.chain) {
+      return this.transport.chain(chainId).provider ?? null;
+    }
+    return this.provider;
+  }
+}
+
+// ─── KEY ANNOUNCEMENTS ───────────────────────────────────────────────
+// Announcements travel as plaintext JSON so that anyone can read them;
+// the wallet signature is what makes them trustworthy.
+
+export const KEY_ANNOUNCE_TYPE = "key-announce";
+
+/** the exact text a wallet signs to announce its encryption key */
+export function keyAnnouncementMessage({ address, publicKey, issuedAt }) {
+  return [
+    "ethsignal key announcement",
+    `address: ${ethers.getAddress(address)}`,
+    `publicKey: ${normalizePublicKey(publicKey)}`,
+    `issuedAt: ${issuedAt}`,
+  ].join("\n");
+}
+
+/** build a signed announcement of `publicKey` for `signer`'s address */
+export async function createKeyAnnouncement(signer, publicKey) {
+  const address  = await signer.getAddress();
+  const issuedAt = Date.now();
+  const signature = await signer.signMessage(
+    keyAnnouncementMessage({ address, publicKey, issuedAt })
+  );
+  return {
+    type:      KEY_ANNOUNCE_TYPE,
+    address:   ethers.getAddress(address),
+    publicKey: normalizePublicKey(publicKey),
+    issuedAt,
+    signature,
+  };
+}
+
+/** returns the announcing address if the signature checks out, else null */
+export function verifyKeyAnnouncement(ann) {
+  if (!ann || ann.type !== KEY_ANNOUNCE_TYPE) return null;
+  try {
+    const signer = ethers.verifyMessage(keyAnnouncementMessage(ann), ann.signature);
+    return signer === ethers.getAddress(ann.address) ? signer : null;
+  } catch {
+    return null;
+  }
+}
+
+/** decode on-chain bytes into an announcement, or null if they aren't one */
+export function parseKeyAnnouncement(data) {
+  try {
+    const text = typeof data === "string" && !ethers.isHexString(data)
+      ? data
+      : ethers.toUtf8String(data);
+    if (!text.startsWith("{")) return null;
+    const obj = JSON.parse(text);
+    return obj && obj.type === KEY_ANNOUNCE_TYPE ? obj : null;
+  } catch {
+    return null;
+  }
+}
+
+/** accept 0x04-prefixed, 0x-prefixed or compressed keys; return eth-crypto form */
+export function normalizePublicKey(pk) {
+  let hex = pk.startsWith("0x") ? pk.slice(2) : pk;
+  if (hex.length === 66) hex = ethers.SigningKey.computePublicKey("0x" + hex, false).slice(2);
+  if (hex.length === 130 && hex.startsWith("04")) hex = hex.slice(2);
+  if (hex.length !== 128) {
+    throw new SignalServerSdkError("SignalServerSdk: invalid public key " + pk);
+  }
+  return hex.toLowerCase();
+}
@@ -0,0 +1,150 @@
+import { ethers } from "ethers";
+import { RelayError } from "./Errors.js";
+
+/**
+ * Relayed ("gasless") signals.  Instead of paying for sendSignal, the
+ * sender signs an EIP‑712 `Signal` — recipient, payload hash, nonce,
+ * deadline — and a relayer (src/relay/MetaTxRelayer.js) submits it
+ * through SignalServer.sendSignalFor, which checks the signature and
+ * emits SignalSent with the signer as sender.  Nonces are unordered:
+ * any value the sender hasn't used works once, so relayed signals can go
+ * out in parallel.
+ *
+ * A relay request is plain JSON:
+ *   { chainId, contract, sender, recipient, data, nonce, deadline, signature }
+ * with `nonce` a decimal string and `deadline` in unix seconds.
+ */
+
+export const SIGNAL_TYPES = {
+  Signal: [
+    { name: "sender",    type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "dataHash",  type: "bytes32" },
+    { name: "nonce",     type: "uint256" },
+    { name: "deadline",  type: "uint256" },
+  ],
+};
+
+/** the EIP‑712 domain of the SignalServer at `contract` on `chainId` */
+export function signalDomain(chainId, contract) {
+  return {
+    name:              "SignalServer",
+    version:           "1",
+    chainId:           Number(chainId),
+    verifyingContract: ethers.getAddress(contract),
+  };
+}
+
+/**
+ * Sign a signal for a relayer; resolves with the relay request.
+ *
+ * @param {ethers.Signer} signer
+ * @param {object} s
+ * @param {number} s.chainId
+ * @param {string} s.contract   – SignalServer address
+ * @param {string} s.recipient
+ * @param {string|Uint8Array} s.data – the encrypted payload
+ * @param {number} [s.deadline] – unix seconds; defaults to 10 minutes from now
+ * @param {bigint} [s.nonce]    – defaults to a random one
+ */
+export async function signRelayedSignal(signer, {
+  chainId, contract, recipient, data,
+  deadline = Math.floor(Date.now() / 1000) + 600,
+  nonce    = randomNonce(),
+}) {
+  const request = {
+    chainId:   Number(chainId),
+    contract:  ethers.getAddress(contract),
+    sender:    ethers.getAddress(await signer.getAddress()),
+    recipient: ethers.getAddress(recipient),
+    data:      ethers.hexlify(data),
+    nonce:     BigInt(nonce).toString(),
+    deadline:  Number(deadline),
+  };
+  request.signature = await signer.signTypedData(
+    signalDomain(request.chainId, request.contract), SIGNAL_TYPES, signalValue(request)
+  );
+  return request;
+}
+
+/** the address that signed a relay request (not necessarily its `sender`) */
+export function relayedSignalSigner(request) {
+  return ethers.verifyTypedData(
+    signalDomain(request.chainId, request.contract), SIGNAL_TYPES, signalValue(request), request.signature
+  );
+}
+
+/** the arguments of SignalServer.sendSignalFor for a relay request */
+export function sendSignalForArgs(request) {
+  return [
+    request.sender, request.recipient, request.data,
+    BigInt(request.nonce), BigInt(request.deadline), request.signature,
+  ];
+}
+
+/**
+ * Talks to a MetaTxRelayer over HTTP.  Works wherever fetch does.
+ *
+ *   const relayer = new RelayerClient("https://relayer.example");
+ *   const { txHash } = await relayer.relay(await signRelayedSignal(wallet, { ... }));
+ */
+export class RelayerClient {
+  /**
+   * @param {string} url
+   * @param {object}   [opts]
+   * @param {function} [opts.fetch]     – defaults to the global fetch
+   * @param {number}   [opts.timeoutMs] – how long to wait for the relayer's answer
+   */
+  constructor(url, { fetch = globalThis.fetch, timeoutMs = 60000 } = {}) {
+    this.url       = url.replace(/\/+$/, "");
+    this.timeoutMs = timeoutMs;
+    this._fetch    = fetch;
+  }
+
+  /**
+   * Submit a signed request; resolves once it is mined with
+   * { txHash, blockNumber, remaining } (`remaining`: relayed signals left
+   * in the sender's quota window).  Rejects with a RelayError, also when
+   * there is no answer within `timeoutMs`.
+   */
+  async relay(request) {
+    let res, body;
+    try {
+      res  = await this._fetch(`${this.url}/signal`, {
+        method:  "POST",
+        headers: { "content-type": "application/json" },
+        body:    JSON.stringify(request),
+        signal:  AbortSignal.timeout(this.timeoutMs),
+      });
+      body = await res.json();
+    } catch (err) {
+      if (err.name === "TimeoutError") {
+        throw new RelayError(`SignalServerSdk: relayer ${this.url} didn't answer within ${this.timeoutMs} ms`, { cause: err });
+      }
+      throw new RelayError(`SignalServerSdk: relayer ${this.url} unreachable: ${err.message}`, { cause: err });
+    }
+    if (!res.ok) {
+      throw new RelayError(`SignalServerSdk: relayer refused the signal: ${body.error ?? res.status}`, {
+        status:       res.status,
+        retryAfterMs: body.retryAfterMs,
+      });
+    }
+    return body;
+  }
+}
+
+// INTERNALS ---------------------------------------------------------
+
+function signalValue(request) {
+  return {
+    sender:    request.sender,
+    recipient: request.recipient,
+    dataHash:  ethers.keccak256(request.data),
+    nonce:     BigInt(request.nonce),
+    deadline:  BigInt(request.deadline),
+  };
+}
+
+function randomNonce() {
+  return BigInt(ethers.hexlify(ethers.randomBytes(32)));
+}
@@ -0,0 +1,83 @@
+import { ethers } from "ethers";
+import { normalizePublicKey } from "./KeyResolver.js";
+
+/**
+ * Private recipients (the SDK's `privateRecipients` option).
+ *
+ * SignalServer.sendTaggedSignal emits TaggedSignal(sender, tag, data):
+ * the recipient's address is replaced by a 32‑byte tag that only the two
+ * peers can compute.
+ *
+ *   pair tag       keccak256(domain ‖ ECDH(our key, their key) ‖ from ‖
+ *                  to ‖ epoch), the epoch being time / epochMs.  Both
+ *                  sides derive the same secret from their encryption
+ *                  keys; the tag changes every epoch and per direction,
+ *                  so tags of different epochs or pairs can't be linked
+ *                  without one of the two private keys.  A recipient
+ *                  watches the tags of the peers it knows for the epochs
+ *                  around now.
+ *
+ *   first contact  for peers that can't expect us yet (and every offer):
+ *                  the tag is the public FIRST_CONTACT_TAG and the data
+ *                  is E ‖ viewTag ‖ payload, E a fresh public key
+ *                  (compressed) and viewTag one byte of the ECDH(E,
+ *                  recipient) hash, as in stealth‑address schemes.
+ *                  Everyone scans first contacts; the view tag lets 255
+ *                  in 256 of those not meant for us be skipped without
+ *                  trying to decrypt them.
+ *
+ * The sender's address stays public, as do timing and payload size.
+ */
+
+export const FIRST_CONTACT_TAG = ethers.id("ethsignal:first-contact:v1");
+
+const TAG_DOMAIN  = ethers.toUtf8Bytes("ethsignal:tag:v1");
+const VIEW_DOMAIN = ethers.toUtf8Bytes("ethsignal:view:v1");
+
+/** the tag epoch `now` (ms) falls in */
+export function tagEpoch(now, epochMs) {
+  return Math.floor(now / epochMs);
+}
+
+/** the x coordinate of ECDH(privateKey, publicKey): what both peers share */
+export function sharedSecret(privateKey, publicKey) {
+  const point = new ethers.SigningKey(privateKey).computeSharedSecret("0x04" + normalizePublicKey(publicKey));
+  return ethers.dataSlice(point, 1, 33);
+}
+
+/** the tag of signals from `from` to `to` in `epoch` */
+export function pairTag(secret, from, to, epoch) {
+  return ethers.keccak256(ethers.concat([
+    TAG_DOMAIN, secret, ethers.getAddress(from), ethers.getAddress(to), ethers.toBeHex(epoch, 8),
+  ]));
+}
+
+/** wrap `data` for first contact with the holder of `publicKey` */
+export function sealFirstContact(publicKey, data) {
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+  const viewTag   = viewTagOf(sharedSecret(ephemeral.privateKey, publicKey));
+  return ethers.concat([ephemeral.compressedPublicKey, viewTag, data]);
+}
+
+/**
+ * The payload of a first‑contact signal if its view tag matches
+ * `privateKey` (it may still not be ours), otherwise null.
+ */
+export function openFirstContact(privateKey, data) {
+  const bytes = ethers.getBytes(data);
+  if (bytes.length <= 34) return null;
+  let secret;
+  try {
+    secret = sharedSecret(privateKey, ethers.hexlify(bytes.subarray(0, 33)));
+  } catch {
+    return null;   // not a point on the curve
+  }
+  if (viewTagOf(secret) !== ethers.hexlify(bytes.subarray(33, 34))) return null;
+  return ethers.hexlify(bytes.subarray(34));
+}
+
+// INTERNALS ---------------------------------------------------------
+
+function viewTagOf(secret) {
+  return ethers.dataSlice(ethers.keccak256(ethers.concat([VIEW_DOMAIN, secret])), 0, 1);
+}
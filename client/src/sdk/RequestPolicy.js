@@ -0,0 +1,213 @@
+import { ethers } from "ethers";
+import { SignalServerSdkError, DECLINE_REASONS } from "./Errors.js";
+import { Emitter } from "./Emitter.js";
+
+/**
+ * Decides which incoming help requests reach onHelpRequest.  Anyone can
+ * signal our address, so offers pass these rules, cheapest first,
+ * before they can cost us a peer connection:
+ *
+ *   denied       sender is on the deny list
+ *   not-allowed  an allow list is set and the sender isn't on it
+ *   busy         `maxSessions` sessions are already live
+ *   rate-global  more than `globalRate.max` requests in `globalRate.windowMs`
+ *   rate-sender  more than `senderRate.max` from this sender in its window
+ *   balance      sender holds less than `minBalance` wei
+ *   token        sender's balanceOf() on a `tokens` entry is too low
+ *   predicate    a custom `predicates` hook said no (or threw)
+ *
+ * Dropped requests are counted per rule (see stats()) and reported to
+ * onDrop() callbacks.  Only "busy" is answered (with a decline), so
+ * spam can't make us pay for signals.
+ */
+
+// ERC‑20 and ERC‑721 share this signature
+const BALANCE_OF_ABI = ["function balanceOf(address owner) view returns (uint256)"];
+
+// beyond this many tracked senders the least recently seen are forgotten
+const MAX_TRACKED = 10000;
+
+export class RequestPolicy {
+  /**
+   * @param {object}   [opts]
+   * @param {string[]} [opts.allow]       – only these senders, if given
+   * @param {string[]} [opts.deny]        – never these senders
+   * @param {number}   [opts.maxSessions] – live sessions before new requests are declined as busy
+   * @param {object}   [opts.globalRate]  – { max, windowMs } over all senders
+   * @param {object}   [opts.senderRate]  – { max, windowMs } per sender
+   * @param {bigint}   [opts.minBalance]  – wei the sender must hold
+   * @param {array}    [opts.tokens]      – [{ address, minBalance = 1n }] ERC‑20 / ERC‑721 holdings
+   * @param {array}    [opts.predicates]  – async (request) => boolean
+   * @param {number}   [opts.chainCacheMs]– how long on‑chain results are reused
+   * @param {object}   [opts.logger]      – { warn, error }; defaults to console
+   * @param {function} [opts.now]         – the clock, in ms; defaults to Date.now
+   */
+  constructor({
+    allow,
+    deny         = [],
+    maxSessions  = Infinity,
+    globalRate   = null,
+    senderRate   = null,
+    minBalance   = 0n,
+    tokens       = [],
+    predicates   = [],
+    chainCacheMs = 60000,
+    logger       = console,
+    now          = Date.now,
+  } = {}) {
+    this.allowList    = allow ? new Set(allow.map(a => ethers.getAddress(a))) : null;
+    this.denyList     = new Set(deny.map(a => ethers.getAddress(a)));
+    this.maxSessions  = maxSessions;
+    this.globalRate   = globalRate;
+    this.senderRate   = senderRate;
+    this.minBalance   = BigInt(minBalance);
+    this.tokens       = tokens.map(t => ({ address: t.address, minBalance: BigInt(t.minBalance ?? 1n) }));
+    this.predicates   = [...predicates];
+    this.chainCacheMs = chainCacheMs;
+    this.logger       = logger;
+    this.now          = now;
+
+    this._global      = [];          // request times inside the global window
+    this._senders     = new Map();   // address → request times (recently seen last)
+    this._chainCache  = new Map();   // "address:check" → { ok, at }
+    this._events      = new Emitter(["drop"], { logger });
+    this._passed      = 0;
+    this._dropped     = {};
+  }
+
+  // PUBLIC API --------------------------------------------------------
+
+  allow(address) {
+    if (!this.allowList) this.allowList = new Set();
+    this.allowList.add(ethers.getAddress(address));
+  }
+
+  deny(address) {
+    this.denyList.add(ethers.getAddress(address));
+  }
+
+  /** "denied" or "not-allowed" if the lists turn `address` away, else null */
+  listed(address) {
+    const sender = ethers.getAddress(address);
+    if (this.denyList.has(sender)) return "denied";
+    if (this.allowList && !this.allowList.has(sender)) return "not-allowed";
+    return null;
+  }
+
+  /** cb(sender, rule) for every dropped request; returns an unsubscribe */
+  onDrop(cb) { return this._events.on("drop", cb); }
+
+  /** { passed, dropped: { total, [rule]: count } } */
+  stats() {
+    const total = Object.values(this._dropped).reduce((a, b) => a + b, 0);
+    return { passed: this._passed, dropped: { total, ...this._dropped } };
+  }
+
+  /**
+   * Judge a RequestForHelp.  Resolves with `{ ok: true }` or
+   * `{ ok: false, rule, decline? }`, where `decline` is the reason to
+   * send back, if any.
+   *
+   * @param {object} req
+   * @param {object} ctx
+   * @param {number} ctx.sessions         – live sessions right now
+   * @param {ethers.Provider} [ctx.provider] – for the on‑chain checks
+   */
+  async check(req, { sessions = 0, provider } = {}) {
+    const sender = ethers.getAddress(req.sender);
+    const rule   = await this._firstFailure(req, sender, sessions, provider);
+    if (!rule) {
+      this._passed++;
+      return { ok: true };
+    }
+    this._dropped[rule] = (this._dropped[rule] ?? 0) + 1;
+    this._events.emit("drop", sender, rule);
+    return rule === "busy"
+      ? { ok: false, rule, decline: DECLINE_REASONS.BUSY }
+      : { ok: false, rule };
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  async _firstFailure(req, sender, sessions, provider) {
+    const listed = this.listed(sender);
+    if (listed) return listed;
+    if (sessions >= this.maxSessions) return "busy";
+
+    // a sender over its own limit doesn't use up everyone else's
+    const now = this.now();
+    const global = this.globalRate ? prune(this._global, now - this.globalRate.windowMs) : null;
+    if (global && global.length >= this.globalRate.max) return "rate-global";
+    const mine = this.senderRate ? prune(this._senders.get(sender) || [], now - this.senderRate.windowMs) : null;
+    if (mine && mine.length >= this.senderRate.max) return "rate-sender";
+    if (global) global.push(now);
+    if (mine) this._track(sender, mine, now);
+
+    if (this.minBalance > 0n) {
+      const ok = await this._chainCheck(sender, "balance", async () =>
+        (await needProvider(provider).getBalance(sender)) >= this.minBalance
+      );
+      if (!ok) return "balance";
+    }
+    for (const token of this.tokens) {
+      const ok = await this._chainCheck(sender, `token:${token.address}`, async () => {
+        const contract = new ethers.Contract(token.address, BALANCE_OF_ABI, needProvider(provider));
+        return (await contract.balanceOf(sender)) >= token.minBalance;
+      });
+      if (!ok) return "token";
+    }
+
+    for (const predicate of this.predicates) {
+      let ok = false;
+      try {
+        ok = await predicate(req);
+      } catch (err) {
+        this.logger.warn("[SignalServerSdk] request predicate threw", err);
+      }
+      if (!ok) return "predicate";
+    }
+    return null;
+  }
+
+  _track(sender, times, now) {
+    times.push(now);
+    this._senders.delete(sender);
+    this._senders.set(sender, times);
+    if (this._senders.size > MAX_TRACKED) {
+      this._senders.delete(this._senders.keys().next().value);
+    }
+  }
+
+  /** run an on‑chain check, reusing recent results; read failures fail the check */
+  async _chainCheck(sender, name, fn) {
+    const key    = `${sender}:${name}`;
+    const cached = this._chainCache.get(key);
+    if (cached && this.now() - cached.at < this.chainCacheMs) return cached.ok;
+
+    let ok = false;
+    try {
+      ok = await fn();
+    } catch (err) {
+      this.logger.warn("[SignalServerSdk] on-chain request check failed for", sender, "-", err.message);
+      return false;
+    }
+    this._chainCache.set(key, { ok, at: this.now() });
+    if (this._chainCache.size > MAX_TRACKED) {
+      this._chainCache.delete(this._chainCache.keys().next().value);
+    }
+    return ok;
+  }
+}
+
+/** drop times before `since` (they are in order) and return the array */
+function prune(times, since) {
+  let i = 0;
+  while (i < times.length && times[i] <= since) i++;
+  times.splice(0, i);
+  return times;
+}
+
+function needProvider(provider) {
+  if (!provider) throw new SignalServerSdkError("SignalServerSdk: on-chain request checks need a provider");
+  return provider;
+}
@@ -0,0 +1,240 @@
+import { ethers } from "ethers";
+import { Emitter } from "./Emitter.js";
+import { SignalServerSdkError } from "./Errors.js";
+
+/**
+ * Room events, for on(event, cb):
+ *
+ *   message  cb(message, from)    a member's send()
+ *   join     cb(address)          our link with a member opened
+ *   leave    cb(address, reason)  it closed: "left" if they called leave(),
+ *                                 else the stream's close reason
+ */
+export const ROOM_EVENTS = ["message", "join", "leave"];
+
+/**
+ * A small group session: a full mesh of DataStreams, one per pair of
+ * members, each set up by the usual offer/answer handshake with the
+ * room's id in the offer.
+ *
+ * Whoever invites a member introduces it.  Once the newcomer's link to
+ * its inviter is open it asks for the other members (an RPC call,
+ * "room.welcome"); the inviter first tells each of them to expect the
+ * newcomer ("room.introduce"), then answers, and the newcomer offers to
+ * each in turn.  Members only take room offers from addresses a member
+ * introduced.  Room traffic is RPC notifications on the links:
+ * "room.message" and "room.leave".
+ *
+ * Invites go out one at a time, queued in invite(): two newcomers
+ * joining at once could each be told about the other.
+ */
+export class Room {
+  constructor(sdk, id, { chainId = null } = {}) {
+    this._sdk      = sdk;
+    this.id        = id;
+    this.chainId   = chainId;    // where new links go (several chains only); null lets each pick
+    this.state     = "open";     // "open" | "left"
+    this._streams  = new Map();  // member → DataStream
+    this._expected = new Set();  // introduced, not linked yet
+    this._held     = new Map();  // member → RequestForHelp that beat its introduction
+    this._leaving  = new Set();  // members that said "room.leave"
+    this._invites  = Promise.resolve();  // the last queued invite, settled
+    this._events   = new Emitter(ROOM_EVENTS, { logger: sdk.logger, name: "Room" });
+  }
+
+  /** the members we have a link with (not us) */
+  get members() {
+    return [...this._streams.keys()];
+  }
+
+  /** our link with `address`, for files or RPC; null if there is none */
+  stream(address) {
+    return this._streams.get(ethers.getAddress(address)) ?? null;
+  }
+
+  /** send `message` (anything JSON can carry) to every member */
+  send(message) {
+    this._assertOpen();
+    for (const [member, stream] of this._streams) this._notify(member, stream, "room.message", message);
+  }
+
+  /** cb(...) on every `event` (see ROOM_EVENTS); returns an unsubscribe */
+  on(event, cb) { return this._events.on(event, cb); }
+  once(event, cb) { return this._events.once(event, cb); }
+  off(event, cb) { this._events.off(event, cb); }
+
+  /** shorthand for on("message", cb): cb(message, from) */
+  onMessage(cb) { return this.on("message", cb); }
+
+  /** shorthand for on("join", cb) */
+  onJoin(cb) { return this.on("join", cb); }
+
+  /** shorthand for on("leave", cb) */
+  onLeave(cb) { return this.on("leave", cb); }
+
+  /**
+   * Bring `address` in: it gets a room invitation (sdk.onRoomInvite) and
+   * joins with invite.join().  Resolves with its address once its link
+   * with us is open; its links with the others follow.  Rejects like
+   * requestHelp() if it declines or doesn't answer.  Invites made while
+   * another is pending wait for it.
+   *
+   * @param {string} address
+   * @param {object} [opts]
+   * @param {number} [opts.chainId]
+   */
+  async invite(address, { chainId } = {}) {
+    const peer = ethers.getAddress(address);
+    const turn = this._invites.then(() => this._invite(peer, chainId));
+    this._invites = turn.catch(() => {});
+    return turn;
+  }
+
+  /** close every link; the members see "leave" with reason "left" */
+  leave() {
+    if (this.state === "left") return;
+    this.state = "left";
+    for (const stream of this._streams.values()) {
+      if (stream.state === "open") {
+        try { stream.notify("room.leave"); } catch { /* gone already */ }
+      }
+      stream.close();
+    }
+    this._streams.clear();
+    this._held.clear();
+    this._sdk._rooms.delete(this.id);
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  async _invite(peer, chainId) {
+    this._assertOpen();
+    if (peer === this._sdk.address || this._streams.has(peer)) {
+      throw new SignalServerSdkError(`SignalServerSdk: ${peer} is already in room ${this.id}`);
+    }
+    const stream = await this._sdk._roomOffer(peer, this, chainId);
+    stream.handle("room.welcome", () => {
+      const others = this.members.filter(m => m !== peer);
+      for (const member of others) this._notify(member, this._streams.get(member), "room.introduce", { member: peer });
+      return { members: others };
+    });
+    this._add(peer, stream);
+    return peer;
+  }
+
+  _assertOpen() {
+    if (this.state !== "open") throw new SignalServerSdkError(`SignalServerSdk: left room ${this.id}`);
+  }
+
+  // a link going down is reported by its "leave"; the others still get theirs
+  _notify(member, stream, method, params) {
+    try {
+      stream.notify(method, params);
+    } catch (err) {
+      this._sdk.logger.warn(`[SignalServerSdk] room ${this.id}: could not reach ${member} -`, err.message);
+    }
+  }
+
+  /** newcomer: link up with the members our inviter named */
+  async _welcome(inviter) {
+    const { members } = await this._streams.get(inviter).call("room.welcome");
+    await Promise.all(members.map(async (address) => {
+      const member = ethers.getAddress(address);
+      if (member === this._sdk.address || this._streams.has(member)) return;
+      try {
+        this._add(member, await this._sdk._roomOffer(member, this));
+      } catch (err) {
+        this._sdk.logger.warn(`[SignalServerSdk] room ${this.id}: no link with ${member} -`, err.message);
+      }
+    }));
+  }
+
+  /** a member's offer to link with us */
+  _onOffer(req) {
+    const member = ethers.getAddress(req.sender);
+    if (this.state !== "open" || this._streams.has(member)) return;
+    if (this._expected.has(member)) return this._accept(req);
+    // its introduction may still be on the way
+    this._held.set(member, req);
+    const timer = setTimeout(() => {
+      if (this._held.get(member) === req) this._held.delete(member);
+    }, this._sdk.timeoutMs);
+    timer.unref?.();
+  }
+
+  _introduced(address) {
+    if (typeof address !== "string" || !ethers.isAddress(address)) return;
+    const member = ethers.getAddress(address);
+    if (this._streams.has(member) || member === this._sdk.address) return;
+    const req = this._held.get(member);
+    if (req) {
+      this._held.delete(member);
+      this._accept(req);
+    } else {
+      this._expected.add(member);
+    }
+  }
+
+  async _accept(req) {
+    const member = ethers.getAddress(req.sender);
+    this._expected.delete(member);
+    try {
+      const stream = await req.accept();
+      if (this.state === "open") this._add(member, stream);
+      else stream.close();
+    } catch (err) {
+      this._sdk.logger.warn(`[SignalServerSdk] room ${this.id}: no link with ${member} -`, err.message);
+    }
+  }
+
+  _add(member, stream) {
+    this._expected.delete(member);
+    this._streams.set(member, stream);
+    stream.onNotification("room.message", message => this._events.emit("message", message, member));
+    stream.onNotification("room.introduce", params => this._introduced(params?.member));
+    stream.onNotification("room.leave", () => this._leaving.add(member));
+    stream.onClose(reason => this._remove(member, stream, this._leaving.has(member) ? "left" : reason));
+    this._events.emit("join", member);
+  }
+
+  _remove(member, stream, reason) {
+    this._leaving.delete(member);
+    if (this.state !== "open" || this._streams.get(member) !== stream) return;
+    this._streams.delete(member);
+    this._events.emit("leave", member, reason);
+  }
+}
+
+/**
+ * An invitation to a room (sdk.onRoomInvite).  join() accepts it: it
+ * resolves with the Room once we are linked with every member that
+ * could be reached.  reject() declines, as for a help request.
+ */
+export class RoomInvite {
+  constructor(sdk, req) {
+    this._sdk      = sdk;
+    this._req      = req;
+    this.roomId    = req.offer.room;
+    this.sender    = req.sender;        // who invited us
+    this.timestamp = req.timestamp;
+    this.chainId   = req.chainId;
+  }
+
+  async join() {
+    const stream = await this._req.accept();
+    const room   = new Room(this._sdk, this.roomId, { chainId: this.chainId });
+    this._sdk._rooms.set(room.id, room);
+    room._add(ethers.getAddress(this.sender), stream);
+    try {
+      await room._welcome(ethers.getAddress(this.sender));
+    } catch (err) {
+      room.leave();
+      throw err;
+    }
+    return room;
+  }
+
+  reject(reason) {
+    return this._req.reject(reason);
+  }
+}
@@ -0,0 +1,199 @@
+import { SignalServerSdkError } from "./Errors.js";
+
+/**
+ * Request/response RPC over a DataStream.  Frames are JSON text keyed by
+ * `rpc`, so they share the channel with chat messages and file
+ * transfers:
+ *
+ *   { rpc: "call",   id, method, params }
+ *   { rpc: "result", id, result }
+ *   { rpc: "error",  id, error: { code, message, data? } }
+ *   { rpc: "cancel", id }                       caller gave up
+ *   { rpc: "notify", method, params }           no reply expected
+ *
+ * Ids are per‑sender counters; each side matches replies only against
+ * its own outstanding calls.  Error codes follow JSON‑RPC 2.0 where one
+ * fits.
+ */
+
+export const RPC_ERRORS = {
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS:   -32602,
+  INTERNAL:         -32603,
+  TIMEOUT:          -32001,
+  CANCELLED:        -32800,
+};
+
+export const DEFAULT_RPC_TIMEOUT = 30000;
+
+/** an error that crosses the wire: `code`, `message` and optional `data` */
+export class RpcError extends SignalServerSdkError {
+  constructor(code, message, data) {
+    super(message);
+    this.name = "RpcError";
+    this.code = code;
+    if (data !== undefined) this.data = data;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, data: this.data };
+  }
+}
+
+export class RpcEndpoint {
+  /**
+   * @param {function} send          – writes one frame object to the channel
+   * @param {object}   [opts.logger] – { warn, error }; defaults to console
+   */
+  constructor(send, { logger = console } = {}) {
+    this._send           = send;
+    this._logger         = logger;
+    this._nextId         = 1;
+    this._pending        = new Map();   // our call id → { resolve, reject, cleanup }
+    this._incoming       = new Map();   // peer's call id → AbortController
+    this._handlers       = new Map();   // method → fn(params, ctx)
+    this._notifyHandlers = new Map();   // method → Set<cb(params)>
+  }
+
+  // PUBLIC API --------------------------------------------------------
+
+  /**
+   * Call `method` on the peer.  Resolves with its result, rejects with an
+   * RpcError carrying the peer's error, or TIMEOUT / CANCELLED locally.
+   * Aborting `signal` cancels the call on both sides.
+   */
+  call(method, params, { timeoutMs = DEFAULT_RPC_TIMEOUT, signal } = {}) {
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(new RpcError(RPC_ERRORS.CANCELLED, `rpc ${method} cancelled`));
+      }
+      let timer = null;
+      const onAbort = () => this._giveUp(id, new RpcError(RPC_ERRORS.CANCELLED, `rpc ${method} cancelled`));
+      const cleanup = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      };
+      this._pending.set(id, { resolve, reject, cleanup });
+
+      if (timeoutMs && timeoutMs !== Infinity) {
+        timer = setTimeout(() => this._giveUp(id,
+          new RpcError(RPC_ERRORS.TIMEOUT, `rpc ${method} timed out after ${timeoutMs}ms`)
+        ), timeoutMs);
+      }
+      if (signal) signal.addEventListener("abort", onAbort);
+
+      try {
+        this._send({ rpc: "call", id, method, params });
+      } catch (err) {
+        this._settle(id, err);
+      }
+    });
+  }
+
+  /**
+   * Serve `method`.  `fn(params, ctx)` may return a value or a promise;
+   * whatever it throws goes back to the caller (RpcErrors keep their
+   * code, anything else becomes INTERNAL).  `ctx` has `signal`, aborted
+   * if the caller cancels, and `notify(method, params)`.
+   * Returns a function that removes the handler.
+   */
+  handle(method, fn) {
+    this._handlers.set(method, fn);
+    return () => {
+      if (this._handlers.get(method) === fn) this._handlers.delete(method);
+    };
+  }
+
+  /** one‑way message to the peer's onNotification handlers */
+  notify(method, params) {
+    this._send({ rpc: "notify", method, params });
+  }
+
+  /** cb(params) for each `method` notification; returns an unsubscribe */
+  onNotification(method, cb) {
+    const set = this._notifyHandlers.get(method) || new Set();
+    set.add(cb);
+    this._notifyHandlers.set(method, set);
+    return () => set.delete(cb);
+  }
+
+  /** reject every outstanding call and abort every running handler */
+  close(err) {
+    for (const id of [...this._pending.keys()]) this._settle(id, err);
+    for (const ctrl of this._incoming.values()) ctrl.abort();
+    this._incoming.clear();
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  _onFrame(frame) {
+    switch (frame.rpc) {
+      case "call":   return this._serve(frame);
+      case "result": return this._settle(frame.id, null, frame.result);
+      case "error": {
+        const e = frame.error || {};
+        return this._settle(frame.id,
+          new RpcError(e.code ?? RPC_ERRORS.INTERNAL, e.message ?? "rpc error", e.data));
+      }
+      case "cancel": {
+        const ctrl = this._incoming.get(frame.id);
+        if (ctrl) ctrl.abort();
+        return;
+      }
+      case "notify":
+        for (const cb of this._notifyHandlers.get(frame.method) || []) cb(frame.params);
+        return;
+    }
+  }
+
+  async _serve({ id, method, params }) {
+    const fn = this._handlers.get(method);
+    if (!fn) {
+      this._reply({ rpc: "error", id, error: { code: RPC_ERRORS.METHOD_NOT_FOUND, message: `no handler for ${method}` } });
+      return;
+    }
+    const ctrl = new AbortController();
+    this._incoming.set(id, ctrl);
+    const ctx = { id, signal: ctrl.signal, notify: (m, p) => this.notify(m, p) };
+    let reply;
+    try {
+      reply = { rpc: "result", id, result: await fn(params, ctx) };
+    } catch (err) {
+      const error = err instanceof RpcError
+        ? err.toJSON()
+        : { code: RPC_ERRORS.INTERNAL, message: err && err.message ? err.message : String(err) };
+      reply = { rpc: "error", id, error };
+    }
+    this._incoming.delete(id);
+    // the caller has already given up on a cancelled call
+    if (ctrl.signal.aborted) return;
+    this._reply(reply);
+  }
+
+  /** send a reply to the peer's call; the channel may be closing under it */
+  _reply(frame) {
+    try {
+      this._send(frame);
+    } catch (err) {
+      this._logger.warn("[DataStream] could not send rpc reply", err.message);
+    }
+  }
+
+  _giveUp(id, err) {
+    if (!this._pending.has(id)) return;
+    this._settle(id, err);
+    try {
+      this._send({ rpc: "cancel", id });
+    } catch { /* channel gone; nothing to cancel */ }
+  }
+
+  _settle(id, err, result) {
+    const pending = this._pending.get(id);
+    if (!pending) return;
+    this._pending.delete(id);
+    pending.cleanup();
+    if (err) pending.reject(err);
+    else pending.resolve(result);
+  }
+}
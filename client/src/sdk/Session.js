@@ -0,0 +1,56 @@
+import { ethers } from "ethers";
+
+/**
+ * One link with a peer: the RTCPeerConnection negotiated by a single
+ * offer/answer exchange, named by the session id the offer carried.
+ * Answers and trickled candidates are routed by (peer, session id), so
+ * any number of sessions can run side by side, with the same peer or
+ * with different ones.
+ *
+ * `state` is "connecting" until the data channel opens, then "open",
+ * "reconnecting" while a failed connection is being restarted, and
+ * finally "closed" (or "failed" if it never opened).
+ *
+ * When the SDK signals over several chains a session lives on one: the
+ * chain its offer went out or came in on.
+ *
+ * A pool request (requestHelpFromAny) starts with the pool's address as
+ * its peer; the first helper to answer becomes the peer.
+ */
+export class Session {
+  constructor({ id, peer, role, pc, legacy = false, chainId = null, pool = null }) {
+    this.id             = id;
+    this.peer           = ethers.getAddress(peer);
+    this.role           = role;       // "offerer" | "answerer"
+    this.peerConnection = pc;
+    this.state          = "connecting";
+    this.stream         = null;       // DataStream, once open
+    this.createdAt      = Date.now();
+    this.legacy         = legacy;     // v0 offer: no session id of its own
+    this.chainId        = chainId;    // every signal of the session goes here (several chains only)
+    this.transcript     = null;       // forward‑secret sessions: the hash both sides checked
+    this.pool           = pool?.id ?? null;   // requestHelpFromAny(): the pool asked
+
+    this._onAnswer   = null;          // offerer: set until the answer arrives
+    this._candidates = [];            // remote candidates waiting for the answer/offer
+    this._abort      = null;          // rejects the pending requestHelp()/accept()
+    this._recovering = false;         // an ICE restart loop is running
+    this._waiters    = new Set();     // cb(connected) for _waitConnected()
+    this._fs         = null;          // forward secrecy: { ours, theirs, fingerprints }, see ForwardSecrecy.js
+    this._pool       = pool;          // pool requests: { id, address, publicKey }; `peer` is its address until claimed
+    this._heldCandidates = null;      // pool answerer: the offer's candidates, applied once we are picked
+    this._remoteTracks   = [];        // [track, streams] that arrived before the stream opened
+    this._negotiating    = false;     // a media renegotiation of ours is under way
+    this._negotiateAgain = false;     // and another is needed once it is through
+    this._glare          = null;      // gives up ours when the peer's renegotiation crosses it
+  }
+
+  /** the key sessions are stored under: ids are only unique per peer */
+  get key() {
+    return sessionKey(this.peer, this.id);
+  }
+}
+
+export function sessionKey(peer, id) {
+  return `${ethers.getAddress(peer)}:${id}`;
+}
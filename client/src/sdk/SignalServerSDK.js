@@ -1,64 +1,268 @@
 import { ethers } from "ethers";
-import EthCrypto from "eth-crypto";
-import wrtc from "@roamhq/wrtc";
-import dotenv from "dotenv";
-dotenv.config();
+import { KeyResolver, createKeyAnnouncement, parseKeyAnnouncement, normalizePublicKey } from "./KeyResolver.js";
+import { MemoryCheckpointStore } from "./CheckpointStore.js";
+import { TxManager } from "./TxManager.js";
+import { DataStream } from "./DataStream.js";
+import { Session, sessionKey } from "./Session.js";
+import { Emitter } from "./Emitter.js";
+import {
+  SignalServerSdkError,
+  DecryptError,
+  InvalidSignalError,
+  UnknownPeerError,
+  TimeoutError,
+  DECLINE_REASONS,
+  HelpDeclinedError,
+  HelpClaimedError,
+} from "./Errors.js";
+import { RequestPolicy } from "./RequestPolicy.js";
+import { Room, RoomInvite } from "./Room.js";
+import { ChainPolicy } from "./ChainPolicy.js";
+import { ContractTransport } from "./transports/ContractTransport.js";
+import { MultiChainTransport } from "./transports/MultiChainTransport.js";
+import { DEFAULT_ABI, createProvider } from "./Config.js";
+import { createIdentity } from "./Ecies.js";
+import { deriveIdentitySeed, identityFromSeed } from "./Identity.js";
+import { sessionTranscript, sdpFingerprints, sameFingerprints } from "./ForwardSecrecy.js";
+import {
+  FIRST_CONTACT_TAG, tagEpoch, sharedSecret, pairTag, sealFirstContact, openFirstContact,
+} from "./PrivateTags.js";
+import { defaultDeployments, detectChainId, validateDeployment } from "./Deployments.js";
+import {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ReplayCache,
+  randomId,
+  sealEnvelope,
+  verifyEnvelope,
+  envelopeBody,
+} from "./Envelope.js";
+import {
+  WIRE_COMPACT,
+  WIRE_LEGACY,
+  wireFormatOf,
+  encodeSignal,
+  decodeSignal,
+  normalizeSdp,
+} from "./WireCodec.js";
 
 /**
- * DataStream wraps a WebRTC data‑channel, enforcing
- * { message: string, file?: Uint8Array } shape
+ * SignalServerSdk events, for on(event, cb):
+ *
+ *   helpRequest     cb(RequestForHelp)               an offer passed the policy
+ *   roomInvite      cb(RoomInvite)                   a room offer passed the policy
+ *   streamOpen      cb(DataStream)                   any data channel opened
+ *   signalReceived  cb({ signal, message, historic }) a signal decoded and verified
+ *   signalSent      cb({ to, message })              a signal went out
+ *   identityRotated cb({ identity, previous, announcement }) rotateIdentity() switched keys
+ *   error           cb(SignalServerSdkError)         a failure nobody awaits, e.g. an
+ *                                                    undecryptable or rejected signal
  */
-class DataStream {
-  constructor(remoteAddress, dataChannel) {
-    this.remoteAddress = remoteAddress;
-    this._dc = dataChannel;
-    this._messageHandlers = [];
-    this._fileHandlers = [];
-
-    this._dc.onmessage = (ev) => {
-      try {
-        const { message, file } = JSON.parse(ev.data);
-        if (message != null) this._messageHandlers.forEach(cb => cb(message));
-        if (file) {
-          const buf = Buffer.from(file, "base64");
-          this._fileHandlers.forEach(cb => cb(buf));
-        }
-      } catch (err) {
-        console.warn("[DataStream] invalid payload", err);
-      }
+export const SDK_EVENTS = [
+  "helpRequest", "roomInvite", "streamOpen", "signalReceived", "signalSent", "identityRotated", "error",
+];
+
+// how many rotations create({ deriveIdentity }) looks through for our announced key
+const MAX_DERIVED_ROTATIONS = 256;
+
+/**
+ * Batches locally gathered ICE candidates into follow‑up "candidate"
+ * signals (trickle ICE).  A batch is flushed `windowMs` after its first
+ * candidate or as soon as `maxBatch` candidates are queued, whichever
+ * comes first.  Nothing goes out before `start()` — i.e. until the
+ * offer/answer itself has been sent — and batches are sent one at a time.
+ */
+class IceTrickler {
+  constructor(send, { windowMs, maxBatch, onError }) {
+    this._send     = send;
+    this._onError  = onError;
+    this._windowMs = windowMs;
+    this._maxBatch = maxBatch;
+    this._queue    = [];
+    this._timer    = null;
+    this._started  = false;
+    this._chain    = Promise.resolve();
+  }
+
+  push(candidate) {
+    this._queue.push(candidate);
+    if (!this._started) return;
+    if (this._queue.length >= this._maxBatch) this.flush();
+    else if (!this._timer) this._timer = setTimeout(() => this.flush(), this._windowMs);
+  }
+
+  /** the description is out; flush anything gathered meanwhile */
+  start() {
+    this._started = true;
+    if (this._queue.length) this.flush();
+  }
+
+  flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (!this._started || this._queue.length === 0) return this._chain;
+    const batch = this._queue.splice(0);
+    this._chain = this._chain
+      .then(() => this._send(batch))
+      .catch(this._onError);
+    return this._chain;
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._queue = [];
+  }
+}
+
+/**
+ * Route a peer connection's local candidates to `trickle`, or collect
+ * them for bundling into the offer/answer.  Returns the collection.
+ */
+function collectCandidates(pc, trickle) {
+  const candidates = [];
+  pc.onicecandidate = (evt) => {
+    if (trickle) {
+      if (evt.candidate) trickle.push(evt.candidate);
+      else trickle.flush();
+    } else if (evt.candidate) {
+      candidates.push(evt.candidate);
+    }
+  };
+  return candidates;
+}
+
+/** resolves once `pc` has gathered all its candidates */
+function gatheringComplete(pc) {
+  return new Promise(res => {
+    if (pc.iceGatheringState === "complete") return res();
+    pc.onicegatheringstatechange = () => {
+      if (pc.iceGatheringState === "complete") res();
     };
+  });
+}
+
+/** a signer that sends through `provider`; a browser wallet's keeps its own */
+function connectSigner(signer, provider) {
+  if (signer.provider && !(signer instanceof ethers.BaseWallet) && !(signer instanceof ethers.VoidSigner)) {
+    return signer;
   }
+  return signer.connect(provider);
+}
+
+/** an EIP‑1193 provider such as window.ethereum, rather than an ethers Signer */
+function isEip1193(wallet) {
+  return !!wallet && typeof wallet.request === "function" && typeof wallet.signMessage !== "function";
+}
 
-  // send a JSON‐string payload over the channel
-  respond(message, file) {
-    const p = { message };
-    if (file) p.file = Buffer.from(file).toString("base64");
-    this._dc.send(JSON.stringify(p));
+/**
+ * Tagged signals are always sent by the wallet itself (relayers only take
+ * plain ones), so privateRecipients with a wallet that can't pay would
+ * fail on the first send; create() says so up front instead.
+ */
+async function checkTaggedFunds(provider, wallet, chainId) {
+  const balance = wallet ? await provider.getBalance(await wallet.getAddress()) : 0n;
+  if (balance === 0n) {
+    throw new SignalServerSdkError(
+      `SignalServerSdk: privateRecipients needs a wallet with ETH on chain ${chainId}; a relayer only relays plain signals`
+    );
   }
+}
+
+function noDeployment(chainId) {
+  return new SignalServerSdkError(`SignalServerSdk: no SignalServer deployment known on chain ${chainId}; pass contractAddress`);
+}
+
+/** an SDP without its candidate lines */
+function withoutCandidates(sdp) {
+  return sdp.split(/\r?\n/).filter(line => !/^a=(candidate:|end-of-candidates)/.test(line)).join("\r\n");
+}
+
+/**
+ * Add the caller's media to `pc`: `tracks` as part of `streams`, and
+ * `transceivers` ({ track } or { kind }, plus RTCRtpTransceiverInit).
+ */
+function addMedia(pc, { tracks = [], streams = [], transceivers = [] } = {}) {
+  for (const track of tracks) pc.addTrack(track, ...streams);
+  for (const { track, kind, ...init } of transceivers) pc.addTransceiver(track ?? kind, init);
+}
 
-  onMessage(cb) { this._messageHandlers.push(cb); }
-  onFile(cb)    { this._fileHandlers.push(cb);   }
+/**
+ * whether `pc` has media the last negotiation didn't carry: a transceiver
+ * it never saw, or a track it gave no way to send (e.g. an answerer's
+ * track of a kind the offer didn't have)
+ */
+function unsentMedia(pc) {
+  return pc.getTransceivers().some(t =>
+    !t.stopped && (t.mid == null || (!!t.sender.track && !/send/.test(t.currentDirection ?? ""))));
+}
+
+/** a pool from its key: a public key, or { privateKey } for members */
+function toPool(id, key) {
+  const privateKey = typeof key === "object" ? key.privateKey ?? null : null;
+  const publicKey  = normalizePublicKey(privateKey
+    ? new ethers.SigningKey(privateKey).publicKey
+    : (typeof key === "object" ? key.publicKey : key));
+  return { id: String(id), address: ethers.computeAddress("0x04" + publicKey), publicKey, privateKey };
+}
+
+/** the pool key as a signer, for transports that want proof we may read its signals */
+function poolSigner(pool) {
+  return new ethers.Wallet(pool.privateKey);
+}
+
+// one first contact in 256 meant for someone else passes our view tag
+function strayFirstContact(signal, err) {
+  return !!signal.firstContact && err instanceof DecryptError;
 }
 
 /**
  * Represents an incoming help‑request (i.e. an on‑chain offer).
  * You must call .accept() (which sends an answer & opens the link)
- * or .reject() to ignore it.
+ * or .reject() to turn it down.
  */
 class RequestForHelp {
-  constructor(sdk, sender, offer) {
+  constructor(sdk, sender, msg, { timestamp, txHash, chainId, pool } = {}) {
     this._sdk      = sdk;
     this.sender    = sender;
-    this.offer     = offer;      // { type, sdp, candidates }
-    this.timestamp = Date.now();
+    this.offer     = envelopeBody(msg);  // { type, sdp, candidates }
+    this.sessionId = msg.sid ?? null;     // null for v0 peers
+    this.version   = msg.v ?? 0;
+    this.expiresAt = msg.expiresAt ?? null;
+    // the sender's clock if the offer was enveloped, else block time for
+    // backfilled offers, else our receive time
+    this.timestamp = msg.sentAt ?? timestamp ?? Date.now();
+    this.txHash    = txHash ?? null;
+    // where the offer came from, and so where our answer goes (null
+    // unless signalling over several chains)
+    this.chainId   = chainId ?? null;
+    // the pool it was sent to (see addPool), null if it was sent to us
+    this.pool      = pool ?? null;
 
     // so you know which key to use when encrypting your answer
-    this.publicKey = sdk._getPeerPubKey(sender);
+    // (null if no key source knows the sender yet)
+    this.publicKey = sdk.keyResolver.peek(sender);
+    this._answered = false;
   }
 
-  async accept() {
+  /**
+   * Answer the offer.  Resolves with the DataStream once the data
+   * channel is open.
+   *
+   * @param {object} [media]              – what we send, besides the offer's data channel
+   * @param {MediaStreamTrack[]} [media.tracks]
+   * @param {MediaStream[]}      [media.streams]      – the streams `tracks` belong to
+   * @param {object[]}           [media.transceivers] – { track } or { kind }, plus RTCRtpTransceiverInit
+   */
+  async accept(media) {
+    if (this._sdk.destroyed) throw new SignalServerSdkError("SignalServerSdk: destroyed");
+    // another pool member may have been picked already; if that news comes
+    // later, the session below fails with the same error
+    const claimedBy = this.sessionId && this._sdk._poolClaims.get(sessionKey(this.sender, this.sessionId));
+    if (claimedBy) throw new HelpClaimedError(this.sender, claimedBy);
+    this._answer();
+
     // create a peer‑connection for the answer
-    const pc = new wrtc.RTCPeerConnection({ iceServers: this._sdk.iceServers });
+    const pc = this._sdk._peerConnection();
 
     // we'll return this once the data‑channel is open
     let resolveStream, rejectStream;
@@ -67,97 +271,152 @@ class RequestForHelp {
       rejectStream  = rej;
     });
 
+    let timeout;
+    const session = this._sdk._openSession({
+      id:   this.sessionId ?? randomId(),
+      peer: this.sender,
+      role: "answerer",
+      pc,
+      legacy:  this.sessionId == null,
+      chainId: this.chainId,
+    });
+    const trickle = this._sdk.trickle
+      ? this._sdk._createTrickler(this.sender, this.sessionId, this.chainId)
+      : null;
+    session._abort = (err) => {
+      clearTimeout(timeout);
+      if (trickle) trickle.stop();
+      rejectStream(err);
+    };
+    // an offer with a session key asks for forward secrecy (see ForwardSecrecy.js)
+    const fs = this.offer.eph && this.sessionId
+      ? { ours: createIdentity(), theirs: normalizePublicKey(this.offer.eph) }
+      : null;
+    session._fs = fs;
+
     // 1) listen for the DataChannel that Alice created
     pc.ondatachannel = (evt) => {
       const dc = evt.channel;
-      const stream = new DataStream(this.sender, dc);
-      dc.onopen = () => {
+      const opened = () => {
         clearTimeout(timeout);
+        if (trickle) trickle.flush();
+        const stream = new DataStream(this.sender, dc, session.id, {
+          logger: this._sdk.logger, transcript: session.transcript, peerConnection: pc,
+        });
+        this._sdk._sessionOpened(session, stream);
         this._sdk._notifyStreamOpen(stream);
         resolveStream(stream);
       };
+      if (!fs) {
+        dc.onopen = opened;
+        return;
+      }
+      // the requester's first frame echoes the transcript
+      dc.onmessage = (ev) => {
+        dc.onmessage = null;
+        let echoed = null;
+        try { echoed = JSON.parse(ev.data).transcript; } catch { /* not a confirmation */ }
+        if (echoed !== session.transcript) {
+          this._sdk._failSession(session, new InvalidSignalError("SignalServerSdk: session transcript not confirmed"));
+          return;
+        }
+        opened();
+      };
     };
 
-    // 2) gather our ICE candidates
-    const candidates = [];
-    pc.onicecandidate = (evt) => {
-      if (evt.candidate) candidates.push(evt.candidate);
-    };
+    // 2) gather our ICE candidates (bundled, or trickled after the answer)
+    const candidates = collectCandidates(pc, trickle);
 
-    // 3) set Alice's offer
-    await pc.setRemoteDescription({ type: this.offer.type, sdp: this.offer.sdp });
-    for (const c of this.offer.candidates || []) {
-      await pc.addIceCandidate(c);
+    // 3) set Alice's offer, plus any candidates she trickled meanwhile.
+    //    Every member of a pool answers the same offer, so ours only
+    //    reaches for her once she picks us; until then her checks, sent
+    //    to the answer she took, are what connects
+    if (this.pool) {
+      session._heldCandidates = this.offer.candidates || [];
+      await pc.setRemoteDescription({ type: this.offer.type, sdp: withoutCandidates(this.offer.sdp) });
+    } else {
+      await pc.setRemoteDescription({ type: this.offer.type, sdp: this.offer.sdp });
+      for (const c of this.offer.candidates || []) {
+        await pc.addIceCandidate(c);
+      }
     }
+    await this._sdk._drainCandidates(session);
+
+    // 4) our media rides on the offer's transceivers where they match;
+    //    the rest is renegotiated once the stream is open
+    addMedia(pc, media);
 
-    // 4) create & set our answer
+    // 5) create & set our answer
     const answer = await pc.createAnswer();
     await pc.setLocalDescription(answer);
 
-    // 5) wait for ICE gathering to finish
-    await new Promise(res => {
-      if (pc.iceGatheringState === "complete") return res();
-      pc.onicegatheringstatechange = () => {
-        if (pc.iceGatheringState === "complete") res();
-      };
-    });
+    // 6) wait for ICE gathering to finish (unless trickling)
+    if (!trickle) await gatheringComplete(pc);
 
-    // 6) send exactly one on‑chain answer
+    // 7) send exactly one on‑chain answer; trickled candidates follow it.
+    //    With forward secrecy it goes to the offer's session key, with
+    //    ours and the transcript
+    const answerSdp = pc.localDescription.sdp;
+    if (fs) {
+      session.transcript = sessionTranscript({
+        sid:       this.sessionId,
+        offerer:   this.sender,
+        answerer:  this._sdk.address,
+        offerKey:  fs.theirs,
+        answerKey: fs.ours.publicKey,
+        offerSdp:  this.offer.sdp,
+        answerSdp,
+      });
+      fs.fingerprints = { offer: sdpFingerprints(this.offer.sdp), answer: sdpFingerprints(answerSdp) };
+    }
     await this._sdk._sendSignal(this.sender, {
       type:       answer.type,
-      sdp:        pc.localDescription.sdp,
-      candidates
-    });
+      sdp:        answerSdp,
+      candidates,
+      sid:        this.sessionId ?? undefined,
+      ...(fs && { eph: fs.ours.publicKey, transcript: session.transcript }),
+    }, this.chainId);
+    if (trickle) trickle.start();
 
-    // 7) enforce a timeout for the data‑channel open
-    const timeout = setTimeout(() => {
-      pc.close();
-      rejectStream(new Error("HelpAcceptTimeout"));
-    }, this._sdk.timeoutMs);
+    // 8) enforce a timeout for the data‑channel open, unless it opened
+    //    while we were still sending
+    if (session.state === "connecting") {
+      timeout = setTimeout(() => {
+        this._sdk._endSession(session, "failed");
+        session._abort(new TimeoutError("HelpAcceptTimeout"));
+        pc.close();
+      }, this._sdk.timeoutMs);
+    }
 
     return p2pPromise;
   }
 
-  reject() { /* no‑op */ }
-}
-
-// ─── DEFAULTS ────────────────────────────────────────────────────────
-// Hard‑coded ABI for SignalServer
-const DEFAULT_CONTRACT_ABI = [
-  {
-    type: "function",
-    name: "sendSignal",
-    stateMutability: "nonpayable",
-    inputs: [
-      { name: "_recipient", type: "address" },
-      { name: "_encryptedData", type: "bytes" },
-    ],
-  },
-  {
-    type: "event",
-    name: "SignalSent",
-    anonymous: false,
-    inputs: [
-      { name: "sender", type: "address", indexed: true },
-      { name: "recipient", type: "address", indexed: true },
-      { name: "encryptedData", type: "bytes", indexed: false },
-    ],
-  },
-];
+  /**
+   * Turn the request down with a signed "decline" signal, so the
+   * requester fails at once instead of waiting out its timeout.
+   * Resolves with whether the decline was sent (v0 peers don't
+   * understand one and get nothing, nor do pool requests, which another
+   * member may still take).
+   *
+   * @param {string} [reason] – one of DECLINE_REASONS; default "declined"
+   */
+  async reject(reason = DECLINE_REASONS.DECLINED) {
+    if (!Object.values(DECLINE_REASONS).includes(reason)) {
+      throw new SignalServerSdkError(`SignalServerSdk: unknown decline reason ${reason}`);
+    }
+    this._answer();
+    if (this.pool) return false;
+    const publicKey = this.sessionId && this.offer.eph ? this.offer.eph : null;
+    return this._sdk._decline(this.sender, this.sessionId, reason, this.chainId, publicKey);
+  }
 
-// Default JSON‑RPC (take from .env or fall back to localhost)
-const DEFAULT_PROVIDER = new ethers.JsonRpcProvider(
-  process.env.RPC_URL || "http://localhost:8545"
-);
-
-// SignalServer address comes from .env
-const DEFAULT_CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-if (!DEFAULT_CONTRACT_ADDRESS) {
-  throw new Error(
-    "SignalServerSdk: missing CONTRACT_ADDRESS in .env"
-  );
+  _answer() {
+    if (this._answered) throw new SignalServerSdkError("SignalServerSdk: help request already answered");
+    this._answered = true;
+  }
 }
 
+// ─── DEFAULTS ────────────────────────────────────────────────────────
 // Metered STUN/TURN list
 const DEFAULT_ICE_SERVERS = [
   { urls: "stun:stun.relay.metered.ca:80" },
@@ -172,23 +431,42 @@ const DEFAULT_ICE_SERVERS = [
  * The main SDK class.
  *
  * Usage:
- *   const sdk = new SignalServerSdk({
- *     provider,
- *     wallet,                   // ethers.Wallet instance
- *     encryptionIdentity,       // { publicKey, privateKey } from EthCrypto.createIdentity()
- *     contractAddress,
- *     contractAbi: SignalAbi,
+ *   // checks the chain and the contract before returning; the address
+ *   // comes from the deployment registry unless given
+ *   const sdk = await SignalServerSdk.create({
+ *     rpcUrl? | provider?,      // optional, defaults to http://localhost:8545
+ *     chainId?,                 // optional, asked from the provider if omitted
+ *     wallet,                   // ethers Signer, or window.ethereum
+ *     wrtc?,                    // optional in browsers; in Node e.g. @roamhq/wrtc
+ *     encryptionIdentity,       // { publicKey, privateKey }, e.g. from a keystore (see Identity.js)
+ *     deriveIdentity?,          // or true: derive it from a wallet signature instead
+ *     peerPublicKeys?,          // optional { address: publicKey } overrides
+ *     keyResolvers?: [...],     // optional async (address) => publicKey hooks
+ *     transport?,               // optional, defaults to the SignalServer contract
+ *     contractAddress?,         // optional, overrides the registry
  *     iceServers?: [...],       // optional, defaults to Google STUN
- *     timeoutMs?: 20000         // optional, in ms
+ *     timeoutMs?: 20000,        // optional, in ms
+ *     trickle?: false,          // optional, trickle ICE candidates
+ *     iceRestarts?: 3,          // optional, reconnect attempts per failure
+ *     maxSessions?: Infinity,   // optional, offers beyond this are declined as busy
+ *     policy?: { allow, deny, senderRate, minBalance, ... }  // optional, see RequestPolicy
+ *   });
+ *
+ *   // or listen and signal on several chains at once
+ *   const sdk = await SignalServerSdk.create({
+ *     chains: [{ chainId: 10, rpcUrl: OP_RPC }, { chainId: 8453, rpcUrl: BASE_RPC }],
+ *     chainPolicy: { strategy: "cheapest" },   // or "preferred" / "last-seen", see ChainPolicy
+ *     wallet, encryptionIdentity,
  *   });
  *
- *   // 1) hook for incoming help‐requests
+ *   // 1) hook for incoming help‐requests (any number of them;
+ *   //    each on*() / on(event) returns an unsubscribe)
  *   sdk.onHelpRequest(req => {
  *     console.log("got help request from", req.sender, "at", req.timestamp);
  *     // either:
  *     req.accept();   // spins up answer + DATA‐channel
  *     // or
- *     // req.reject();
+ *     // req.reject("busy");
  *   });
  *
  *   // 2) hook for when *any* data‐channel opens
@@ -204,90 +482,627 @@ const DEFAULT_ICE_SERVERS = [
  *      .then(stream => {
  *        console.log("help accepted, P2P link open!");
  *        stream.respond("Thanks!");
+ *        stream.onClose(reason => console.log("link closed:", reason));
  *      })
- *      .catch(err => console.error("no response / timed out", err));
+ *      .catch(err => console.error("declined / no response / timed out", err));
+ *
+ *   // 4) failures that no promise reports (bad or undecryptable signals)
+ *   sdk.on("error", err => console.warn(err.name, err.message));
  */
 export class SignalServerSdk {
-  // allow injecting a contract instance (e.g. FakeContract) and auto‑attach listeners
-  get contract() {
-    return this._contract;
+  // swapping the transport moves our subscription and key lookups with it
+  get transport() {
+    return this._transport;
+  }
+  set transport(t) {
+    if (this._unsubscribe) this._unsubscribe();
+    this._transport = t;
+    if (this.keyResolver) this.keyResolver.transport = t;
+    this._subscribe();
+  }
+
+  // made on first use from `rpcUrl` if none was given; swapping it
+  // reaches everything that reads from the chain
+  get provider() {
+    if (!this._provider) this.provider = createProvider(this.rpcUrl);
+    return this._provider;
   }
-  set contract(c) {
-    this._contract = c;
-    this._startContractListeners();
+  set provider(p) {
+    this._provider = p;
+    this.signer    = connectSigner(this.wallet, p);
+    if (this.keyResolver) this.keyResolver.provider = p;
+    if (this.txManager) this.txManager.provider = p;
+    if (this._transport instanceof ContractTransport) this._transport.provider = p;
   }
 
   /**
    * @param {object} opts
-   * @param {ethers.Wallet} [opts.wallet]            – if omitted, one is created
-   * @param {object}        opts.peerPublicKeys      – { address: x25519PubKey }
-   * @param {object} [opts.encryptionIdentity]        – if omitted, one is generated
-   * @param {ethers.Provider} [opts.provider]         – defaults to local
-   * @param {string}          [opts.contractAddress] – your SignalServer
-   * @param {array}           [opts.contractAbi]     – hard‑coded ABI
+   * @param {ethers.Signer} [opts.wallet]            – any Signer with an address; if omitted, a
+   *                                                    Wallet is created.  create() also takes an
+   *                                                    EIP‑1193 provider such as window.ethereum
+   * @param {object}        [opts.peerPublicKeys]    – { address: publicKey } overrides
+   * @param {array}         [opts.keyResolvers]      – async (address) => publicKey | null
+   * @param {KeyResolver}   [opts.keyResolver]       – replaces the built‑in resolver
+   * @param {object} [opts.encryptionIdentity]        – if omitted, derived from identitySeed, else a
+   *                                                    throwaway one is generated (with a warning)
+   * @param {array}  [opts.previousIdentities]        – rotated‑out identities, newest first; still decrypt
+   * @param {string} [opts.identitySeed]              – from deriveIdentitySeed(); create({ deriveIdentity })
+   *                                                    asks the wallet for it
+   * @param {number} [opts.identityIndex]             – the derived identity in use; defaults to 0
+   * @param {object}          [opts.transport]       – signalling transport (see transports/)
+   * @param {ethers.Provider} [opts.provider]        – made from rpcUrl on first use if omitted
+   * @param {string}          [opts.rpcUrl]          – defaults to http://localhost:8545
+   * @param {number}          [opts.chainId]         – picks the deployment; checked by validate()
+   * @param {string}          [opts.contractAddress] – your SignalServer, if no transport; defaults to the registry's
+   * @param {array}           [opts.contractAbi]     – defaults to the compiled artifact in src/abi
+   * @param {DeploymentRegistry} [opts.deployments]  – chainId → { address, startBlock }
+   * @param {array}           [opts.chains]          – [{ chainId, rpcUrl?, provider?, contractAddress?,
+   *                                                    contractAbi?, catchUpFromBlock?, transport?,
+   *                                                    relayer? }]:
+   *                                                    signal on all of them instead of one
+   * @param {ChainPolicy|object|string} [opts.chainPolicy] – which chain requestHelp() uses
+   * @param {object}          [opts.wrtc]            – { RTCPeerConnection }; defaults to the browser's,
+   *                                                    in Node pass e.g. @roamhq/wrtc
    * @param {array}           [opts.iceServers]      – defaults to Metered list
    * @param {number}          [opts.timeoutMs]       – defaults to 20000 ms
+   * @param {boolean}         [opts.trickle]         – send candidates as they are gathered
+   * @param {number}          [opts.trickleWindowMs] – max delay before a candidate batch goes out
+   * @param {number}          [opts.trickleBatchSize]– max candidates per batch
+   * @param {number}          [opts.iceRestarts]     – ICE restarts tried when a connection fails
+   * @param {boolean}         [opts.forwardSecrecy]  – our offers ask for per‑session keys (see ForwardSecrecy.js)
+   * @param {boolean}         [opts.privateRecipients] – address signals by tag, not recipient (see PrivateTags.js)
+   * @param {number}          [opts.tagEpochMs]      – how long a pair tag lasts
+   * @param {object}          [opts.pools]           – { poolId: key } for requestHelpFromAny() (see addPool)
+   * @param {number}          [opts.maxSessions]     – live sessions before offers are declined as busy
+   * @param {RequestPolicy|object} [opts.policy]     – which requests reach onHelpRequest
+   * @param {object}          [opts.logger]          – { warn, error }; defaults to console
+   * @param {object}          [opts.checkpointStore] – where catchUp() keeps its progress
+   * @param {number}          [opts.catchUpFromBlock]– first block scanned without a checkpoint; defaults to the deployment's
+   * @param {number}          [opts.catchUpBatchSize]– blocks per log query
+   * @param {number}          [opts.offerTtlMs]      – older offers are dropped; defaults to timeoutMs
+   * @param {number}          [opts.signalTtlMs]     – lifetime of each signal we send; defaults to timeoutMs
+   * @param {number}          [opts.clockSkewMs]     – tolerated clock difference between peers
+   * @param {number}          [opts.replayCacheSize] – max remembered nonces
+   * @param {number}          [opts.minProtocolVersion] – 1 refuses un‑enveloped (v0) peers
+   * @param {string}          [opts.wireFormat]      – "compact" (default) or "legacy" payloads
+   * @param {TxManager}       [opts.txManager]       – share one per wallet across SDK instances
+   * @param {object}          [opts.txOptions]       – options for the built‑in TxManager
+   * @param {RelayerClient|string} [opts.relayer]    – meta‑transaction relayer (URL) that sends our
+   *                                                    signals while the wallet has no ETH
    */
   constructor({
     wallet,
-    peerPublicKeys,
+    peerPublicKeys   = {},
+    keyResolvers     = [],
+    keyResolver,
     encryptionIdentity,
-    provider         = DEFAULT_PROVIDER,
-    contractAddress  = DEFAULT_CONTRACT_ADDRESS,
-    contractAbi      = DEFAULT_CONTRACT_ABI,
+    previousIdentities = [],
+    identitySeed,
+    identityIndex    = 0,
+    transport,
+    provider,
+    rpcUrl,
+    chainId,
+    contractAddress,
+    contractAbi,
+    deployments      = defaultDeployments(),
+    chains,
+    chainPolicy      = {},
+    wrtc             = globalThis,
     iceServers       = DEFAULT_ICE_SERVERS,
     timeoutMs        = 20000,    // shortened for test timeouts
+    trickle          = false,
+    trickleWindowMs  = 250,
+    trickleBatchSize = 8,
+    iceRestarts      = 3,
+    forwardSecrecy   = false,
+    privateRecipients = false,
+    tagEpochMs       = 60 * 60 * 1000,
+    pools            = {},
+    maxSessions      = Infinity,
+    policy           = {},
+    logger           = console,
+    checkpointStore  = new MemoryCheckpointStore(),
+    catchUpFromBlock,
+    catchUpBatchSize = 5000,
+    offerTtlMs       = timeoutMs,
+    signalTtlMs      = timeoutMs,
+    clockSkewMs      = 30000,
+    replayCacheSize  = 5000,
+    minProtocolVersion = MIN_PROTOCOL_VERSION,
+    wireFormat       = WIRE_COMPACT,
+    txManager,
+    txOptions        = {},
+    relayer          = null,
   }) {
-    if (!peerPublicKeys || Object.keys(peerPublicKeys).length === 0) {
-      throw new Error("SignalServerSdk: peerPublicKeys map is required");
-    }
+    // events, and where warnings go
+    this.logger  = logger;
+    this._events = new Emitter(SDK_EVENTS, { logger });
 
-    // 1) Wallet & signer
-    this.wallet = wallet || ethers.Wallet.createRandom();
-    this.signer = this.wallet.connect(provider);
+    // 1) Wallet & signer (connected once there is a provider); any ethers
+    //    Signer with an address will do, e.g. a browser wallet's
+    if (isEip1193(wallet)) {
+      throw new SignalServerSdkError("SignalServerSdk: use SignalServerSdk.create() with an EIP-1193 wallet");
+    }
+    this.wallet  = wallet || ethers.Wallet.createRandom();
+    this.signer  = this.wallet;
+    if (!this.wallet.address) {
+      throw new SignalServerSdkError("SignalServerSdk: wallet has no address");
+    }
+    this.address = ethers.getAddress(this.wallet.address);
+    this.wrtc    = wrtc;
 
-    // 2) Provider + contract (setter will auto‑attach listeners)
-    this.contract           = new ethers.Contract(contractAddress, contractAbi, provider);
-    this.contractWithSigner = this.contract.connect(this.signer);
+    // 2) Provider + transport; without one we signal through the contract,
+    //    whose txs are serialized, locally nonced and re‑broadcast when stuck
+    this.rpcUrl      = rpcUrl;
+    this.chainId     = chainId ?? null;
+    this.deployments = deployments;
+    if (provider) this.provider = provider;
+    const deployment = chainId != null ? deployments.get(chainId) : null;
+    let startBlock   = 0;
+    this._startBlocks = new Map();   // chainId → first block, with several chains
+    if (!transport && chains) {
+      transport      = this._multiChainTransport(chains, { deployments, txOptions, relayer });
+      this.txManager = null;
+    } else if (!transport) {
+      contractAddress = contractAddress || deployment?.address;
+      if (!contractAddress) {
+        throw chainId != null
+          ? noDeployment(chainId)
+          : new SignalServerSdkError("SignalServerSdk: pass contractAddress or chainId, or use SignalServerSdk.create()");
+      }
+      if (deployment && ethers.getAddress(contractAddress) === deployment.address) {
+        startBlock = deployment.startBlock;
+      }
+      provider       = this.provider;
+      this.txManager = txManager || new TxManager({ signer: this.signer, provider, logger, ...txOptions });
+      transport = new ContractTransport({
+        contract:  new ethers.Contract(contractAddress, contractAbi || DEFAULT_ABI, provider),
+        signer:    this.signer,
+        provider,
+        txManager: this.txManager,
+        relayer,
+      });
+    } else {
+      this.txManager = transport.txManager ?? null;
+    }
 
-    // 3) Encryption identity + peer keys
-    this.identity        = encryptionIdentity || EthCrypto.createIdentity();
-    this.peerPublicKeys  = peerPublicKeys;
+    // 3) Encryption identity + peer key discovery (static map wins)
+    this._identitySeed = identitySeed ?? null;
+    if (encryptionIdentity) {
+      this.identity = encryptionIdentity;
+    } else if (identitySeed) {
+      this._useDerivedIdentity(identityIndex);
+    } else {
+      this.identity = createIdentity();
+      logger.warn("[SignalServerSdk] no encryptionIdentity: using a throwaway key that changes on every start");
+    }
+    if (encryptionIdentity || !identitySeed) this.previousIdentities = [...previousIdentities];
+    this.keyResolver     = keyResolver || new KeyResolver({
+      staticKeys: peerPublicKeys,
+      resolvers:  keyResolvers,
+      transport,
+      provider: this._provider ?? null,
+    });
+    this.peerPublicKeys  = this.keyResolver.staticKeys;
 
     // 4) Defaults
     this.iceServers = iceServers;
     this.timeoutMs  = timeoutMs;
+    this.trickle          = trickle;
+    this.trickleWindowMs  = trickleWindowMs;
+    this.trickleBatchSize = trickleBatchSize;
+    this.iceRestarts      = iceRestarts;
+    this.forwardSecrecy   = forwardSecrecy;
+    this.destroyed        = false;
+
+    // catch‑up of offers sent while we were offline
+    this.checkpointStore  = checkpointStore;
+    this.catchUpFromBlock = catchUpFromBlock ?? startBlock;
+    this.catchUpBatchSize = catchUpBatchSize;
+    this.offerTtlMs       = offerTtlMs;
+    this._caughtUp        = false;
+    this._checkpoints     = new Map();   // checkpoint key → last saved block
+    this._handled         = new Set();   // ids of processed signals
+
+    // envelope checks and per‑peer protocol version (address → v)
+    this.signalTtlMs        = signalTtlMs;
+    this.clockSkewMs        = clockSkewMs;
+    this.minProtocolVersion = minProtocolVersion;
+    this._replayCache       = new ReplayCache(replayCacheSize);
+    this._peerVersions      = new Map();
+
+    // payload encoding; peers that send us legacy payloads get legacy back
+    this.wireFormat = wireFormat;
+    this._peerWire  = new Map();
+
+    // gatekeeper for incoming offers
+    this.policy = policy instanceof RequestPolicy
+      ? policy
+      : new RequestPolicy({ maxSessions, logger, ...policy });
+
+    // outbound chain for requestHelp(), with several chains
+    const chainOpts  = typeof chainPolicy === "object" ? chainPolicy : { strategy: chainPolicy };
+    this.chainPolicy = chainPolicy instanceof ChainPolicy
+      ? chainPolicy
+      : new ChainPolicy({ logger, ...chainOpts });
+
+    // live sessions, and candidates that arrived before their session,
+    // both keyed by "peer:sessionId"
+    this._sessions          = new Map();
+    this._pendingCandidates = new Map();
 
-    // 5) Callbacks
-    this._helpCb   = null;
-    this._streamCb = null;
+    // private recipients: the peers whose tags we watch, and whether each
+    // last reached us by tag (true) or by address (false)
+    if (privateRecipients && !transport.subscribeTags) {
+      throw new SignalServerSdkError("SignalServerSdk: privateRecipients needs a transport that knows tagged signals");
+    }
+    this.privateRecipients = privateRecipients;
+    this.tagEpochMs        = tagEpochMs;
+    this._tagPeers         = new Set(Object.keys(this.peerPublicKeys));
+    this._peerTagged       = new Map();
+    this._tags             = new Map();   // watched tag → peer (null: first contact)
+    this._tagTimer         = null;
+    this._offTags          = null;
+
+    // helper pools (poolId → { id, address, publicKey, privateKey }), our
+    // subscriptions to those we serve in, and pool requests claimed by
+    // other helpers (session key → helper)
+    this._pools      = new Map();
+    this._poolSubs   = new Map();
+    this._poolClaims = new Map();
+    for (const [id, key] of Object.entries(pools)) this._pools.set(id, toPool(id, key));
+
+    // rooms we are in, by id
+    this._rooms = new Map();
+
+    // 5) Start listening (the setter subscribes)
+    this.transport = transport;
   }
 
   // PUBLIC API --------------------------------------------------------
 
-  onHelpRequest(cb) { this._helpCb = cb; }
-  onStreamOpen(cb) { this._streamCb = cb; }
+  /**
+   * Check the chain, then construct the SDK.  Without a chainId the
+   * provider is asked which chain it is on, the deployment registry
+   * supplies the address unless contractAddress is given, and that
+   * address must hold code — otherwise this rejects before anything
+   * subscribes.  With `chains` every chain is checked that way.  Takes
+   * the constructor's options; loadConfig()'s result can be spread in.
+   * With privateRecipients and a relayer the wallet must hold some ETH,
+   * as tagged signals aren't relayed.
+   * With a `transport` there is nothing on chain to check.  `wallet` may
+   * be an EIP‑1193 provider (window.ethereum): its signer signs, and
+   * without rpcUrl or provider it is read from as well.
+   *
+   * `deriveIdentity: true` (without an encryptionIdentity) asks the
+   * wallet for one signature and derives the encryption keys from it; the
+   * derived key we last announced stays in use unless `identityIndex`
+   * says otherwise.
+   */
+  static async create(opts = {}) {
+    if (isEip1193(opts.wallet)) {
+      // reads go through the wallet too unless told otherwise
+      const browser = new ethers.BrowserProvider(opts.wallet);
+      opts = {
+        ...opts,
+        wallet:   await browser.getSigner(),
+        provider: opts.provider ?? (opts.rpcUrl || opts.chains ? undefined : browser),
+      };
+    }
+    const derive = opts.deriveIdentity && !opts.encryptionIdentity;
+    if (derive) {
+      if (!opts.wallet) throw new SignalServerSdkError("SignalServerSdk: deriveIdentity needs a wallet");
+      opts = { ...opts, identitySeed: await deriveIdentitySeed(opts.wallet) };
+    }
+    const sdk = await SignalServerSdk._checked(opts);
+    if (derive && opts.identityIndex == null) await sdk._resumeDerivedIdentity();
+    return sdk;
+  }
+
+  /** create() after the wallet and identity are settled */
+  static async _checked(opts) {
+    if (opts.transport) return new SignalServerSdk(opts);
+    const deployments = opts.deployments || defaultDeployments();
+    const timeoutMs   = opts.timeoutMs ?? 20000;
+    const made        = [];   // providers we created, stopped if we fail
+
+    const check = async (chain) => {
+      if (chain.transport) return chain;
+      const provider = chain.provider || createProvider(chain.rpcUrl);
+      if (!chain.provider) made.push(provider);
+      const chainId = chain.chainId ?? await detectChainId(provider, { timeoutMs });
+      const address = chain.contractAddress || deployments.get(chainId)?.address;
+      if (!address) throw noDeployment(chainId);
+      await validateDeployment(provider, { address, chainId, timeoutMs });
+      if (opts.privateRecipients && (chain.relayer ?? opts.relayer)) {
+        await checkTaggedFunds(provider, opts.wallet, chainId);
+      }
+      return { ...chain, provider, chainId };
+    };
+    try {
+      if (opts.chains) {
+        const chains = await Promise.all(opts.chains.map(check));
+        return new SignalServerSdk({ ...opts, chains, deployments });
+      }
+      const { provider, chainId } = await check(opts);
+      return new SignalServerSdk({ ...opts, provider, chainId, deployments });
+    } catch (err) {
+      // ours, and nothing else uses them: stop their network detection
+      made.forEach(provider => provider.destroy());
+      throw err;
+    }
+  }
+
+  /** cb(...) on every `event` (see SDK_EVENTS); returns an unsubscribe */
+  on(event, cb) { return this._events.on(event, cb); }
+  once(event, cb) { return this._events.once(event, cb); }
+  off(event, cb) { this._events.off(event, cb); }
+
+  /** shorthand for on("helpRequest", cb) */
+  onHelpRequest(cb) { return this.on("helpRequest", cb); }
+
+  /** shorthand for on("roomInvite", cb): cb(RoomInvite) */
+  onRoomInvite(cb) { return this.on("roomInvite", cb); }
+
+  /** shorthand for on("streamOpen", cb) */
+  onStreamOpen(cb) { return this.on("streamOpen", cb); }
+
+  /**
+   * Our live sessions (connecting or open), oldest first; only those
+   * with `peer` if given.
+   */
+  sessions(peer) {
+    const all = [...this._sessions.values()];
+    return peer ? all.filter(s => s.peer === ethers.getAddress(peer)) : all;
+  }
+
+  /**
+   * Check the chain before relying on it: the provider must be on
+   * `chainId` (if set) and the SignalServer address must hold code.
+   * Resolves with { chainId, address } — an array of them, one per
+   * contract chain, with several chains — or null when signalling over a
+   * transport other than the contract.
+   */
+  async validate() {
+    const transport = this._transport;
+    if (transport instanceof MultiChainTransport) {
+      const contracts = transport.chainIds.filter(id => transport.chain(id) instanceof ContractTransport);
+      return Promise.all(contracts.map(id => validateDeployment(transport.chain(id).provider, {
+        address:   transport.chain(id).contract.target,
+        chainId:   id,
+        timeoutMs: this.timeoutMs,
+      })));
+    }
+    if (!(transport instanceof ContractTransport)) return null;
+    const result = await validateDeployment(this.provider, {
+      address:   transport.contract.target,
+      chainId:   this.chainId,
+      timeoutMs: this.timeoutMs,
+    });
+    this.chainId = result.chainId;
+    return result;
+  }
+
+  /**
+   * Stop listening on the transport and close every session: their
+   * streams close with reason "destroyed" and pending requestHelp() /
+   * accept() calls reject.  The SDK can't be used afterwards.
+   */
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    if (this._unsubscribe) this._unsubscribe();
+    this._unsubscribe = null;
+    for (const room of this.rooms()) room.leave();
+    for (const session of this.sessions()) this._closeSession(session, "destroyed");
+    this._pendingCandidates.clear();
+  }
+
+  /**
+   * Publish a signed announcement of our encryption key.  Sent to `to`
+   * if given, otherwise to ourselves so anyone scanning the chain for
+   * self‑addressed signals can find it.
+   */
+  async announceKey(to = this.address) {
+    const ann  = await this._keyAnnouncement();
+    const data = ethers.toUtf8Bytes(JSON.stringify(ann));
+    await this._transmit(to, data, ann);
+    return ann;
+  }
+
+  /**
+   * Switch to a new encryption key and announce it: to ourselves, where
+   * peers look keys up, and to each address in `notify` (default: the
+   * peers of our live sessions).  Without `identity` the next derived
+   * key is used, or else a random one.  The old key moves to
+   * previousIdentities and keeps opening signals sent to it.  Resolves
+   * with the new announcement.
+   *
+   * @param {object} [identity]    – { publicKey, privateKey }
+   * @param {object} [opts]
+   * @param {array}  [opts.notify] – addresses sent the announcement directly
+   */
+  async rotateIdentity(identity, { notify } = {}) {
+    if (this.destroyed) throw new SignalServerSdkError("SignalServerSdk: destroyed");
+    const previous = this.identity;
+    const next     = identity ?? (this._identitySeed
+      ? identityFromSeed(this._identitySeed, (previous.index ?? -1) + 1)
+      : createIdentity());
+    this.previousIdentities.unshift(previous);
+    this.identity = next;
+    this._rewatchTags();
+
+    const peers = new Set((notify ?? this.sessions().map(s => s.peer)).map(a => ethers.getAddress(a)));
+    peers.delete(this.address);
+    const announcement = await this.announceKey();
+    await Promise.all([...peers].map(peer => this.announceKey(peer)));
+    this._events.emit("identityRotated", { identity: next, previous, announcement });
+    return announcement;
+  }
 
   /**
    * Initiate a help‐request to `toAddr`.  Returns a promise
    * that resolves with a DataStream once the P2P link opens,
+   * rejects with a HelpDeclinedError as soon as the helper declines,
    * or rejects after timeoutMs if nobody answers.
+   *
+   * With several chains the offer goes out on `opts.chainId`, or the
+   * one `chainPolicy` picks; the whole session stays on that chain.
+   *
+   * Media tracks and transceivers go into the offer next to the data
+   * channel; the helper's come through the stream's onTrack().
+   *
+   * @param {string} toAddr
+   * @param {object} [opts]
+   * @param {number} [opts.chainId]
+   * @param {MediaStreamTrack[]} [opts.tracks]       – audio/video to send
+   * @param {MediaStream[]}      [opts.streams]      – the streams `tracks` belong to
+   * @param {object[]}           [opts.transceivers] – { track } or { kind }, plus RTCRtpTransceiverInit
    */
-  async requestHelp(toAddr) {
-    const pc = new wrtc.RTCPeerConnection({ iceServers: this.iceServers });
-    const dc = pc.createDataChannel("chat");
+  async requestHelp(toAddr, { chainId, ...media } = {}) {
+    if (this.destroyed) throw new SignalServerSdkError("SignalServerSdk: destroyed");
+    // fail fast if we can't encrypt to the helper
+    await this._resolvePeerPubKey(toAddr);
+    chainId = await this._pickChain(toAddr, chainId);
+    return this._offer(toAddr, { chainId, media });
+  }
 
-    // collect local candidates
-    const candidates = [];
-    pc.onicecandidate = (evt) => {
-      if (evt.candidate) candidates.push(evt.candidate);
-    };
+  /**
+   * Ask a pool of interchangeable helpers (see addPool) instead of one.
+   * A single offer goes to the pool's address, encrypted to its key; the
+   * first member to answer gets the session, and a "claimed" signal tells
+   * the others to drop theirs.  Resolves like requestHelp(), with the
+   * helper as the stream's peer.  Pool offers bundle their candidates:
+   * there is nobody to trickle to before the answer.
+   *
+   * @param {string} poolId
+   * @param {object} [opts]
+   * @param {number} [opts.chainId]
+   * @param {MediaStreamTrack[]} [opts.tracks]       – as for requestHelp()
+   * @param {MediaStream[]}      [opts.streams]
+   * @param {object[]}           [opts.transceivers]
+   */
+  async requestHelpFromAny(poolId, { chainId, ...media } = {}) {
+    if (this.destroyed) throw new SignalServerSdkError("SignalServerSdk: destroyed");
+    const pool = this._pools.get(String(poolId));
+    if (!pool) throw new SignalServerSdkError(`SignalServerSdk: unknown pool ${poolId}`);
+    chainId = await this._pickChain(pool.address, chainId);
+    return this._offer(pool.address, { chainId, pool, media });
+  }
+
+  /**
+   * Know pool `poolId` by its key: a public key to ask it for help, or
+   * { privateKey } — shared by its members — to serve in it too.  Members
+   * get the pool's offers through onHelpRequest with `req.pool` set.
+   * Returns the pool's address.
+   *
+   * @param {string} poolId
+   * @param {string|object} key – public key, or { privateKey, publicKey? }
+   */
+  addPool(poolId, key) {
+    if (this.destroyed) throw new SignalServerSdkError("SignalServerSdk: destroyed");
+    this.removePool(poolId);
+    const pool = toPool(poolId, key);
+    this._pools.set(pool.id, pool);
+    if (pool.privateKey && this._unsubscribe) this._watchPool(pool);
+    return pool.address;
+  }
+
+  /** forget pool `poolId` and stop serving in it */
+  removePool(poolId) {
+    const id = String(poolId);
+    this._poolSubs.get(id)?.();
+    this._poolSubs.delete(id);
+    this._pools.delete(id);
+  }
+
+  /**
+   * Start a room (see Room.js) and invite `addresses` into it, one after
+   * the other; each joins with invite.join() from onRoomInvite.  Resolves
+   * with the Room once every invite has been answered; invites that fail
+   * are reported as "error" events, and the room goes on without them.
+   *
+   * @param {string[]} [addresses]
+   * @param {object}   [opts]
+   * @param {number}   [opts.chainId] – where the room's links are signalled
+   */
+  async createRoom(addresses = [], { chainId } = {}) {
+    if (this.destroyed) throw new SignalServerSdkError("SignalServerSdk: destroyed");
+    const room = new Room(this, randomId(), { chainId: chainId ?? null });
+    this._rooms.set(room.id, room);
+    for (const address of addresses) {
+      await room.invite(address).catch(err => this._report(err, `could not bring ${address} into room ${room.id}`));
+    }
+    return room;
+  }
+
+  /** the rooms we are in */
+  rooms() {
+    return [...this._rooms.values()];
+  }
+
+  /**
+   * Replay offers that were sent to us while we were offline.  Scans the
+   * transport's history from the stored checkpoint (or `fromBlock`) up to
+   * its head, drops offers older than `offerTtlMs` or already handled,
+   * and surfaces the rest through onHelpRequest — so register that first.
+   * Once caught up, live signals keep the checkpoint moving.
+   * Resolves with the number of offers surfaced.
+   *
+   * With several chains each keeps its own checkpoint and is scanned in
+   * turn, or only `chainId` if given (block numbers are per chain).
+   */
+  async catchUp({ fromBlock, toBlock, chainId } = {}) {
+    if (!this.transport.history) {
+      throw new SignalServerSdkError("SignalServerSdk: transport keeps no history to catch up from");
+    }
+    const chainIds = chainId != null ? [Number(chainId)] : (this.transport.chainIds ?? [null]);
+    let surfaced = 0;
+    for (const id of chainIds) {
+      surfaced += await this._catchUpChain(id, { fromBlock, toBlock });
+    }
+    this._caughtUp = true;
+    return surfaced;
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  /**
+   * send an offer to `toAddr`, or to `pool` (whose address that is);
+   * `room` is the id of the room it links into, `media` what we send
+   * besides the data channel (see requestHelp)
+   */
+  async _offer(toAddr, { chainId, pool = null, room = null, media }) {
+    const sid = randomId();
+    const pc  = this._peerConnection();
+    const dc  = pc.createDataChannel("chat");
+    addMedia(pc, media);
+    const session = this._openSession({ id: sid, peer: toAddr, role: "offerer", pc, chainId, pool });
+    const trickle = this.trickle && !pool ? this._createTrickler(toAddr, sid, chainId) : null;
+    // forward secrecy: a key for this session only, which the answer is sealed to
+    const fs = this.forwardSecrecy ? { ours: createIdentity(), theirs: null } : null;
+    session._fs = fs;
+
+    // collect local candidates (bundled, or trickled after the offer)
+    const candidates = collectCandidates(pc, trickle);
 
     // resolve when DC opens
-    let resolveStream, rejectStream;
+    let resolveStream, rejectStream, timeout;
     const p2pPromise = new Promise((res, rej) => { resolveStream = res; rejectStream = rej; });
+    session._abort = (err) => {
+      clearTimeout(timeout);
+      if (trickle) trickle.stop();
+      rejectStream(err);
+    };
     dc.onopen = () => {
-      const stream = new DataStream(toAddr, dc);
+      clearTimeout(timeout);
+      // confirm the transcript to the helper before anything else
+      if (fs) dc.send(JSON.stringify({ transcript: session.transcript }));
+      const stream = new DataStream(session.peer, dc, sid, {
+        logger: this.logger, transcript: session.transcript, peerConnection: pc,
+      });
+      this._sessionOpened(session, stream);
       this._notifyStreamOpen(stream);
       resolveStream(stream);
     };
@@ -296,108 +1111,1142 @@ export class SignalServerSdk {
     const offer = await pc.createOffer();
     await pc.setLocalDescription(offer);
 
-    // wait ICE gathering complete
-    await new Promise((res) => {
-      if (pc.iceGatheringState === "complete") return res();
-      pc.onicegatheringstatechange = () => {
-        if (pc.iceGatheringState === "complete") res();
-      };
-    });
+    // wait ICE gathering complete (unless trickling)
+    if (!trickle) await gatheringComplete(pc);
 
-    // bundle and send one tx
+    // the transport subscription hands this session the answer carrying
+    // its id; candidates the helper trickles meanwhile wait in the session
+    const offerSdp = pc.localDescription.sdp;
+    session._onAnswer = async (msgAnswer) => {
+      session._onAnswer = null;
+      if (fs) {
+        const err = this._bindTranscript(session, offerSdp, msgAnswer);
+        if (err) return this._failSession(session, err);
+      }
+      await pc.setRemoteDescription({ type: msgAnswer.type, sdp: msgAnswer.sdp });
+      for (const c of msgAnswer.candidates || []) {
+        await pc.addIceCandidate(c);
+      }
+      await this._drainCandidates(session);
+      // until now only the helper's long‑term key could take them
+      if (fs && trickle) trickle.start();
+    };
+
+    // bundle and send one signal; our key announcement lets a helper who
+    // has never heard of us encrypt the answer
     await this._sendSignal(toAddr, {
       type:       offer.type,
-      sdp:        pc.localDescription.sdp,
-      candidates // array of ICECandidateInit
-    });
+      sdp:        offerSdp,
+      candidates, // array of ICECandidateInit
+      announce:   await this._keyAnnouncement(),
+      ...(fs && { eph: fs.ours.publicKey }),
+      ...(room && { room }),
+      sid
+    }, chainId, pool ? { publicKey: pool.publicKey } : {});
+    if (trickle && !fs) trickle.start();
 
-    // wait for on‑chain answer
-    const filter = this.contract.filters.SignalSent(toAddr, this.wallet.address);
-    const onAnswer = async (...args) => {
-      const ev         = args[args.length - 1];
-      const enc        = ev.args.encryptedData;
-      if (!enc) return;
-      const ct2        = ethers.toUtf8String(enc);
-      const dec2       = await EthCrypto.decryptWithPrivateKey(
-        this.identity.privateKey,
-        EthCrypto.cipher.parse(ct2)
-      );
-      const msgAnswer  = JSON.parse(dec2);
-      if (msgAnswer.type === "answer") {
-        await pc.setRemoteDescription({ type: msgAnswer.type, sdp: msgAnswer.sdp });
-        for (const c of msgAnswer.candidates || []) {
-          await pc.addIceCandidate(c);
+    // timeout, unless the channel opened meanwhile
+    if (session.state === "connecting") {
+      timeout = setTimeout(() => {
+        this._endSession(session, "failed");
+        session._abort(new TimeoutError("HelpResponseTimeout"));
+        pc.close();
+      }, this.timeoutMs);
+    }
+
+    return p2pPromise;
+  }
+
+  /** catchUp() on one chain (null: the only one) */
+  async _catchUpChain(chainId, { fromBlock, toBlock }) {
+    const on    = chainId != null ? { chainId } : {};
+    const key   = this._checkpointKey(chainId);
+    const saved = await this.checkpointStore.load(key);
+    let from    = fromBlock ?? (saved != null ? saved + 1 : this._startBlock(chainId));
+    const head  = toBlock ?? await this.transport.head(on);
+
+    let surfaced = 0;
+    while (from <= head) {
+      const to      = Math.min(from + this.catchUpBatchSize - 1, head);
+      const signals = await this.transport.history({
+        recipient: this.address, fromBlock: from, toBlock: to, ...on,
+      });
+      // and to the pools we serve in; offers to a private recipient are
+      // first contacts
+      const more = [];
+      for (const pool of this._pools.values()) {
+        if (!pool.privateKey) continue;
+        more.push(...await this.transport.history({
+          recipient: pool.address, fromBlock: from, toBlock: to, signer: poolSigner(pool), ...on,
+        }));
+      }
+      if (this.privateRecipients) {
+        const tagged = await this.transport.historyTags({
+          tags: [FIRST_CONTACT_TAG], fromBlock: from, toBlock: to, ...on,
+        });
+        more.push(...tagged.map(signal => this._openTagged(signal)).filter(Boolean));
+      }
+      if (more.length) {
+        signals.push(...more);
+        signals.sort((a, b) => a.blockNumber - b.blockNumber);
+      }
+      for (const signal of signals) {
+        if (!this._markHandled(signal)) continue;
+        const sentAt = await this._signalTime(signal);
+        if (Date.now() - sentAt > this.offerTtlMs) continue;
+        try {
+          const req = await this._handleSignal(signal, { historic: true, sentAt });
+          if (req) surfaced++;
+        } catch (err) {
+          if (strayFirstContact(signal, err)) continue;
+          this._report(err, `skipping undecodable signal ${signal.id}`, signal);
         }
       }
+      await this._saveCheckpoint(to, chainId);
+      from = to + 1;
+    }
+    return surfaced;
+  }
+
+  _subscribe() {
+    const off = this.transport.subscribe(this.address, signal => this._onSignal(signal));
+    if (this.privateRecipients) this._watchTags();
+    for (const pool of this._pools.values()) {
+      if (pool.privateKey) this._watchPool(pool);
+    }
+    this._unsubscribe = () => {
+      off();
+      this._unwatchTags();
+      for (const unsubscribe of this._poolSubs.values()) unsubscribe();
+      this._poolSubs.clear();
     };
-    this.contract.once(filter, onAnswer);
+  }
 
-    // timeout
-    setTimeout(() => {
-      this.contract.off(filter, onAnswer);
-      rejectStream(new Error("HelpResponseTimeout"));
-    }, this.timeoutMs);
+  /** offers sent to a pool we serve in arrive at its address */
+  _watchPool(pool) {
+    const off = this.transport.subscribe(pool.address, signal => this._onSignal(signal), { signer: poolSigner(pool) });
+    this._poolSubs.set(pool.id, off);
+  }
 
-    return p2pPromise;
+  /** the pool we serve in whose address is `address`, if any */
+  _memberPool(address) {
+    if (!address) return null;
+    for (const pool of this._pools.values()) {
+      if (pool.privateKey && pool.address === ethers.getAddress(address)) return pool;
+    }
+    return null;
   }
 
-  // INTERNALS ---------------------------------------------------------
+  async _onSignal(signal) {
+    // catchUp() may already have replayed this one
+    if (signal.id && !this._markHandled(signal)) return;
+    try {
+      await this._handleSignal(signal);
+      if (signal.blockNumber != null && this._caughtUp) {
+        await this._saveCheckpoint(signal.blockNumber, signal.chainId);
+      }
+    } catch (err) {
+      if (strayFirstContact(signal, err)) return;
+      this._report(err, `failed to handle signal from ${signal.sender}`, signal);
+    }
+  }
 
-  _startContractListeners() {
-    const filter = this.contract.filters.SignalSent(null, this.wallet.address);
-    this.contract.on(filter, async (...args) => {
-      const event = args[args.length - 1];
-      const { sender, encryptedData } = event.args;
-      if (!encryptedData) return;
-
-      // decrypt & JSON.parse …
-      const ct        = ethers.toUtf8String(encryptedData);
-      const decrypted = await EthCrypto.decryptWithPrivateKey(
-        this.identity.privateKey,
-        EthCrypto.cipher.parse(ct)
-      );
-      const msg = JSON.parse(decrypted);
+  /**
+   * (Re)subscribe to the tags meant for us: first contacts, and each
+   * known peer's pair tags for the epochs around now, under every
+   * identity we still decrypt with.  Runs again when the epoch turns.
+   */
+  _watchTags() {
+    const epoch = tagEpoch(Date.now(), this.tagEpochMs);
+    const tags  = new Map([[FIRST_CONTACT_TAG, null]]);
+    for (const peer of this._tagPeers) {
+      const publicKey = this.keyResolver.peek(peer);
+      if (!publicKey) continue;
+      for (const id of [this.identity, ...this.previousIdentities]) {
+        const secret = sharedSecret(id.privateKey, publicKey);
+        for (let e = epoch - 1; e <= epoch + 1; e++) tags.set(pairTag(secret, peer, this.address, e), peer);
+      }
+    }
+    // the new subscription goes up before the old one comes down;
+    // anything both deliver is deduped by id
+    this._tags = tags;
+    const off  = this.transport.subscribeTags([...tags.keys()], signal => this._onTaggedSignal(signal));
+    if (this._offTags) this._offTags();
+    this._offTags = off;
+    clearTimeout(this._tagTimer);
+    this._tagTimer = setTimeout(() => this._watchTags(), (epoch + 1) * this.tagEpochMs - Date.now());
+    this._tagTimer.unref?.();
+  }
+
+  _unwatchTags() {
+    clearTimeout(this._tagTimer);
+    if (this._offTags) this._offTags();
+    this._offTags = null;
+  }
+
+  _onTaggedSignal(signal) {
+    const opened = this._openTagged(signal);
+    if (opened) return this._onSignal(opened);
+  }
+
+  /**
+   * A tagged signal as one sent to us, or null if it isn't ours: a pair
+   * tag only counts from the peer it belongs to, and a first contact
+   * must open with one of our keys.
+   */
+  _openTagged(signal) {
+    const peer = this._tags.get(signal.tag);
+    if (peer === undefined) return null;
+    if (peer !== null) return signal.sender === peer ? { ...signal, recipient: this.address } : null;
+    for (const id of [this.identity, ...this.previousIdentities]) {
+      const data = openFirstContact(id.privateKey, signal.data);
+      if (data) return { ...signal, data, recipient: this.address, firstContact: true };
+    }
+    return null;
+  }
+
+  /** note how `peer` reached us; a peer that used tags gets its pair tags watched */
+  _notePeer(peer, tagged) {
+    peer = ethers.getAddress(peer);
+    this._peerTagged.set(peer, tagged);
+    if (!tagged || this._tagPeers.has(peer)) return;
+    this._tagPeers.add(peer);
+    this._rewatchTags();
+  }
+
+  _rewatchTags() {
+    if (this.privateRecipients && !this.destroyed) this._watchTags();
+  }
 
-      if (msg.type === "offer" && this._helpCb) {
-        // msg has { type, sdp, candidates }
-        const req = new RequestForHelp(this, sender, msg);
-        this._helpCb(req);
+  /**
+   * Decode one transport signal and dispatch it.  Historic (backfilled)
+   * signals only surface offers; answers and candidates for sessions that
+   * no longer exist are dropped.  Returns the RequestForHelp, if any.
+   */
+  async _handleSignal(signal, { historic = false, sentAt } = {}) {
+    const { sender, data: encryptedData } = signal;
+    const chainId = signal.chainId ?? null;
+    if (!encryptedData) return null;
+
+    // key announcements are signed plaintext, everything else is encrypted
+    const ann = parseKeyAnnouncement(encryptedData);
+    if (ann) {
+      this.keyResolver.ingestAnnouncement(ann, sender);
+      // a new key means new pair tags
+      if (this._tagPeers.has(ethers.getAddress(sender))) this._rewatchTags();
+      this._events.emit("signalReceived", { signal, message: ann, historic });
+      return null;
+    }
+
+    // decrypt, JSON.parse & check the envelope (null = dropped); a pool
+    // we serve in only passes on new offers and claims
+    const pool = this._memberPool(signal.recipient);
+    if (pool && ethers.getAddress(sender) === this.address) return null;   // our own pool request
+    const { msg: decoded, via } = pool
+      ? { msg: await decodeSignal(pool.privateKey, encryptedData), via: null }
+      : await this._decode(encryptedData);
+    const msg = this._openEnvelope(sender, decoded, { historic, chainId, recipient: pool?.address });
+    if (!msg) return null;
+    if (pool && !((msg.type === "offer" && !msg.restart && !msg.renegotiate) || msg.type === "claimed")) return null;
+
+    // a forward‑secret session takes only signals sealed to its own key
+    // (declines and claims carry nothing worth hiding), and a session key
+    // opens nothing else.  An answer to a pool request is for the session
+    // it claims; other members' late answers and candidates go quietly
+    let owner = msg.sid ? this._sessions.get(sessionKey(sender, msg.sid)) : undefined;
+    if (via?._pool) {
+      if (via.peer === via._pool.address && msg.type === "answer") owner = via;
+      else if (via.peer !== ethers.getAddress(sender)) return null;
+    }
+    if ((owner?._fs && via !== owner && msg.type !== "decline" && msg.type !== "claimed") || (via && via !== owner)) {
+      const err = new InvalidSignalError("SignalServerSdk: signal not sealed to its session key", { sender });
+      this._report(err, `dropping signal from ${sender}`);
+      return null;
+    }
+    if (chainId != null && !historic) this.chainPolicy.seen(sender, chainId);
+    this._events.emit("signalReceived", { signal, message: msg, historic });
+    this._peerWire.set(ethers.getAddress(sender), wireFormatOf(encryptedData));
+    if (msg.announce) this.keyResolver.ingestAnnouncement(msg.announce, sender);
+    if (this.privateRecipients && !pool) this._notePeer(sender, signal.tag != null);
+
+    if (msg.type === "offer" && msg.restart) {
+      // an ICE restart for a session we answered, never a new request
+      const session = !historic && msg.sid
+        ? this._findSession(sender, msg.sid, s => s.role === "answerer" && s.stream)
+        : null;
+      if (session) await this._answerRestart(session, msg);
+      return null;
+    }
+    if (msg.type === "offer" && msg.renegotiate) {
+      // media changed on a session that is open, on either side
+      const session = !historic && msg.sid ? this._findSession(sender, msg.sid, s => s.stream) : null;
+      if (session) await this._answerRenegotiation(session, msg);
+      return null;
+    }
+    if (msg.type === "offer" && typeof msg.room === "string" && !pool) {
+      // a link in a room we are in, or an invitation to one
+      const room = this._rooms.get(msg.room);
+      if (room) {
+        // a member introduces the sender, but our lists still hold
+        if (!historic && !this.policy.listed(sender)) {
+          room._onOffer(await this._requestFor(sender, msg, signal, { sentAt, chainId }));
+        }
+        return null;
+      }
+      if (this._events.listenerCount("roomInvite") === 0) return null;
+      const req = await this._requestFor(sender, msg, signal, { sentAt, chainId, policy: true });
+      if (!req) return null;
+      const invite = new RoomInvite(this, req);
+      this._events.emit("roomInvite", invite);
+      return invite;
+    }
+    if (msg.type === "offer" && this._events.listenerCount("helpRequest") > 0) {
+      const req = await this._requestFor(sender, msg, signal, { sentAt, chainId, pool, policy: true });
+      if (!req) return null;
+      this._events.emit("helpRequest", req);
+      return req;
+    }
+    if (msg.type === "claimed") {
+      await this._onClaimed(sender, msg);
+      return null;
+    }
+    if (historic) return null;
+
+    if (msg.type === "answer") {
+      // a pool request goes to the first helper that answers
+      const session = this._findSession(sender, msg.sid, s => s._onAnswer) ?? this._claimPoolRequest(sender, msg.sid);
+      if (session) await session._onAnswer(msg);
+      if (session?._pool && session.state === "connecting") this._sendClaim(session);
+    } else if (msg.type === "candidate") {
+      // trickled candidates: { type, candidates: [...] }
+      const session = this._queueCandidates(sender, msg.sid, msg.candidates || []);
+      if (session) await this._drainCandidates(session);
+    } else if (msg.type === "decline") {
+      const session = this._findSession(sender, msg.sid,
+        s => s.role === "offerer" && s.state === "connecting");
+      if (session) {
+        this._failSession(session, new HelpDeclinedError(String(msg.reason ?? DECLINE_REASONS.DECLINED), session.peer));
+      }
+    }
+    // ignore other types here
+    return null;
+  }
+
+  /**
+   * Enforce the envelope on a decrypted message and note the peer's
+   * protocol version.  Returns the message, or null (with a warning) if
+   * it is stale, replayed, mis‑signed or from an unsupported version.
+   * Live offers in a version we can't speak are declined (on `chainId`),
+   * unless they come from v0 peers, which wouldn't understand.
+   */
+  _openEnvelope(sender, msg, { historic = false, chainId = null, recipient = this.address } = {}) {
+    const v = msg.v ?? 0;
+    try {
+      if (v < this.minProtocolVersion || v > PROTOCOL_VERSION) {
+        if (msg.type === "offer" && v > 0 && !historic) {
+          this._decline(sender, msg.sid, DECLINE_REASONS.UNSUPPORTED_VERSION, chainId);
+        }
+        throw new InvalidSignalError(`SignalServerSdk: unsupported protocol version ${v}`);
       }
-      // ignore other types here
+      if (v > 0) {
+        verifyEnvelope(msg, {
+          sender,
+          recipient,
+          clockSkewMs: this.clockSkewMs,
+        });
+        if (!this._replayCache.check(sender, msg.nonce, msg.expiresAt + this.clockSkewMs)) {
+          throw new InvalidSignalError("SignalServerSdk: replayed signal");
+        }
+      }
+    } catch (err) {
+      const error = err instanceof InvalidSignalError
+        ? err
+        : new InvalidSignalError(err.message, { cause: err });
+      error.sender = sender;
+      this._report(error, `dropping signal from ${sender}`);
+      return null;
+    }
+    // answer in the version the peer spoke
+    this._peerVersions.set(ethers.getAddress(sender), v);
+    return msg;
+  }
+
+  /**
+   * A RequestForHelp for an offer.  With `policy` the policy sees it
+   * first, and null means it was turned away; only "busy" is worth an
+   * answer.
+   */
+  async _requestFor(sender, msg, signal, { sentAt, chainId, pool = null, policy = false }) {
+    // msg has { type, sdp, candidates, announce? }; if the sender is a
+    // stranger, fall back to recovering their key from this very tx
+    const txHash = signal.txHash;
+    await this.keyResolver.resolve(sender, { txHash, chainId }).catch(() => null);
+    const req = new RequestForHelp(this, sender, msg, { timestamp: sentAt, txHash, chainId, pool: pool?.id });
+    if (!policy) return req;
+
+    const verdict = await this.policy.check(req, {
+      sessions: this._sessions.size,
+      provider: this._providerFor(chainId),
     });
+    if (!verdict.ok) {
+      if (verdict.decline) await req.reject(verdict.decline);
+      return null;
+    }
+    return req;
+  }
+
+  /** offer `peer` a link in `room` (see Room.js); resolves with the DataStream */
+  async _roomOffer(peer, room, chainId) {
+    if (this.destroyed) throw new SignalServerSdkError("SignalServerSdk: destroyed");
+    await this._resolvePeerPubKey(peer);
+    chainId = await this._pickChain(peer, chainId ?? room.chainId ?? undefined);
+    return this._offer(peer, { chainId, room: room.id });
+  }
+
+  /** pool request `sid`, still unanswered, now with `helper` as its peer */
+  _claimPoolRequest(helper, sid) {
+    const session = [...this._sessions.values()].find(s =>
+      s.id === sid && s._pool && s.peer === s._pool.address && s._onAnswer);
+    if (!session) return undefined;
+    this._sessions.delete(session.key);
+    session.peer = ethers.getAddress(helper);
+    this._sessions.set(session.key, session);
+    // candidates the helper trickled ahead of its answer
+    const early = this._pendingCandidates.get(session.key);
+    if (early) session._candidates.push(...early);
+    this._pendingCandidates.delete(session.key);
+    return session;
+  }
+
+  /** tell the pool who got the request, so its other members stop waiting */
+  _sendClaim(session) {
+    const pool = session._pool;
+    this._sendSignal(pool.address, { type: "claimed", sid: session.id, helper: session.peer }, session.chainId, {
+      publicKey: pool.publicKey,
+    }).catch(err => this._report(err, `could not tell pool ${pool.id} who claimed ${session.id}`));
+  }
+
+  /**
+   * A pool request went to `helper`: if that's us, reach for the
+   * requester's candidates, otherwise our accept() gives up.
+   */
+  async _onClaimed(requester, { sid, helper }) {
+    if (!sid || typeof helper !== "string" || !ethers.isAddress(helper)) return;
+    helper = ethers.getAddress(helper);
+    const session = this._findSession(requester, sid, s => s.role === "answerer" && s.state === "connecting");
+    if (helper === this.address) {
+      const held = session?._heldCandidates ?? [];
+      if (session) session._heldCandidates = null;
+      for (const c of held) {
+        await session.peerConnection.addIceCandidate(c).catch(err =>
+          this.logger.warn("[SignalServerSdk] bad remote candidate", err));
+      }
+      return;
+    }
+    this._poolClaims.set(sessionKey(requester, sid), helper);
+    if (this._poolClaims.size > 1000) this._poolClaims.delete(this._poolClaims.keys().next().value);
+    if (session) this._failSession(session, new HelpClaimedError(requester, helper));
+  }
+
+  /**
+   * The session a signal from `sender` belongs to.  v0 peers send no
+   * session id; their signals go to the oldest of their sessions that
+   * passes `filter`.
+   */
+  _findSession(sender, sid, filter = () => true) {
+    if (sid) {
+      const session = this._sessions.get(sessionKey(sender, sid));
+      return session && filter(session) ? session : undefined;
+    }
+    return this.sessions(sender).find(filter);
   }
 
-  /** low‑level send of an offer/answer object */
-  async _sendSignal(to, descObj) {
+  /**
+   * Wrap a body for `to`: a signed v1 envelope, or the bare body for
+   * peers that have only ever spoken v0 to us.
+   */
+  async _seal(to, body) {
+    const v = this._peerVersions.get(ethers.getAddress(to)) ?? PROTOCOL_VERSION;
+    if (v === 0) return envelopeBody(body);
+    return sealEnvelope(this.signer, to, body, { ttlMs: this.signalTtlMs });
+  }
+
+  /** returns false if this signal was already handled (dedupe by id) */
+  _markHandled(signal) {
+    const id = signal.id;
+    if (this._handled.has(id)) return false;
+    this._handled.add(id);
+    // keep the set bounded; Sets iterate in insertion order
+    if (this._handled.size > 10000) {
+      this._handled.delete(this._handled.values().next().value);
+    }
+    return true;
+  }
+
+  /** checkpoints are per transport and address, and per chain with several */
+  _checkpointKey(chainId = null) {
+    if (chainId == null) return `${this.transport.id}:${this.address}`;
+    return `${chainId}:${this.transport.chain(chainId).id}:${this.address}`;
+  }
+
+  async _saveCheckpoint(blockNumber, chainId = null) {
+    const key   = this._checkpointKey(chainId);
+    const saved = this._checkpoints.get(key);
+    if (saved != null && blockNumber <= saved) return;
+    this._checkpoints.set(key, blockNumber);
+    await this.checkpointStore.save(key, blockNumber);
+  }
+
+  /** where catch‑up starts on a chain without a checkpoint */
+  _startBlock(chainId) {
+    return this._startBlocks.get(chainId) ?? this.catchUpFromBlock;
+  }
+
+  /** when a signal was sent: its own timestamp, else its block's */
+  async _signalTime(signal) {
+    if (signal.timestamp != null) return signal.timestamp;
+    if (this.transport.blockTime) {
+      return signal.chainId != null
+        ? this.transport.blockTime(signal.blockNumber, { chainId: signal.chainId })
+        : this.transport.blockTime(signal.blockNumber);
+    }
+    return Date.now();
+  }
+
+  /**
+   * low‑level send of an offer/answer object, on `chainId` with several
+   * chains; `opts.publicKey` overrides the key it is encrypted to
+   */
+  async _sendSignal(to, descObj, chainId = null, opts = {}) {
     // descObj must have a `.type` field (offer|answer)
-    const json = JSON.stringify(descObj);
-    const encrypted = await EthCrypto.encryptWithPublicKey(this._getPeerPubKey(to), json);
-    const str = EthCrypto.cipher.stringify(encrypted);
-    const data = ethers.toUtf8Bytes(str);
-    const tx = await this.contractWithSigner.sendSignal(to, data);
-    await tx.wait();
+    const data = await this._encode(to, descObj, opts);
+    await this._transmit(to, data, descObj, chainId);
+  }
+
+  async _transmit(to, data, message, chainId = null) {
+    const on  = chainId != null ? [{ chainId }] : [];
+    const tag = await this._tagFor(to, message);
+    if (tag) {
+      if (tag === FIRST_CONTACT_TAG) data = sealFirstContact(await this._resolvePeerPubKey(to), data);
+      await this.transport.sendTagged(tag, data, ...on);
+    } else {
+      await this.transport.send(to, data, ...on);
+    }
+    this._events.emit("signalSent", { to, message, chainId });
+  }
+
+  /**
+   * The tag a signal to `to` goes out under, or null to send it by
+   * address: new requests and key announcements go as first contacts (the
+   * peer may not know our key yet), peers that reached us by address get
+   * plain signals back, and the rest our pair tag for this epoch.
+   */
+  async _tagFor(to, message) {
+    if (!this.privateRecipients) return null;
+    const peer = ethers.getAddress(to);
+    if (peer === this.address) return null;   // our key announcements are public anyway
+    if ([...this._pools.values()].some(pool => pool.address === peer)) return null;
+    if (!this._tagPeers.has(peer)) {
+      this._tagPeers.add(peer);
+      this._rewatchTags();
+    }
+    const tagged = this._peerTagged.get(peer);
+    if (tagged === false) return null;
+    if (!tagged || !message.type || (message.type === "offer" && !message.restart && !message.renegotiate)) {
+      return FIRST_CONTACT_TAG;
+    }
+    const secret = sharedSecret(this.identity.privateKey, await this._resolvePeerPubKey(peer));
+    return pairTag(secret, this.address, peer, tagEpoch(Date.now(), this.tagEpochMs));
+  }
+
+  /**
+   * Surface a failure nobody is awaiting: log it and emit it as "error",
+   * typed (anything else is wrapped) and tagged with the signal's sender.
+   */
+  _report(err, what, signal) {
+    const error = err instanceof SignalServerSdkError
+      ? err
+      : new SignalServerSdkError(`SignalServerSdk: ${err && err.message ? err.message : err}`, { cause: err });
+    if (signal && !error.sender) error.sender = signal.sender;
+    this.logger.warn(`[SignalServerSdk] ${what} -`, error.message);
+    this._events.emit("error", error);
+  }
+
+  /**
+   * Tell `to` we won't help with session `sid`.  Send failures are only
+   * logged: the requester still times out.  Resolves with whether it went.
+   */
+  async _decline(to, sid, reason, chainId = null, publicKey = null) {
+    // v0 peers don't know the signal
+    if (this._peerVersions.get(ethers.getAddress(to)) === 0) return false;
+    try {
+      // to the offer's session key, if it asked for forward secrecy
+      await this._sendSignal(to, { type: "decline", reason, sid: sid ?? undefined }, chainId, {
+        publicKey: publicKey ?? undefined,
+      });
+      return true;
+    } catch (err) {
+      this._report(err, `could not send decline to ${to}`);
+      return false;
+    }
+  }
+
+  /** a trickler that sends candidate batches to `to` */
+  _createTrickler(to, sid, chainId = null) {
+    return new IceTrickler(
+      (candidates) => this._sendCandidate(to, { type: "candidate", candidates, sid: sid ?? undefined }, chainId),
+      {
+        windowMs: this.trickleWindowMs,
+        maxBatch: this.trickleBatchSize,
+        onError:  err => this._report(err, `candidate signal to ${to} failed`),
+      }
+    );
+  }
+
+  /** register a new session; candidates that beat it here move in */
+  _openSession({ id, peer, role, pc, legacy = false, chainId = null, pool = null }) {
+    const session = new Session({ id, peer, role, pc, legacy, chainId, pool });
+    this._sessions.set(session.key, session);
+    // the offer's tracks arrive before the stream exists
+    pc.ontrack = (evt) => {
+      if (session.stream) session.stream._addRemoteTrack(evt.track, evt.streams);
+      else session._remoteTracks.push([evt.track, evt.streams]);
+    };
+    for (const key of [session.key, ...(legacy ? [sessionKey(peer, null)] : [])]) {
+      const early = this._pendingCandidates.get(key);
+      if (early) session._candidates.push(...early);
+      this._pendingCandidates.delete(key);
+    }
+    return session;
+  }
+
+  _sessionOpened(session, stream) {
+    session.state  = "open";
+    session.stream = stream;
+    session._abort = null;
+    stream.onClose(reason => this._closeSession(session, reason));
+    const pc = session.peerConnection;
+    pc.onconnectionstatechange = () => this._onConnectionState(session);
+    for (const [track, streams] of session._remoteTracks.splice(0)) stream._addRemoteTrack(track, streams);
+    // media the handshake couldn't carry (an answerer's tracks of a kind
+    // the offer didn't have) goes now; later changes as they happen
+    pc.onnegotiationneeded = () => this._renegotiate(session);
+    if (unsentMedia(pc)) this._renegotiate(session);
+  }
+
+  _endSession(session, state = "closed") {
+    session.state = state;
+    if (this._sessions.get(session.key) === session) this._sessions.delete(session.key);
+    // forward secrecy: the session's private key goes with it
+    if (session._fs) session._fs.ours = null;
+  }
+
+  /** give up on a session that never opened: its requestHelp()/accept() rejects with `err` */
+  _failSession(session, err) {
+    this._endSession(session, "failed");
+    session._abort(err);
+    session.peerConnection.close();
+  }
+
+  /**
+   * offerer, forward secrecy: take the helper's session key from its
+   * answer and check the transcript it signed.  Returns an error, or
+   * null once the session is bound.
+   */
+  _bindTranscript(session, offerSdp, answer) {
+    if (!answer.eph) {
+      return new InvalidSignalError(`SignalServerSdk: ${session.peer} answered without forward secrecy`);
+    }
+    let answerKey;
+    try {
+      answerKey = normalizePublicKey(answer.eph);
+    } catch (err) {
+      return new InvalidSignalError("SignalServerSdk: invalid session key in answer", { cause: err });
+    }
+    const transcript = sessionTranscript({
+      sid:       session.id,
+      offerer:   this.address,
+      answerer:  session.peer,
+      offerKey:  session._fs.ours.publicKey,
+      answerKey,
+      offerSdp,
+      answerSdp: answer.sdp,
+    });
+    if (answer.transcript !== transcript) {
+      return new InvalidSignalError("SignalServerSdk: session transcript mismatch");
+    }
+    session._fs.theirs       = answerKey;
+    session._fs.fingerprints = { offer: sdpFingerprints(offerSdp), answer: sdpFingerprints(answer.sdp) };
+    session.transcript       = transcript;
+    return null;
+  }
+
+  /** end a session and its peer connection; `reason` reaches stream.onClose */
+  _closeSession(session, reason) {
+    if (session.state === "closed" || session.state === "failed") return;
+    this._endSession(session, session.stream ? "closed" : "failed");
+    if (session._abort) session._abort(new SignalServerSdkError(`SignalServerSdk: session ${reason}`));
+    session._waiters.forEach(cb => cb(false));
+    if (session.stream) session.stream._closed(reason);
+    session.peerConnection.close();
+  }
+
+  /** follow an open session's connection: report drops, recover from failures */
+  _onConnectionState(session) {
+    if (!this._sessions.has(session.key)) return;
+    const stream = session.stream;
+    switch (session.peerConnection.connectionState) {
+      case "connected":
+        session.state = "open";
+        stream._setState("open");
+        session._waiters.forEach(cb => cb(true));
+        if (session._negotiateAgain && !session._negotiating) this._renegotiate(session);
+        break;
+      case "disconnected":
+        if (!session._recovering) stream._setState("disconnected");
+        break;
+      case "failed":
+        this._recover(session);
+        break;
+      case "closed":
+        this._closeSession(session, "remote");
+        break;
+    }
+  }
+
+  /**
+   * Bring a failed connection back.  The offerer tries up to
+   * `iceRestarts` ICE restarts, each a fresh offer/answer over the
+   * transport that must reconnect within timeoutMs; the answerer waits
+   * for them.  The data channel, and so the DataStream, survives a
+   * restart.  If nothing works the session closes as "failed".
+   */
+  async _recover(session) {
+    if (session._recovering || session.state !== "open") return;
+    session._recovering = true;
+    session.state = "reconnecting";
+    session.stream._setState("reconnecting");
+
+    let ok = false;
+    // v0 peers can't match a restart to their session
+    if (session.role === "offerer" && this._peerVersions.get(session.peer) !== 0) {
+      for (let i = 0; i < this.iceRestarts && !ok && this._sessions.has(session.key); i++) {
+        ok = await this._restartIce(session).catch((err) => {
+          this._report(err, `ICE restart with ${session.peer} failed`);
+          return false;
+        });
+      }
+    } else {
+      ok = await this._waitConnected(session, this.timeoutMs * (this.iceRestarts + 1));
+    }
+    session._recovering = false;
+    if (!ok) this._closeSession(session, "failed");
+  }
+
+  /** one ICE restart: an offer with fresh ICE credentials for the same session */
+  async _restartIce(session) {
+    const pc      = session.peerConnection;
+    const trickle = this.trickle ? this._createTrickler(session.peer, session.id, session.chainId) : null;
+    const candidates = collectCandidates(pc, trickle);
+    const offer = await pc.createOffer({ iceRestart: true });
+    await pc.setLocalDescription(offer);
+    if (!trickle) await gatheringComplete(pc);
+
+    const connected = this._waitConnected(session, this.timeoutMs);
+    session._onAnswer = async (msgAnswer) => {
+      session._onAnswer = null;
+      if (session._fs && !sameFingerprints(msgAnswer.sdp, session._fs.fingerprints.answer)) {
+        throw new InvalidSignalError("SignalServerSdk: ICE restart changed the DTLS fingerprint", { sender: session.peer });
+      }
+      await pc.setRemoteDescription({ type: msgAnswer.type, sdp: msgAnswer.sdp });
+      for (const c of msgAnswer.candidates || []) {
+        await pc.addIceCandidate(c);
+      }
+      await this._drainCandidates(session);
+      // we may never have lost the connection on this side
+      this._onConnectionState(session);
+    };
+    await this._sendSignal(session.peer, {
+      type:    offer.type,
+      sdp:     pc.localDescription.sdp,
+      candidates,
+      sid:     session.id,
+      restart: true,
+    }, session.chainId);
+    if (trickle) trickle.start();
+
+    const ok = await connected;
+    if (trickle) trickle.stop();
+    session._onAnswer = null;
+    return ok;
+  }
+
+  /** answer the offerer's ICE restart on the existing peer connection */
+  async _answerRestart(session, msg) {
+    if (session._fs && !sameFingerprints(msg.sdp, session._fs.fingerprints.offer)) {
+      throw new InvalidSignalError("SignalServerSdk: ICE restart changed the DTLS fingerprint", { sender: session.peer });
+    }
+    this._recover(session);
+    const pc      = session.peerConnection;
+    const trickle = this.trickle ? this._createTrickler(session.peer, session.id, session.chainId) : null;
+    const candidates = collectCandidates(pc, trickle);
+
+    await pc.setRemoteDescription({ type: msg.type, sdp: msg.sdp });
+    for (const c of msg.candidates || []) {
+      await pc.addIceCandidate(c);
+    }
+    await this._drainCandidates(session);
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    if (!trickle) await gatheringComplete(pc);
+
+    await this._sendSignal(session.peer, {
+      type: answer.type,
+      sdp:  pc.localDescription.sdp,
+      candidates,
+      sid:  session.id,
+    }, session.chainId);
+    if (trickle) trickle.start();
+    this._onConnectionState(session);
+  }
+
+  /**
+   * Renegotiate an open session whose media changed (stream.addTrack()
+   * and friends): a fresh offer over the transport, marked `renegotiate`,
+   * which either side may send.  One at a time per session; changes made
+   * meanwhile go in the next one.
+   */
+  async _renegotiate(session) {
+    const pc = session.peerConnection;
+    if (!this._sessions.has(session.key) || this.destroyed) return;
+    if (session._negotiating || session.state !== "open" || pc.signalingState !== "stable") {
+      session._negotiateAgain = true;
+      return;
+    }
+    session._negotiateAgain = false;
+    session._negotiating    = true;
+    try {
+      await this._sendRenegotiation(session);
+    } catch (err) {
+      if (this._sessions.has(session.key)) this._report(err, `renegotiating with ${session.peer} failed`);
+    } finally {
+      session._negotiating = false;
+    }
+    if (session._negotiateAgain) this._renegotiate(session);
+  }
+
+  /** our renegotiation offer; resolves once the answer is applied, or the peer's offer crossed ours */
+  async _sendRenegotiation(session) {
+    const pc = session.peerConnection;
+    let timer, settle, fail;
+    const answered = new Promise((res, rej) => { settle = res; fail = rej; });
+    // the peer rolled us back to answer theirs; ours goes again after
+    let crossed = false;
+    session._glare = () => {
+      crossed = true;
+      session._negotiateAgain = true;
+      settle();
+    };
+    const trickle = this.trickle ? this._createTrickler(session.peer, session.id, session.chainId) : null;
+    try {
+      const candidates = collectCandidates(pc, trickle);
+      const offer = await pc.createOffer();
+      if (crossed) return;
+      await pc.setLocalDescription(offer);
+      if (!trickle) await gatheringComplete(pc);
+      if (crossed || !this._sessions.has(session.key)) return;
+
+      timer = setTimeout(() => fail(new TimeoutError("RenegotiationTimeout")), this.timeoutMs);
+      session._onAnswer = async (msgAnswer) => {
+        session._onAnswer = null;
+        try {
+          this._checkFingerprints(session, msgAnswer.sdp);
+          await pc.setRemoteDescription({ type: msgAnswer.type, sdp: msgAnswer.sdp });
+          for (const c of msgAnswer.candidates || []) {
+            await pc.addIceCandidate(c);
+          }
+          await this._drainCandidates(session);
+          this._syncRemoteTracks(session);
+          settle();
+        } catch (err) {
+          fail(err);
+        }
+      };
+      await this._sendSignal(session.peer, {
+        type:        offer.type,
+        sdp:         pc.localDescription.sdp,
+        candidates,
+        sid:         session.id,
+        renegotiate: true,
+      }, session.chainId);
+      if (trickle) trickle.start();
+      await answered;
+    } catch (err) {
+      // back to the last agreed state, so the next change can go out
+      if (pc.signalingState === "have-local-offer") await pc.setLocalDescription({ type: "rollback" }).catch(() => {});
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      if (trickle) trickle.stop();
+      session._onAnswer = null;
+      session._glare    = null;
+    }
+  }
+
+  /**
+   * Answer the peer's renegotiation.  If both sides offered at once the
+   * session's answerer gives way: it drops its own offer, answers, and
+   * offers again afterwards.
+   */
+  async _answerRenegotiation(session, msg) {
+    this._checkFingerprints(session, msg.sdp);
+    const pc = session.peerConnection;
+    if (pc.signalingState !== "stable") {
+      if (session.role === "offerer") return;
+      await pc.setLocalDescription({ type: "rollback" });
+      session._glare?.();
+    }
+    const trickle = this.trickle ? this._createTrickler(session.peer, session.id, session.chainId) : null;
+    const candidates = collectCandidates(pc, trickle);
+
+    await pc.setRemoteDescription({ type: msg.type, sdp: msg.sdp });
+    for (const c of msg.candidates || []) {
+      await pc.addIceCandidate(c);
+    }
+    await this._drainCandidates(session);
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    if (!trickle) await gatheringComplete(pc);
+    if (!this._sessions.has(session.key)) return;   // closed meanwhile
+
+    await this._sendSignal(session.peer, {
+      type: answer.type,
+      sdp:  pc.localDescription.sdp,
+      candidates,
+      sid:  session.id,
+    }, session.chainId);
+    if (trickle) trickle.start();
+    this._syncRemoteTracks(session);
+    // an offer of ours that waited, or tracks this answer couldn't carry
+    if (session._negotiateAgain || unsentMedia(pc)) this._renegotiate(session);
   }
 
-  /** low‑level send of a single ICE candidate object */
-  async _sendCandidate(to, candidateObj) {
-    const json = JSON.stringify(candidateObj);
-    const encrypted = await EthCrypto.encryptWithPublicKey(this._getPeerPubKey(to), json);
-    const str = EthCrypto.cipher.stringify(encrypted);
-    const data = ethers.toUtf8Bytes(str);
-    const tx = await this.contractWithSigner.sendSignal(to, data);
-    await tx.wait();
+  /** a forward‑secret session's peer must keep the DTLS certificate it started with */
+  _checkFingerprints(session, sdp) {
+    if (!session._fs) return;
+    const theirs = session.role === "offerer" ? session._fs.fingerprints.answer : session._fs.fingerprints.offer;
+    if (!sameFingerprints(sdp, theirs)) {
+      throw new InvalidSignalError("SignalServerSdk: renegotiation changed the DTLS fingerprint", { sender: session.peer });
+    }
+  }
+
+  /** tell the stream about remote tracks the last negotiation stopped */
+  _syncRemoteTracks(session) {
+    for (const t of session.peerConnection.getTransceivers()) {
+      if (!/recv/.test(t.currentDirection ?? "")) session.stream?._removeRemoteTrack(t.receiver.track);
+    }
   }
 
-  /** lookup the X25519 public key for a given address */
+  /** resolves true once the session's connection is up, false on timeout or close */
+  _waitConnected(session, ms) {
+    return new Promise(res => {
+      const done = (ok) => {
+        clearTimeout(timer);
+        session._waiters.delete(done);
+        res(ok);
+      };
+      const timer = setTimeout(() => done(false), ms);
+      session._waiters.add(done);
+    });
+  }
+
+  /**
+   * queue remote candidates on their session, or until it exists (an
+   * offer's trickled candidates can beat our accept()).  Returns the
+   * session if there is one.
+   */
+  _queueCandidates(sender, sid, candidates) {
+    const session = this._findSession(sender, sid);
+    if (session) {
+      session._candidates.push(...candidates);
+      return session;
+    }
+    const key = sessionKey(sender, sid ?? null);
+    const q   = this._pendingCandidates.get(key) || [];
+    q.push(...candidates);
+    this._pendingCandidates.set(key, q);
+    // keep strays bounded: drop the oldest peer's queue
+    if (this._pendingCandidates.size > 256) {
+      this._pendingCandidates.delete(this._pendingCandidates.keys().next().value);
+    }
+    return null;
+  }
+
+  /**
+   * apply a session's queued remote candidates once its peer connection
+   * has the remote description
+   */
+  async _drainCandidates(session) {
+    const pc = session.peerConnection;
+    if (!pc.remoteDescription || session._candidates.length === 0) return;
+    for (const c of session._candidates.splice(0)) {
+      await pc.addIceCandidate(c).catch(err =>
+        this.logger.warn("[SignalServerSdk] bad remote candidate", err)
+      );
+    }
+  }
+
+  /** low‑level send of an ICE candidate signal ({ type: "candidate", candidates }) */
+  async _sendCandidate(to, candidateObj, chainId = null) {
+    const data = await this._encode(to, candidateObj);
+    await this._transmit(to, data, candidateObj, chainId);
+  }
+
+  /** one ContractTransport per entry of `chains`, behind a MultiChainTransport */
+  _multiChainTransport(chains, { deployments, txOptions, relayer }) {
+    const transports = new Map();
+    for (const chain of chains) {
+      if (chain.chainId == null) {
+        throw new SignalServerSdkError("SignalServerSdk: every entry of chains needs a chainId (or use SignalServerSdk.create())");
+      }
+      const chainId    = Number(chain.chainId);
+      const deployment = deployments.get(chainId);
+      if (chain.catchUpFromBlock != null) this._startBlocks.set(chainId, chain.catchUpFromBlock);
+      if (chain.transport) {
+        transports.set(chainId, chain.transport);
+        continue;
+      }
+      const address = chain.contractAddress || deployment?.address;
+      if (!address) throw noDeployment(chainId);
+      if (chain.catchUpFromBlock == null && deployment && ethers.getAddress(address) === deployment.address) {
+        this._startBlocks.set(chainId, deployment.startBlock);
+      }
+      const provider = chain.provider || createProvider(chain.rpcUrl);
+      transports.set(chainId, new ContractTransport({
+        contract: new ethers.Contract(address, chain.contractAbi || DEFAULT_ABI, provider),
+        signer:   connectSigner(this.wallet, provider),
+        provider,
+        txOptions,
+        relayer:  chain.relayer ?? relayer,
+      }));
+    }
+    return new MultiChainTransport(transports);
+  }
+
+  /** a new RTCPeerConnection from the injected or the browser's WebRTC */
+  _peerConnection() {
+    const RTCPeerConnection = this.wrtc?.RTCPeerConnection;
+    if (!RTCPeerConnection) {
+      throw new SignalServerSdkError("SignalServerSdk: no WebRTC here; pass wrtc, e.g. @roamhq/wrtc in Node");
+    }
+    return new RTCPeerConnection({ iceServers: this.iceServers });
+  }
+
+  /** the provider for reads about `chainId`: that chain's, or ours with one chain */
+  _providerFor(chainId) {
+    if (chainId != null && this.transport.chain) return this.transport.chain(chainId).provider ?? null;
+    return this.provider;
+  }
+
+  /** the chain an offer to `peer` goes out on; null with a single transport */
+  async _pickChain(peer, chainId) {
+    const transport = this.transport;
+    if (!transport.chainIds) return null;
+    if (chainId != null) {
+      transport.chain(chainId);   // throws for a chain we don't signal on
+      return Number(chainId);
+    }
+    return this.chainPolicy.pick(peer, transport.chainIds.map(id => ({
+      chainId:  id,
+      provider: transport.chain(id).provider ?? null,
+    })));
+  }
+
+  /** synchronous lookup of an already known public key (static map or cache) */
   _getPeerPubKey(addr) {
-    const pk = this.peerPublicKeys[addr];
+    const pk = this.keyResolver.peek(addr);
     if (!pk) {
-      throw new Error(`SignalServerSdk: no public key for peer ${addr}`);
+      throw new UnknownPeerError(ethers.getAddress(addr));
     }
     return pk;
   }
 
+  /** resolve a peer's public key through every configured source */
+  _resolvePeerPubKey(addr) {
+    return this.keyResolver.resolve(addr);
+  }
+
+  /** our signed key announcement, created once per identity */
+  async _keyAnnouncement() {
+    if (!this._announcement || this._announcement.publicKey !== this.identity.publicKey) {
+      this._announcement = await createKeyAnnouncement(this.signer, this.identity.publicKey);
+    }
+    return this._announcement;
+  }
+
+  /**
+   * seal, encrypt and pack a body for `to` in the wire format that peer
+   * understands.  Compact payloads sign the SDP in the normalized form the
+   * receiver will rebuild from its minified fields.
+   */
+  async _encode(to, body, { publicKey } = {}) {
+    const format = this._peerWire.get(ethers.getAddress(to)) === WIRE_LEGACY
+      ? WIRE_LEGACY
+      : this.wireFormat;
+    if (format === WIRE_COMPACT && typeof body.sdp === "string") {
+      body = { ...body, sdp: normalizeSdp(body.sdp) };
+    }
+    // a forward‑secret session's signals go to the peer's session key
+    const session = body.sid ? this._sessions.get(sessionKey(to, body.sid)) : undefined;
+    publicKey ??= session?._fs?.theirs ?? await this._resolvePeerPubKey(to);
+    const msg = await this._seal(to, body);
+    return encodeSignal(publicKey, msg, format);
+  }
+
+  /**
+   * decrypt a signal payload with our identity key, then the keys we
+   * rotated away from, then the wallet key for peers that recovered it
+   * from one of our txs, then our live sessions' keys.  Resolves with
+   * { msg, via }, `via` being the session whose key opened it, if any.
+   */
+  async _decode(data) {
+    const keys = [this.identity, ...this.previousIdentities].map(id => ({ key: id.privateKey, via: null }));
+    const walletKey = this.wallet.privateKey;
+    if (walletKey && !keys.some(k => k.key === walletKey)) keys.push({ key: walletKey, via: null });
+    for (const session of this._sessions.values()) {
+      if (session._fs?.ours) keys.push({ key: session._fs.ours.privateKey, via: session });
+    }
+    for (let i = 0; ; i++) {
+      try {
+        return { msg: await decodeSignal(keys[i].key, data), via: keys[i].via };
+      } catch (err) {
+        if (!(err instanceof DecryptError) || i === keys.length - 1) throw err;
+      }
+    }
+  }
+
+  /** derived identity `index` in use, every earlier one kept for decryption */
+  _useDerivedIdentity(index) {
+    this.identity           = identityFromSeed(this._identitySeed, index);
+    this.previousIdentities = [];
+    for (let i = index - 1; i >= 0; i--) {
+      this.previousIdentities.push(identityFromSeed(this._identitySeed, i));
+    }
+  }
+
+  /** continue with the derived identity we last announced, if it is one */
+  async _resumeDerivedIdentity() {
+    const published = await this.keyResolver.resolve(this.address).catch(() => null);
+    if (!published || published === this.identity.publicKey) return;
+    for (let i = 0; i < MAX_DERIVED_ROTATIONS; i++) {
+      if (identityFromSeed(this._identitySeed, i).publicKey === published) {
+        this._useDerivedIdentity(i);
+        return;
+      }
+    }
+  }
+
   _notifyStreamOpen(stream) {
-    if (this._streamCb) this._streamCb(stream);
+    this._events.emit("streamOpen", stream);
   }
 }
@@ -0,0 +1,258 @@
+import { Emitter } from "./Emitter.js";
+
+/**
+ * Outbound transaction manager for one signer.
+ *
+ * Submissions are serialized and get locally assigned nonces, so parallel
+ * sends from the same wallet never collide.  Confirmation is tracked per
+ * transaction; one that is still pending after `stuckAfterMs` is
+ * re‑broadcast with the same nonce and fees bumped by `feeBumpPercent`
+ * (up to the caps).  Transient RPC errors are retried with backoff.
+ *
+ * Events (all carry { id, nonce, hash?, ... }):
+ *   queued     – accepted, waiting for its turn
+ *   sent       – broadcast; `hash`, `fees`
+ *   replaced   – re‑broadcast with higher fees; `hash`, `previousHash`, `fees`
+ *   confirmed  – mined; `hash`, `receipt`
+ *   failed     – gave up; `error`
+ *
+ * Listen with on(event, cb), which returns an unsubscribe.
+ *
+ * Usage:
+ *   const receipt = await txManager.send(
+ *     (overrides) => contract.sendSignal(to, data, overrides)
+ *   );
+ */
+export const TX_EVENTS = ["queued", "sent", "replaced", "confirmed", "failed"];
+
+export class TxManager {
+  /**
+   * @param {object} opts
+   * @param {ethers.Signer}   opts.signer
+   * @param {ethers.Provider} [opts.provider]          – defaults to signer.provider
+   * @param {function}        [opts.feeStrategy]       – async (fees, feeData) => fees
+   * @param {bigint}          [opts.maxFeePerGas]      – cap, EIP‑1559
+   * @param {bigint}          [opts.maxPriorityFeePerGas] – cap, EIP‑1559
+   * @param {bigint}          [opts.maxGasPrice]       – cap, legacy chains
+   * @param {number}          [opts.stuckAfterMs]      – re‑broadcast deadline
+   * @param {number}          [opts.feeBumpPercent]    – per replacement (>= 10)
+   * @param {number}          [opts.maxReplacements]
+   * @param {number}          [opts.maxRetries]        – for transient RPC errors
+   * @param {number}          [opts.retryDelayMs]      – first backoff step
+   * @param {number}          [opts.confirmations]
+   * @param {object}          [opts.logger]            – where failing listeners are reported
+   */
+  constructor({
+    signer,
+    provider             = signer.provider,
+    feeStrategy          = null,
+    maxFeePerGas         = null,
+    maxPriorityFeePerGas = null,
+    maxGasPrice          = null,
+    stuckAfterMs         = 30000,
+    feeBumpPercent       = 15,
+    maxReplacements      = 3,
+    maxRetries           = 3,
+    retryDelayMs         = 500,
+    confirmations        = 1,
+    logger               = console,
+  }) {
+    this.signer          = signer;
+    this.provider        = provider;
+    this.feeStrategy     = feeStrategy;
+    this.caps            = { maxFeePerGas, maxPriorityFeePerGas, maxGasPrice };
+    this.stuckAfterMs    = stuckAfterMs;
+    this.feeBumpPercent  = Math.max(10, feeBumpPercent);
+    this.maxReplacements = maxReplacements;
+    this.maxRetries      = maxRetries;
+    this.retryDelayMs    = retryDelayMs;
+    this.confirmations   = confirmations;
+
+    this._nonce  = null;              // next nonce to assign, once known
+    this._queue  = Promise.resolve(); // serializes submissions
+    this._nextId = 1;
+    this._events = new Emitter(TX_EVENTS, { logger, name: "TxManager" });
+  }
+
+  // PUBLIC API --------------------------------------------------------
+
+  /** cb(event) on every `event` (see TX_EVENTS); returns an unsubscribe */
+  on(event, cb) { return this._events.on(event, cb); }
+  once(event, cb) { return this._events.once(event, cb); }
+  off(event, cb) { this._events.off(event, cb); }
+
+  /**
+   * Queue a transaction.  `build(overrides)` must send it (e.g. a
+   * contract method call with `overrides` as its last argument) and
+   * return the TransactionResponse.  Resolves with the receipt.
+   */
+  send(build) {
+    const job = { id: this._nextId++, build, responses: [], replacements: 0 };
+    this._emit("queued", job);
+
+    const submitted = this._queue.then(() => this._submitFirst(job));
+    this._queue = submitted.catch(() => {});
+    return submitted
+      .then(() => this._track(job))
+      .then((receipt) => {
+        this._emit("confirmed", job, { hash: receipt && receipt.hash, receipt });
+        return receipt;
+      })
+      .catch((error) => {
+        this._emit("failed", job, { error });
+        throw error;
+      });
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  async _submitFirst(job) {
+    job.nonce = await this._assignNonce();
+    job.fees  = await this._initialFees();
+    try {
+      const tx = await this._withRetries(job, () => job.build(this._overrides(job)));
+      job.responses.push(tx);
+      this._emit("sent", job, { hash: tx.hash, fees: job.fees });
+    } catch (err) {
+      // the nonce was never used; resync from the chain next time
+      this._nonce = null;
+      throw err;
+    }
+  }
+
+  async _withRetries(job, fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (err) {
+        // a nonce clash before anything was broadcast means someone else
+        // used this wallet; resync and try again
+        const nonceClash = isNonceError(err) && job.responses.length === 0;
+        if ((!nonceClash && !isTransient(err)) || attempt >= this.maxRetries) throw err;
+        if (nonceClash) {
+          this._nonce = null;
+          job.nonce = await this._assignNonce();
+        }
+        await sleep(this.retryDelayMs * 2 ** attempt);
+      }
+    }
+  }
+
+  /** wait for any broadcast version to be mined, replacing it while stuck */
+  async _track(job) {
+    for (;;) {
+      const mined = Promise.any(job.responses.map(r => r.wait(this.confirmations)))
+        .catch(err => { throw err.errors ? err.errors[err.errors.length - 1] : err; });
+      if (!this.stuckAfterMs || job.replacements >= this.maxReplacements) return mined;
+
+      // settle into { r } or { e } so a superseded `mined` never rejects unhandled
+      const timer = deferTimer(this.stuckAfterMs);
+      const result = await Promise.race([mined.then(r => ({ r }), e => ({ e })), timer.promise]);
+      timer.cancel();
+      if (result) {
+        if (result.e) throw result.e;
+        return result.r;
+      }
+      if (!await this._replace(job)) return mined;
+    }
+  }
+
+  /** re‑broadcast with the same nonce and bumped fees; false if capped out */
+  async _replace(job) {
+    const bumped = this._cap(bumpFees(job.fees, this.feeBumpPercent));
+    if (!bumped || sameFees(bumped, job.fees)) return false;
+    const previousHash = job.responses[job.responses.length - 1].hash;
+    job.fees = bumped;
+    job.replacements++;
+    try {
+      const tx = await this._withRetries(job, () => job.build(this._overrides(job)));
+      job.responses.push(tx);
+      this._emit("replaced", job, { hash: tx.hash, previousHash, fees: bumped });
+      return true;
+    } catch (err) {
+      // e.g. the original got mined meanwhile ("nonce too low"); keep waiting
+      return false;
+    }
+  }
+
+  async _assignNonce() {
+    if (!this.provider || !this.provider.getTransactionCount) return undefined;
+    if (this._nonce == null) {
+      const addr  = await this.signer.getAddress();
+      this._nonce = await this.provider.getTransactionCount(addr, "pending");
+    }
+    return this._nonce++;
+  }
+
+  async _initialFees() {
+    if (!this.provider || !this.provider.getFeeData) return {};
+    const feeData = await this.provider.getFeeData();
+    let fees = feeData.maxFeePerGas != null
+      ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+      : feeData.gasPrice != null ? { gasPrice: feeData.gasPrice } : {};
+    if (this.feeStrategy) fees = await this.feeStrategy(fees, feeData);
+    return this._cap(fees) || {};
+  }
+
+  /** clamp fees to the caps; null if nothing can be set */
+  _cap(fees) {
+    if (!fees) return null;
+    const out = { ...fees };
+    const clamp = (k, cap) => {
+      if (out[k] != null && cap != null && out[k] > cap) out[k] = cap;
+    };
+    clamp("maxFeePerGas", this.caps.maxFeePerGas);
+    clamp("maxPriorityFeePerGas", this.caps.maxPriorityFeePerGas);
+    clamp("gasPrice", this.caps.maxGasPrice);
+    if (out.maxPriorityFeePerGas != null && out.maxFeePerGas != null &&
+        out.maxPriorityFeePerGas > out.maxFeePerGas) {
+      out.maxPriorityFeePerGas = out.maxFeePerGas;
+    }
+    return out;
+  }
+
+  _overrides(job) {
+    const o = { ...job.fees };
+    if (job.nonce !== undefined) o.nonce = job.nonce;
+    return o;
+  }
+
+  _emit(state, job, extra = {}) {
+    this._events.emit(state, { id: job.id, nonce: job.nonce, ...extra });
+  }
+}
+
+// ─── HELPERS ─────────────────────────────────────────────────────────
+
+const TRANSIENT_CODES = new Set(["NETWORK_ERROR", "TIMEOUT", "SERVER_ERROR", "ECONNRESET", "ECONNREFUSED"]);
+
+function isTransient(err) {
+  return TRANSIENT_CODES.has(err.code) ||
+    /rate limit|too many requests|timeout|temporarily unavailable/i.test(err.message || "");
+}
+
+function isNonceError(err) {
+  return err.code === "NONCE_EXPIRED" || /nonce too low|nonce has already been used/i.test(err.message || "");
+}
+
+function bumpFees(fees, percent) {
+  const bump = (v) => (v == null ? v : (BigInt(v) * BigInt(100 + percent) + 99n) / 100n);
+  const out = {};
+  for (const [k, v] of Object.entries(fees)) out[k] = bump(v);
+  return Object.keys(out).length ? out : null;
+}
+
+function sameFees(a, b) {
+  return Object.keys(a).every(k => a[k] === b[k]);
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/** a timer promise resolving to null that can be cancelled */
+function deferTimer(ms) {
+  let t;
+  const promise = new Promise(r => { t = setTimeout(() => r(null), ms); });
+  return { promise, cancel: () => clearTimeout(t) };
+}
@@ -0,0 +1,167 @@
+import { ethers } from "ethers";
+import { deflateSync, inflateSync, strToU8, strFromU8 } from "fflate";
+import { SignalServerSdkError, DecryptError, MalformedPayloadError } from "./Errors.js";
+import { encrypt, decrypt, serializeCipher, parseCipher } from "./Ecies.js";
+
+/**
+ * On‑chain payload formats.
+ *
+ *   legacy   utf8( hex( EthCrypto.cipher.stringify( ECIES( JSON ) ) ) )
+ *            – the original format: every byte of ciphertext costs two
+ *              bytes of calldata, and the JSON carries the full SDP.
+ *
+ *   compact  0x01 ‖ iv(16) ‖ ephemPublicKey(33, compressed) ‖ mac(32) ‖ ciphertext
+ *            where the plaintext is deflate( JSON ) and a data‑channel SDP
+ *            is minified to the fields WebRTC needs (`sdpm`).
+ *
+ * Plaintext key announcements start with "{" and legacy payloads with a
+ * hex digit, so the first byte tells the three apart.
+ */
+
+export const WIRE_LEGACY  = "legacy";
+export const WIRE_COMPACT = "compact";
+
+const COMPACT_VERSION = 0x01;
+const OPEN_BRACE      = 0x7b;
+
+/** "compact", "legacy" or "announcement" for a raw payload */
+export function wireFormatOf(data) {
+  const first = ethers.getBytes(data)[0];
+  if (first === COMPACT_VERSION) return WIRE_COMPACT;
+  if (first === OPEN_BRACE) return "announcement";
+  return WIRE_LEGACY;
+}
+
+/** encrypt `msg` to `publicKey` in the given wire format → Uint8Array */
+export async function encodeSignal(publicKey, msg, format = WIRE_COMPACT) {
+  if (format === WIRE_LEGACY) {
+    const cipher = serializeCipher(await encrypt(publicKey, strToU8(JSON.stringify(msg))));
+    return ethers.toUtf8Bytes(ethers.hexlify(cipher).slice(2));
+  }
+  if (format !== WIRE_COMPACT) {
+    throw new SignalServerSdkError(`SignalServerSdk: unknown wire format ${format}`);
+  }
+  const plain  = deflateSync(strToU8(JSON.stringify(packMessage(msg))), { level: 9 });
+  const cipher = serializeCipher(await encrypt(publicKey, plain));
+  return ethers.getBytes(ethers.concat([Uint8Array.of(COMPACT_VERSION), cipher]));
+}
+
+/**
+ * decrypt a legacy or compact payload with `privateKey` → message object.
+ * Throws a DecryptError if the key doesn't open it and a
+ * MalformedPayloadError if what it opens to isn't a message.
+ */
+export async function decodeSignal(privateKey, data) {
+  const bytes = ethers.getBytes(data);
+  if (bytes[0] !== COMPACT_VERSION) {
+    const text = await attempt(DecryptError, "could not decrypt signal", async () =>
+      strFromU8(await decrypt(privateKey, parseCipher("0x" + ethers.toUtf8String(bytes))))
+    );
+    return attempt(MalformedPayloadError, "signal is not valid JSON", () => JSON.parse(text));
+  }
+
+  const plain = await attempt(DecryptError, "could not decrypt signal", () =>
+    decrypt(privateKey, parseCipher(bytes.subarray(1)))
+  );
+  return attempt(MalformedPayloadError, "signal does not inflate to a message", () =>
+    unpackMessage(JSON.parse(strFromU8(inflateSync(plain))))
+  );
+}
+
+/** run fn, rethrowing any failure as an `ErrorClass` with `message` */
+async function attempt(ErrorClass, message, fn) {
+  try {
+    return await fn();
+  } catch (cause) {
+    throw new ErrorClass(`SignalServerSdk: ${message}`, { cause });
+  }
+}
+
+// ─── SDP MINIFICATION ────────────────────────────────────────────────
+// Only single data‑channel sections in libwebrtc's layout are minified;
+// anything else (media, other browsers' quirks) is sent verbatim and is
+// merely deflated.
+
+const FIXED_LINES = new Set([
+  "v=0", "s=-", "t=0 0", "a=extmap-allow-mixed", "a=msid-semantic: WMS",
+]);
+
+/** the fields a data‑channel SDP needs, or null if it can't be minified */
+export function minifySdp(sdp) {
+  const min = { c: [] };
+  let sections = 0;
+  for (const line of sdp.split(/\r?\n/)) {
+    if (!line || FIXED_LINES.has(line)) continue;
+    let m;
+    if ((m = /^o=- (\d+) (\d+) IN IP4 127\.0\.0\.1$/.exec(line))) min.o = `${m[1]} ${m[2]}`;
+    else if ((m = /^m=application \d+ UDP\/DTLS\/SCTP webrtc-datachannel$/.exec(line))) sections++;
+    else if (/^c=IN IP[46] \S+$/.test(line)) continue;
+    else if ((m = /^a=group:BUNDLE (\S+)$/.exec(line))) min.b = m[1];
+    else if ((m = /^a=candidate:(.+)$/.exec(line))) min.c.push(m[1]);
+    else if (line === "a=end-of-candidates") min.e = 1;
+    else if ((m = /^a=ice-ufrag:(\S+)$/.exec(line))) min.u = m[1];
+    else if ((m = /^a=ice-pwd:(\S+)$/.exec(line))) min.p = m[1];
+    else if ((m = /^a=ice-options:(\S+)$/.exec(line))) min.io = m[1];
+    else if ((m = /^a=fingerprint:(\S+) ((?:[0-9A-F]{2}:)*[0-9A-F]{2})$/.exec(line))) {
+      min.f = [m[1], ethers.encodeBase64("0x" + m[2].replace(/:/g, ""))];
+    }
+    else if ((m = /^a=setup:(\w+)$/.exec(line))) min.s = m[1];
+    else if ((m = /^a=mid:(\S+)$/.exec(line))) min.m = m[1];
+    else if ((m = /^a=sctp-port:(\d+)$/.exec(line))) min.sp = Number(m[1]);
+    else if ((m = /^a=max-message-size:(\d+)$/.exec(line))) min.mm = Number(m[1]);
+    else return null;
+  }
+  const complete = sections === 1 && min.o && min.u && min.p && min.f && min.s && min.m;
+  return complete && min.b === min.m ? min : null;
+}
+
+/** rebuild an SDP from minifySdp() output */
+export function expandSdp(min) {
+  const fp = ethers.hexlify(ethers.decodeBase64(min.f[1])).slice(2).toUpperCase();
+  const lines = [
+    "v=0",
+    `o=- ${min.o} IN IP4 127.0.0.1`,
+    "s=-",
+    "t=0 0",
+    `a=group:BUNDLE ${min.m}`,
+    "a=extmap-allow-mixed",
+    "a=msid-semantic: WMS",
+    "m=application 9 UDP/DTLS/SCTP webrtc-datachannel",
+    "c=IN IP4 0.0.0.0",
+    ...min.c.map(c => `a=candidate:${c}`),
+    ...(min.e ? ["a=end-of-candidates"] : []),
+    `a=ice-ufrag:${min.u}`,
+    `a=ice-pwd:${min.p}`,
+    ...(min.io ? [`a=ice-options:${min.io}`] : []),
+    `a=fingerprint:${min.f[0]} ${fp.match(/../g).join(":")}`,
+    `a=setup:${min.s}`,
+    `a=mid:${min.m}`,
+    ...(min.sp ? [`a=sctp-port:${min.sp}`] : []),
+    ...(min.mm ? [`a=max-message-size:${min.mm}`] : []),
+  ];
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * The SDP exactly as the receiver will rebuild it.  Senders sign this
+ * form, so the envelope signature still verifies after the round trip.
+ */
+export function normalizeSdp(sdp) {
+  const min = minifySdp(sdp);
+  return min ? expandSdp(min) : sdp;
+}
+
+function packMessage(msg) {
+  if (typeof msg.sdp !== "string") return msg;
+  const min = minifySdp(msg.sdp);
+  // only swap in the minified form if it rebuilds the very same text
+  if (!min || expandSdp(min) !== msg.sdp) return msg;
+  const { sdp, ...rest } = msg;
+  return { ...rest, sdpm: min };
+}
+
+function unpackMessage(msg) {
+  if (!msg.sdpm) return msg;
+  const { sdpm, ...rest } = msg;
+  return { ...rest, sdp: expandSdp(sdpm) };
+}
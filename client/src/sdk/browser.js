@@ -0,0 +1,34 @@
+/**
+ * Browser entry point: everything that runs without Node.  Bundle it with
+ *
+ *   npm run build:browser      → dist/ethsignal.browser.js (ESM)
+ *
+ * The SDK uses the page's RTCPeerConnection, WebCrypto and WebSocket, and
+ * takes window.ethereum as its wallet through SignalServerSdk.create().
+ * Config files, .env, FileCheckpointStore and keystore files are Node only
+ * and left out.
+ */
+
+export { SignalServerSdk, SDK_EVENTS } from "./SignalServerSDK.js";
+export { DataStream, STREAM_EVENTS } from "./DataStream.js";
+export { OutgoingTransfer, IncomingTransfer } from "./FileTransfer.js";
+export { RpcError, RPC_ERRORS } from "./Rpc.js";
+export { Session } from "./Session.js";
+export { Room, RoomInvite, ROOM_EVENTS } from "./Room.js";
+export { RequestPolicy } from "./RequestPolicy.js";
+export { ChainPolicy, CHAIN_STRATEGIES } from "./ChainPolicy.js";
+export { KeyResolver, createKeyAnnouncement, verifyKeyAnnouncement } from "./KeyResolver.js";
+export { TxManager, TX_EVENTS } from "./TxManager.js";
+export { MemoryCheckpointStore, WebStorageCheckpointStore } from "./CheckpointStore.js";
+export { DEFAULT_ABI, DEFAULT_RPC_URL, createProvider } from "./Config.js";
+export { DeploymentRegistry, defaultDeployments, validateDeployment } from "./Deployments.js";
+export { createIdentity } from "./Ecies.js";
+export {
+  deriveIdentity, deriveIdentitySeed, identityFromSeed, encryptKeystore, decryptKeystore, isKeystore,
+} from "./Identity.js";
+export { SIGNAL_TYPES, signalDomain, signRelayedSignal, relayedSignalSigner, RelayerClient } from "./MetaTx.js";
+export { FS_PROTOCOL, sdpFingerprints, sessionTranscript } from "./ForwardSecrecy.js";
+export { FIRST_CONTACT_TAG, tagEpoch, sharedSecret, pairTag, sealFirstContact, openFirstContact } from "./PrivateTags.js";
+export { WIRE_COMPACT, WIRE_LEGACY } from "./WireCodec.js";
+export * from "./Errors.js";
+export * from "./transports/index.js";
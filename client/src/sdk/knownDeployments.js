@@ -0,0 +1,3 @@
+// Generated by scripts/sync-deployments.js from ethsignal/broadcast; do not edit.
+// chainId → { address, startBlock, txHash }
+export default {};
@@ -0,0 +1,227 @@
+import { ethers } from "ethers";
+import { TxManager } from "../TxManager.js";
+import { SignalServerSdkError } from "../Errors.js";
+import { RelayerClient, signRelayedSignal } from "../MetaTx.js";
+
+/**
+ * Signals through the on‑chain SignalServer contract: send() is a
+ * sendSignal transaction (via a TxManager), subscribe() listens for
+ * SignalSent events and history() queries past logs.  sendTagged(),
+ * subscribeTags() and historyTags() do the same for TaggedSignal, whose
+ * recipient is a tag (see PrivateTags.js).
+ *
+ * With a `relayer`, a wallet that has no ETH signs its signals as
+ * EIP‑712 meta‑transactions instead and the relayer pays for them (see
+ * MetaTx.js); the events still name the wallet as sender.  The balance
+ * isn't looked up before every send: the answer is kept for
+ * `balanceTtlMs`, a direct send that fails for lack of funds marks the
+ * wallet unfunded, and a relay that fails has the next send look again,
+ * so a wallet that gets ETH later goes back to paying for itself.
+ */
+export class ContractTransport {
+  /**
+   * @param {object} opts
+   * @param {ethers.Contract} opts.contract          – SignalServer, read side
+   * @param {ethers.Signer}   [opts.signer]          – needed to send
+   * @param {ethers.Provider} [opts.provider]        – defaults to the contract's
+   * @param {TxManager}       [opts.txManager]       – built from signer if omitted
+   * @param {object}          [opts.txOptions]       – options for that TxManager
+   * @param {RelayerClient|string} [opts.relayer]   – relays sends while the wallet has no balance
+   * @param {number}          [opts.relayDeadlineMs] – how long a relayed signature stays valid
+   * @param {number}          [opts.balanceTtlMs]    – how long a balance lookup is trusted
+   * @param {function}        [opts.now]             – the clock, in ms; defaults to Date.now
+   */
+  constructor({
+    contract,
+    signer,
+    provider,
+    txManager,
+    txOptions       = {},
+    relayer         = null,
+    relayDeadlineMs = 10 * 60 * 1000,
+    balanceTtlMs    = 5 * 60 * 1000,
+    now             = Date.now,
+  }) {
+    this.contract           = contract;
+    this.contractWithSigner = signer ? contract.connect(signer) : null;
+    this.provider           = provider || contract.runner?.provider || contract.runner || null;
+    this.txManager          = txManager || (signer
+      ? new TxManager({ signer, provider: this.provider, ...txOptions })
+      : null);
+    this.relayer            = typeof relayer === "string" ? new RelayerClient(relayer) : relayer;
+    this.relayDeadlineMs    = relayDeadlineMs;
+    this.balanceTtlMs       = balanceTtlMs;
+    this.now                = now;
+
+    this._signer     = signer ?? null;
+    this._chainId    = null;
+    this._funding    = null;   // { unfunded: Promise<boolean>, at }
+    this._blockTimes = new Map();
+  }
+
+  get id() {
+    return this.contract.target ?? "SignalServer";
+  }
+
+  /**
+   * one sendSignal tx through the TxManager; resolves with the receipt.
+   * Relayed instead when the wallet can't pay and there is a relayer;
+   * then resolves with { hash, blockNumber, relayed: true }.
+   */
+  async send(to, data) {
+    if (!this.contractWithSigner) {
+      throw new SignalServerSdkError("SignalServerSdk: contract transport has no signer");
+    }
+    if (this.relayer && await this._unfunded()) return this._relay(to, data);
+    try {
+      return await this.txManager.send(
+        (overrides) => this.contractWithSigner.sendSignal(to, data, overrides)
+      );
+    } catch (err) {
+      // some ETH, but not enough for the gas
+      if (!this.relayer || !ethers.isError(err, "INSUFFICIENT_FUNDS")) throw err;
+      this._markUnfunded();
+      return this._relay(to, data);
+    }
+  }
+
+  /**
+   * one sendTaggedSignal tx through the TxManager; resolves with the
+   * receipt.  Relayers only take plain signals, so a wallet that can't
+   * pay gets a SignalServerSdkError saying so.
+   */
+  async sendTagged(tag, data) {
+    if (!this.contractWithSigner) {
+      throw new SignalServerSdkError("SignalServerSdk: contract transport has no signer");
+    }
+    if (this.relayer && await this._unfunded()) throw unrelayableTag();
+    try {
+      return await this.txManager.send(
+        (overrides) => this.contractWithSigner.sendTaggedSignal(tag, data, overrides)
+      );
+    } catch (err) {
+      if (!this.relayer || !ethers.isError(err, "INSUFFICIENT_FUNDS")) throw err;
+      this._markUnfunded();
+      throw unrelayableTag(err);
+    }
+  }
+
+  subscribe(recipient, handler) {
+    const filter   = this.contract.filters.SignalSent(null, recipient);
+    const listener = (...args) => {
+      const event = args[args.length - 1];
+      handler(toSignal(event.args, event.log));
+    };
+    this.contract.on(filter, listener);
+    return () => this.contract.off(filter, listener);
+  }
+
+  /** handler(signal) for each TaggedSignal carrying one of `tags`; returns an unsubscribe */
+  subscribeTags(tags, handler) {
+    const filter   = this.contract.filters.TaggedSignal(null, [...tags]);
+    const listener = (...args) => {
+      const event = args[args.length - 1];
+      handler(toTaggedSignal(event.args, event.log));
+    };
+    this.contract.on(filter, listener);
+    return () => this.contract.off(filter, listener);
+  }
+
+  async historyTags({ tags, fromBlock = 0, toBlock } = {}) {
+    const filter = this.contract.filters.TaggedSignal(null, [...tags]);
+    const logs   = await this.contract.queryFilter(filter, fromBlock, toBlock);
+    return logs.map(log => toTaggedSignal(log.args, log));
+  }
+
+  async history({ sender = null, recipient = null, fromBlock = 0, toBlock } = {}) {
+    const filter = this.contract.filters.SignalSent(sender, recipient);
+    const logs   = await this.contract.queryFilter(filter, fromBlock, toBlock);
+    return logs.map(log => toSignal(log.args, log));
+  }
+
+  head() {
+    return this.provider.getBlockNumber();
+  }
+
+  async blockTime(blockNumber) {
+    if (!this._blockTimes.has(blockNumber)) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (this._blockTimes.size > 256) this._blockTimes.clear();
+      this._blockTimes.set(blockNumber, block.timestamp * 1000);
+    }
+    return this._blockTimes.get(blockNumber);
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  /** whether the wallet has no ETH, as looked up at most balanceTtlMs ago */
+  _unfunded() {
+    if (this._funding && this.now() - this._funding.at < this.balanceTtlMs) return this._funding.unfunded;
+    const unfunded = this._signer.getAddress()
+      .then(address => this.provider.getBalance(address))
+      .then(balance => balance === 0n);
+    const funding = { unfunded, at: this.now() };
+    this._funding = funding;
+    // a failed lookup is retried on the next send
+    unfunded.catch(() => { if (this._funding === funding) this._funding = null; });
+    return unfunded;
+  }
+
+  _markUnfunded() {
+    this._funding = { unfunded: Promise.resolve(true), at: this.now() };
+  }
+
+  async _relay(to, data) {
+    this._chainId ??= Number((await this.provider.getNetwork()).chainId);
+    const request = await signRelayedSignal(this._signer, {
+      chainId:   this._chainId,
+      contract:  await this.contract.getAddress(),
+      recipient: to,
+      data,
+      deadline:  Math.floor((Date.now() + this.relayDeadlineMs) / 1000),
+    });
+    let result;
+    try {
+      result = await this.relayer.relay(request);
+    } catch (err) {
+      // maybe the wallet can pay by now; the next send looks
+      this._funding = null;
+      throw err;
+    }
+    return { hash: result.txHash, blockNumber: result.blockNumber, relayed: true };
+  }
+}
+
+/** relayers take sendSignalFor only; there is no relayed sendTaggedSignal */
+function unrelayableTag(cause) {
+  return new SignalServerSdkError(
+    "SignalServerSdk: tagged signals can't be relayed; privateRecipients needs a wallet with ETH",
+    { cause },
+  );
+}
+
+/** a SignalSent log as a transport signal record */
+function toSignal(args, log) {
+  const txHash = log ? log.transactionHash : undefined;
+  return {
+    id:          log ? `${txHash}:${log.index ?? log.logIndex}` : undefined,
+    sender:      ethers.getAddress(args.sender),
+    recipient:   ethers.getAddress(args.recipient),
+    data:        ethers.hexlify(args.encryptedData),
+    blockNumber: log ? log.blockNumber : undefined,
+    txHash,
+  };
+}
+
+/** a TaggedSignal log as a transport signal record, `tag` in place of a recipient */
+function toTaggedSignal(args, log) {
+  const txHash = log ? log.transactionHash : undefined;
+  return {
+    id:          log ? `${txHash}:${log.index ?? log.logIndex}` : undefined,
+    sender:      ethers.getAddress(args.sender),
+    tag:         ethers.hexlify(args.tag),
+    data:        ethers.hexlify(args.encryptedData),
+    blockNumber: log ? log.blockNumber : undefined,
+    txHash,
+  };
+}
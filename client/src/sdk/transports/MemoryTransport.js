@@ -0,0 +1,113 @@
+import { ethers } from "ethers";
+
+/**
+ * An in‑process signalling bus for tests and demos.  Every peer gets its
+ * own MemoryTransport from `bus.transport(address)`; signals are kept in
+ * `bus.signals` (numbered from 1) so history() and catchUp() work too.
+ * Tagged signals (private recipients) carry a `tag` instead of a
+ * `recipient`, like the contract's TaggedSignal events.
+ *
+ *   const bus   = new MemoryBus();
+ *   const alice = new SignalServerSdk({ wallet, transport: bus.transport(wallet.address) });
+ */
+export class MemoryBus {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.latencyMs] – delivery delay; 0 still delivers asynchronously
+   */
+  constructor({ latencyMs = 0 } = {}) {
+    this.latencyMs = latencyMs;
+    this.signals   = [];
+    this._subs     = new Map();   // recipient or tag → Set<handler>
+  }
+
+  /** a transport that sends as `address` */
+  transport(address) {
+    return new MemoryTransport(this, address);
+  }
+
+  get head() {
+    return this.signals.length;
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  _publish(sender, recipient, data, tag = null) {
+    const signal = {
+      id:          `memory:${this.signals.length + 1}`,
+      sender:      ethers.getAddress(sender),
+      ...(tag ? { tag: ethers.hexlify(tag) } : { recipient: ethers.getAddress(recipient) }),
+      data:        ethers.hexlify(data),
+      blockNumber: this.signals.length + 1,
+      timestamp:   Date.now(),
+    };
+    this.signals.push(signal);
+
+    // handlers registered by the time of delivery see the signal
+    setTimeout(() => {
+      for (const handler of this._subs.get(signal.tag ?? signal.recipient) || []) {
+        handler({ ...signal });
+      }
+    }, this.latencyMs);
+    return signal;
+  }
+
+  _subscribe(keys, handler) {
+    const all = [].concat(keys).map(k => k.length === 66 ? k.toLowerCase() : ethers.getAddress(k));
+    for (const key of all) {
+      const subs = this._subs.get(key) || new Set();
+      subs.add(handler);
+      this._subs.set(key, subs);
+    }
+    return () => all.forEach(key => this._subs.get(key).delete(handler));
+  }
+}
+
+export class MemoryTransport {
+  constructor(bus, address) {
+    this.bus     = bus;
+    this.address = ethers.getAddress(address);
+  }
+
+  get id() {
+    return "memory";
+  }
+
+  async send(to, data) {
+    const { id, blockNumber } = this.bus._publish(this.address, to, data);
+    return { id, blockNumber };
+  }
+
+  async sendTagged(tag, data) {
+    const { id, blockNumber } = this.bus._publish(this.address, null, data, tag);
+    return { id, blockNumber };
+  }
+
+  subscribe(recipient, handler) {
+    return this.bus._subscribe(recipient, handler);
+  }
+
+  subscribeTags(tags, handler) {
+    return this.bus._subscribe([...tags], handler);
+  }
+
+  async history({ sender, recipient, fromBlock = 0, toBlock = Infinity } = {}) {
+    return this.bus.signals
+      .filter(s =>
+        !s.tag && s.blockNumber >= fromBlock && s.blockNumber <= toBlock &&
+        (!sender || s.sender === ethers.getAddress(sender)) &&
+        (!recipient || s.recipient === ethers.getAddress(recipient)))
+      .map(s => ({ ...s }));
+  }
+
+  async historyTags({ tags, fromBlock = 0, toBlock = Infinity } = {}) {
+    const wanted = new Set([...tags].map(t => t.toLowerCase()));
+    return this.bus.signals
+      .filter(s => wanted.has(s.tag) && s.blockNumber >= fromBlock && s.blockNumber <= toBlock)
+      .map(s => ({ ...s }));
+  }
+
+  async head() {
+    return this.bus.head;
+  }
+}
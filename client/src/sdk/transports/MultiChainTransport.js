@@ -0,0 +1,107 @@
+import { SignalServerSdkError } from "../Errors.js";
+
+/**
+ * Signals over several chains at once, each through its own transport
+ * (normally a ContractTransport per chain).  subscribe() merges what
+ * arrives on every chain into one stream and tags each signal record
+ * with the `chainId` it came from; its id is prefixed with the chain so
+ * ids stay unique.  Everything else takes a `chainId` option and goes to
+ * that chain's transport — the first one if it is omitted.
+ *
+ *   const transport = new MultiChainTransport({ 10: optimism, 8453: base });
+ *   transport.send(to, data, { chainId: 8453 });
+ */
+export class MultiChainTransport {
+  /** @param {object|Map} chains – chainId → transport */
+  constructor(chains) {
+    this._chains = new Map();
+    const entries = chains instanceof Map ? chains.entries() : Object.entries(chains);
+    for (const [chainId, transport] of entries) this._chains.set(Number(chainId), transport);
+    if (!this._chains.size) {
+      throw new SignalServerSdkError("SignalServerSdk: MultiChainTransport needs at least one chain");
+    }
+  }
+
+  get id() {
+    return `multi:${this.chainIds.join(",")}`;
+  }
+
+  /** the configured chains, in the order given */
+  get chainIds() {
+    return [...this._chains.keys()];
+  }
+
+  /** the transport for `chainId` (default: the first chain) */
+  chain(chainId = this.chainIds[0]) {
+    const transport = this._chains.get(Number(chainId));
+    if (!transport) throw new SignalServerSdkError(`SignalServerSdk: not signalling on chain ${chainId}`);
+    return transport;
+  }
+
+  // PUBLIC API --------------------------------------------------------
+
+  send(to, data, { chainId } = {}) {
+    return this.chain(chainId ?? undefined).send(to, data);
+  }
+
+  sendTagged(tag, data, { chainId } = {}) {
+    return this.chain(chainId ?? undefined).sendTagged(tag, data);
+  }
+
+  subscribe(recipient, handler, opts) {
+    const unsubscribes = [...this._chains].map(([chainId, transport]) =>
+      transport.subscribe(recipient, signal => handler(tagged(signal, chainId)), opts)
+    );
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+
+  /** only chains whose transports know about tags */
+  subscribeTags(tags, handler) {
+    const unsubscribes = [...this._chains]
+      .filter(([, transport]) => transport.subscribeTags)
+      .map(([chainId, transport]) =>
+        transport.subscribeTags(tags, signal => handler(tagged(signal, chainId)))
+      );
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+
+  async historyTags({ chainId, ...query } = {}) {
+    const chainIds = chainId != null ? [Number(chainId)] : this.chainIds;
+    const results  = await Promise.all(chainIds.map(async (id) => {
+      const transport = this.chain(id);
+      if (!transport.historyTags) return [];
+      return (await transport.historyTags(query)).map(signal => tagged(signal, id));
+    }));
+    return results.flat();
+  }
+
+  /** one chain's history with `chainId`, otherwise every chain's, chain by chain */
+  async history({ chainId, ...query } = {}) {
+    const chainIds = chainId != null ? [Number(chainId)] : this.chainIds;
+    const results  = await Promise.all(chainIds.map(async (id) => {
+      const transport = this.chain(id);
+      if (!transport.history) return [];
+      return (await transport.history(query)).map(signal => tagged(signal, id));
+    }));
+    return results.flat();
+  }
+
+  head({ chainId } = {}) {
+    return this.chain(chainId ?? undefined).head();
+  }
+
+  blockTime(blockNumber, { chainId } = {}) {
+    const transport = this.chain(chainId ?? undefined);
+    return transport.blockTime ? transport.blockTime(blockNumber) : Promise.resolve(Date.now());
+  }
+
+  close() {
+    for (const transport of this._chains.values()) {
+      if (transport.close) transport.close();
+    }
+  }
+}
+
+function tagged(signal, chainId) {
+  return { ...signal, id: signal.id != null ? `${chainId}:${signal.id}` : signal.id, chainId };
+}
@@ -0,0 +1,224 @@
+import { ethers } from "ethers";
+import { SignalServerSdkError } from "../Errors.js";
+
+/**
+ * Signals through a WebSocket relay (see src/relay/WsRelay.js) instead of
+ * the chain: free and instant, at the cost of trusting the relay to stay
+ * up.  The relay learns who talks to whom but not what they say —
+ * payloads are encrypted and signed exactly as on chain.
+ *
+ * On connect the relay sends a nonce which we sign with the wallet; after
+ * that every signal we send carries our address, and we may only
+ * subscribe to signals addressed to us.  Another address (a pool's) is
+ * ours too once its key signs the same nonce: subscribe() and history()
+ * take that key as `signer`.  Dropped connections are re‑made while there
+ * are subscribers.
+ *
+ * Frames are JSON.  Client → relay: hello, subscribe, unsubscribe, send,
+ * history, head (all but hello carry a `ref`; subscribe and history a
+ * `proof` for an address other than ours).  Relay → client: challenge,
+ * welcome, signal, result, error.
+ */
+export class WebSocketTransport {
+  /**
+   * @param {object} opts
+   * @param {string}        opts.url                – e.g. "ws://localhost:8787"
+   * @param {ethers.Signer} opts.signer             – proves our address to the relay
+   * @param {function}      [opts.WebSocket]        – constructor; defaults to the global one, then `ws`
+   * @param {number}        [opts.requestTimeoutMs]
+   * @param {number}        [opts.reconnectMs]
+   * @param {object}        [opts.logger]     – { warn, error }; defaults to console
+   */
+  constructor({ url, signer, WebSocket, requestTimeoutMs = 10000, reconnectMs = 1000, logger = console }) {
+    this.url              = url;
+    this.signer           = signer;
+    this.requestTimeoutMs = requestTimeoutMs;
+    this.reconnectMs      = reconnectMs;
+    this.logger           = logger;
+
+    this._WebSocket = WebSocket || globalThis.WebSocket || null;
+    this._ws        = null;
+    this._ready     = null;      // Promise, settles once logged in and subscribed
+    this._nonce     = null;      // the current connection's login challenge
+    this._authed    = false;
+    this._closed    = false;
+    this._nextRef   = 1;
+    this._pending   = new Map(); // ref → { resolve, reject, timer }
+    this._subs      = new Map(); // recipient → Set<handler>
+    this._signers   = new Map(); // recipient other than ours → its signer
+  }
+
+  get id() {
+    return this.url;
+  }
+
+  // PUBLIC API --------------------------------------------------------
+
+  send(to, data) {
+    return this._request({ op: "send", to: ethers.getAddress(to), data: ethers.hexlify(data) });
+  }
+
+  /**
+   * handler(signal) for each signal to `recipient`; returns an unsubscribe.
+   * For an address other than ours pass its key as `signer`.
+   */
+  subscribe(recipient, handler, { signer } = {}) {
+    const key = ethers.getAddress(recipient);
+    if (signer) this._signers.set(key, signer);
+    let subs  = this._subs.get(key);
+    if (!subs) {
+      subs = new Set();
+      this._subs.set(key, subs);
+      // a fresh login subscribes everything in _subs
+      if (this._ready && this._authed) this._subscribeRemote(key);
+      else this._connect().catch(err => this.logger.warn("[SignalServerSdk] relay connect failed", err.message));
+    }
+    subs.add(handler);
+
+    return () => {
+      subs.delete(handler);
+      if (subs.size || this._subs.get(key) !== subs) return;
+      this._subs.delete(key);
+      this._signers.delete(key);
+      if (this._authed) this._request({ op: "unsubscribe", recipient: key }).catch(() => {});
+    };
+  }
+
+  /** `signer` as for subscribe(), to read another address's inbox */
+  async history({ sender, recipient, fromBlock, toBlock, signer } = {}) {
+    await this._connect();
+    const proof = await this._proof(signer);
+    return this._call({ op: "history", sender, recipient, fromBlock, toBlock, proof });
+  }
+
+  head() {
+    return this._request({ op: "head" });
+  }
+
+  close() {
+    this._closed = true;
+    if (this._ws) this._ws.close();
+  }
+
+  // INTERNALS ---------------------------------------------------------
+
+  _connect() {
+    if (this._ready) return this._ready;
+    this._closed = false;
+    this._ready  = (async () => {
+      const WS = this._WebSocket || (await import("ws")).default;
+      const ws = new WS(this.url);
+      this._ws = ws;
+      await new Promise((resolve, reject) => {
+        this._onWelcome = resolve;
+        ws.onmessage = (ev) => this._onFrame(ws, ev.data);
+        ws.onerror   = () => reject(new SignalServerSdkError(`SignalServerSdk: relay connection to ${this.url} failed`));
+        ws.onclose   = () => {
+          reject(new SignalServerSdkError(`SignalServerSdk: relay connection to ${this.url} closed`));
+          this._onClose(ws);
+        };
+      });
+      // ready once every current subscription is back in place
+      await Promise.all([...this._subs.keys()].map(key => this._subscribeRemote(key)));
+    })();
+    this._ready.catch(() => { this._ready = null; });
+    return this._ready;
+  }
+
+  _onFrame(ws, raw) {
+    let frame;
+    try {
+      frame = JSON.parse(typeof raw === "string" ? raw : new TextDecoder().decode(raw));
+    } catch {
+      return;
+    }
+    switch (frame.op) {
+      case "challenge":
+        this._nonce = frame.nonce;
+        this.signer.signMessage(relayLoginMessage(frame.nonce))
+          .then(async (signature) => {
+            const address = await this.signer.getAddress();
+            ws.send(JSON.stringify({ op: "hello", address, signature }));
+          })
+          .catch(err => {
+            this.logger.warn("[SignalServerSdk] relay login failed", err.message);
+            ws.close();
+          });
+        break;
+      case "welcome":
+        this._authed = true;
+        this._onWelcome();
+        break;
+      case "signal":
+        for (const handler of this._subs.get(frame.signal.recipient) || []) {
+          handler(frame.signal);
+        }
+        break;
+      case "result":
+      case "error": {
+        const pending = this._pending.get(frame.ref);
+        if (!pending) {
+          if (frame.op === "error") this.logger.warn("[SignalServerSdk] relay error:", frame.error);
+          return;
+        }
+        this._pending.delete(frame.ref);
+        clearTimeout(pending.timer);
+        if (frame.op === "result") pending.resolve(frame.result);
+        else pending.reject(new SignalServerSdkError(`SignalServerSdk: relay refused: ${frame.error}`));
+        break;
+      }
+    }
+  }
+
+  _onClose(ws) {
+    if (this._ws !== ws) return;
+    this._ws     = null;
+    this._ready  = null;
+    this._authed = false;
+    for (const [ref, pending] of this._pending) {
+      clearTimeout(pending.timer);
+      pending.reject(new SignalServerSdkError(`SignalServerSdk: relay connection to ${this.url} closed`));
+      this._pending.delete(ref);
+    }
+    if (!this._closed && this._subs.size) {
+      setTimeout(() => {
+        if (this._closed || this._ready) return;
+        this._connect().catch(err => this.logger.warn("[SignalServerSdk] relay reconnect failed", err.message));
+      }, this.reconnectMs);
+    }
+  }
+
+  _subscribeRemote(recipient) {
+    return this._proof(this._signers.get(recipient))
+      .then(proof => this._call({ op: "subscribe", recipient, proof }))
+      .catch(err => this.logger.warn("[SignalServerSdk] relay subscribe failed", err.message));
+  }
+
+  /** `signer`'s signature of this connection's login nonce, if there is a signer */
+  async _proof(signer) {
+    return signer ? signer.signMessage(relayLoginMessage(this._nonce)) : undefined;
+  }
+
+  async _request(frame) {
+    await this._connect();
+    return this._call(frame);
+  }
+
+  /** send one request frame on the current connection and await its reply */
+  _call(frame) {
+    const ref = this._nextRef++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(ref);
+        reject(new SignalServerSdkError(`SignalServerSdk: relay ${frame.op} timed out`));
+      }, this.requestTimeoutMs);
+      this._pending.set(ref, { resolve, reject, timer });
+      this._ws.send(JSON.stringify({ ...frame, ref }));
+    });
+  }
+}
+
+/** the exact text a wallet signs to log in to a relay */
+export function relayLoginMessage(nonce) {
+  return `ethsignal relay login\nnonce: ${nonce}`;
+}
@@ -0,0 +1,45 @@
+/**
+ * Signalling transports.
+ *
+ * SignalServerSdk never talks to a contract or socket directly; it hands
+ * opaque payloads to a transport and gets them back as signal records.
+ * Any object with this shape can be passed as `transport`:
+ *
+ *   id                          – stable name, used in checkpoint keys
+ *   send(to, data)              → Promise, settles once the signal is accepted
+ *   subscribe(recipient, fn, { signer? })
+ *                               → unsubscribe(); fn(signal) for every live signal
+ *
+ * and, optionally, for catchUp() and key discovery:
+ *
+ *   history({ sender?, recipient?, fromBlock?, toBlock?, signer? }) → Promise<signal[]>
+ *   head()                      → Promise<number>, the newest blockNumber
+ *   blockTime(blockNumber)      → Promise<number>, ms
+ *   close()
+ *
+ * `signer` holds the key of a `recipient` that isn't the wallet's (a
+ * pool's), for transports that want proof before they hand out its
+ * signals; the others ignore it.
+ *
+ * A signal record is
+ *
+ *   {
+ *     id,           // unique per signal; used to drop duplicates
+ *     sender,       // checksummed address, authenticated by the transport
+ *     recipient,    // checksummed address
+ *     data,         // 0x‑hex payload
+ *     blockNumber,  // block number, or the bus/relay sequence number
+ *     timestamp?,   // ms, when the transport knows it cheaply
+ *     txHash?,      // on‑chain transports only
+ *     chainId?,     // set by MultiChainTransport
+ *   }
+ *
+ * A MultiChainTransport combines one transport per chain; its send(),
+ * head() and blockTime() take a trailing `{ chainId }`, and history()
+ * a `chainId` in its query.
+ */
+
+export { ContractTransport } from "./ContractTransport.js";
+export { MemoryBus, MemoryTransport } from "./MemoryTransport.js";
+export { WebSocketTransport, relayLoginMessage } from "./WebSocketTransport.js";
+export { MultiChainTransport } from "./MultiChainTransport.js";
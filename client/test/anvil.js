@@ -0,0 +1,23 @@
+import { ethers } from "ethers";
+
+// the suites against the real contract: start `anvil`, then
+//   ANVIL_RPC_URL=http://127.0.0.1:8545 npm test
+export const ANVIL_RPC_URL = process.env.ANVIL_RPC_URL;
+// anvil's first prefunded account
+export const ANVIL_KEY     = process.env.ANVIL_PRIVATE_KEY ?? "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+/** describe(), or describe.skip() without ANVIL_RPC_URL */
+export const describeOnAnvil = ANVIL_RPC_URL ? describe : describe.skip;
+
+/**
+ * Deploy the compiled SignalServer from the prefunded account; resolves
+ * with { provider, deployer, contract }.  Destroy the provider when done.
+ */
+export async function deploySignalServer() {
+  const provider = new ethers.JsonRpcProvider(ANVIL_RPC_URL, undefined, { pollingInterval: 100 });
+  const deployer = new ethers.NonceManager(new ethers.Wallet(ANVIL_KEY, provider));
+  const { default: artifact } = await import("../src/abi/SignalServer.json", { with: { type: "json" } });
+  const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode.object, deployer).deploy();
+  await contract.waitForDeployment();
+  return { provider, deployer, contract };
+}
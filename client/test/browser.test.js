@@ -0,0 +1,93 @@
+import { expect } from "chai";
+import vm from "vm";
+import * as esbuild from "esbuild";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import { browserBuildOptions } from "../scripts/build-browser.js";
+
+// a window.ethereum over a local wallet: just enough EIP-1193 for the SDK
+function injectedWallet(wallet, chainId = 31337) {
+  return {
+    async request({ method, params = [] }) {
+      switch (method) {
+        case "eth_chainId":         return ethers.toQuantity(chainId);
+        case "eth_accounts":
+        case "eth_requestAccounts": return [wallet.address.toLowerCase()];
+        case "personal_sign":       return wallet.signMessage(ethers.getBytes(params[0]));
+        default:                    throw Object.assign(new Error(`unsupported ${method}`), { code: 4200 });
+      }
+    },
+  };
+}
+
+// what a page offers: web APIs and the browser's RTCPeerConnection, but
+// no require, process or Buffer
+function browserContext() {
+  const items = new Map();
+  const context = vm.createContext({
+    console:      { log() {}, info() {}, warn() {}, error: console.error },
+    crypto:       globalThis.crypto,
+    TextEncoder, TextDecoder, URL, AbortController, fetch, performance, queueMicrotask, atob, btoa,
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    RTCPeerConnection: wrtc.RTCPeerConnection,
+    localStorage: {
+      getItem: key => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value)),
+    },
+  });
+  vm.runInContext("globalThis.window = globalThis.self = globalThis;", context);
+  return context;
+}
+
+describe("browser bundle", function () {
+  this.timeout(30000);
+  let context;
+
+  before(async () => {
+    const { outputFiles } = await esbuild.build(browserBuildOptions({
+      write: false, format: "iife", globalName: "EthSignal",
+    }));
+    context = browserContext();
+    vm.runInContext(outputFiles[0].text, context);
+  });
+
+  it("runs without Node globals", () => {
+    for (const name of ["require", "process", "Buffer"]) {
+      expect(vm.runInContext(`typeof ${name}`, context)).to.equal("undefined");
+    }
+    expect(vm.runInContext("typeof EthSignal.SignalServerSdk", context)).to.equal("function");
+  });
+
+  it("connects two pages over the native RTCPeerConnection with injected wallets", async () => {
+    const [alice, bob] = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    context.wallets = { alice: injectedWallet(alice), bob: injectedWallet(bob) };
+
+    const got = await vm.runInContext(`(async () => {
+      const { SignalServerSdk, MemoryBus, WebStorageCheckpointStore } = EthSignal;
+      const bus = new MemoryBus();
+      const bobSdk = await SignalServerSdk.create({
+        wallet: wallets.bob, transport: bus.transport("${bob.address}"),
+        iceServers: [], checkpointStore: new WebStorageCheckpointStore(), timeoutMs: 3000,
+      });
+      const aliceSdk = await SignalServerSdk.create({
+        wallet: wallets.alice, transport: bus.transport("${alice.address}"), iceServers: [],
+        peerPublicKeys: { [bobSdk.address]: bobSdk.identity.publicKey },
+      });
+      const received = new Promise(resolve => bobSdk.onHelpRequest(async req => {
+        const stream = await req.accept();
+        stream.onMessage(resolve);
+      }));
+      const stream = await aliceSdk.requestHelp(bobSdk.address);
+      stream.respond("hello from the page");
+      const message = await received;
+      await bobSdk.catchUp();
+      aliceSdk.destroy();
+      bobSdk.destroy();
+      return { message, checkpoint: localStorage.getItem("ethsignal:checkpoint:" + bobSdk._checkpointKey()) };
+    })()`, context);
+
+    expect(got.message).to.equal("hello from the page");
+    // catchUp() progress went to localStorage
+    expect(Number(got.checkpoint)).to.be.above(0);
+  });
+});
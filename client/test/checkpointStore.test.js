@@ -0,0 +1,45 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FileCheckpointStore, WebStorageCheckpointStore } from "../src/sdk/CheckpointStore.js";
+
+describe("FileCheckpointStore", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ethsignal-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("returns null before anything is saved", async () => {
+    const store = new FileCheckpointStore(path.join(dir, "checkpoints.json"));
+    expect(await store.load("a")).to.equal(null);
+  });
+
+  it("persists checkpoints per key across instances", async () => {
+    const file = path.join(dir, "nested", "checkpoints.json");
+    const store = new FileCheckpointStore(file);
+    await Promise.all([store.save("a", 10), store.save("b", 20)]);
+    await store.save("a", 11);
+
+    const reopened = new FileCheckpointStore(file);
+    expect(await reopened.load("a")).to.equal(11);
+    expect(await reopened.load("b")).to.equal(20);
+  });
+});
+
+describe("WebStorageCheckpointStore", () => {
+  it("keeps checkpoints in a Web Storage under a prefix", async () => {
+    const items = new Map();
+    const storage = { getItem: k => items.get(k) ?? null, setItem: (k, v) => items.set(k, v) };
+    const store = new WebStorageCheckpointStore({ storage, prefix: "t:" });
+    expect(await store.load("a")).to.equal(null);
+    await store.save("a", 12);
+    expect(items.get("t:a")).to.equal("12");
+    expect(await new WebStorageCheckpointStore({ storage, prefix: "t:" }).load("a")).to.equal(12);
+  });
+});
@@ -0,0 +1,236 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PassThrough } from "stream";
+import { ethers } from "ethers";
+import { run } from "../src/cli/ethsignal.js";
+import { WsRelay } from "../src/relay/WsRelay.js";
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+
+// captures what one run() prints; `lines` are the JSON events with --json
+function sink() {
+  const stream = new PassThrough();
+  stream.text  = "";
+  stream.on("data", chunk => { stream.text += chunk; });
+  stream.events = () => stream.text.split("\n").filter(Boolean).map(l => JSON.parse(l));
+  return stream;
+}
+
+async function until(check, ms = 15000) {
+  const deadline = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("timed out");
+    await tick(50);
+  }
+}
+
+describe("ethsignal CLI", function () {
+  this.timeout(30000);
+  let relay, url, home, alice, bob;
+
+  beforeEach(async () => {
+    relay = new WsRelay({ port: 0, host: "127.0.0.1" });
+    url   = `ws://127.0.0.1:${await relay.listen()}`;
+    home  = fs.mkdtempSync(path.join(os.tmpdir(), "ethsignal-"));
+    alice = ethers.Wallet.createRandom();
+    bob   = ethers.Wallet.createRandom();
+    // no STUN: everything is on this host
+    fs.writeFileSync(path.join(home, "config.json"), JSON.stringify({ relay: url, iceServers: [] }));
+  });
+
+  afterEach(async () => {
+    await relay.close();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  // run `ethsignal` as `who`, with its own identity under the tmp home
+  function cli(who, argv, { stdin = new PassThrough(), signal, env = {} } = {}) {
+    const io = { stdout: sink(), stderr: sink(), stdin, signal, env: { ETHSIGNAL_HOME: home, ...env } };
+    const name = who === alice ? "alice" : "bob";
+    const args = [...argv, "--identity", path.join(home, `${name}.json`),
+      "--private-key", who.privateKey, "--timeout", "10000"];
+    const done = run(args, io);
+    return { ...io, done };
+  }
+
+  async function keygen(who) {
+    const { done } = cli(who, ["keygen"]);
+    expect(await done).to.equal(0);
+  }
+
+  // bob listening until the returned stop() is called
+  async function listening(argv) {
+    const controller = new AbortController();
+    const bobRun = cli(bob, ["listen", "--json", ...argv], { signal: controller.signal });
+    await until(() => bobRun.stdout.text.includes("\"listening\""));
+    return { ...bobRun, stop: () => controller.abort() };
+  }
+
+  it("creates an identity once and reports it", async () => {
+    const first = cli(alice, ["keygen", "--json"]);
+    expect(await first.done).to.equal(0);
+    const [created] = first.stdout.events();
+    const file = path.join(home, "alice.json");
+    expect(created).to.include({ event: "identity", file });
+    expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+
+    const again = cli(alice, ["keygen"]);
+    expect(await again.done).to.equal(1);
+    expect(again.stderr.text).to.match(/exists; pass --force/);
+
+    const who = cli(alice, ["whoami", "--json"]);
+    expect(await who.done).to.equal(0);
+    expect(who.stdout.events()[0]).to.include({
+      event: "whoami", address: alice.address, publicKey: created.publicKey,
+    });
+  });
+
+  it("encrypts the identity when given a password", async () => {
+    const env = { ETHSIGNAL_PASSWORD: "hunter2" };
+    const made = cli(alice, ["keygen", "--json"], { env });
+    expect(await made.done).to.equal(0);
+    const { publicKey } = made.stdout.events()[0];
+    const stored = JSON.parse(fs.readFileSync(path.join(home, "alice.json"), "utf8"));
+    expect(stored).to.include({ type: "ethsignal-keystore", publicKey });
+    expect(stored).to.not.have.property("privateKey");
+
+    // the public key is readable without the password, the rest isn't
+    const who = cli(alice, ["whoami", "--json"]);
+    expect(await who.done).to.equal(0);
+    expect(who.stdout.events()[0].publicKey).to.equal(publicKey);
+    const locked = cli(alice, ["listen"]);
+    expect(await locked.done).to.equal(1);
+    expect(locked.stderr.text).to.match(/is encrypted; pass --password-file/);
+  });
+
+  it("rotates the identity and keeps the old key", async () => {
+    await keygen(alice);
+    const file   = path.join(home, "alice.json");
+    const before = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    const rotated = cli(alice, ["rotate", "--json"]);
+    expect(await rotated.done).to.equal(0);
+    const event = rotated.stdout.events().find(e => e.event === "rotated");
+    expect(event.previous).to.equal(before.publicKey);
+
+    const after = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(after.publicKey).to.equal(event.publicKey);
+    expect(after.previous).to.deep.equal([{ publicKey: before.publicKey, privateKey: before.privateKey }]);
+    expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+  });
+
+  it("derives the identity from the wallet with --derive", async () => {
+    const first = cli(alice, ["whoami", "--derive", "--json"]);
+    expect(await first.done).to.equal(0);
+    const again = cli(alice, ["whoami", "--derive", "--json"]);
+    expect(await again.done).to.equal(0);
+    expect(again.stdout.events()[0].publicKey).to.equal(first.stdout.events()[0].publicKey);
+    expect(fs.existsSync(path.join(home, "alice.json"))).to.equal(false);
+  });
+
+  it("chats between listen and connect", async () => {
+    await keygen(alice);
+    await keygen(bob);
+    const listener = await listening(["--accept", alice.address]);
+
+    const stdin = new PassThrough();
+    const chat  = cli(alice, ["connect", bob.address, "--json"], { stdin });
+    await until(() => chat.stdout.text.includes("\"open\""));
+    stdin.write("hello bob\n");
+    await until(() => listener.stdout.text.includes("hello bob"));
+    stdin.write("/quit\n");
+    expect(await chat.done).to.equal(0);
+
+    listener.stop();
+    expect(await listener.done).to.equal(0);
+    const events = listener.stdout.events();
+    expect(events.find(e => e.event === "request")).to.include({ from: alice.address, accepted: true });
+    expect(events.find(e => e.event === "message")).to.include({ from: alice.address, text: "hello bob" });
+  });
+
+  it("drops chat lines left over once the stream has closed", async () => {
+    await keygen(alice);
+    await keygen(bob);
+    const listener = await listening(["--accept", alice.address]);
+
+    const stdin = new PassThrough();
+    const chat  = cli(alice, ["connect", bob.address, "--json"], { stdin });
+    await until(() => chat.stdout.text.includes("\"open\""));
+    // one chunk: the lines after /quit arrive with the stream already closed
+    stdin.write("/quit\nstill typing\n/file nowhere.bin\n");
+    expect(await chat.done).to.equal(0);
+    expect(chat.stderr.text).to.equal("");
+
+    listener.stop();
+    expect(await listener.done).to.equal(0);
+    expect(listener.stdout.events().filter(e => e.event === "message")).to.have.length(0);
+  });
+
+  it("sends a file into --out-dir", async () => {
+    await keygen(alice);
+    await keygen(bob);
+    const outDir   = path.join(home, "inbox");
+    const listener = await listening(["--accept-all", "--out-dir", outDir]);
+
+    const file = path.join(home, "notes.bin");
+    const data = ethers.randomBytes(50_000);
+    fs.writeFileSync(file, data);
+    const send = cli(alice, ["send-file", bob.address, file]);
+    expect(await send.done).to.equal(0);
+    expect(send.stdout.text).to.match(/sent notes\.bin \(50000 B/);
+    expect(send.stderr.text).to.include("notes.bin: 50000/50000 B");
+
+    await until(() => listener.stdout.text.includes("\"file\""));
+    listener.stop();
+    await listener.done;
+    expect(new Uint8Array(fs.readFileSync(path.join(outDir, "notes.bin")))).to.deep.equal(data);
+  });
+
+  it("declines requesters that aren't accepted when asked to", async () => {
+    await keygen(alice);
+    await keygen(bob);
+    const listener = await listening(["--decline-others"]);
+
+    const chat = cli(alice, ["connect", bob.address]);
+    expect(await chat.done).to.equal(1);
+    expect(chat.stderr.text).to.match(/declined/);
+    listener.stop();
+    await listener.done;
+  });
+
+  it("lists past signals as JSON", async () => {
+    await keygen(alice);
+    await keygen(bob);
+    const listener = await listening(["--accept-all"]);
+    const chat = cli(alice, ["connect", bob.address], { stdin: new PassThrough() });
+    await until(() => listener.stdout.text.includes("\"open\""));
+    chat.stdin.end();
+    await chat.done;
+    listener.stop();
+    await listener.done;
+
+    const hist = cli(alice, ["history", "--json"]);
+    expect(await hist.done).to.equal(0);
+    const signals = hist.stdout.events();
+    expect(signals.map(s => s.direction)).to.include.members(["out", "in"]);
+    for (const s of signals) {
+      expect(s.event).to.equal("signal");
+      expect(s.peer).to.equal(bob.address);
+      expect(s.bytes).to.be.above(0);
+    }
+    const blocks = signals.map(s => s.blockNumber);
+    expect(blocks).to.deep.equal([...blocks].sort((a, b) => a - b));
+  });
+
+  it("reports usage mistakes", async () => {
+    const bad = cli(alice, ["frobnicate"]);
+    expect(await bad.done).to.equal(2);
+    expect(bad.stderr.text).to.match(/unknown command frobnicate/);
+
+    const noKey = cli(alice, ["connect", bob.address, "--json"]);
+    expect(await noKey.done).to.equal(1);
+    expect(noKey.stdout.events()[0]).to.include({ event: "error" });
+  });
+});
@@ -0,0 +1,203 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "ethers";
+import { loadConfig, loadAbi, DEFAULT_ABI } from "../src/sdk/Config.js";
+import {
+  DeploymentRegistry,
+  defaultDeployments,
+  parseBroadcastRun,
+  validateDeployment,
+} from "../src/sdk/Deployments.js";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { SignalServerSdkError, TimeoutError } from "../src/sdk/Errors.js";
+
+const ANVIL_ADDR = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+// a local deploy, as fromBroadcast() would find it
+const anvilDeployments = () => new DeploymentRegistry({ 31337: { address: ANVIL_ADDR, startBlock: 1 } });
+
+// a chain with fixed id and code; `on`/`off` let a contract subscribe
+function fakeProvider({ chainId = 31337n, code = { [ANVIL_ADDR]: "0x6080" }, hang = false, balances = {} } = {}) {
+  return {
+    destroyed: false,
+    async getBalance(a) { return balances[a] ?? 0n; },
+    async getNetwork() {
+      if (hang) await new Promise(() => {});
+      return { chainId };
+    },
+    async getCode(a) { return code[ethers.getAddress(a)] ?? "0x"; },
+    async on() {},
+    async off() {},
+    destroy() { this.destroyed = true; },
+  };
+}
+
+describe("loadConfig", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ethsignal-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("takes values, then the file, then the environment, then .env", async () => {
+    const file = path.join(dir, "ethsignal.json");
+    fs.writeFileSync(file, JSON.stringify({ rpcUrl: "http://file", chainId: 10 }));
+    const dotenv = path.join(dir, ".env");
+    fs.writeFileSync(dotenv, `CONTRACT_ADDRESS=${ANVIL_ADDR.toLowerCase()}\nSTART_BLOCK=7\nCHAIN_ID=99\n`);
+
+    const config = await loadConfig({
+      file,
+      dotenv,
+      env:    { CHAIN_ID: "5", RPC_URL: "http://env" },
+      rpcUrl: "http://explicit",
+    });
+    expect(config).to.deep.equal({
+      rpcUrl:           "http://explicit",
+      chainId:          10,
+      contractAddress:  ANVIL_ADDR,
+      catchUpFromBlock: 7,
+    });
+  });
+
+  it("reads nothing it isn't asked to", async () => {
+    expect(await loadConfig({ env: false })).to.deep.equal({});
+    expect(await loadConfig({ env: false, dotenv: path.join(dir, "missing.env") })).to.deep.equal({});
+  });
+
+  it("rejects malformed values", async () => {
+    let err;
+    try {
+      await loadConfig({ env: false, chainId: "mainnet" });
+    } catch (e) {
+      err = e;
+    }
+    expect(err).to.be.instanceOf(SignalServerSdkError);
+    expect(err.message).to.match(/invalid chainId/);
+  });
+
+  it("loads the ABI from the compiled artifact", async () => {
+    const abi = await loadAbi();
+    expect(abi.map(f => f.name)).to.have.members([
+      "sendSignal", "sendSignalFor", "nonceUsed", "domainSeparator", "SIGNAL_TYPEHASH", "SignalSent",
+      "sendTaggedSignal", "TaggedSignal",
+    ]);
+    expect(abi).to.equal(DEFAULT_ABI);
+
+    const bare = path.join(dir, "abi.json");
+    fs.writeFileSync(bare, JSON.stringify(abi));
+    expect(await loadAbi(bare)).to.deep.equal(abi);
+  });
+});
+
+describe("DeploymentRegistry", () => {
+  it("reads the Foundry broadcast files", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ethsignal-"));
+    try {
+      const runDir = path.join(dir, "SignalServer.s.sol", "31337");
+      fs.mkdirSync(runDir, { recursive: true });
+      fs.writeFileSync(path.join(runDir, "run-latest.json"), JSON.stringify({
+        chain:        31337,
+        transactions: [{ hash: "0x01", contractName: "SignalServer", transactionType: "CREATE", contractAddress: ANVIL_ADDR }],
+        receipts:     [{ transactionHash: "0x01", blockNumber: "0x1" }],
+      }));
+      const fromFiles = await DeploymentRegistry.fromBroadcast(dir);
+      expect(fromFiles.toJSON()).to.deep.equal({ 31337: { address: ANVIL_ADDR, startBlock: 1, txHash: "0x01" } });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("ships no local dev chain deployments", () => {
+    const chains = defaultDeployments().chains();
+    expect(chains).to.not.include(31337);
+    expect(chains).to.not.include(1337);
+  });
+
+  it("parses CREATE transactions of the named contract only", () => {
+    const run = {
+      chain:        1,
+      transactions: [
+        { hash: "0x01", contractName: "Other",        transactionType: "CREATE", contractAddress: ANVIL_ADDR },
+        { hash: "0x02", contractName: "SignalServer", transactionType: "CALL",   contractAddress: ANVIL_ADDR },
+        { hash: "0x03", contractName: "SignalServer", transactionType: "CREATE", contractAddress: ANVIL_ADDR.toLowerCase() },
+      ],
+      receipts: [{ transactionHash: "0x03", blockNumber: "0x10" }],
+    };
+    expect(parseBroadcastRun(run)).to.deep.equal({ chainId: 1, address: ANVIL_ADDR, startBlock: 16, txHash: "0x03" });
+    expect(parseBroadcastRun({ chain: 1, transactions: [] })).to.equal(null);
+  });
+
+  it("validates the chain and the contract code", async () => {
+    const provider = fakeProvider();
+    expect(await validateDeployment(provider, { address: ANVIL_ADDR, chainId: 31337 }))
+      .to.deep.equal({ chainId: 31337, address: ANVIL_ADDR });
+
+    const failure = (opts, p = provider) => validateDeployment(p, opts).then(() => null, e => e);
+    expect((await failure({ address: ANVIL_ADDR, chainId: 1 })).message).to.match(/on chain 31337, expected 1/);
+    expect((await failure({ address: ethers.ZeroAddress })).message).to.match(/no contract at/);
+    expect(await failure({ address: ANVIL_ADDR, timeoutMs: 20 }, fakeProvider({ hang: true })))
+      .to.be.instanceOf(TimeoutError);
+  });
+});
+
+describe("SignalServerSdk configuration", () => {
+  it("takes the contract and start block from the registry", () => {
+    const sdk = new SignalServerSdk({ chainId: 31337, provider: fakeProvider(), deployments: anvilDeployments() });
+    expect(sdk.transport.id).to.equal(ANVIL_ADDR);
+    expect(sdk.catchUpFromBlock).to.equal(1);
+    sdk.destroy();
+
+    expect(() => new SignalServerSdk({ chainId: 5, provider: fakeProvider(), deployments: anvilDeployments() }))
+      .to.throw(/no SignalServer deployment known on chain 5/);
+    expect(() => new SignalServerSdk({ chainId: 31337, provider: fakeProvider() }))
+      .to.throw(/no SignalServer deployment known on chain 31337/);
+    expect(() => new SignalServerSdk({})).to.throw(SignalServerSdkError);
+  });
+
+  it("create() detects the chain and checks the contract before subscribing", async () => {
+    const sdk = await SignalServerSdk.create({ provider: fakeProvider(), deployments: anvilDeployments() });
+    expect(sdk.chainId).to.equal(31337);
+    expect(sdk.transport.id).to.equal(ANVIL_ADDR);
+    sdk.destroy();
+
+    const empty = fakeProvider({ code: {} });
+    let err;
+    try {
+      await SignalServerSdk.create({ provider: empty, deployments: anvilDeployments() });
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.match(/no contract at/);
+    // not ours to destroy
+    expect(empty.destroyed).to.equal(false);
+  });
+
+  it("create() refuses privateRecipients for a wallet only a relayer pays for", async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const opts   = { wallet, deployments: anvilDeployments(), privateRecipients: true, relayer: "http://127.0.0.1:1" };
+    const err    = await SignalServerSdk.create({ ...opts, provider: fakeProvider() }).then(() => null, e => e);
+    expect(err).to.be.instanceOf(SignalServerSdkError);
+    expect(err.message).to.match(/privateRecipients needs a wallet with ETH on chain 31337/);
+
+    const funded = fakeProvider({ balances: { [wallet.address]: 1n } });
+    const sdk    = await SignalServerSdk.create({ ...opts, provider: funded });
+    expect(sdk.privateRecipients).to.equal(true);
+    sdk.destroy();
+    // the balance is looked up through the Signer interface, so a signer
+    // without an `address` field, like a NonceManager, gets past the check
+    const lookups = [];
+    const managed = await SignalServerSdk.create({
+      ...opts, wallet: new ethers.NonceManager(wallet),
+      provider: { ...funded, getBalance: async (a) => (lookups.push(a), funded.getBalance(a)) },
+    }).then(() => null, e => e);
+    expect(lookups).to.deep.equal([wallet.address]);
+    expect(managed.message).to.not.match(/privateRecipients/);
+    // without a relayer a zero balance is the caller's business, as before
+    (await SignalServerSdk.create({ ...opts, relayer: undefined, provider: fakeProvider() })).destroy();
+  });
+});
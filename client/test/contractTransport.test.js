@@ -0,0 +1,171 @@
+import { expect } from "chai";
+import { EventEmitter } from "events";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import EthCrypto from "eth-crypto";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryCheckpointStore } from "../src/sdk/CheckpointStore.js";
+import { ContractTransport } from "../src/sdk/transports/ContractTransport.js";
+
+class FakeContract extends EventEmitter {
+  constructor() {
+    super();
+    // the transport will call this.contract.filters.SignalSent(sender, recipient)
+    this.filters = {
+      SignalSent: (sender, recipient) => "SignalSent:" + sender + ":" + recipient
+    };
+    // shared (not copied) by connect() views: every signal is also a log
+    this._chain = { logs: [], blockNumber: 0 };
+    // minimal provider for catch‑up: block numbers and timestamps
+    this.provider = {
+      getBlockNumber: async () => this._chain.blockNumber,
+      getBlock:       async (n) => this._chain.logs.find(l => l.blockNumber === n).block,
+      getTransaction: async () => null,
+      // enough for the TxManager's nonce and fee lookups
+      getTransactionCount: async () => 0,
+      getFeeData:     async () => ({ maxFeePerGas: 2n, maxPriorityFeePerGas: 1n }),
+    };
+  }
+
+  // contract.connect(signer) returns a view that remembers the signer
+  // address but shares this emitter (and its listeners)
+  connect(signer) {
+    const view = Object.create(this);
+    view._sender = signer.address;
+    return view;
+  }
+
+  // the transport calls contractWithSigner.sendSignal(to, data, overrides)
+  sendSignal(to, data, overrides = {}) {
+    // fire the matching event _next tick_ so any .on() is already hooked
+    const log = {
+      blockNumber:     ++this._chain.blockNumber,
+      transactionHash: "0x" + this._chain.blockNumber.toString(16).padStart(64, "0"),
+      index:           0,
+      block:           { timestamp: Math.floor(Date.now() / 1000) },
+      args:            { sender: this._sender, recipient: to, encryptedData: ethers.hexlify(data) }
+    };
+    this._chain.logs.push(log);
+    process.nextTick(() => {
+      const args = [
+        // pass exactly what ethers-v6 would pass:
+        log.args.sender,
+        log.args.recipient,
+        log.args.encryptedData,
+        { args: log.args, log }   // last arg is the event object
+      ];
+      // a null topic in a filter matches any sender
+      this.emit(this.filters.SignalSent(this._sender, to), ...args);
+      this.emit(this.filters.SignalSent(null, to), ...args);
+    });
+    // return a "tx" with a wait() method
+    return {
+      hash:  log.transactionHash,
+      nonce: overrides.nonce,
+      wait:  () => Promise.resolve({ hash: log.transactionHash })
+    };
+  }
+
+  // past logs matching a filter string, as contract.queryFilter() would
+  async queryFilter(filter, fromBlock = 0, toBlock = Infinity) {
+    return this._chain.logs.filter(l =>
+      l.blockNumber >= fromBlock && l.blockNumber <= toBlock &&
+      [this.filters.SignalSent(l.args.sender, l.args.recipient),
+       this.filters.SignalSent(null, l.args.recipient),
+       this.filters.SignalSent(l.args.sender, null)].includes(filter)
+    );
+  }
+
+  on(filter, listener)  { super.on(filter, listener); }
+  off(filter, listener) { super.removeListener(filter, listener); }
+}
+
+describe("ContractTransport", () => {
+  let aliceWallet, bobWallet, aliceIdentity, bobIdentity, fakeContract;
+
+  beforeEach(() => {
+    aliceWallet   = ethers.Wallet.createRandom();
+    bobWallet     = ethers.Wallet.createRandom();
+    aliceIdentity = EthCrypto.createIdentity();
+    bobIdentity   = EthCrypto.createIdentity();
+    fakeContract  = new FakeContract();
+  });
+
+  function transportFor(wallet) {
+    return new ContractTransport({ contract: fakeContract, signer: wallet, provider: fakeContract.provider });
+  }
+
+  function sdkFor(wallet, identity, peer, peerIdentity, opts = {}) {
+    return new SignalServerSdk({
+      wallet,
+      encryptionIdentity: identity,
+      peerPublicKeys:     { [peer.address]: peerIdentity.publicKey },
+      transport:          transportFor(wallet),
+      wrtc,
+      provider:           fakeContract.provider,
+      iceServers:         [],
+      timeoutMs:          1000,
+      ...opts,
+    });
+  }
+
+  it("turns SignalSent logs into signals until unsubscribed", async () => {
+    const alice = transportFor(aliceWallet);
+    const bob   = transportFor(bobWallet);
+    const seen  = [];
+    const off   = bob.subscribe(bobWallet.address, s => seen.push(s));
+
+    await alice.send(bobWallet.address, Uint8Array.of(1, 2, 3));
+    await new Promise(r => setImmediate(r));
+    off();
+    await alice.send(bobWallet.address, Uint8Array.of(4));
+    await new Promise(r => setImmediate(r));
+
+    expect(seen).to.have.length(1);
+    expect(seen[0]).to.include({
+      sender:      aliceWallet.address,
+      recipient:   bobWallet.address,
+      data:        "0x010203",
+      blockNumber: 1,
+      txHash:      fakeContract._chain.logs[0].transactionHash,
+    });
+    expect(await bob.history({ recipient: bobWallet.address })).to.have.length(2);
+    expect(await bob.head()).to.equal(2);
+    expect(await bob.blockTime(1)).to.equal(fakeContract._chain.logs[0].block.timestamp * 1000);
+  });
+
+  it("routes every signal through the TxManager with local nonces", async () => {
+    const aliceSdk = sdkFor(aliceWallet, aliceIdentity, bobWallet, bobIdentity);
+    const states = [];
+    ["queued", "sent", "confirmed"].forEach(state =>
+      aliceSdk.txManager.on(state, ev => states.push([state, ev.nonce]))
+    );
+    await Promise.all([
+      aliceSdk._sendSignal(bobWallet.address, { type: "offer", sdp: "A", candidates: [] }),
+      aliceSdk._sendCandidate(bobWallet.address, { type: "candidate", candidates: [] }),
+    ]);
+    expect(states.filter(([s]) => s === "sent").map(([, n]) => n)).to.deep.equal([0, 1]);
+    expect(states.filter(([s]) => s === "confirmed")).to.have.length(2);
+  });
+
+  it("lets catchUp() replay offers from past logs", async () => {
+    const aliceSdk = sdkFor(aliceWallet, aliceIdentity, bobWallet, bobIdentity);
+    await aliceSdk._sendSignal(bobWallet.address, { type: "offer", sdp: "MISSED_SDP", candidates: [] });
+
+    const store  = new MemoryCheckpointStore();
+    const bobSdk = sdkFor(bobWallet, bobIdentity, aliceWallet, aliceIdentity, { checkpointStore: store });
+    const seen = [];
+    bobSdk.onHelpRequest(req => seen.push(req));
+    expect(await bobSdk.catchUp()).to.equal(1);
+    expect(seen[0].txHash).to.equal(fakeContract._chain.logs[0].transactionHash);
+    expect(await store.load(bobSdk._checkpointKey())).to.equal(fakeContract._chain.blockNumber);
+  });
+
+  it("opens a data channel end-to-end over the contract", async () => {
+    const aliceSdk = sdkFor(aliceWallet, aliceIdentity, bobWallet, bobIdentity);
+    const bobSdk   = sdkFor(bobWallet, bobIdentity, aliceWallet, aliceIdentity);
+    bobSdk.onHelpRequest(req => req.accept());
+    const stream = await aliceSdk.requestHelp(bobWallet.address);
+    expect(stream.remoteAddress).to.equal(bobWallet.address);
+  });
+});
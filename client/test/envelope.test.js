@@ -0,0 +1,84 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import {
+  PROTOCOL_VERSION,
+  ReplayCache,
+  sealEnvelope,
+  verifyEnvelope,
+  envelopeBody,
+} from "../src/sdk/Envelope.js";
+
+describe("Envelope", () => {
+  let alice, bob;
+
+  beforeEach(() => {
+    alice = ethers.Wallet.createRandom();
+    bob   = ethers.Wallet.createRandom();
+  });
+
+  const opts = (overrides = {}) => ({
+    sender: alice.address, recipient: bob.address, clockSkewMs: 1000, ...overrides,
+  });
+
+  it("seals a body that survives a JSON round trip", async () => {
+    const msg = await sealEnvelope(alice, bob.address, { type: "offer", sdp: "x" }, { ttlMs: 5000 });
+    const received = JSON.parse(JSON.stringify(msg));
+
+    expect(received.v).to.equal(PROTOCOL_VERSION);
+    expect(received.expiresAt - received.sentAt).to.equal(5000);
+    expect(() => verifyEnvelope(received, opts())).not.to.throw();
+    expect(envelopeBody(received)).to.deep.equal({ type: "offer", sdp: "x" });
+  });
+
+  it("signs a snapshot of the body, even for a slow signer", async () => {
+    const candidates = [];
+    const slow = {
+      getAddress:  () => alice.getAddress(),
+      signMessage: async (m) => {
+        candidates.push({ candidate: "late" });   // gathered while the wallet prompts
+        return alice.signMessage(m);
+      },
+    };
+    const msg = await sealEnvelope(slow, bob.address, { type: "answer", candidates }, { ttlMs: 5000 });
+    expect(msg.candidates).to.deep.equal([]);
+    expect(() => verifyEnvelope(JSON.parse(JSON.stringify(msg)), opts())).not.to.throw();
+  });
+
+  it("keeps a given session id and makes a new nonce each time", async () => {
+    const a = await sealEnvelope(alice, bob.address, { type: "candidate", sid: "s1" }, { ttlMs: 5000 });
+    const b = await sealEnvelope(alice, bob.address, { type: "candidate", sid: "s1" }, { ttlMs: 5000 });
+    expect(a.sid).to.equal("s1");
+    expect(b.sid).to.equal("s1");
+    expect(a.nonce).not.to.equal(b.nonce);
+  });
+
+  it("rejects tampered, misaddressed, future and expired envelopes", async () => {
+    const msg = await sealEnvelope(alice, bob.address, { type: "offer", sdp: "x" }, { ttlMs: 5000 });
+
+    expect(() => verifyEnvelope({ ...msg, sdp: "y" }, opts())).to.throw("not signed by sender");
+    expect(() => verifyEnvelope(msg, opts({ sender: bob.address }))).to.throw("not signed by sender");
+    expect(() => verifyEnvelope(msg, opts({ recipient: alice.address }))).to.throw("someone else");
+    expect(() => verifyEnvelope(msg, opts({ now: msg.sentAt - 10_000 }))).to.throw("future");
+    expect(() => verifyEnvelope(msg, opts({ now: msg.expiresAt + 10_000 }))).to.throw("expired");
+    const { nonce, ...noNonce } = msg;
+    expect(() => verifyEnvelope(noNonce, opts())).to.throw("missing nonce");
+  });
+
+  it("ReplayCache spots repeats and stays bounded", () => {
+    const cache = new ReplayCache(3);
+    const later = Date.now() + 60_000;
+    expect(cache.check(alice.address, "n1", later)).to.equal(true);
+    expect(cache.check(alice.address, "n1", later)).to.equal(false);
+    expect(cache.check(bob.address, "n1", later)).to.equal(true);
+
+    cache.check(alice.address, "n2", later);
+    cache.check(alice.address, "n3", later);
+    expect(cache.size).to.equal(3);
+
+    // expired entries are pruned before anything else
+    const small = new ReplayCache(10);
+    small.check(alice.address, "old", Date.now() - 1);
+    small.check(alice.address, "new", later);
+    expect(small.size).to.equal(1);
+  });
+});
@@ -0,0 +1,182 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import EthCrypto from "eth-crypto";
+import { Emitter } from "../src/sdk/Emitter.js";
+import { DataStream } from "../src/sdk/DataStream.js";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+import { RpcEndpoint, RpcError, RPC_ERRORS } from "../src/sdk/Rpc.js";
+import {
+  SignalServerSdkError,
+  DecryptError,
+  MalformedPayloadError,
+  InvalidSignalError,
+  UnknownPeerError,
+  TimeoutError,
+} from "../src/sdk/Errors.js";
+
+// collects log lines instead of printing them
+function memoryLogger() {
+  const lines = [];
+  const log = level => (...args) => lines.push([level, args.map(String).join(" ")]);
+  return { lines, debug: log("debug"), info: log("info"), warn: log("warn"), error: log("error") };
+}
+
+describe("Emitter", () => {
+  it("supports many listeners, unsubscribe handles and once()", () => {
+    const em  = new Emitter(["ping"]);
+    const got = [];
+    const off = em.on("ping", v => got.push(["a", v]));
+    em.on("ping", v => got.push(["b", v]));
+    em.once("ping", v => got.push(["once", v]));
+    em.emit("ping", 1);
+    off();
+    em.emit("ping", 2);
+    expect(got).to.deep.equal([["a", 1], ["b", 1], ["once", 1], ["b", 2]]);
+  });
+
+  it("refuses undeclared events", () => {
+    expect(() => new Emitter(["ping"]).on("pong", () => {})).to.throw(/unknown event pong/);
+  });
+
+  it("logs failing listeners without skipping the others", async () => {
+    const logger = memoryLogger();
+    const em = new Emitter(["ping"], { logger, name: "Test" });
+    let reached = false;
+    em.on("ping", () => { throw new Error("sync"); });
+    em.on("ping", async () => { throw new Error("async"); });
+    em.on("ping", () => { reached = true; });
+    em.emit("ping");
+    await new Promise(r => setImmediate(r));
+    expect(reached).to.equal(true);
+    expect(logger.lines.map(([level, text]) => [level, text.includes("[Test] ping listener failed")]))
+      .to.deep.equal([["error", true], ["error", true]]);
+  });
+});
+
+describe("SDK events and typed errors", () => {
+  let bus, aliceWallet, bobWallet, aliceIdentity, bobIdentity, alice, bob, logger;
+
+  beforeEach(() => {
+    bus = new MemoryBus();
+    [aliceWallet, bobWallet] = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    [aliceIdentity, bobIdentity] = [EthCrypto.createIdentity(), EthCrypto.createIdentity()];
+    logger = memoryLogger();
+    alice = new SignalServerSdk({
+      wallet: aliceWallet, encryptionIdentity: aliceIdentity,
+      peerPublicKeys: { [bobWallet.address]: bobIdentity.publicKey },
+      transport: bus.transport(aliceWallet.address), wrtc, iceServers: [], timeoutMs: 1000,
+    });
+    bob = new SignalServerSdk({
+      wallet: bobWallet, encryptionIdentity: bobIdentity,
+      peerPublicKeys: { [aliceWallet.address]: aliceIdentity.publicKey },
+      transport: bus.transport(bobWallet.address), wrtc, iceServers: [], timeoutMs: 1000,
+      logger,
+    });
+  });
+
+  afterEach(() => {
+    alice.destroy();
+    bob.destroy();
+  });
+
+  const nextError = sdk => new Promise(res => sdk.once("error", res));
+
+  it("delivers help requests to every listener until they unsubscribe", async () => {
+    const seen = [];
+    const off = bob.onHelpRequest(() => seen.push("first"));
+    bob.on("helpRequest", req => { seen.push("second"); req.reject(); });
+    await alice.requestHelp(bobWallet.address).catch(() => {});
+    off();
+    await alice.requestHelp(bobWallet.address).catch(() => {});
+    expect(seen).to.deep.equal(["first", "second", "second"]);
+  });
+
+  it("reports signals sent and received", async () => {
+    const sent = [], received = [];
+    alice.on("signalSent", ({ to, message }) => sent.push([to, message.type]));
+    bob.on("signalReceived", ({ signal, message, historic }) =>
+      received.push([signal.sender, message.type, historic]));
+    bob.onHelpRequest(req => req.accept());
+    await alice.requestHelp(bobWallet.address);
+    expect(sent).to.deep.equal([[bobWallet.address, "offer"]]);
+    expect(received).to.deep.equal([[aliceWallet.address, "offer", false]]);
+  });
+
+  it("emits a DecryptError for a signal encrypted to someone else", async () => {
+    const error = nextError(bob);
+    const stranger = EthCrypto.createIdentity();
+    alice.keyResolver.staticKeys[bobWallet.address] = stranger.publicKey;
+    await alice._sendSignal(bobWallet.address, { type: "offer", sdp: "x" });
+    const err = await error;
+    expect(err).to.be.instanceOf(DecryptError);
+    expect(err.sender).to.equal(aliceWallet.address);
+    expect(logger.lines.some(([level, text]) => level === "warn" && text.includes("could not decrypt"))).to.equal(true);
+  });
+
+  it("emits a MalformedPayloadError for a payload that isn't a message", async () => {
+    const error = nextError(bob);
+    const cipher = await EthCrypto.encryptWithPublicKey(bobIdentity.publicKey, "not json");
+    await bus.transport(aliceWallet.address)
+      .send(bobWallet.address, ethers.toUtf8Bytes(EthCrypto.cipher.stringify(cipher)));
+    expect(await error).to.be.instanceOf(MalformedPayloadError);
+  });
+
+  it("emits an InvalidSignalError for a replayed signal", async () => {
+    bob.onHelpRequest(() => {});
+    await alice._sendSignal(bobWallet.address, { type: "offer", sdp: "x", sid: "s1" });
+    await new Promise(r => setTimeout(r, 20));
+    const error = nextError(bob);
+    await bus.transport(aliceWallet.address).send(bobWallet.address, bus.signals[0].data);
+    const err = await error;
+    expect(err).to.be.instanceOf(InvalidSignalError);
+    expect(err.message).to.match(/replayed/);
+  });
+
+  it("rejects with UnknownPeerError and TimeoutError", async () => {
+    const nobody = ethers.Wallet.createRandom().address;
+    try {
+      await alice.requestHelp(nobody);
+      throw new Error("should have failed");
+    } catch (err) {
+      expect(err).to.be.instanceOf(UnknownPeerError);
+      expect(err.address).to.equal(nobody);
+    }
+    alice.timeoutMs = 100;
+    try {
+      await alice.requestHelp(bobWallet.address);
+      throw new Error("should have timed out");
+    } catch (err) {
+      expect(err).to.be.instanceOf(TimeoutError);
+      expect(err.message).to.equal("HelpResponseTimeout");
+    }
+  });
+});
+
+describe("DataStream events", () => {
+  it("emits a MalformedPayloadError for an unreadable frame", () => {
+    const dc = { send() {}, close() {} };
+    const logger = memoryLogger();
+    const stream = new DataStream("0xA", dc, null, { logger });
+    const errors = [];
+    stream.on("error", err => errors.push(err));
+    const messages = [];
+    stream.onMessage(m => messages.push(m));
+
+    dc.onmessage({ data: "{ not json" });
+    dc.onmessage({ data: JSON.stringify({ message: "fine" }) });
+    expect(errors).to.have.length(1);
+    expect(errors[0]).to.be.instanceOf(MalformedPayloadError);
+    expect(messages).to.deep.equal(["fine"]);
+    expect(logger.lines[0][0]).to.equal("warn");
+  });
+
+  it("rejects RPC calls with an RpcError that is a SignalServerSdkError", async () => {
+    const rpc = new RpcEndpoint(() => {}, { logger: memoryLogger() });
+    const err = await rpc.call("ping", null, { signal: AbortSignal.abort() }).then(() => null, e => e);
+    expect(err).to.be.instanceOf(RpcError).and.to.be.instanceOf(SignalServerSdkError);
+    expect(err).to.include({ name: "RpcError", code: RPC_ERRORS.CANCELLED });
+    expect(new RpcError(-32602, "bad", { field: "q" }).toJSON()).to.deep.equal({ code: -32602, message: "bad", data: { field: "q" } });
+  });
+});
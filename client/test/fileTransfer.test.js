@@ -0,0 +1,172 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import EthCrypto from "eth-crypto";
+import { DataStream } from "../src/sdk/DataStream.js";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+
+// two fake data channels wired back to back; `hold` keeps sent bytes in
+// the sender's buffer until drain() is called
+function channelPair({ hold = false } = {}) {
+  const make = () => ({
+    readyState: "open", bufferedAmount: 0, queue: [], onmessage: null, tamper: null,
+    send(data) {
+      const size = typeof data === "string" ? data.length : data.byteLength;
+      this.bufferedAmount += size;
+      this.queue.push({ data: typeof data === "string" ? data : data.slice().buffer, size });
+      if (!hold) setImmediate(() => this.drain());
+    },
+    drain() {
+      for (const { data, size } of this.queue.splice(0)) {
+        this.bufferedAmount -= size;
+        const delivered = this.tamper && typeof data !== "string" ? this.tamper(data) : data;
+        this.peer.onmessage({ data: delivered });
+      }
+    },
+  });
+  const a = make(), b = make();
+  a.peer = b; b.peer = a;
+  return [a, b];
+}
+
+function streams(opts) {
+  const [a, b] = channelPair(opts);
+  return { a, b, alice: new DataStream("0xA", a), bob: new DataStream("0xB", b) };
+}
+
+const randomFile = (n) => ethers.randomBytes(n);
+
+describe("File transfer", () => {
+  it("sends a file in chunks with metadata, progress and a verified hash", async () => {
+    const { alice, bob } = streams();
+    const file = randomFile(100_000);
+
+    const received = new Promise(res => bob.onFile((bytes, meta) => res({ bytes, meta })));
+    const bobProgress = [];
+    bob.onFileTransfer(t => t.onProgress(p => bobProgress.push(p.bytes)));
+
+    const transfer = alice.sendFile(file, { name: "notes.bin", type: "application/x-test", chunkSize: 16384 });
+    const aliceProgress = [];
+    transfer.onProgress(p => aliceProgress.push(p.bytes));
+
+    const meta = await transfer.done;
+    const got  = await received;
+    expect(got.bytes).to.deep.equal(file);
+    expect(got.meta).to.include({ name: "notes.bin", size: 100_000, type: "application/x-test" });
+    expect(got.meta.hash).to.equal(ethers.sha256(file).slice(2));
+    expect(meta.hash).to.equal(got.meta.hash);
+    expect(aliceProgress).to.have.length(7);
+    expect(aliceProgress.at(-1)).to.equal(100_000);
+    expect(bobProgress.at(-1)).to.equal(100_000);
+  });
+
+  it("stops writing while the channel buffer is above the high-water mark", async () => {
+    const { a, alice, bob } = streams({ hold: true });
+    const transfer = alice.sendFile(randomFile(64 * 1024), {
+      chunkSize: 4096, highWaterMark: 16 * 1024, lowWaterMark: 4096,
+    });
+    await new Promise(r => setTimeout(r, 50));
+    // the start frame plus chunks up to just past the high-water mark
+    expect(transfer.bytes).to.equal(16 * 1024);
+    expect(a.bufferedAmount).to.be.below(16 * 1024 + 4096 + 200);
+
+    const done = new Promise(res => bob.onFile(res));
+    const pump = setInterval(() => { a.drain(); bob._dc.drain(); }, 5);
+    await transfer.done;
+    await done;
+    clearInterval(pump);
+  });
+
+  it("lets the receiver cancel", async () => {
+    const { alice, bob } = streams();
+    bob.onFileTransfer(t => t.onProgress(() => t.cancel("too big")));
+    // a small buffer makes the sender wait for the channel, and so notice
+    const transfer = alice.sendFile(randomFile(200_000), {
+      chunkSize: 8192, highWaterMark: 16384, lowWaterMark: 0,
+    });
+    try {
+      await transfer.done;
+      throw new Error("should have been cancelled");
+    } catch (err) {
+      expect(err.message).to.match(/cancelled by peer: too big/);
+    }
+    expect(transfer.bytes).to.be.below(200_000);
+  });
+
+  it("lets the sender cancel", async () => {
+    const { alice, bob } = streams();
+    const incoming = new Promise(res => bob.onFileTransfer(res));
+    const transfer = alice.sendFile(randomFile(200_000), { chunkSize: 8192 });
+    transfer.onProgress(() => transfer.cancel("changed my mind"));
+    await transfer.done.catch(() => {});
+    try {
+      await (await incoming).done;
+      throw new Error("should have been cancelled");
+    } catch (err) {
+      expect(err.message).to.match(/cancelled by peer: changed my mind/);
+    }
+  });
+
+  it("fails the transfer, and nothing else, when the channel dies mid-transfer", async () => {
+    const { a, alice } = streams({ hold: true });
+    const unhandled = [];
+    const onUnhandled = (err) => unhandled.push(err);
+    process.on("unhandledRejection", onUnhandled);
+    try {
+      const transfer = alice.sendFile(randomFile(64 * 1024), {
+        chunkSize: 4096, highWaterMark: 8192, lowWaterMark: 0,
+      });
+      await new Promise(r => setTimeout(r, 20));
+      // closed, as a real channel reports it before its close event fires
+      a.readyState = "closed";
+      a.send = () => { throw new Error("InvalidStateError"); };
+      const err = await transfer.done.then(() => null, e => e);
+      expect(err.message).to.match(/data channel closed/);
+      await new Promise(r => setTimeout(r, 20));
+      expect(unhandled).to.deep.equal([]);
+    } finally {
+      process.off("unhandledRejection", onUnhandled);
+    }
+  });
+
+  it("rejects a file that was corrupted in transit", async () => {
+    const { a, alice, bob } = streams();
+    a.tamper = (buf) => { const b = new Uint8Array(buf); b[b.length - 1] ^= 1; return b.buffer; };
+    let incoming;
+    bob.onFileTransfer(t => { incoming = t; });
+    const transfer = alice.sendFile(randomFile(10_000));
+    const results = await Promise.allSettled([transfer.done, new Promise(r => setImmediate(r)).then(() => incoming.done)]);
+    expect(results.map(r => r.status)).to.deep.equal(["rejected", "rejected"]);
+    expect(results[1].reason.message).to.match(/integrity/);
+  });
+
+  it("still accepts inline files from older peers", (done) => {
+    const { a, bob } = streams();
+    bob.onFile((bytes, meta) => {
+      expect(Array.from(bytes)).to.deep.equal([1, 2, 3]);
+      expect(meta.size).to.equal(3);
+      done();
+    });
+    a.send(JSON.stringify({ message: "here", file: Buffer.from([1, 2, 3]).toString("base64") }));
+  });
+
+  it("moves a megabyte over a real data channel", async function () {
+    this.timeout(10000);
+    const bus = new MemoryBus();
+    const [aw, bw] = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    const [ai, bi] = [EthCrypto.createIdentity(), EthCrypto.createIdentity()];
+    const sdk = (w, i, peer, pi) => new SignalServerSdk({
+      wallet: w, encryptionIdentity: i, peerPublicKeys: { [peer.address]: pi.publicKey },
+      transport: bus.transport(w.address), wrtc, iceServers: [], timeoutMs: 2000,
+    });
+    const bob = sdk(bw, bi, aw, ai);
+    const received = new Promise(res => bob.onStreamOpen(s => s.onFile(res)));
+    bob.onHelpRequest(req => req.accept());
+
+    const stream = await sdk(aw, ai, bw, bi).requestHelp(bw.address);
+    const file   = randomFile(1024 * 1024);
+    await stream.sendFile(file, { name: "big.bin" }).done;
+    expect(await received).to.deep.equal(file);
+  });
+});
@@ -0,0 +1,148 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+import { createIdentity } from "../src/sdk/Ecies.js";
+import { decodeSignal } from "../src/sdk/WireCodec.js";
+import { DecryptError } from "../src/sdk/Errors.js";
+import { sdpFingerprints, sessionTranscript } from "../src/sdk/ForwardSecrecy.js";
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+
+const SDP = [
+  "v=0",
+  "a=fingerprint:sha-256 AB:CD:EF",
+  "m=application 9 UDP/DTLS/SCTP webrtc-datachannel",
+  "a=fingerprint:sha-256 ab:cd:ef",
+  "a=fingerprint:sha-1 01:02",
+].join("\r\n");
+
+describe("ForwardSecrecy", () => {
+  it("reads the DTLS fingerprints of an SDP", () => {
+    expect(sdpFingerprints(SDP)).to.deep.equal(["sha-1 01:02", "sha-256 ab:cd:ef"]);
+    expect(sdpFingerprints("v=0")).to.deep.equal([]);
+  });
+
+  it("hashes a transcript that changes with any of its parts", () => {
+    const t = {
+      sid:       "s1",
+      offerer:   ethers.Wallet.createRandom().address,
+      answerer:  ethers.Wallet.createRandom().address,
+      offerKey:  createIdentity().publicKey,
+      answerKey: createIdentity().publicKey,
+      offerSdp:  SDP,
+      answerSdp: "a=fingerprint:sha-256 11:22",
+    };
+    const hash = sessionTranscript(t);
+    expect(hash).to.match(/^0x[0-9a-f]{64}$/);
+    // line order and case don't matter, fingerprints do
+    expect(sessionTranscript({ ...t, offerSdp: SDP.split("\r\n").reverse().join("\n").toUpperCase() })).to.equal(hash);
+    expect(sessionTranscript({ ...t, answerSdp: "a=fingerprint:sha-256 11:23" })).to.not.equal(hash);
+    expect(sessionTranscript({ ...t, answerKey: createIdentity().publicKey })).to.not.equal(hash);
+    expect(sessionTranscript({ ...t, sid: "s2" })).to.not.equal(hash);
+  });
+});
+
+describe("SignalServerSdk forward secrecy", function () {
+  this.timeout(10000);
+  let bus, aliceWallet, bobWallet, aliceIdentity, bobIdentity, alice, bob;
+
+  beforeEach(() => {
+    bus = new MemoryBus();
+    aliceWallet   = ethers.Wallet.createRandom();
+    bobWallet     = ethers.Wallet.createRandom();
+    aliceIdentity = createIdentity();
+    bobIdentity   = createIdentity();
+    alice = make(aliceWallet, aliceIdentity, bobWallet, bobIdentity, { forwardSecrecy: true });
+    bob   = make(bobWallet, bobIdentity, aliceWallet, aliceIdentity);
+  });
+
+  afterEach(() => {
+    alice.destroy();
+    bob.destroy();
+  });
+
+  function make(wallet, identity, peer, peerIdentity, opts = {}) {
+    return new SignalServerSdk({
+      wallet,
+      encryptionIdentity: identity,
+      peerPublicKeys:     { [peer.address]: peerIdentity.publicKey },
+      transport:          bus.transport(wallet.address),
+      wrtc,
+      iceServers:         [],
+      timeoutMs:          3000,
+      ...opts,
+    });
+  }
+
+  async function connect() {
+    const accepted = new Promise(res => bob.onHelpRequest(async req => res(await req.accept())));
+    const stream   = await alice.requestHelp(bobWallet.address);
+    return [stream, await accepted];
+  }
+
+  it("connects, confirms the transcript on both sides and chats", async () => {
+    const [aliceStream, bobStream] = await connect();
+    expect(aliceStream.transcript).to.match(/^0x[0-9a-f]{64}$/);
+    expect(bobStream.transcript).to.equal(aliceStream.transcript);
+
+    const got = new Promise(res => bobStream.onMessage(res));
+    aliceStream.respond("hello");
+    expect(await got).to.equal("hello");
+  });
+
+  it("seals everything after the offer to session keys only", async () => {
+    alice.trickle = bob.trickle = true;
+    const [aliceStream] = await connect();
+    await tick(300);    // let the last candidate batches land
+
+    const longTerm = [aliceIdentity, bobIdentity].map(id => id.privateKey)
+      .concat(aliceWallet.privateKey, bobWallet.privateKey);
+    const [offer, ...rest] = bus.signals;
+    expect((await decodeSignal(bobIdentity.privateKey, offer.data)).eph).to.be.a("string");
+    expect(rest.length).to.be.greaterThan(0);
+    for (const signal of rest) {
+      for (const key of longTerm) {
+        try {
+          await decodeSignal(key, signal.data);
+          throw new Error("opened with a long-term key");
+        } catch (err) {
+          expect(err).to.be.instanceOf(DecryptError);
+        }
+      }
+    }
+
+    // and the session keys are gone once it closes
+    const session = alice.sessions()[0];
+    aliceStream.close();
+    await tick(100);
+    expect(session._fs.ours).to.equal(null);
+  });
+
+  it("fails when the answer's transcript doesn't match", async () => {
+    const send = bob._sendSignal.bind(bob);
+    bob._sendSignal = (to, body, ...rest) =>
+      send(to, body.type === "answer" ? { ...body, transcript: ethers.ZeroHash } : body, ...rest);
+    bob.onHelpRequest(req => req.accept().catch(() => {}));
+    try {
+      await alice.requestHelp(bobWallet.address);
+      throw new Error("should have thrown");
+    } catch (err) {
+      expect(err.message).to.match(/session transcript mismatch/);
+    }
+    expect(alice.sessions()).to.have.length(0);
+  });
+
+  it("fails when the helper answers without forward secrecy", async () => {
+    const send = bob._sendSignal.bind(bob);
+    bob._sendSignal = (to, { eph, transcript, ...body }, ...rest) => send(to, body, ...rest);
+    bob.onHelpRequest(req => req.accept().catch(() => {}));
+    try {
+      await alice.requestHelp(bobWallet.address);
+      throw new Error("should have thrown");
+    } catch (err) {
+      expect(err.message).to.match(/answered without forward secrecy/);
+    }
+  });
+});
@@ -0,0 +1,162 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import {
+  deriveIdentity,
+  deriveIdentitySeed,
+  identityFromSeed,
+  encryptKeystore,
+  decryptKeystore,
+  saveKeystore,
+  loadKeystore,
+} from "../src/sdk/Identity.js";
+import { createIdentity } from "../src/sdk/Ecies.js";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+const FAST = { scryptN: 1 << 10 };   // test keystores only
+
+describe("Identity", () => {
+  it("derives the same keys from the same wallet, and others from another", async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const first  = await deriveIdentity(wallet);
+    const again  = await deriveIdentity(wallet);
+    expect(again).to.deep.equal(first);
+    expect(first.index).to.equal(0);
+    expect(first.address).to.equal(ethers.computeAddress("0x04" + first.publicKey));
+
+    const seed = await deriveIdentitySeed(wallet);
+    expect(identityFromSeed(seed, 0)).to.deep.equal(first);
+    expect(identityFromSeed(seed, 1).publicKey).to.not.equal(first.publicKey);
+    expect((await deriveIdentity(ethers.Wallet.createRandom())).publicKey).to.not.equal(first.publicKey);
+  });
+
+  it("refuses a seed signature from someone else", async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const liar   = { getAddress: async () => wallet.address, signMessage: m => ethers.Wallet.createRandom().signMessage(m) };
+    try {
+      await deriveIdentitySeed(liar);
+      throw new Error("should have thrown");
+    } catch (err) {
+      expect(err.message).to.match(/not signed by the wallet/);
+    }
+  });
+
+  it("keeps identities in a password-encrypted keystore", async () => {
+    const [current, old] = [createIdentity(), createIdentity()];
+    const keystore = await encryptKeystore([current, old], "correct horse", FAST);
+    expect(keystore.publicKey).to.equal(current.publicKey);
+    expect(JSON.stringify(keystore)).to.not.include(current.privateKey.slice(2));
+
+    const opened = await decryptKeystore(JSON.stringify(keystore), "correct horse");
+    expect(opened).to.deep.equal([current, old]);
+    try {
+      await decryptKeystore(keystore, "battery staple");
+      throw new Error("should have thrown");
+    } catch (err) {
+      expect(err.message).to.match(/wrong keystore password/);
+    }
+  });
+
+  it("saves keystore files readable by their owner only", async () => {
+    const dir  = fs.mkdtempSync(path.join(os.tmpdir(), "ethsignal-"));
+    const file = path.join(dir, "keys", "identity.json");
+    try {
+      const identity = createIdentity();
+      await saveKeystore(file, identity, "pw", FAST);
+      expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+      expect(await loadKeystore(file, "pw")).to.deep.equal([identity]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("SignalServerSdk identities", function () {
+  this.timeout(10000);
+  let bus, aliceWallet, bobWallet, sdks;
+
+  beforeEach(() => {
+    bus = new MemoryBus();
+    aliceWallet = ethers.Wallet.createRandom();
+    bobWallet   = ethers.Wallet.createRandom();
+    sdks = [];
+  });
+
+  afterEach(() => sdks.forEach(sdk => sdk.destroy()));
+
+  async function make(wallet, opts = {}) {
+    const sdk = await SignalServerSdk.create({
+      wallet, wrtc, transport: bus.transport(wallet.address), iceServers: [], timeoutMs: 3000, ...opts,
+    });
+    sdks.push(sdk);
+    return sdk;
+  }
+
+  it("warns when it has to make up a throwaway key", () => {
+    const warnings = [];
+    const sdk = new SignalServerSdk({
+      wallet: aliceWallet, wrtc, transport: bus.transport(aliceWallet.address),
+      logger: { warn: m => warnings.push(m), error() {} },
+    });
+    sdks.push(sdk);
+    expect(warnings.join()).to.match(/throwaway key/);
+  });
+
+  it("derives the same identity on every start", async () => {
+    const first  = await make(aliceWallet, { deriveIdentity: true });
+    const second = await make(aliceWallet, { deriveIdentity: true });
+    expect(second.identity.publicKey).to.equal(first.identity.publicKey);
+    expect(first.identity).to.deep.equal(await deriveIdentity(aliceWallet));
+  });
+
+  it("rotates to a new key, announces it and still opens signals sent to the old one", async () => {
+    const alice = await make(aliceWallet, { deriveIdentity: true });
+    const bob   = await make(bobWallet, { deriveIdentity: true });
+    await alice.announceKey();
+    const oldKey = alice.identity.publicKey;
+    expect(await bob.keyResolver.resolve(aliceWallet.address)).to.equal(oldKey);
+
+    const rotated = new Promise(res => alice.on("identityRotated", res));
+    const announcement = await alice.rotateIdentity(undefined, { notify: [bobWallet.address] });
+    await tick(10);
+    expect((await rotated).previous.publicKey).to.equal(oldKey);
+    expect(announcement.publicKey).to.equal(alice.identity.publicKey);
+    expect(alice.identity.index).to.equal(1);
+    expect(alice.previousIdentities.map(id => id.publicKey)).to.deep.equal([oldKey]);
+    // the direct announcement reached bob
+    expect(bob.keyResolver.peek(aliceWallet.address)).to.equal(alice.identity.publicKey);
+
+    // a signal encrypted to the old key before bob heard of the new one
+    bob.keyResolver.set(aliceWallet.address, oldKey);
+    const got = new Promise(res => alice.onHelpRequest(res));
+    await bob._sendSignal(aliceWallet.address, { type: "offer", sdp: "THIS_IS_SDP", candidates: [] });
+    expect((await got).sender).to.equal(bobWallet.address);
+  });
+
+  it("resumes from the derived key it last announced", async () => {
+    const alice = await make(aliceWallet, { deriveIdentity: true });
+    await alice.rotateIdentity();
+    await alice.rotateIdentity();
+    alice.destroy();
+
+    const restarted = await make(aliceWallet, { deriveIdentity: true });
+    expect(restarted.identity.index).to.equal(2);
+    expect(restarted.identity.publicKey).to.equal(alice.identity.publicKey);
+    expect(restarted.previousIdentities.map(id => id.index)).to.deep.equal([1, 0]);
+  });
+
+  it("rotates a standalone identity to the one given", async () => {
+    const first = createIdentity(), next = createIdentity();
+    const alice = await make(aliceWallet, { encryptionIdentity: first });
+    await alice.rotateIdentity(next);
+    expect(alice.identity).to.equal(next);
+    expect(alice.previousIdentities).to.deep.equal([first]);
+    expect(await make(bobWallet, { encryptionIdentity: createIdentity() })
+      .then(bob => bob.keyResolver.resolve(aliceWallet.address))).to.equal(next.publicKey);
+  });
+});
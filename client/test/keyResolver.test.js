@@ -0,0 +1,89 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import EthCrypto from "eth-crypto";
+import {
+  KeyResolver,
+  createKeyAnnouncement,
+  verifyKeyAnnouncement,
+  parseKeyAnnouncement,
+} from "../src/sdk/KeyResolver.js";
+
+describe("KeyResolver", () => {
+  let wallet, identity;
+
+  beforeEach(() => {
+    wallet   = ethers.Wallet.createRandom();
+    identity = EthCrypto.createIdentity();
+  });
+
+  it("prefers the static map over every other source", async () => {
+    const other    = EthCrypto.createIdentity();
+    const resolver = new KeyResolver({
+      staticKeys: { [wallet.address.toLowerCase()]: identity.publicKey },
+      resolvers:  [async () => other.publicKey],
+    });
+    expect(await resolver.resolve(wallet.address)).to.equal(identity.publicKey);
+    expect(resolver.sourceOf(wallet.address)).to.equal("static");
+  });
+
+  it("caches keys returned by a resolver hook", async () => {
+    let calls = 0;
+    const resolver = new KeyResolver({
+      resolvers: [async () => { calls++; return identity.publicKey; }],
+    });
+    await resolver.resolve(wallet.address);
+    await resolver.resolve(wallet.address);
+    expect(calls).to.equal(1);
+    expect(resolver.peek(wallet.address)).to.equal(identity.publicKey);
+  });
+
+  it("throws when no source knows the peer", async () => {
+    const resolver = new KeyResolver({ resolvers: [async () => null] });
+    try {
+      await resolver.resolve(wallet.address);
+      throw new Error("should have thrown");
+    } catch (err) {
+      expect(err.message).to.match(/no public key for peer/);
+    }
+  });
+
+  it("verifies signed key announcements and rejects tampered ones", async () => {
+    const ann = await createKeyAnnouncement(wallet, identity.publicKey);
+    expect(verifyKeyAnnouncement(ann)).to.equal(wallet.address);
+
+    const forged = { ...ann, publicKey: EthCrypto.createIdentity().publicKey };
+    expect(verifyKeyAnnouncement(forged)).to.equal(null);
+
+    const resolver = new KeyResolver();
+    expect(resolver.ingestAnnouncement(forged)).to.equal(false);
+    expect(resolver.ingestAnnouncement(ann, ethers.ZeroAddress)).to.equal(false);
+    expect(resolver.ingestAnnouncement(ann, wallet.address)).to.equal(true);
+    expect(resolver.peek(wallet.address)).to.equal(identity.publicKey);
+  });
+
+  it("finds self-addressed announcements in the transport's history", async () => {
+    const ann  = await createKeyAnnouncement(wallet, identity.publicKey);
+    const data = ethers.hexlify(ethers.toUtf8Bytes(JSON.stringify(ann)));
+    expect(parseKeyAnnouncement(data)).to.deep.equal(ann);
+
+    const transport = {
+      history: async ({ sender, recipient }) => (sender === recipient ? [{ data }] : []),
+    };
+    const resolver = new KeyResolver({ transport });
+    expect(await resolver.resolve(wallet.address)).to.equal(identity.publicKey);
+    expect(resolver.sourceOf(wallet.address)).to.equal("announcement");
+  });
+
+  it("recovers the wallet key from a signed transaction", async () => {
+    const signed = await wallet.signTransaction({
+      to: ethers.ZeroAddress, nonce: 0, gasLimit: 21000, gasPrice: 1, chainId: 1,
+    });
+    const tx       = ethers.Transaction.from(signed);
+    const provider = { getTransaction: async (hash) => (hash === tx.hash ? tx : null) };
+    const resolver = new KeyResolver({ provider });
+
+    const pk = await resolver.resolve(wallet.address, { txHash: tx.hash });
+    expect(pk).to.equal(wallet.signingKey.publicKey.slice(4));
+    expect(resolver.sourceOf(wallet.address)).to.equal("transaction");
+  });
+});
@@ -0,0 +1,139 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+import { createIdentity } from "../src/sdk/Ecies.js";
+
+const { RTCAudioSource, RTCVideoSource } = wrtc.nonstandard;
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+
+async function until(check, ms = 5000) {
+  const deadline = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("timed out waiting");
+    await tick(20);
+  }
+}
+
+describe("SignalServerSdk media tracks", function () {
+  this.timeout(15000);
+  let bus, alice, bob, tracks;
+
+  beforeEach(() => {
+    bus    = new MemoryBus();
+    tracks = [];
+    const [aw, bw] = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    const [ai, bi] = [createIdentity(), createIdentity()];
+    const make = (wallet, identity, peer, peerIdentity, opts) => new SignalServerSdk({
+      wallet,
+      encryptionIdentity: identity,
+      peerPublicKeys:     { [peer.address]: peerIdentity.publicKey },
+      transport:          bus.transport(wallet.address),
+      wrtc,
+      iceServers:         [],
+      timeoutMs:          4000,
+      ...opts,
+    });
+    alice = make(aw, ai, bw, bi);
+    bob   = make(bw, bi, aw, ai);
+  });
+
+  afterEach(() => {
+    alice.destroy();
+    bob.destroy();
+    tracks.forEach(track => track.stop());
+  });
+
+  const audio = () => { const t = new RTCAudioSource().createTrack(); tracks.push(t); return t; };
+  const video = () => { const t = new RTCVideoSource().createTrack(); tracks.push(t); return t; };
+
+  // bob accepts with `media`; resolves with both ends
+  async function connect(requestOpts = {}, media) {
+    const accepted = new Promise(res => bob.onHelpRequest(req => res(req.accept(media))));
+    const stream   = await alice.requestHelp(bob.address, requestOpts);
+    return [stream, await accepted];
+  }
+
+  // until neither side has an offer out
+  const settled = () => until(() => [alice, bob].every(sdk =>
+    sdk.sessions().every(s => s.peerConnection.signalingState === "stable" && !s._negotiating)));
+
+  function received(stream) {
+    const got = [];
+    stream.onTrack((track, streams) => got.push({ track, streams }));
+    return got;
+  }
+
+
+  it("sends the requester's tracks in the offer and the helper's after it", async () => {
+    const mic = audio();
+    const cam = video();
+    const [ours, theirs] = await connect({ tracks: [mic] }, { tracks: [cam] });
+
+    // the offer carried an audio section; the video one is renegotiated
+    const atBob   = received(theirs);
+    const atAlice = received(ours);
+    expect(atBob.map(t => t.track.kind)).to.deep.equal(["audio"]);
+    await until(() => atAlice.length === 1);
+    expect(atAlice[0].track.kind).to.equal("video");
+    expect(ours.remoteTracks).to.have.length(1);
+  });
+
+  it("lets the helper answer with tracks of the offer's kinds", async () => {
+    const [ours, theirs] = await connect({ transceivers: [{ kind: "video", direction: "recvonly" }] }, { tracks: [video()] });
+    const atAlice = received(ours);
+    await until(() => atAlice.length === 1);
+    expect(atAlice[0].track.kind).to.equal("video");
+    expect(received(theirs)).to.have.length(0);
+  });
+
+  it("renegotiates when tracks are added or removed mid-session", async () => {
+    const [ours, theirs] = await connect();
+    const atBob   = received(theirs);
+    const removed = [];
+    theirs.onTrackRemoved(track => removed.push(track));
+    const before  = bus.signals.length;
+
+    const source = new wrtc.MediaStream();
+    const sender = ours.addTrack(video(), source);
+    await until(() => atBob.length === 1);
+    expect(atBob[0].track.kind).to.equal("video");
+    expect(atBob[0].streams.map(s => s.id)).to.deep.equal([source.id]);
+    // an offer and its answer, over the transport
+    await until(() => bus.signals.length - before === 2);
+
+    ours.removeTrack(sender);
+    await until(() => removed.length === 1);
+    expect(removed[0]).to.equal(atBob[0].track);
+    expect(theirs.remoteTracks).to.deep.equal([]);
+
+    // the data channel carried on throughout
+    const got = new Promise(res => theirs.onMessage(res));
+    ours.respond("still here");
+    expect(await got).to.equal("still here");
+  });
+
+  it("settles offers that cross", async () => {
+    const [ours, theirs] = await connect();
+    const atAlice = received(ours);
+    const atBob   = received(theirs);
+    ours.addTrack(audio());
+    theirs.addTrack(video());
+    await until(() => atAlice.length === 1 && atBob.length === 1);
+    expect(atAlice[0].track.kind).to.equal("video");
+    expect(atBob[0].track.kind).to.equal("audio");
+    await settled();
+  });
+
+  it("renegotiates forward-secret sessions under their session keys", async () => {
+    alice.forwardSecrecy = true;
+    const [ours, theirs] = await connect();
+    expect(ours.transcript).to.equal(theirs.transcript);
+    const atAlice = received(ours);
+    theirs.addTrack(audio());
+    await until(() => atAlice.length === 1);
+    expect(atAlice[0].track.kind).to.equal("audio");
+    await settled();
+  });
+});
@@ -0,0 +1,348 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import {
+  SIGNAL_TYPES,
+  signalDomain,
+  signRelayedSignal,
+  relayedSignalSigner,
+  RelayerClient,
+} from "../src/sdk/MetaTx.js";
+import { RelayError, SignalServerSdkError } from "../src/sdk/Errors.js";
+import { DEFAULT_ABI } from "../src/sdk/Config.js";
+import { MetaTxRelayer } from "../src/relay/MetaTxRelayer.js";
+import { ContractTransport } from "../src/sdk/transports/ContractTransport.js";
+import { describeOnAnvil, deploySignalServer } from "./anvil.js";
+
+const CHAIN_ID = 31337;
+const GAS_COST = 1000n;
+
+// SignalServer.sendSignalFor in JS: the same checks, in the same order
+class FakeSignalServer {
+  constructor() {
+    this.target    = ethers.Wallet.createRandom().address;
+    this.logs      = [];
+    this.used      = new Set();
+    this.balances  = new Map();
+    this.lookups   = 0;
+    this.provider  = {
+      getNetwork:          async () => ({ chainId: BigInt(CHAIN_ID) }),
+      getBalance:          async (address) => (this.lookups++, this.balances.get(address) ?? 0n),
+      getTransactionCount: async () => 0,
+      getFeeData:          async () => ({ maxFeePerGas: 2n, maxPriorityFeePerGas: 1n }),
+    };
+    const check = (sender, recipient, data, nonce, deadline, signature) => {
+      if (BigInt(Math.floor(Date.now() / 1000)) > deadline) throw revert("Signature expired");
+      if (this.used.has(`${sender}:${nonce}`)) throw revert("Nonce already used");
+      const request = { chainId: CHAIN_ID, contract: this.target, sender, recipient, data, nonce, deadline, signature };
+      if (relayedSignalSigner(request) !== sender) throw revert("Invalid signature");
+    };
+    this.sendSignalFor = Object.assign((...args) => {
+      const overrides = args.pop();
+      check(...args);
+      this.used.add(`${args[0]}:${args[3]}`);
+      return this._mine({ sender: args[0], recipient: args[1], data: args[2] }, overrides);
+    }, { staticCall: async (...args) => check(...args) });
+  }
+
+  connect(signer) {
+    const view = Object.create(this);
+    view._sender = signer.address;
+    return view;
+  }
+
+  async getAddress() { return this.target; }
+
+  sendTaggedSignal(tag, data, overrides) {
+    if ((this.balances.get(this._sender) ?? 0n) < GAS_COST) {
+      throw ethers.makeError("insufficient funds for intrinsic transaction cost", "INSUFFICIENT_FUNDS");
+    }
+    return this._mine({ sender: this._sender, tag, data: ethers.hexlify(data) }, overrides);
+  }
+
+  sendSignal(recipient, data, overrides) {
+    if ((this.balances.get(this._sender) ?? 0n) < GAS_COST) {
+      throw ethers.makeError("insufficient funds for intrinsic transaction cost", "INSUFFICIENT_FUNDS");
+    }
+    return this._mine({ sender: this._sender, recipient, data: ethers.hexlify(data) }, overrides);
+  }
+
+  _mine(log, overrides = {}) {
+    this.logs.push(log);
+    const hash = ethers.id(`tx${this.logs.length}`);
+    const receipt = { hash, blockNumber: this.logs.length };
+    return { hash, nonce: overrides.nonce, wait: async () => receipt };
+  }
+}
+
+function revert(reason) {
+  return Object.assign(new Error(`execution reverted: "SignalServer: ${reason}"`), { reason: `SignalServer: ${reason}` });
+}
+
+describe("MetaTx", () => {
+  it("signs what SignalServer.sendSignalFor checks", async () => {
+    const wallet   = ethers.Wallet.createRandom();
+    const contract = ethers.Wallet.createRandom().address;
+    const request  = await signRelayedSignal(wallet, {
+      chainId: CHAIN_ID, contract, recipient: wallet.address, data: "0xaabb", nonce: 7n, deadline: 1_900_000_000,
+    });
+    expect(request).to.include({ sender: wallet.address, nonce: "7", deadline: 1_900_000_000, data: "0xaabb" });
+    expect(relayedSignalSigner(request)).to.equal(wallet.address);
+    expect(relayedSignalSigner({ ...request, data: "0xaabc" })).to.not.equal(wallet.address);
+
+    // the digest as the contract builds it, by hand
+    const coder      = ethers.AbiCoder.defaultAbiCoder();
+    const typeHash   = ethers.id("Signal(address sender,address recipient,bytes32 dataHash,uint256 nonce,uint256 deadline)");
+    const domainHash = ethers.keccak256(coder.encode(
+      ["bytes32", "bytes32", "bytes32", "uint256", "address"],
+      [ethers.id("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+        ethers.id("SignalServer"), ethers.id("1"), CHAIN_ID, contract],
+    ));
+    const structHash = ethers.keccak256(coder.encode(
+      ["bytes32", "address", "address", "bytes32", "uint256", "uint256"],
+      [typeHash, wallet.address, wallet.address, ethers.keccak256("0xaabb"), 7n, 1_900_000_000n],
+    ));
+    const digest = ethers.keccak256(ethers.concat(["0x1901", domainHash, structHash]));
+    expect(ethers.TypedDataEncoder.hash(signalDomain(CHAIN_ID, contract), SIGNAL_TYPES, {
+      sender: wallet.address, recipient: wallet.address, dataHash: ethers.keccak256("0xaabb"), nonce: 7n, deadline: 1_900_000_000n,
+    })).to.equal(digest);
+    expect(ethers.recoverAddress(digest, request.signature)).to.equal(wallet.address);
+  });
+
+  it("ships the sendSignalFor entry point in the contract ABI", () => {
+    const iface = new ethers.Interface(DEFAULT_ABI);
+    expect(iface.getFunction("sendSignalFor").format())
+      .to.equal("sendSignalFor(address,address,bytes,uint256,uint256,bytes)");
+    expect(iface.getFunction("nonceUsed")).to.not.equal(null);
+  });
+});
+
+describe("MetaTxRelayer", () => {
+  let contract, relayer, relayerWallet, alice, bob;
+
+  beforeEach(() => {
+    contract      = new FakeSignalServer();
+    relayerWallet = ethers.Wallet.createRandom();
+    alice         = ethers.Wallet.createRandom();
+    bob           = ethers.Wallet.createRandom();
+    relayer       = new MetaTxRelayer({
+      contract, signer: relayerWallet, provider: contract.provider, port: 0, host: "127.0.0.1",
+      quota: { max: 2, windowMs: 60_000 },
+    });
+  });
+
+  afterEach(() => relayer.close());
+
+  const sign = (wallet, opts = {}) => signRelayedSignal(wallet, {
+    chainId: CHAIN_ID, contract: contract.target, recipient: bob.address, data: "0x0102", ...opts,
+  });
+
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (err) {
+      return err;
+    }
+    throw new Error("should have been rejected");
+  }
+
+  it("submits a signed signal in the signer's name", async () => {
+    const result = await relayer.relay(await sign(alice));
+    expect(result).to.include({ blockNumber: 1, remaining: 1 });
+    expect(contract.logs[0]).to.deep.equal({ sender: alice.address, recipient: bob.address, data: "0x0102" });
+  });
+
+  it("refuses forged, replayed, expired or foreign requests", async () => {
+    const request = await sign(alice);
+    const forged  = await rejection(relayer.relay({ ...request, sender: bob.address }));
+    expect(forged).to.be.instanceOf(RelayError).and.to.include({ status: 403 });
+
+    await relayer.relay(request);
+    const replayed = await rejection(relayer.relay(request));
+    expect(replayed.status).to.equal(400);
+    expect(replayed.message).to.match(/Nonce already used/);
+
+    const expired = await rejection(relayer.relay(await sign(alice, { deadline: Math.floor(Date.now() / 1000) - 1 })));
+    expect(expired.message).to.match(/expired/);
+    const elsewhere = await rejection(relayer.relay(await sign(alice, { chainId: 1 })));
+    expect(elsewhere.message).to.match(/serves .* on chain 31337/);
+    expect(contract.logs).to.have.length(1);
+  });
+
+  it("enforces per-sender quotas, counting only what it submits", async () => {
+    // a rejected request doesn't use up the quota
+    const request = await sign(alice);
+    await relayer.relay(request);
+    await rejection(relayer.relay(request));
+    await relayer.relay(await sign(alice));
+
+    const over = await rejection(relayer.relay(await sign(alice)));
+    expect(over).to.include({ status: 429 });
+    expect(over.retryAfterMs).to.be.within(1, 60_000);
+    // others have their own
+    await relayer.relay(await sign(bob, { recipient: alice.address }));
+  });
+
+  it("caps all senders together with a global quota", async () => {
+    relayer = new MetaTxRelayer({
+      contract, signer: relayerWallet, provider: contract.provider,
+      quota: { max: 2, windowMs: 60_000 }, globalQuota: { max: 3, windowMs: 60_000 },
+    });
+    // a rejected request doesn't use up the global quota either
+    const request = await sign(alice);
+    await relayer.relay(request);
+    await rejection(relayer.relay(request));
+    await relayer.relay(await sign(alice));
+    await relayer.relay(await sign(bob, { recipient: alice.address }));
+
+    const busy = await rejection(relayer.relay(await sign(bob, { recipient: alice.address })));
+    expect(busy).to.include({ status: 503 });
+    expect(busy.retryAfterMs).to.be.within(1, 60_000);
+    expect(contract.logs).to.have.length(3);
+  });
+
+  it("serves relay requests over HTTP", async () => {
+    const port   = await relayer.listen();
+    const client = new RelayerClient(`http://127.0.0.1:${port}/`);
+    const { txHash, remaining } = await client.relay(await sign(alice));
+    expect(txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(remaining).to.equal(1);
+
+    await client.relay(await sign(alice));
+    const over = await rejection(client.relay(await sign(alice)));
+    expect(over).to.be.instanceOf(RelayError).and.to.include({ status: 429 });
+    expect(over.message).to.match(/quota exceeded/);
+  });
+
+  it("gives up on a relayer that doesn't answer", async () => {
+    // never answers, but gives up when asked to
+    const fetch  = (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener("abort", () => reject(signal.reason));
+    });
+    const client = new RelayerClient("http://relayer.invalid", { fetch, timeoutMs: 20 });
+    const err    = await rejection(client.relay(await sign(alice)));
+    expect(err).to.be.instanceOf(RelayError);
+    expect(err.message).to.match(/didn't answer within 20 ms/);
+    expect(err.cause.name).to.equal("TimeoutError");
+  });
+
+  it("is where ContractTransport sends while the wallet has no ETH", async () => {
+    let clock = 0;
+    const port      = await relayer.listen();
+    const transport = new ContractTransport({
+      contract, signer: alice, provider: contract.provider, relayer: `http://127.0.0.1:${port}`,
+      balanceTtlMs: 1000, now: () => clock,
+    });
+    const relayed = await transport.send(bob.address, Uint8Array.of(9));
+    expect(relayed.relayed).to.equal(true);
+    expect(contract.logs[0]).to.include({ sender: alice.address, data: "0x09" });
+    expect(contract.used.size).to.equal(1);
+
+    // the balance is trusted for balanceTtlMs, then looked up again
+    contract.balances.set(alice.address, 10n ** 18n);
+    clock = 999;
+    expect((await transport.send(bob.address, Uint8Array.of(10))).relayed).to.equal(true);
+    expect(contract.lookups).to.equal(1);
+    clock = 1000;
+    expect((await transport.send(bob.address, Uint8Array.of(11))).relayed).to.equal(undefined);
+    expect(contract.used.size).to.equal(2);
+    expect(contract.lookups).to.equal(2);
+  });
+
+  it("looks at the balance again after a relay fails", async () => {
+    const transport = new ContractTransport({ contract, signer: alice, provider: contract.provider, relayer });
+    await transport.send(bob.address, "0x01");
+    await transport.send(bob.address, "0x02");
+    const over = await rejection(transport.send(bob.address, "0x03"));
+    expect(over).to.include({ status: 429 });
+    expect(contract.lookups).to.equal(1);
+
+    // funded in the meantime: back to sending directly
+    contract.balances.set(alice.address, 10n ** 18n);
+    expect((await transport.send(bob.address, "0x04")).relayed).to.equal(undefined);
+    expect(contract.lookups).to.equal(2);
+    expect(contract.logs.map(log => log.data)).to.deep.equal(["0x01", "0x02", "0x04"]);
+  });
+
+  it("moves a wallet to the relayer once it runs out of gas money", async () => {
+    const transport = new ContractTransport({ contract, signer: alice, provider: contract.provider, relayer });
+    contract.balances.set(alice.address, 10n ** 18n);
+    expect((await transport.send(bob.address, "0x01")).relayed).to.equal(undefined);
+    expect((await transport.send(bob.address, "0x02")).relayed).to.equal(undefined);
+
+    // some ETH, but less than the gas: the direct send fails and is relayed
+    contract.balances.set(alice.address, GAS_COST - 1n);
+    expect((await transport.send(bob.address, "0x03")).relayed).to.equal(true);
+    expect((await transport.send(bob.address, "0x04")).relayed).to.equal(true);
+
+    expect(contract.logs.map(log => log.data)).to.deep.equal(["0x01", "0x02", "0x03", "0x04"]);
+    expect(contract.used.size).to.equal(2);
+    expect(contract.lookups).to.equal(1);
+  });
+
+  it("can't relay tagged signals, and says so", async () => {
+    const transport = new ContractTransport({ contract, signer: alice, provider: contract.provider, relayer });
+    const tag       = ethers.id("tag");
+    const unfunded  = await rejection(transport.sendTagged(tag, "0x01"));
+    expect(unfunded).to.be.instanceOf(SignalServerSdkError);
+    expect(unfunded.message).to.match(/tagged signals can't be relayed/);
+
+    const poor = new ContractTransport({ contract, signer: bob, provider: contract.provider, relayer });
+    contract.balances.set(bob.address, GAS_COST - 1n);
+    const short = await rejection(poor.sendTagged(tag, "0x02"));
+    expect(short.message).to.match(/tagged signals can't be relayed/);
+    expect(ethers.isError(short.cause, "INSUFFICIENT_FUNDS")).to.equal(true);
+
+    contract.balances.set(alice.address, 10n ** 18n);
+    const rich = new ContractTransport({ contract, signer: alice, provider: contract.provider, relayer });
+    await rich.sendTagged(tag, "0x03");
+    expect(contract.logs).to.deep.equal([{ sender: alice.address, tag, data: "0x03" }]);
+  });
+
+  it("sends without a relayer as before, failing when the wallet can't pay", async () => {
+    const transport = new ContractTransport({ contract, signer: alice, provider: contract.provider });
+    const err = await rejection(transport.send(bob.address, "0x01"));
+    expect(ethers.isError(err, "INSUFFICIENT_FUNDS")).to.equal(true);
+    expect(contract.lookups).to.equal(0);
+  });
+});
+
+describeOnAnvil("MetaTxRelayer on Anvil", function () {
+  this.timeout(30000);
+  let provider, contract, relayer, url;
+
+  before(async () => {
+    let deployer;
+    ({ provider, deployer, contract } = await deploySignalServer());
+    relayer = new MetaTxRelayer({ contract, signer: deployer, provider, port: 0, host: "127.0.0.1", logger: { warn() {}, error() {} } });
+    url = `http://127.0.0.1:${await relayer.listen()}`;
+  });
+
+  after(async () => {
+    await relayer?.close();
+    provider?.destroy();
+  });
+
+  it("relays an unfunded wallet's signal under its own address", async () => {
+    const alice     = ethers.Wallet.createRandom().connect(provider);
+    const bob       = ethers.Wallet.createRandom();
+    const transport = new ContractTransport({ contract, signer: alice, provider, relayer: url });
+    const { hash, relayed } = await transport.send(bob.address, "0xc0ffee");
+    expect(relayed).to.equal(true);
+
+    const [log] = await transport.history({ recipient: bob.address });
+    expect(log).to.include({ sender: alice.address, recipient: bob.address, data: "0xc0ffee", txHash: hash });
+    expect(await provider.getBalance(alice.address)).to.equal(0n);
+  });
+
+  it("lets the contract refuse a replay", async () => {
+    const alice   = ethers.Wallet.createRandom();
+    const { chainId } = await provider.getNetwork();
+    const request = await signRelayedSignal(alice, {
+      chainId, contract: contract.target, recipient: alice.address, data: "0x01",
+    });
+    await relayer.relay(request);
+    const err = await relayer.relay(request).then(() => null, e => e);
+    expect(err).to.be.instanceOf(RelayError);
+    expect(err.message).to.match(/Nonce already used/);
+  });
+});
@@ -0,0 +1,210 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import EthCrypto from "eth-crypto";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { ChainPolicy } from "../src/sdk/ChainPolicy.js";
+import { MemoryCheckpointStore } from "../src/sdk/CheckpointStore.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+import { MultiChainTransport } from "../src/sdk/transports/MultiChainTransport.js";
+import { DeploymentRegistry } from "../src/sdk/Deployments.js";
+
+const OP = 10, BASE = 8453;
+
+// quotes a fixed fee per gas, or fails
+const feeProvider = (gwei) => ({
+  async getFeeData() {
+    if (gwei == null) throw new Error("rpc down");
+    return { maxFeePerGas: ethers.parseUnits(String(gwei), "gwei"), gasPrice: null };
+  },
+});
+const quietLogger = { warn() {}, error() {} };
+
+// a chain with a fixed id and code at `code` addresses; on/off let contracts subscribe
+const chainProvider = (chainId, code = []) => ({
+  async getNetwork() { return { chainId: BigInt(chainId) }; },
+  async getCode(a) { return code.includes(ethers.getAddress(a)) ? "0x6080" : "0x"; },
+  async on() {},
+  async off() {},
+});
+const ANVIL_ADDR = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+async function until(fn, ms = 2000) {
+  const end = Date.now() + ms;
+  while (!fn()) {
+    if (Date.now() > end) throw new Error("timed out waiting");
+    await new Promise(r => setTimeout(r, 5));
+  }
+}
+
+describe("MultiChainTransport", () => {
+  it("merges subscriptions, tagging each signal with its chain", async () => {
+    const [op, base] = [new MemoryBus(), new MemoryBus()];
+    const [a, b] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+    const sender = new MultiChainTransport({ [OP]: op.transport(a), [BASE]: base.transport(a) });
+    const recv   = new MultiChainTransport({ [OP]: op.transport(b), [BASE]: base.transport(b) });
+
+    const got = [];
+    const unsubscribe = recv.subscribe(b, s => got.push(s));
+    await sender.send(b, "0x01", { chainId: BASE });
+    await sender.send(b, "0x02");   // first chain
+    await new Promise(r => setTimeout(r, 10));
+    unsubscribe();
+
+    expect(got.map(s => [s.chainId, s.data, s.id])).to.have.deep.members([
+      [BASE, "0x01", `${BASE}:memory:1`],
+      [OP,   "0x02", `${OP}:memory:1`],
+    ]);
+    expect((await recv.history({ recipient: b, chainId: BASE })).map(s => s.data)).to.deep.equal(["0x01"]);
+    expect(await recv.history({ recipient: b })).to.have.length(2);
+    expect(() => sender.send(b, "0x03", { chainId: 1 })).to.throw(/not signalling on chain 1/);
+  });
+});
+
+describe("ChainPolicy", () => {
+  const peer   = ethers.Wallet.createRandom().address;
+  const chains = [{ chainId: OP, provider: feeProvider(3) }, { chainId: BASE, provider: feeProvider(1) }];
+
+  it("prefers the first configured chain of its list", async () => {
+    expect(await new ChainPolicy().pick(peer, chains)).to.equal(OP);
+    expect(await new ChainPolicy({ preferred: [1, BASE] }).pick(peer, chains)).to.equal(BASE);
+  });
+
+  it("picks the cheapest fee, skipping chains that can't quote", async () => {
+    const policy = new ChainPolicy({ strategy: "cheapest", logger: quietLogger });
+    expect(await policy.pick(peer, chains)).to.equal(BASE);
+    expect(await policy.pick(peer, [chains[0], { chainId: BASE, provider: feeProvider(null) }])).to.equal(OP);
+  });
+
+  it("follows the peer to the chain it was last seen on", async () => {
+    const policy = new ChainPolicy({ strategy: "last-seen", preferred: [BASE] });
+    expect(await policy.pick(peer, chains)).to.equal(BASE);
+    policy.seen(peer.toLowerCase(), OP);
+    expect(await policy.pick(peer, chains)).to.equal(OP);
+  });
+
+  it("takes a custom strategy, but only onto configured chains", async () => {
+    expect(await new ChainPolicy({ strategy: async () => BASE }).pick(peer, chains)).to.equal(BASE);
+    let err;
+    try {
+      await new ChainPolicy({ strategy: () => 1 }).pick(peer, chains);
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.match(/unconfigured chain 1/);
+    expect(() => new ChainPolicy({ strategy: "random" })).to.throw(/unknown chain strategy/);
+  });
+});
+
+describe("SignalServerSdk on several chains", () => {
+  let aliceWallet, bobWallet, aliceIdentity, bobIdentity;
+  let op, base, aliceSdk, bobSdk;
+
+  const multi = (address) => new MultiChainTransport({ [OP]: op.transport(address), [BASE]: base.transport(address) });
+  const sdkFor = (wallet, identity, peer, peerIdentity, opts = {}) => new SignalServerSdk({
+    wallet,
+    encryptionIdentity: identity,
+    peerPublicKeys:     { [peer.address]: peerIdentity.publicKey },
+    transport:          multi(wallet.address),
+    wrtc,
+    iceServers:         [],
+    timeoutMs:          2000,
+    ...opts,
+  });
+
+  beforeEach(() => {
+    aliceWallet   = ethers.Wallet.createRandom();
+    bobWallet     = ethers.Wallet.createRandom();
+    aliceIdentity = EthCrypto.createIdentity();
+    bobIdentity   = EthCrypto.createIdentity();
+    [op, base]    = [new MemoryBus(), new MemoryBus()];
+    aliceSdk = sdkFor(aliceWallet, aliceIdentity, bobWallet, bobIdentity);
+    bobSdk   = sdkFor(bobWallet, bobIdentity, aliceWallet, aliceIdentity, { chainPolicy: "last-seen" });
+  });
+
+  afterEach(() => {
+    aliceSdk.destroy();
+    bobSdk.destroy();
+  });
+
+  it("answers on the chain the offer came from", async () => {
+    const requests = [];
+    bobSdk.onHelpRequest(req => {
+      requests.push(req);
+      req.accept();
+    });
+    const stream = await aliceSdk.requestHelp(bobWallet.address, { chainId: BASE });
+
+    expect(requests[0].chainId).to.equal(BASE);
+    expect(aliceSdk.sessions()[0].chainId).to.equal(BASE);
+    expect(bobSdk.sessions()[0].chainId).to.equal(BASE);
+    // offer and answer both on Base, nothing on Optimism
+    expect(base.signals.map(s => s.sender)).to.deep.equal([aliceWallet.address, bobWallet.address]);
+    expect(op.signals).to.have.length(0);
+    stream.close();
+  });
+
+  it("chooses the outbound chain by policy", async () => {
+    // Bob saw Alice last on Base, so "last-seen" sends there
+    await aliceSdk._sendSignal(bobWallet.address, { type: "candidate", candidates: [] }, BASE);
+    await until(() => bobSdk.chainPolicy.lastSeen(aliceWallet.address) === BASE);
+
+    const requests = [];
+    aliceSdk.onHelpRequest(req => {
+      requests.push(req);
+      req.reject();
+    });
+    let err;
+    try {
+      await bobSdk.requestHelp(aliceWallet.address);
+    } catch (e) {
+      err = e;
+    }
+    expect(err.name).to.equal("HelpDeclinedError");
+    expect(requests[0].chainId).to.equal(BASE);
+    // the decline came back on Base too
+    expect(base.signals.map(s => s.sender)).to.deep.equal([aliceWallet.address, bobWallet.address, aliceWallet.address]);
+  });
+
+  it("builds a contract transport per configured chain and checks each", async () => {
+    const other = ethers.Wallet.createRandom().address;
+    const chains = [
+      { chainId: 31337, provider: chainProvider(31337, [ANVIL_ADDR]) },
+      { chainId: OP,    provider: chainProvider(OP, [other]), contractAddress: other, catchUpFromBlock: 7 },
+    ];
+    // a local deploy the registry knows, and one named outright
+    const deployments = new DeploymentRegistry({ 31337: { address: ANVIL_ADDR, startBlock: 1 } });
+    const sdk = await SignalServerSdk.create({ chains, deployments });
+    expect(sdk.transport.chainIds).to.deep.equal([31337, OP]);
+    expect(sdk.transport.chain(OP).id).to.equal(other);
+    // the registry's start block, or the chain's own
+    expect(sdk._startBlock(31337)).to.equal(1);
+    expect(sdk._startBlock(OP)).to.equal(7);
+    sdk.destroy();
+
+    let err;
+    try {
+      await SignalServerSdk.create({ chains: [chains[0], { ...chains[1], contractAddress: ANVIL_ADDR }], deployments });
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.match(/no contract at .* on chain 10/);
+  });
+
+  it("catches up on every chain with its own checkpoint", async () => {
+    await aliceSdk._sendSignal(bobWallet.address, { type: "offer", sdp: "ON_OP", candidates: [] }, OP);
+    await aliceSdk._sendSignal(bobWallet.address, { type: "offer", sdp: "ON_BASE", candidates: [] }, BASE);
+    await new Promise(r => setTimeout(r, 10));   // delivered before the restart
+
+    const store     = new MemoryCheckpointStore();
+    const restarted = sdkFor(bobWallet, bobIdentity, aliceWallet, aliceIdentity, { checkpointStore: store });
+    const seen = [];
+    restarted.onHelpRequest(req => seen.push([req.chainId, req.offer.sdp]));
+    expect(await restarted.catchUp()).to.equal(2);
+    expect(seen).to.deep.equal([[OP, "ON_OP"], [BASE, "ON_BASE"]]);
+    expect(await store.load(restarted._checkpointKey(OP))).to.equal(1);
+    expect(await store.load(restarted._checkpointKey(BASE))).to.equal(1);
+    expect(await restarted.catchUp()).to.equal(0);
+    restarted.destroy();
+  });
+});
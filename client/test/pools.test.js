@@ -0,0 +1,124 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+import { createIdentity } from "../src/sdk/Ecies.js";
+import { HelpClaimedError, SignalServerSdkError } from "../src/sdk/Errors.js";
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+
+describe("SignalServerSdk helper pools", function () {
+  this.timeout(10000);
+  let bus, poolKey, alice, bob, carol;
+
+  beforeEach(() => {
+    bus     = new MemoryBus();
+    poolKey = createIdentity();
+    alice   = make({ pools: { support: poolKey.publicKey } });
+    bob     = make({ pools: { support: { privateKey: poolKey.privateKey } } });
+    carol   = make({ pools: { support: { privateKey: poolKey.privateKey } } });
+  });
+
+  afterEach(() => [alice, bob, carol].forEach(sdk => sdk.destroy()));
+
+  function make(opts = {}) {
+    const wallet = ethers.Wallet.createRandom();
+    return new SignalServerSdk({
+      wallet,
+      encryptionIdentity: createIdentity(),
+      transport:          bus.transport(wallet.address),
+      wrtc,
+      iceServers:         [],
+      timeoutMs:          3000,
+      ...opts,
+    });
+  }
+
+  // every member accepts; resolves with each one's outcome
+  function acceptAll(...helpers) {
+    return helpers.map(helper => new Promise(res => helper.onHelpRequest(req => {
+      expect(req.pool).to.equal("support");
+      req.accept().then(stream => res({ helper, stream }), err => res({ helper, err }));
+    })));
+  }
+
+  it("sends one offer to the pool and connects to the first helper that answers", async () => {
+    const outcomes = acceptAll(bob, carol);
+    const stream   = await alice.requestHelpFromAny("support");
+    const [first, second] = await Promise.all(outcomes);
+
+    const winner = [first, second].find(o => o.stream);
+    const loser  = [first, second].find(o => o.err);
+    expect(stream.remoteAddress).to.equal(winner.helper.address);
+    expect(alice.sessions()[0]).to.include({ peer: winner.helper.address, pool: "support" });
+    expect(loser.err).to.be.instanceOf(HelpClaimedError);
+    expect(loser.err).to.include({ requester: alice.address, helper: winner.helper.address });
+    expect(loser.helper.sessions()).to.have.length(0);
+
+    // one offer, to the pool's address, which no helper can be told apart by
+    const offers = bus.signals.filter(s => s.sender === alice.address && s.recipient === poolKey.address);
+    expect(offers).to.have.length(2);   // the offer and the claim
+    const got = new Promise(res => winner.stream.onMessage(res));
+    stream.respond("hi");
+    expect(await got).to.equal("hi");
+  });
+
+  it("works with forward secrecy", async () => {
+    alice.forwardSecrecy = true;
+    const outcomes = acceptAll(bob, carol);
+    const stream   = await alice.requestHelpFromAny("support");
+    expect(stream.transcript).to.match(/^0x[0-9a-f]{64}$/);
+    const results = await Promise.all(outcomes);
+    expect(results.filter(o => o.stream)).to.have.length(1);
+    expect(results.filter(o => o.err instanceof HelpClaimedError)).to.have.length(1);
+  });
+
+  it("refuses to accept a request another helper already has", async () => {
+    const requests = [];
+    carol.onHelpRequest(req => requests.push(req));
+    const [outcome] = acceptAll(bob);
+    await alice.requestHelpFromAny("support");
+    expect((await outcome).stream).to.not.equal(undefined);
+    await tick(50);
+
+    const err = await requests[0].accept().then(() => null, e => e);
+    expect(err).to.be.instanceOf(HelpClaimedError);
+    // and declining a pool request sends nothing
+    const before = bus.signals.length;
+    expect(await requests[0].reject()).to.equal(false);
+    expect(bus.signals.length).to.equal(before);
+  });
+
+  it("doesn't hand pool offers to outsiders", async () => {
+    const outsider = make({ pools: { support: poolKey.publicKey } });
+    let seen = false;
+    outsider.onHelpRequest(() => { seen = true; });
+    const [outcome] = acceptAll(bob);
+    carol.removePool("support");
+    await alice.requestHelpFromAny("support");
+    await outcome;
+    await tick(50);
+    expect(seen).to.equal(false);
+    outsider.destroy();
+  });
+
+  it("lets members join at runtime and catch up on offers", async () => {
+    carol.destroy();
+    alice.requestHelpFromAny("support").catch(() => null);
+    while (!bus.signals.length) await tick(20);
+
+    carol = make();
+    expect(carol.addPool("support", poolKey)).to.equal(poolKey.address);
+    const requests = [];
+    carol.onHelpRequest(req => requests.push(req));
+    expect(await carol.catchUp()).to.equal(1);
+    expect(requests[0]).to.include({ sender: alice.address, pool: "support" });
+  });
+
+  it("rejects unknown pools", async () => {
+    const err = await alice.requestHelpFromAny("sales").then(() => null, e => e);
+    expect(err).to.be.instanceOf(SignalServerSdkError);
+    expect(err.message).to.match(/unknown pool sales/);
+  });
+});
@@ -0,0 +1,199 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+import { ContractTransport } from "../src/sdk/transports/ContractTransport.js";
+import { createIdentity } from "../src/sdk/Ecies.js";
+import {
+  FIRST_CONTACT_TAG, tagEpoch, sharedSecret, pairTag, sealFirstContact, openFirstContact,
+} from "../src/sdk/PrivateTags.js";
+import { describeOnAnvil, deploySignalServer } from "./anvil.js";
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+
+describe("PrivateTags", () => {
+  const alice = ethers.Wallet.createRandom().address;
+  const bob   = ethers.Wallet.createRandom().address;
+
+  it("gives both peers the same tag, new every epoch and direction", () => {
+    const a = createIdentity();
+    const b = createIdentity();
+    const secret = sharedSecret(a.privateKey, b.publicKey);
+    expect(sharedSecret(b.privateKey, a.publicKey)).to.equal(secret);
+
+    const epoch = tagEpoch(Date.now(), 60_000);
+    const tag   = pairTag(secret, alice, bob, epoch);
+    expect(tag).to.match(/^0x[0-9a-f]{64}$/);
+    expect(pairTag(secret, alice.toLowerCase(), bob, epoch)).to.equal(tag);
+    expect(pairTag(secret, bob, alice, epoch)).to.not.equal(tag);
+    expect(pairTag(secret, alice, bob, epoch + 1)).to.not.equal(tag);
+    expect(pairTag(sharedSecret(a.privateKey, createIdentity().publicKey), alice, bob, epoch)).to.not.equal(tag);
+    expect(tagEpoch(119_999, 60_000)).to.equal(1);
+  });
+
+  it("opens a first contact only with the recipient's key", () => {
+    const bobKey = createIdentity();
+    const sealed = sealFirstContact(bobKey.publicKey, "0xc0ffee");
+    expect(ethers.dataLength(sealed)).to.equal(33 + 1 + 3);
+    expect(openFirstContact(bobKey.privateKey, sealed)).to.equal("0xc0ffee");
+    // two seals of the same payload share nothing
+    expect(ethers.dataSlice(sealFirstContact(bobKey.publicKey, "0xc0ffee"), 0, 33))
+      .to.not.equal(ethers.dataSlice(sealed, 0, 33));
+
+    // the view tag turns away almost every other key
+    let opened = 0;
+    for (let i = 0; i < 64; i++) if (openFirstContact(createIdentity().privateKey, sealed)) opened++;
+    expect(opened).to.be.below(4);
+    expect(openFirstContact(bobKey.privateKey, "0x01")).to.equal(null);
+    expect(openFirstContact(bobKey.privateKey, ethers.concat([new Uint8Array(34), "0x01"]))).to.equal(null);
+  });
+});
+
+describe("SignalServerSdk private recipients", function () {
+  this.timeout(10000);
+  let bus, aliceWallet, bobWallet, aliceIdentity, bobIdentity, alice, bob;
+
+  beforeEach(() => {
+    bus = new MemoryBus();
+    aliceWallet   = ethers.Wallet.createRandom();
+    bobWallet     = ethers.Wallet.createRandom();
+    aliceIdentity = createIdentity();
+    bobIdentity   = createIdentity();
+    alice = make(aliceWallet, aliceIdentity, bobWallet, bobIdentity);
+    bob   = make(bobWallet, bobIdentity, aliceWallet, aliceIdentity);
+  });
+
+  afterEach(() => {
+    alice.destroy();
+    bob.destroy();
+  });
+
+  function make(wallet, identity, peer, peerIdentity, opts = {}) {
+    return new SignalServerSdk({
+      wallet,
+      encryptionIdentity: identity,
+      peerPublicKeys:     { [peer.address]: peerIdentity.publicKey },
+      transport:          bus.transport(wallet.address),
+      wrtc,
+      iceServers:         [],
+      timeoutMs:          3000,
+      privateRecipients:  true,
+      ...opts,
+    });
+  }
+
+  async function connect() {
+    const accepted = new Promise(res => bob.onHelpRequest(async req => res(await req.accept())));
+    const stream   = await alice.requestHelp(bobWallet.address);
+    return [stream, await accepted];
+  }
+
+  it("connects without naming a recipient on the bus", async () => {
+    alice.trickle = bob.trickle = true;
+    const [aliceStream, bobStream] = await connect();
+    const got = new Promise(res => bobStream.onMessage(res));
+    aliceStream.respond("hello");
+    expect(await got).to.equal("hello");
+    await tick(300);    // let the last candidate batches land
+
+    expect(bus.signals.length).to.be.greaterThan(2);
+    for (const signal of bus.signals) {
+      expect(signal.recipient).to.equal(undefined);
+      expect(signal.tag).to.match(/^0x[0-9a-f]{64}$/);
+    }
+    // the offer is a first contact, the answer goes by pair tag
+    const [offer, ...rest] = bus.signals;
+    expect(offer.tag).to.equal(FIRST_CONTACT_TAG);
+    const answer = rest.find(s => s.sender === bobWallet.address);
+    const secret = sharedSecret(bobIdentity.privateKey, aliceIdentity.publicKey);
+    expect(answer.tag).to.equal(pairTag(secret, bobWallet.address, aliceWallet.address, tagEpoch(Date.now(), bob.tagEpochMs)));
+  });
+
+  it("drops pair-tagged signals from anyone but the tag's peer", async () => {
+    const secret = sharedSecret(aliceIdentity.privateKey, bobIdentity.publicKey);
+    const tag    = pairTag(secret, bobWallet.address, aliceWallet.address, tagEpoch(Date.now(), alice.tagEpochMs));
+    expect(alice._openTagged({ sender: bobWallet.address, tag, data: "0x01" })).to.include({ recipient: aliceWallet.address });
+    expect(alice._openTagged({ sender: ethers.Wallet.createRandom().address, tag, data: "0x01" })).to.equal(null);
+    expect(alice._openTagged({ sender: bobWallet.address, tag: ethers.id("other"), data: "0x01" })).to.equal(null);
+
+    // a first contact for somebody else goes quietly
+    const errors = [];
+    alice.on("error", err => errors.push(err));
+    const stranger = createIdentity();
+    for (let i = 0; i < 32; i++) {
+      await bus.transport(bobWallet.address).sendTagged(FIRST_CONTACT_TAG, sealFirstContact(stranger.publicKey, "0x0102"));
+    }
+    await tick(50);
+    expect(errors).to.deep.equal([]);
+  });
+
+  it("answers a peer that signals by address in kind", async () => {
+    bob.destroy();
+    bob = make(bobWallet, bobIdentity, aliceWallet, aliceIdentity, { privateRecipients: false });
+    const accepted = new Promise(res => alice.onHelpRequest(async req => res(await req.accept())));
+    await bob.requestHelp(aliceWallet.address);
+    await accepted;
+
+    const fromAlice = bus.signals.filter(s => s.sender === aliceWallet.address);
+    expect(fromAlice.length).to.be.greaterThan(0);
+    for (const signal of fromAlice) expect(signal.recipient).to.equal(bobWallet.address);
+  });
+
+  it("catches up on first contacts sent while offline", async () => {
+    bob.destroy();
+    alice.requestHelp(bobWallet.address).catch(() => null);
+    while (!bus.signals.length) await tick(20);
+
+    bob = make(bobWallet, bobIdentity, aliceWallet, aliceIdentity);
+    const requests = [];
+    bob.onHelpRequest(req => requests.push(req));
+    expect(await bob.catchUp()).to.equal(1);
+    expect(requests[0].sender).to.equal(aliceWallet.address);
+  });
+
+  it("needs a transport that knows tags", () => {
+    const transport = { subscribe: () => () => {}, send: async () => {} };
+    expect(() => make(ethers.Wallet.createRandom(), createIdentity(), bobWallet, bobIdentity, { transport }))
+      .to.throw(/privateRecipients/);
+  });
+});
+
+describeOnAnvil("TaggedSignal on Anvil", function () {
+  this.timeout(30000);
+  let provider, transport;
+
+  before(async () => {
+    let deployer, contract;
+    ({ provider, deployer, contract } = await deploySignalServer());
+    transport = new ContractTransport({ contract, signer: deployer, provider });
+  });
+
+  after(() => provider?.destroy());
+
+  it("emits tagged signals without a recipient and finds them by tag", async () => {
+    const tag   = ethers.id("some pair tag");
+    const other = ethers.id("another");
+    const live  = new Promise(res => {
+      const off = transport.subscribeTags([tag], (signal) => {
+        off();
+        res(signal);
+      });
+    });
+    const from = await transport.head();
+    await transport.sendTagged(other, "0x01");
+    const { hash } = await transport.sendTagged(tag, "0xc0ffee");
+
+    const [log, ...more] = await transport.historyTags({ tags: [tag], fromBlock: from });
+    expect(more).to.have.length(0);
+    expect(log).to.include({ tag, data: "0xc0ffee", txHash: hash });
+    expect(log).to.not.have.property("recipient");
+    expect((await live).txHash).to.equal(hash);
+    expect(await transport.history({ fromBlock: from })).to.have.length(0);
+  });
+
+  it("refuses the zero tag", async () => {
+    const err = await transport.sendTagged(ethers.ZeroHash, "0x01").then(() => null, e => e);
+    expect(err?.message).to.match(/Tag cannot be zero/);
+  });
+});
@@ -0,0 +1,126 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import EthCrypto from "eth-crypto";
+import { RequestPolicy } from "../src/sdk/RequestPolicy.js";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+
+const addr = () => ethers.Wallet.createRandom().address;
+const req  = (sender) => ({ sender });
+
+// answers getBalance() and balanceOf() from fixed tables, counting reads
+function fakeProvider({ balances = {}, tokens = {} } = {}) {
+  const iface = new ethers.Interface(["function balanceOf(address) view returns (uint256)"]);
+  return {
+    reads: 0,
+    async getBalance(a) { this.reads++; return balances[a] ?? 0n; },
+    async call(tx) {
+      this.reads++;
+      const [owner] = iface.decodeFunctionData("balanceOf", tx.data);
+      const held = tokens[ethers.getAddress(tx.to)]?.[owner] ?? 0n;
+      return iface.encodeFunctionResult("balanceOf", [held]);
+    },
+  };
+}
+
+describe("RequestPolicy", () => {
+  it("applies deny and allow lists", async () => {
+    const [friend, foe, stranger] = [addr(), addr(), addr()];
+    const policy = new RequestPolicy({ allow: [friend, foe], deny: [foe.toLowerCase()] });
+    expect(await policy.check(req(friend))).to.deep.equal({ ok: true });
+    expect((await policy.check(req(foe))).rule).to.equal("denied");
+    expect((await policy.check(req(stranger))).rule).to.equal("not-allowed");
+
+    policy.allow(stranger);
+    expect((await policy.check(req(stranger))).ok).to.equal(true);
+    expect(policy.stats()).to.deep.equal({ passed: 2, dropped: { total: 2, denied: 1, "not-allowed": 1 } });
+  });
+
+  it("declines as busy at the session cap", async () => {
+    const policy = new RequestPolicy({ maxSessions: 2 });
+    expect((await policy.check(req(addr()), { sessions: 1 })).ok).to.equal(true);
+    expect(await policy.check(req(addr()), { sessions: 2 }))
+      .to.deep.equal({ ok: false, rule: "busy", decline: "busy" });
+  });
+
+  it("rate-limits per sender without using up the global budget", async () => {
+    let clock = 0;
+    const policy = new RequestPolicy({
+      senderRate: { max: 2, windowMs: 1000 },
+      globalRate: { max: 4, windowMs: 1000 },
+      now:        () => clock,
+    });
+    const flooder  = addr();
+    const verdicts = [];
+    for (let i = 0; i < 5; i++) verdicts.push((await policy.check(req(flooder))).rule ?? "ok");
+    expect(verdicts).to.deep.equal(["ok", "ok", "rate-sender", "rate-sender", "rate-sender"]);
+
+    const rules = [];
+    for (let i = 0; i < 3; i++) rules.push((await policy.check(req(addr()))).rule ?? "ok");
+    expect(rules).to.deep.equal(["ok", "ok", "rate-global"]);
+
+    clock = 999;
+    expect((await policy.check(req(flooder))).rule).to.equal("rate-global");
+    clock = 1001;
+    expect((await policy.check(req(flooder))).ok).to.equal(true);
+  });
+
+  it("checks ETH and token balances through the provider, cached", async () => {
+    const [rich, poor] = [addr(), addr()];
+    const nft = addr();
+    const provider = fakeProvider({
+      balances: { [rich]: ethers.parseEther("1"), [poor]: 1n },
+      tokens:   { [nft]: { [rich]: 1n } },
+    });
+    const policy = new RequestPolicy({
+      minBalance: ethers.parseEther("0.1"),
+      tokens:     [{ address: nft }],
+    });
+    expect((await policy.check(req(rich), { provider })).ok).to.equal(true);
+    expect((await policy.check(req(poor), { provider })).rule).to.equal("balance");
+    const reads = provider.reads;
+    expect((await policy.check(req(rich), { provider })).ok).to.equal(true);
+    expect(provider.reads).to.equal(reads);
+
+    provider.balances = { [poor]: ethers.parseEther("1") };
+    const other = new RequestPolicy({ tokens: [{ address: nft }] });
+    expect((await other.check(req(poor), { provider })).rule).to.equal("token");
+  });
+
+  it("runs custom predicates and counts what they drop", async () => {
+    const dropped = [];
+    const policy = new RequestPolicy({
+      predicates: [async r => r.sender !== "0x000000000000000000000000000000000000dEaD"],
+    });
+    policy.onDrop((sender, rule) => dropped.push(rule));
+    policy.predicates.push(() => { throw new Error("boom"); });
+    expect((await policy.check(req(addr()))).rule).to.equal("predicate");
+    expect(dropped).to.deep.equal(["predicate"]);
+    expect(policy.stats().dropped.total).to.equal(1);
+  });
+
+  it("keeps dropped requests away from onHelpRequest", async () => {
+    const bus = new MemoryBus();
+    const [bw, aw] = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    const [bi, ai] = [EthCrypto.createIdentity(), EthCrypto.createIdentity()];
+    const bob = new SignalServerSdk({
+      wallet: bw, encryptionIdentity: bi, transport: bus.transport(bw.address),
+      iceServers: [], policy: { deny: [aw.address] },
+    });
+    const alice = new SignalServerSdk({
+      wallet: aw, encryptionIdentity: ai, peerPublicKeys: { [bw.address]: bi.publicKey },
+      transport: bus.transport(aw.address), wrtc, iceServers: [], timeoutMs: 300,
+    });
+    let requests = 0;
+    bob.onHelpRequest(() => requests++);
+    const reported = new Promise(res => bob.policy.onDrop((sender, rule) => res([sender, rule])));
+
+    await alice.requestHelp(bw.address).catch(() => {});
+    expect(await reported).to.deep.equal([aw.address, "denied"]);
+    expect(requests).to.equal(0);
+    expect(bus.signals.filter(s => s.sender === bw.address)).to.have.length(0);
+    alice.destroy();
+    bob.destroy();
+  });
+});
@@ -0,0 +1,176 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+import { createIdentity } from "../src/sdk/Ecies.js";
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+
+async function until(check, ms = 3000) {
+  const deadline = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("timed out waiting");
+    await tick(20);
+  }
+}
+
+describe("SignalServerSdk rooms", function () {
+  this.timeout(15000);
+  let bus, sdks, alice, bob, carol, dave;
+
+  beforeEach(async () => {
+    bus  = new MemoryBus();
+    sdks = [];
+    [alice, bob, carol, dave] = [make(), make(), make(), make()];
+    // members find each other's keys in the announcements
+    await Promise.all(sdks.map(sdk => sdk.announceKey()));
+  });
+
+  afterEach(() => sdks.forEach(sdk => sdk.destroy()));
+
+  function make(opts = {}) {
+    const wallet = ethers.Wallet.createRandom();
+    const sdk = new SignalServerSdk({
+      wallet,
+      encryptionIdentity: createIdentity(),
+      transport:          bus.transport(wallet.address),
+      wrtc,
+      iceServers:         [],
+      timeoutMs:          3000,
+      ...opts,
+    });
+    sdks.push(sdk);
+    return sdk;
+  }
+
+  // `sdk` joins every room it is invited to; resolves with the first
+  function joins(sdk) {
+    return new Promise((res, rej) => sdk.onRoomInvite(invite => invite.join().then(res, rej)));
+  }
+
+  it("meshes the creator and its invitees", async () => {
+    const joined = [joins(bob), joins(carol)];
+    const room   = await alice.createRoom([bob.address, carol.address]);
+    const [bobRoom, carolRoom] = await Promise.all(joined);
+    await until(() => bobRoom.members.length === 2);
+
+    expect(bobRoom.id).to.equal(room.id);
+    expect(room.members).to.have.members([bob.address, carol.address]);
+    expect(bobRoom.members).to.have.members([alice.address, carol.address]);
+    expect(carolRoom.members).to.have.members([alice.address, bob.address]);
+    expect(alice.rooms()).to.deep.equal([room]);
+
+    // three links, each signalled pairwise
+    expect(alice.sessions()).to.have.length(2);
+    expect(bob.sessions()).to.have.length(2);
+  });
+
+  it("broadcasts with sender attribution", async () => {
+    const joined = [joins(bob), joins(carol)];
+    const room   = await alice.createRoom([bob.address, carol.address]);
+    const [bobRoom, carolRoom] = await Promise.all(joined);
+    await until(() => bobRoom.members.length === 2);
+
+    const got = { alice: [], bob: [], carol: [] };
+    room.onMessage((msg, from) => got.alice.push([msg, from]));
+    bobRoom.onMessage((msg, from) => got.bob.push([msg, from]));
+    carolRoom.onMessage((msg, from) => got.carol.push([msg, from]));
+
+    bobRoom.send({ text: "hi all" });
+    room.send("from alice");
+    await until(() => got.alice.length === 1 && got.bob.length === 1 && got.carol.length === 2);
+    expect(got.alice).to.deep.equal([[{ text: "hi all" }, bob.address]]);
+    expect(got.bob).to.deep.equal([["from alice", alice.address]]);
+    expect(got.carol).to.have.deep.members([[{ text: "hi all" }, bob.address], ["from alice", alice.address]]);
+  });
+
+  it("lets members invite later and reports joins and leaves", async () => {
+    const bobJoined = joins(bob);
+    const room      = await alice.createRoom([bob.address]);
+    const bobRoom   = await bobJoined;
+
+    const events = [];
+    room.onJoin(member => events.push(["join", member]));
+    bobRoom.onJoin(member => events.push(["bob saw join", member]));
+    room.onLeave((member, reason) => events.push(["leave", member, reason]));
+
+    // bob brings dave in; alice meets dave through bob's introduction
+    const daveJoined = joins(dave);
+    await bobRoom.invite(dave.address);
+    const daveRoom = await daveJoined;
+    expect(daveRoom.members).to.have.members([alice.address, bob.address]);
+    await until(() => room.members.length === 2);
+    expect(events).to.deep.include.members([["bob saw join", dave.address], ["join", dave.address]]);
+
+    daveRoom.leave();
+    await until(() => room.members.length === 1 && bobRoom.members.length === 1);
+    expect(events).to.deep.include(["leave", dave.address, "left"]);
+    expect(dave.rooms()).to.deep.equal([]);
+    expect(() => daveRoom.send("late")).to.throw(/left room/);
+  });
+
+  it("only links members that were introduced", async () => {
+    const bobJoined = joins(bob);
+    const room      = await alice.createRoom([bob.address]);
+    await bobJoined;
+
+    // carol knows the room's id, but nobody brought her in
+    const intruder = carol._roomOffer(alice.address, { id: room.id, chainId: null });
+    const err      = await intruder.then(() => null, e => e);
+    expect(err?.message).to.match(/HelpResponseTimeout/);
+    expect(room.members).to.deep.equal([bob.address]);
+  });
+
+  it("queues invites made at once", async () => {
+    const room  = await alice.createRoom();
+    const order = [];
+    const offer = alice._roomOffer.bind(alice);
+    alice._roomOffer = async (peer, ...rest) => {
+      order.push(["offer", peer]);
+      const stream = await offer(peer, ...rest);
+      order.push(["open", peer]);
+      return stream;
+    };
+    const joined = [joins(bob), joins(carol)];
+    const [, , again] = await Promise.allSettled([
+      room.invite(bob.address), room.invite(carol.address), room.invite(bob.address),
+    ]);
+    expect(order).to.deep.equal([["offer", bob.address], ["open", bob.address], ["offer", carol.address], ["open", carol.address]]);
+    expect(again.reason.message).to.match(/already in room/);
+
+    const [bobRoom, carolRoom] = await Promise.all(joined);
+    await until(() => bobRoom.members.length === 2);
+    expect(carolRoom.members).to.have.members([alice.address, bob.address]);
+  });
+
+  it("keeps to the policy's lists for introduced members", async () => {
+    const bobJoined = joins(bob);
+    const room      = await alice.createRoom([bob.address]);
+    const bobRoom   = await bobJoined;
+
+    const warnings = [];
+    const erin     = make({ logger: { warn: (...args) => warnings.push(args.join(" ")), error() {} } });
+    await erin.announceKey();
+    alice.policy.deny(erin.address);
+
+    // bob brings erin in, but alice won't link with her
+    const erinJoined = joins(erin);
+    await bobRoom.invite(erin.address);
+    const erinRoom = await erinJoined;
+    expect(erinRoom.members).to.deep.equal([bob.address]);
+    expect(room.members).to.deep.equal([bob.address]);
+    expect(warnings.some(w => w.includes(`no link with ${alice.address}`))).to.equal(true);
+  });
+
+  it("goes on without invitees that decline", async () => {
+    carol.onRoomInvite(invite => invite.reject());
+    const errors = [];
+    alice.on("error", err => errors.push(err));
+    const joined = joins(bob);
+    const room   = await alice.createRoom([carol.address, bob.address]);
+    await joined;
+    expect(room.members).to.deep.equal([bob.address]);
+    expect(errors[0].name).to.equal("HelpDeclinedError");
+  });
+});
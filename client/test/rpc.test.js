@@ -0,0 +1,106 @@
+import { expect } from "chai";
+import { DataStream } from "../src/sdk/DataStream.js";
+import { RpcEndpoint, RpcError, RPC_ERRORS } from "../src/sdk/Rpc.js";
+
+// two fake data channels wired back to back, delivering asynchronously
+function streams() {
+  const make = () => ({
+    readyState: "open", bufferedAmount: 0, onmessage: null, sent: [],
+    send(data) {
+      this.sent.push(data);
+      setImmediate(() => this.peer.onmessage({ data }));
+    },
+  });
+  const a = make(), b = make();
+  a.peer = b; b.peer = a;
+  return { a, b, alice: new DataStream("0xA", a), bob: new DataStream("0xB", b) };
+}
+
+describe("DataStream RPC", () => {
+  it("correlates concurrent calls with their results", async () => {
+    const { alice, bob } = streams();
+    bob.handle("add", ([x, y]) => x + y);
+    bob.handle("slow", async (v) => { await new Promise(r => setTimeout(r, 20)); return v; });
+
+    const results = await Promise.all([
+      alice.call("slow", "first"),
+      alice.call("add", [2, 3]),
+      alice.call("add", [10, 20]),
+    ]);
+    expect(results).to.deep.equal(["first", 5, 30]);
+  });
+
+  it("propagates structured errors", async () => {
+    const { alice, bob } = streams();
+    bob.handle("strict", () => { throw new RpcError(RPC_ERRORS.INVALID_PARAMS, "need a number", { got: "x" }); });
+    bob.handle("buggy", () => { throw new Error("boom"); });
+
+    const errors = await Promise.all(["strict", "buggy", "missing"].map(m => alice.call(m).catch(e => e)));
+    errors.forEach(e => expect(e).to.be.instanceOf(RpcError));
+    expect(errors.map(e => e.code)).to.deep.equal([
+      RPC_ERRORS.INVALID_PARAMS, RPC_ERRORS.INTERNAL, RPC_ERRORS.METHOD_NOT_FOUND,
+    ]);
+    expect(errors[0].data).to.deep.equal({ got: "x" });
+    expect(errors[1].message).to.equal("boom");
+  });
+
+  it("drops replies it can't send once the channel is gone", async () => {
+    const endpoint = new RpcEndpoint(() => { throw new Error("stream is closed"); }, { logger: { warn() {} } });
+    endpoint.handle("echo", v => v);
+    // neither the missing method nor the handled one rejects
+    await endpoint._onFrame({ rpc: "call", id: 1, method: "missing" });
+    await endpoint._onFrame({ rpc: "call", id: 2, method: "echo", params: 1 });
+  });
+
+  it("times out and cancels, telling the handler", async () => {
+    const { b, alice, bob } = streams();
+    const aborted = [];
+    bob.handle("forever", (_p, { signal }) => new Promise(() => {
+      signal.addEventListener("abort", () => aborted.push("forever"));
+    }));
+
+    const err = await alice.call("forever", null, { timeoutMs: 30 }).catch(e => e);
+    expect(err.code).to.equal(RPC_ERRORS.TIMEOUT);
+
+    const ctrl = new AbortController();
+    const p = alice.call("forever", null, { signal: ctrl.signal });
+    setTimeout(() => ctrl.abort(), 10);
+    expect((await p.catch(e => e)).code).to.equal(RPC_ERRORS.CANCELLED);
+
+    await new Promise(r => setTimeout(r, 20));
+    expect(aborted).to.deep.equal(["forever", "forever"]);
+    // no late replies for calls the caller gave up on
+    expect(b.sent.filter(f => JSON.parse(f).rpc === "result")).to.have.length(0);
+  });
+
+  it("delivers notifications from inside a handler", async () => {
+    const { alice, bob } = streams();
+    const progress = [];
+    const off = alice.onNotification("progress", p => progress.push(p));
+    bob.handle("job", async (steps, { notify }) => {
+      for (let i = 1; i <= steps; i++) notify("progress", i);
+      return "done";
+    });
+
+    expect(await alice.call("job", 3)).to.equal("done");
+    expect(progress).to.deep.equal([1, 2, 3]);
+    off();
+    bob.notify("progress", 4);
+    await new Promise(r => setImmediate(r));
+    expect(progress).to.have.length(3);
+  });
+
+  it("shares the channel with messages and files", async () => {
+    const { alice, bob } = streams();
+    const messages = [];
+    bob.onMessage(m => messages.push(m));
+    bob.handle("echo", v => v);
+    const file = new Promise(res => bob.onFile(res));
+
+    alice.respond("hi");
+    const [echo] = await Promise.all([alice.call("echo", { ok: true }), alice.sendFile(Uint8Array.of(1, 2)).done]);
+    expect(echo).to.deep.equal({ ok: true });
+    expect(messages).to.deep.equal(["hi"]);
+    expect(Array.from(await file)).to.deep.equal([1, 2]);
+  });
+});
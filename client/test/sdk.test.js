@@ -1,89 +1,74 @@
 import { expect } from "chai";
-import { EventEmitter } from "events";
 import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
 import EthCrypto from "eth-crypto";
 import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
-
-class FakeContract extends EventEmitter {
-  constructor() {
-    super();
-    // our SDK will call this.contract.filters.SignalSent(sender, recipient)
-    this.filters = {
-      SignalSent: (sender, recipient) => "SignalSent:" + sender + ":" + recipient
-    };
-  }
-
-  // when SDK does contract.connect(signer), just remember the signer address
-  connect(signer) {
-    this._sender = signer.address;
-    return this;
-  }
-
-  // SDK calls contractWithSigner.sendSignal(to, data)
-  sendSignal(to, data) {
-    // fire the matching event _next tick_ so any .on() is already hooked
-    process.nextTick(() => {
-      this.emit(
-        this.filters.SignalSent(this._sender, to),
-        // pass exactly what ethers-v6 would pass:
-        this._sender,       // sender
-        to,                 // recipient
-        data,               // encryptedData
-        {                   // last arg is Event object
-          args: { sender: this._sender, recipient: to, encryptedData: data }
-        }
-      );
-    });
-    // return a "tx" with a wait() method
-    return {
-      wait: () => Promise.resolve({ hash: "0xFAKE_TX_HASH" })
-    };
-  }
-
-  // wire up .on(filter, listener) and .once(...)
-  on(filter, listener)   { super.on(filter, listener); }
-  once(filter, listener) { super.once(filter, listener); }
-  off(filter, listener)  { super.removeListener(filter, listener); }
-}
+import { MemoryCheckpointStore } from "../src/sdk/CheckpointStore.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+import { HelpDeclinedError } from "../src/sdk/Errors.js";
 
 describe("SignalServerSdk", () => {
   let aliceWallet, bobWallet;
   let aliceIdentity, bobIdentity;
-  let aliceSdk, bobSdk, fakeContract;
+  let aliceSdk, bobSdk, bus;
+  // what the SDKs warn about; destroy() in afterEach rejects accept()s
+  // still in flight, which would otherwise fill the test output
+  let logs;
+  const logger = { warn: (...args) => logs.push(args.join(" ")), error: (...args) => logs.push(args.join(" ")) };
 
   beforeEach(() => {
+    logs = [];
     // 1) Fresh wallets & identities
     aliceWallet   = ethers.Wallet.createRandom();
     bobWallet     = ethers.Wallet.createRandom();
     aliceIdentity = EthCrypto.createIdentity();
     bobIdentity   = EthCrypto.createIdentity();
 
-    // 2) Build SDKs pointing at our FakeContract
-    fakeContract  = new FakeContract();
+    // 2) Build SDKs on a shared in-memory signalling bus
+    bus = new MemoryBus();
 
     aliceSdk = new SignalServerSdk({
       wallet:              aliceWallet,
       encryptionIdentity:  aliceIdentity,
       peerPublicKeys:      { [bobWallet.address]: bobIdentity.publicKey },
-      // we override provider/contract below
+      transport:           bus.transport(aliceWallet.address),
+      wrtc,
+      iceServers:          [],
+      timeoutMs:           1000,
+      logger,
     });
     bobSdk   = new SignalServerSdk({
       wallet:              bobWallet,
       encryptionIdentity:  bobIdentity,
       peerPublicKeys:      { [aliceWallet.address]: aliceIdentity.publicKey },
+      transport:           bus.transport(bobWallet.address),
+      wrtc,
+      iceServers:          [],
+      timeoutMs:           1000,
+      logger,
     });
+  });
 
-    // 3) Stub out the on-chain contract in both SDKs
-    [aliceSdk, bobSdk].forEach((sdk) => {
-      sdk.contract            = fakeContract;
-      sdk.contractWithSigner  = fakeContract.connect(sdk.wallet);
-    });
+  afterEach(() => {
+    aliceSdk.destroy();
+    bobSdk.destroy();
   });
 
-  it("throws if peerPublicKeys map is empty", () => {
-    expect(() => {
-      new SignalServerSdk({ peerPublicKeys: {} });
-    }).to.throw("peerPublicKeys map is required");
+  // Bob "restarts": a fresh SDK that never saw the live signals
+  function restartBob(opts = {}) {
+    return new SignalServerSdk({
+      wallet:             bobWallet,
+      encryptionIdentity: bobIdentity,
+      peerPublicKeys:     { [aliceWallet.address]: aliceIdentity.publicKey },
+      transport:          bus.transport(bobWallet.address),
+      wrtc,
+      ...opts,
+    });
+  }
+
+  it("no longer requires a peerPublicKeys map", () => {
+    const sdk = new SignalServerSdk({ peerPublicKeys: {}, transport: bus.transport(aliceWallet.address) });
+    expect(sdk.keyResolver.peek(bobWallet.address)).to.equal(null);
   });
 
   it("getPeerPubKey() returns the right key or throws", () => {
@@ -116,7 +101,7 @@ describe("SignalServerSdk", () => {
     expect(JSON.parse(decrypted)).to.deep.equal(payload);
   });
 
-  it("fires onHelpRequest() when an offer is signaled on-chain", (done) => {
+  it("fires onHelpRequest() when an offer is signaled", (done) => {
     // Bob registers a help-request handler
     bobSdk.onHelpRequest((req) => {
       expect(req.sender).to.equal(aliceWallet.address);
@@ -125,7 +110,7 @@ describe("SignalServerSdk", () => {
       done();
     });
 
-    // Alice pushes an "offer" on-chain
+    // Alice pushes an "offer" through the bus
     aliceSdk._sendSignal(bobWallet.address, {
       type: "offer",
       sdp:  "THIS_IS_SDP",
@@ -133,6 +118,194 @@ describe("SignalServerSdk", () => {
     }).catch(done);
   });
 
+  it("needs a WebRTC implementation outside the browser", async () => {
+    const sdk = restartBob({ wrtc: undefined });
+    let err;
+    try {
+      await sdk.requestHelp(aliceWallet.address);
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.match(/no WebRTC here; pass wrtc/);
+    expect(sdk.sessions()).to.have.length(0);
+    sdk.destroy();
+  });
+
+  it("learns a stranger's key from the announcement inside their offer", (done) => {
+    const carolWallet   = ethers.Wallet.createRandom();
+    const carolIdentity = EthCrypto.createIdentity();
+    const carolSdk = new SignalServerSdk({
+      wallet:             carolWallet,
+      encryptionIdentity: carolIdentity,
+      peerPublicKeys:     { [bobWallet.address]: bobIdentity.publicKey },
+      transport:          bus.transport(carolWallet.address),
+      wrtc,
+    });
+
+    bobSdk.onHelpRequest((req) => {
+      expect(req.sender).to.equal(carolWallet.address);
+      expect(req.publicKey).to.equal(carolIdentity.publicKey);
+      expect(bobSdk.keyResolver.sourceOf(carolWallet.address)).to.equal("announcement");
+      done();
+    });
+
+    carolSdk._keyAnnouncement()
+      .then(announce => carolSdk._sendSignal(bobWallet.address, {
+        type: "offer", sdp: "THIS_IS_SDP", candidates: [], announce
+      }))
+      .catch(done);
+  });
+
+  it("opens a data channel end-to-end with bundled candidates", async () => {
+    bobSdk.onHelpRequest(req => req.accept());
+    const stream = await aliceSdk.requestHelp(bobWallet.address);
+    expect(stream.remoteAddress).to.equal(bobWallet.address);
+  });
+
+  it("trickles candidates in follow-up signals when enabled", async () => {
+    const sent = [];
+    [aliceSdk, bobSdk].forEach((sdk) => {
+      sdk.trickle = true;
+      const orig = sdk._sendCandidate.bind(sdk);
+      sdk._sendCandidate = (to, msg) => { sent.push(msg); return orig(to, msg); };
+    });
+    bobSdk.onHelpRequest(req => req.accept());
+
+    const stream = await aliceSdk.requestHelp(bobWallet.address);
+    expect(stream.remoteAddress).to.equal(bobWallet.address);
+    expect(sent.length).to.be.greaterThan(0);
+    sent.forEach(msg => {
+      expect(msg.type).to.equal("candidate");
+      expect(msg.candidates.length).to.be.within(1, bobSdk.trickleBatchSize);
+    });
+  });
+
+  it("drops a replayed signal", async () => {
+    const seen = [];
+    bobSdk.onHelpRequest(req => seen.push(req));
+    await aliceSdk._sendSignal(bobWallet.address, { type: "offer", sdp: "ONCE", candidates: [] });
+
+    // someone re-submits Alice's exact payload as a new signal
+    await bus.transport(aliceWallet.address).send(bobWallet.address, bus.signals[0].data);
+    await new Promise(r => setTimeout(r, 200));
+
+    expect(seen).to.have.length(1);
+    expect(seen[0].sessionId).to.be.a("string");
+    expect(seen[0].version).to.equal(1);
+    expect(logs.filter(line => /replayed signal/.test(line))).to.have.length(1);
+  });
+
+  it("drops an expired signal", async () => {
+    const seen = [];
+    bobSdk.onHelpRequest(req => seen.push(req));
+    aliceSdk.signalTtlMs = -60_000;
+    await aliceSdk._sendSignal(bobWallet.address, { type: "offer", sdp: "STALE", candidates: [] });
+    await new Promise(r => setTimeout(r, 200));
+    expect(seen).to.have.length(0);
+    expect(logs.filter(line => /envelope expired/.test(line))).to.have.length(1);
+  });
+
+  it("interoperates with v0 peers that send bare payloads", (done) => {
+    aliceSdk._peerVersions.set(bobWallet.address, 0);
+    bobSdk.onHelpRequest(async (req) => {
+      try {
+        expect(req.version).to.equal(0);
+        expect(req.sessionId).to.equal(null);
+        expect(req.offer).to.deep.equal({ type: "offer", sdp: "LEGACY", candidates: [] });
+        // and Bob answers in kind
+        expect(await bobSdk._seal(aliceWallet.address, { type: "answer", sdp: "A" }))
+          .to.deep.equal({ type: "answer", sdp: "A" });
+        done();
+      } catch (err) { done(err); }
+    });
+    aliceSdk._sendSignal(bobWallet.address, { type: "offer", sdp: "LEGACY", candidates: [] })
+      .catch(done);
+  });
+
+  it("answers legacy-format payloads in the legacy format", (done) => {
+    aliceSdk.wireFormat = "legacy";
+    bobSdk.onHelpRequest(async () => {
+      try {
+        const data = await bobSdk._encode(aliceWallet.address, { type: "answer", sdp: "A" });
+        expect(String.fromCharCode(data[0])).to.match(/[0-9a-f]/);
+        done();
+      } catch (err) { done(err); }
+    });
+    aliceSdk._sendSignal(bobWallet.address, { type: "offer", sdp: "LEGACY", candidates: [] })
+      .catch(done);
+  });
+
+  it("catchUp() replays offers sent while offline, once", async () => {
+    const offer = { type: "offer", sdp: "MISSED_SDP", candidates: [] };
+    await aliceSdk._sendSignal(bobWallet.address, offer);
+    await aliceSdk._sendSignal(bobWallet.address, { type: "candidate", candidates: [] });
+
+    const store     = new MemoryCheckpointStore();
+    const restarted = restartBob({ checkpointStore: store });
+    const seen = [];
+    restarted.onHelpRequest(req => seen.push(req));
+    expect(await restarted.catchUp()).to.equal(1);
+    expect(seen[0].offer.sdp).to.equal("MISSED_SDP");
+
+    // the checkpoint (and dedupe) stop a second replay
+    expect(await store.load(restarted._checkpointKey())).to.equal(bus.head);
+    expect(await restarted.catchUp()).to.equal(0);
+    expect(await restarted.catchUp({ fromBlock: 0 })).to.equal(0);
+  });
+
+  it("catchUp() drops offers older than offerTtlMs", async () => {
+    await aliceSdk._sendSignal(bobWallet.address, { type: "offer", sdp: "OLD", candidates: [] });
+    bus.signals[0].timestamp -= 3600_000;
+
+    const restarted = restartBob({ offerTtlMs: 60_000 });
+    const seen = [];
+    restarted.onHelpRequest(req => seen.push(req));
+    expect(await restarted.catchUp()).to.equal(0);
+    expect(seen).to.have.length(0);
+  });
+
+  it("runs concurrent sessions with the same peer side by side", async () => {
+    [aliceSdk, bobSdk].forEach(sdk => { sdk.trickle = true; });
+    const accepts = [];
+    const bothAccepted = new Promise(res => bobSdk.onHelpRequest((req) => {
+      accepts.push(req.accept());
+      if (accepts.length === 2) res(Promise.all(accepts));
+    }));
+
+    const [one, two] = await Promise.all([
+      aliceSdk.requestHelp(bobWallet.address),
+      aliceSdk.requestHelp(bobWallet.address),
+    ]);
+    expect(one.sessionId).to.not.equal(two.sessionId);
+    expect(aliceSdk.sessions(bobWallet.address).map(s => [s.role, s.state]))
+      .to.deep.equal([["offerer", "open"], ["offerer", "open"]]);
+    const bobStreams = new Map((await bothAccepted).map(stream => [stream.sessionId, stream]));
+    expect(bobSdk.sessions().map(s => s.id).sort()).to.deep.equal([one.sessionId, two.sessionId].sort());
+
+    // each stream talks to its own counterpart
+    const got = new Promise(res => bobStreams.get(two.sessionId).onMessage(res));
+    two.respond("on two");
+    expect(await got).to.equal("on two");
+  });
+
+  it("ignores an answer that names another peer's session", async () => {
+    const carolWallet = ethers.Wallet.createRandom();
+    const carolSdk = new SignalServerSdk({
+      wallet:         carolWallet,
+      peerPublicKeys: { [aliceWallet.address]: aliceIdentity.publicKey },
+      transport:      bus.transport(carolWallet.address),
+      wrtc,
+    });
+    aliceSdk.requestHelp(bobWallet.address).catch(() => {});
+    await new Promise(r => setTimeout(r, 150));
+    const [session] = aliceSdk.sessions();
+
+    await carolSdk._sendSignal(aliceWallet.address, { type: "answer", sdp: "NOT_YOURS", sid: session.id });
+    await new Promise(r => setTimeout(r, 50));
+    expect(session._onAnswer).to.be.a("function");
+    expect(session.state).to.equal("connecting");
+  });
+
   it("requestHelp() times out if nobody answers", async () => {
     // We do not call req.accept() in Bob, so Alice should time out
     try {
@@ -141,5 +314,177 @@ describe("SignalServerSdk", () => {
     } catch (err) {
       expect(err.message).to.equal("HelpResponseTimeout");
     }
+    expect(aliceSdk.sessions()).to.have.length(0);
+  });
+
+  it("reject(reason) fails requestHelp() at once with the reason", async () => {
+    bobSdk.onHelpRequest(req => req.reject("declined"));
+    const started = Date.now();
+    try {
+      await aliceSdk.requestHelp(bobWallet.address);
+      throw new Error("should have been declined");
+    } catch (err) {
+      expect(err).to.be.instanceOf(HelpDeclinedError);
+      expect(err.reason).to.equal("declined");
+      expect(err.peer).to.equal(bobWallet.address);
+    }
+    expect(Date.now() - started).to.be.below(aliceSdk.timeoutMs);
+    expect(aliceSdk.sessions()).to.have.length(0);
+  });
+
+  it("reject() refuses unknown reasons and a second answer", (done) => {
+    bobSdk.onHelpRequest(async (req) => {
+      try {
+        await req.reject("whatever").then(() => { throw new Error("accepted a bad reason"); }, () => {});
+        await req.reject("busy");
+        await req.accept().then(() => { throw new Error("answered twice"); }, (err) => {
+          expect(err.message).to.match(/already answered/);
+        });
+        done();
+      } catch (err) {
+        done(err);
+      }
+    });
+    aliceSdk.requestHelp(bobWallet.address).catch(() => {});
+  });
+
+  it("declines offers as busy at maxSessions", async () => {
+    bobSdk.policy.maxSessions = 1;
+    let requests = 0;
+    bobSdk.onHelpRequest((req) => { requests++; req.accept(); });
+    await aliceSdk.requestHelp(bobWallet.address);
+    try {
+      await aliceSdk.requestHelp(bobWallet.address);
+      throw new Error("should have been declined");
+    } catch (err) {
+      expect(err).to.be.instanceOf(HelpDeclinedError);
+      expect(err.reason).to.equal("busy");
+    }
+    expect(requests).to.equal(1);
+  });
+
+  describe("connection lifecycle", () => {
+    // open a link; resolves with both ends of it
+    async function connect() {
+      const bobStream = new Promise(res => bobSdk.onHelpRequest(req => req.accept().then(res)));
+      const alice = await aliceSdk.requestHelp(bobWallet.address);
+      return { alice, bob: await bobStream };
+    }
+
+    // what a "failed" connection state sets off
+    function fail(sdk) {
+      sdk._recover(sdk.sessions()[0]);
+    }
+
+    function restartOffers(sdk) {
+      const sent = [];
+      const orig = sdk._sendSignal.bind(sdk);
+      sdk._sendSignal = (to, msg) => {
+        if (msg.restart) sent.push(msg);
+        return orig(to, msg);
+      };
+      return sent;
+    }
+
+    it("close() ends the stream on both sides", async () => {
+      const { alice, bob } = await connect();
+      const bobClosed = new Promise(res => bob.onClose(res));
+      const aliceReasons = [];
+      alice.onClose(reason => aliceReasons.push(reason));
+
+      alice.close();
+      expect(aliceReasons).to.deep.equal(["local"]);
+      expect(alice.state).to.equal("closed");
+      expect(() => alice.respond("anyone?")).to.throw(/stream is closed/);
+      expect(await bobClosed).to.equal("remote");
+      expect(aliceSdk.sessions()).to.have.length(0);
+      expect(bobSdk.sessions()).to.have.length(0);
+    });
+
+    it("fails pending calls when the stream closes", async () => {
+      const { alice, bob } = await connect();
+      bob.handle("slow", () => new Promise(() => {}));
+      const call = alice.call("slow");
+      bob.close();
+      try {
+        await call;
+        throw new Error("should have failed");
+      } catch (err) {
+        expect(err.message).to.match(/stream closed \(remote\)/);
+      }
+    });
+
+    it("keeps an open stream past timeoutMs", async () => {
+      aliceSdk.timeoutMs = bobSdk.timeoutMs = 200;
+      const { alice, bob } = await connect();
+      await new Promise(r => setTimeout(r, 300));
+      expect([alice.state, bob.state]).to.deep.equal(["open", "open"]);
+      const got = new Promise(res => bob.onMessage(res));
+      alice.respond("still here");
+      expect(await got).to.equal("still here");
+    });
+
+    it("restarts ICE over the transport and keeps the same stream", async () => {
+      const { alice, bob } = await connect();
+      const offers = restartOffers(aliceSdk);
+      const states = [];
+      alice.onStateChange(state => states.push(state));
+
+      fail(aliceSdk);
+      await new Promise(res => alice.onStateChange(state => state === "open" && res()));
+      expect(states).to.deep.equal(["reconnecting", "open"]);
+      expect(offers).to.have.length(1);
+      expect(offers[0].sid).to.equal(alice.sessionId);
+
+      const got = new Promise(res => alice.onMessage(res));
+      bob.respond("back again");
+      expect(await got).to.equal("back again");
+      expect(bob.state).to.equal("open");
+    });
+
+    it("closes the stream once the ICE restarts run out", async () => {
+      const { alice } = await connect();
+      aliceSdk.iceRestarts = 2;
+      aliceSdk.timeoutMs   = 200;
+      const offers = restartOffers(aliceSdk);
+      bobSdk._unsubscribe();   // Bob never hears the restart offers
+
+      fail(aliceSdk);
+      expect(await new Promise(res => alice.onClose(res))).to.equal("failed");
+      expect(offers).to.have.length(2);
+      expect(aliceSdk.sessions()).to.have.length(0);
+    });
+
+    it("destroy() closes sessions and stops listening", async () => {
+      const { bob } = await connect();
+      let requests = 0;
+      bobSdk.onHelpRequest(() => requests++);
+
+      bobSdk.destroy();
+      expect(bob.closeReason).to.equal("destroyed");
+      expect(bobSdk.sessions()).to.have.length(0);
+
+      aliceSdk.timeoutMs = 200;
+      await aliceSdk.requestHelp(bobWallet.address).catch(() => {});
+      expect(requests).to.equal(0);
+      try {
+        await bobSdk.requestHelp(aliceWallet.address);
+        throw new Error("should have refused");
+      } catch (err) {
+        expect(err.message).to.match(/destroyed/);
+      }
+    });
+
+    it("destroy() rejects a pending requestHelp()", async () => {
+      const pending = aliceSdk.requestHelp(bobWallet.address);
+      await new Promise(r => setTimeout(r, 150));
+      aliceSdk.destroy();
+      try {
+        await pending;
+        throw new Error("should have been rejected");
+      } catch (err) {
+        expect(err.message).to.equal("SignalServerSdk: session destroyed");
+      }
+    });
   });
 });
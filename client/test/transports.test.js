@@ -0,0 +1,164 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import wrtc from "@roamhq/wrtc";
+import EthCrypto from "eth-crypto";
+import { SignalServerSdk } from "../src/sdk/SignalServerSDK.js";
+import { MemoryBus } from "../src/sdk/transports/MemoryTransport.js";
+import { WebSocketTransport } from "../src/sdk/transports/WebSocketTransport.js";
+import { WsRelay } from "../src/relay/WsRelay.js";
+import { createIdentity } from "../src/sdk/Ecies.js";
+import { HelpClaimedError } from "../src/sdk/Errors.js";
+
+const tick = (ms = 0) => new Promise(r => setTimeout(r, ms));
+
+describe("MemoryTransport", () => {
+  it("delivers to the recipient's subscribers and keeps history", async () => {
+    const alice = ethers.Wallet.createRandom();
+    const bob   = ethers.Wallet.createRandom();
+    const bus   = new MemoryBus();
+    const seen  = [];
+    const off   = bus.transport(bob.address).subscribe(bob.address, s => seen.push(s));
+
+    await bus.transport(alice.address).send(bob.address, Uint8Array.of(1));
+    await bus.transport(alice.address).send(alice.address, Uint8Array.of(2));
+    await tick();
+    off();
+    await bus.transport(alice.address).send(bob.address, Uint8Array.of(3));
+    await tick();
+
+    expect(seen.map(s => s.data)).to.deep.equal(["0x01"]);
+    expect(seen[0]).to.include({ sender: alice.address, recipient: bob.address, blockNumber: 1 });
+    const history = await bus.transport(bob.address).history({ recipient: bob.address, fromBlock: 2 });
+    expect(history.map(s => s.data)).to.deep.equal(["0x03"]);
+  });
+});
+
+describe("WebSocketTransport", () => {
+  let relay, url, aliceWallet, bobWallet, transports;
+
+  beforeEach(async () => {
+    relay = new WsRelay({ port: 0, host: "127.0.0.1" });
+    url   = `ws://127.0.0.1:${await relay.listen()}`;
+    aliceWallet = ethers.Wallet.createRandom();
+    bobWallet   = ethers.Wallet.createRandom();
+    transports  = [];
+  });
+
+  afterEach(async () => {
+    transports.forEach(t => t.close());
+    await relay.close();
+  });
+
+  function transportFor(wallet) {
+    const t = new WebSocketTransport({ url, signer: wallet, requestTimeoutMs: 2000 });
+    transports.push(t);
+    return t;
+  }
+
+  it("relays signals stamped with the logged-in sender", async () => {
+    const alice = transportFor(aliceWallet);
+    const bob   = transportFor(bobWallet);
+    const seen  = [];
+    bob.subscribe(bobWallet.address, s => seen.push(s));
+    await bob.head();   // logged in and subscribed
+
+    const receipt = await alice.send(bobWallet.address, Uint8Array.of(0xab, 0xcd));
+    await tick(50);
+    expect(seen).to.have.length(1);
+    expect(seen[0]).to.include({
+      id: receipt.id, sender: aliceWallet.address, recipient: bobWallet.address, data: "0xabcd",
+    });
+    expect(await bob.history({ recipient: bobWallet.address })).to.have.length(1);
+  });
+
+  it("keeps other people's inboxes private", async () => {
+    const alice = transportFor(aliceWallet);
+    await alice.send(bobWallet.address, Uint8Array.of(1));
+
+    for (const attempt of [
+      () => alice._request({ op: "subscribe", recipient: bobWallet.address }),
+      () => alice.history({ recipient: bobWallet.address }),
+      () => transportFor(bobWallet).history({ sender: aliceWallet.address }),
+    ]) {
+      try {
+        await attempt();
+        throw new Error("should have been refused");
+      } catch (err) {
+        expect(err.message).to.match(/relay refused/);
+      }
+    }
+    // self-addressed signals (key announcements) are public
+    await alice.send(aliceWallet.address, Uint8Array.of(2));
+    const bob = transportFor(bobWallet);
+    expect(await bob.history({ sender: aliceWallet.address, recipient: aliceWallet.address }))
+      .to.have.length(1);
+  });
+
+  it("hands another address's inbox to whoever proves its key", async () => {
+    const pool  = ethers.Wallet.createRandom();
+    const alice = transportFor(aliceWallet);
+    const bob   = transportFor(bobWallet);
+    const seen  = [];
+    bob.subscribe(pool.address, s => seen.push(s), { signer: pool });
+    await bob.head();
+
+    await alice.send(pool.address, Uint8Array.of(7));
+    await tick(50);
+    expect(seen.map(s => s.data)).to.deep.equal(["0x07"]);
+    expect(await transportFor(ethers.Wallet.createRandom()).history({ recipient: pool.address, signer: pool }))
+      .to.have.length(1);
+
+    // a key that isn't the address's proves nothing
+    const forged = await alice.history({ recipient: pool.address, signer: ethers.Wallet.createRandom() })
+      .then(() => null, e => e);
+    expect(forged.message).to.match(/relay refused/);
+  });
+
+  it("carries pool offers to members over the relay", async () => {
+    const poolKey = createIdentity();
+    const sdk = (wallet, pools) => new SignalServerSdk({
+      wallet,
+      encryptionIdentity: createIdentity(),
+      transport:          transportFor(wallet),
+      pools:              { support: pools },
+      wrtc,
+      iceServers:         [],
+      timeoutMs:          1500,
+    });
+    const aliceSdk = sdk(aliceWallet, poolKey.publicKey);
+    const member   = { privateKey: poolKey.privateKey };
+    const helpers  = [sdk(bobWallet, member), sdk(ethers.Wallet.createRandom(), member)];
+    await Promise.all(helpers.map(helper => helper.transport.head()));
+
+    const outcomes = helpers.map(helper => new Promise(res => helper.onHelpRequest(req => {
+      req.accept().then(stream => res({ helper, stream }), err => res({ helper, err }));
+    })));
+    const stream  = await aliceSdk.requestHelpFromAny("support");
+    const results = await Promise.all(outcomes);
+    const winner  = results.find(o => o.stream);
+    expect(stream.remoteAddress).to.equal(winner.helper.address);
+    expect(results.find(o => o.err).err).to.be.instanceOf(HelpClaimedError);
+    [aliceSdk, ...helpers].forEach(s => s.destroy());
+  });
+
+  it("carries a full SDK handshake", async () => {
+    const aliceIdentity = EthCrypto.createIdentity();
+    const bobIdentity   = EthCrypto.createIdentity();
+    const sdk = (wallet, identity, peer, peerIdentity) => new SignalServerSdk({
+      wallet,
+      encryptionIdentity: identity,
+      peerPublicKeys:     { [peer.address]: peerIdentity.publicKey },
+      transport:          transportFor(wallet),
+      wrtc,
+      iceServers:         [],
+      timeoutMs:          1500,
+    });
+    const aliceSdk = sdk(aliceWallet, aliceIdentity, bobWallet, bobIdentity);
+    const bobSdk   = sdk(bobWallet, bobIdentity, aliceWallet, aliceIdentity);
+    await bobSdk.transport.head();
+
+    bobSdk.onHelpRequest(req => req.accept());
+    const stream = await aliceSdk.requestHelp(bobWallet.address);
+    expect(stream.remoteAddress).to.equal(bobWallet.address);
+  });
+});
@@ -0,0 +1,119 @@
+import { expect } from "chai";
+import { TxManager } from "../src/sdk/TxManager.js";
+
+// a chain where txs are mined only when the test says so
+class FakeChain {
+  constructor({ pendingCount = 5, fees = { maxFeePerGas: 100n, maxPriorityFeePerGas: 10n } } = {}) {
+    this.pendingCount = pendingCount;
+    this.fees = fees;
+    this.sent = [];
+    this._miners = new Map();
+  }
+
+  get provider() {
+    return {
+      getTransactionCount: async () => this.pendingCount,
+      getFeeData:          async () => this.fees,
+    };
+  }
+
+  // what a contract call would return
+  broadcast(overrides) {
+    const hash = "0x" + (this.sent.length + 1).toString(16).padStart(64, "0");
+    this.sent.push({ hash, ...overrides });
+    let mine;
+    const mined = new Promise(r => { mine = r; });
+    this._miners.set(hash, mine);
+    return { hash, nonce: overrides.nonce, wait: () => mined };
+  }
+
+  mine(hash) {
+    this._miners.get(hash)({ hash, status: 1 });
+  }
+}
+
+const signer = { getAddress: async () => "0x000000000000000000000000000000000000dEaD" };
+
+describe("TxManager", () => {
+  it("assigns sequential nonces from the pending count", async () => {
+    const chain = new FakeChain();
+    const txm = new TxManager({ signer, provider: chain.provider, stuckAfterMs: 0 });
+
+    const p = [1, 2, 3].map(() => txm.send(o => chain.broadcast(o)));
+    await new Promise(r => setTimeout(r, 10));
+    chain.sent.forEach(tx => chain.mine(tx.hash));
+    await Promise.all(p);
+
+    expect(chain.sent.map(tx => tx.nonce)).to.deep.equal([5, 6, 7]);
+  });
+
+  it("re-broadcasts a stuck tx with bumped fees and the same nonce", async () => {
+    const chain  = new FakeChain();
+    const txm    = new TxManager({ signer, provider: chain.provider, stuckAfterMs: 20, feeBumpPercent: 20 });
+    const events = [];
+    ["sent", "replaced", "confirmed"].forEach(s => txm.on(s, ev => events.push([s, ev])));
+
+    const p = txm.send(o => chain.broadcast(o));
+    await new Promise(r => setTimeout(r, 35));
+    expect(chain.sent).to.have.length(2);
+    chain.mine(chain.sent[1].hash);
+    const receipt = await p;
+
+    expect(receipt.hash).to.equal(chain.sent[1].hash);
+    expect(chain.sent[1].nonce).to.equal(chain.sent[0].nonce);
+    expect(chain.sent[1].maxFeePerGas).to.equal(120n);
+    expect(chain.sent[1].maxPriorityFeePerGas).to.equal(12n);
+    expect(events.map(([s]) => s)).to.deep.equal(["sent", "replaced", "confirmed"]);
+    expect(events[1][1].previousHash).to.equal(chain.sent[0].hash);
+  });
+
+  it("never bumps past the fee caps", async () => {
+    const chain = new FakeChain();
+    const txm   = new TxManager({
+      signer, provider: chain.provider, stuckAfterMs: 10, maxFeePerGas: 105n,
+      feeStrategy: async (fees) => ({ ...fees, maxFeePerGas: fees.maxFeePerGas * 2n }),
+    });
+
+    const p = txm.send(o => chain.broadcast(o));
+    await new Promise(r => setTimeout(r, 60));
+    expect(chain.sent[0].maxFeePerGas).to.equal(105n);
+    chain.sent.forEach(tx => expect(tx.maxFeePerGas <= 105n).to.equal(true));
+    chain.mine(chain.sent[0].hash);
+    await p;
+  });
+
+  it("retries transient RPC errors", async () => {
+    const chain = new FakeChain();
+    const txm   = new TxManager({ signer, provider: chain.provider, stuckAfterMs: 0, retryDelayMs: 1 });
+    let calls = 0;
+    const p = txm.send((o) => {
+      if (++calls < 3) throw Object.assign(new Error("boom"), { code: "NETWORK_ERROR" });
+      const tx = chain.broadcast(o);
+      chain.mine(tx.hash);
+      return tx;
+    });
+    await p;
+    expect(calls).to.equal(3);
+  });
+
+  it("emits failed and frees the nonce on a permanent error", async () => {
+    const chain = new FakeChain();
+    const txm   = new TxManager({ signer, provider: chain.provider, stuckAfterMs: 0 });
+    const failed = [];
+    txm.on("failed", ev => failed.push(ev));
+
+    try {
+      await txm.send(() => { throw new Error("execution reverted"); });
+      throw new Error("should have failed");
+    } catch (err) {
+      expect(err.message).to.equal("execution reverted");
+    }
+    expect(failed).to.have.length(1);
+
+    const p = txm.send(o => chain.broadcast(o));
+    await new Promise(r => setTimeout(r, 10));
+    expect(chain.sent[0].nonce).to.equal(5);
+    chain.mine(chain.sent[0].hash);
+    await p;
+  });
+});
@@ -0,0 +1,111 @@
+import { expect } from "chai";
+import EthCrypto from "eth-crypto";
+import {
+  WIRE_COMPACT,
+  WIRE_LEGACY,
+  wireFormatOf,
+  encodeSignal,
+  decodeSignal,
+  minifySdp,
+  expandSdp,
+  normalizeSdp,
+} from "../src/sdk/WireCodec.js";
+import { createIdentity, encrypt, decrypt } from "../src/sdk/Ecies.js";
+
+// a data‑channel offer as produced by @roamhq/wrtc
+const OFFER_SDP = [
+  "v=0",
+  "o=- 4640800426780986472 2 IN IP4 127.0.0.1",
+  "s=-",
+  "t=0 0",
+  "a=group:BUNDLE 0",
+  "a=extmap-allow-mixed",
+  "a=msid-semantic: WMS",
+  "m=application 58712 UDP/DTLS/SCTP webrtc-datachannel",
+  "c=IN IP4 192.0.2.2",
+  "a=candidate:3229573512 1 udp 2122194687 192.0.2.2 58712 typ host generation 0 network-id 1",
+  "a=candidate:1510613869 1 udp 2122063615 127.0.0.1 60050 typ host generation 0 network-id 3",
+  "a=ice-ufrag:PkU1",
+  "a=ice-pwd:r4dhTg14CjHcoYn6V2htcv+d",
+  "a=ice-options:trickle",
+  "a=fingerprint:sha-256 38:68:4E:5F:B2:FE:0F:30:8D:7A:2A:75:5B:69:D3:78:55:AA:89:29:FE:D7:ED:99:66:30:BB:0A:E9:2E:FA:51",
+  "a=setup:actpass",
+  "a=mid:0",
+  "a=sctp-port:5000",
+  "a=max-message-size:262144",
+].join("\r\n") + "\r\n";
+
+describe("WireCodec", () => {
+  let identity;
+
+  beforeEach(() => {
+    identity = EthCrypto.createIdentity();
+  });
+
+  it("minifies a data-channel SDP to the fields WebRTC needs", () => {
+    const min = minifySdp(OFFER_SDP);
+    expect(min.u).to.equal("PkU1");
+    expect(min.p).to.equal("r4dhTg14CjHcoYn6V2htcv+d");
+    expect(min.c).to.have.length(2);
+
+    const rebuilt = expandSdp(min);
+    expect(rebuilt).to.include("a=fingerprint:sha-256 38:68:4E:5F");
+    expect(normalizeSdp(rebuilt)).to.equal(rebuilt);
+  });
+
+  it("leaves SDPs it does not understand alone", () => {
+    const media = OFFER_SDP + "m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n";
+    expect(minifySdp(media)).to.equal(null);
+    expect(normalizeSdp(media)).to.equal(media);
+  });
+
+  it("round-trips both wire formats and tells them apart", async () => {
+    const msg = { type: "offer", sdp: normalizeSdp(OFFER_SDP), candidates: [], sid: "abc" };
+
+    const compact = await encodeSignal(identity.publicKey, msg, WIRE_COMPACT);
+    const legacy  = await encodeSignal(identity.publicKey, msg, WIRE_LEGACY);
+    expect(wireFormatOf(compact)).to.equal(WIRE_COMPACT);
+    expect(wireFormatOf(legacy)).to.equal(WIRE_LEGACY);
+    expect(wireFormatOf(new TextEncoder().encode("{}"))).to.equal("announcement");
+
+    expect(await decodeSignal(identity.privateKey, compact)).to.deep.equal(msg);
+    expect(await decodeSignal(identity.privateKey, legacy)).to.deep.equal(msg);
+  });
+
+  it("makes a typical offer well under half the legacy size", async () => {
+    const msg = { type: "offer", sdp: normalizeSdp(OFFER_SDP), candidates: [] };
+    const compact = await encodeSignal(identity.publicKey, msg, WIRE_COMPACT);
+    const legacy  = await encodeSignal(identity.publicKey, msg, WIRE_LEGACY);
+    expect(compact.length).to.be.below(legacy.length / 2);
+  });
+
+  it("interoperates with eth-crypto peers in both directions", async () => {
+    const msg  = { type: "answer", sdp: "v=0\r\n", candidates: [] };
+    const ours = createIdentity();
+    expect(EthCrypto.publicKeyByPrivateKey(ours.privateKey)).to.equal(ours.publicKey);
+    expect(EthCrypto.publicKey.toAddress(ours.publicKey)).to.equal(ours.address);
+
+    // legacy payloads are eth-crypto's own cipher string
+    const theirs = EthCrypto.cipher.stringify(await EthCrypto.encryptWithPublicKey(ours.publicKey, JSON.stringify(msg)));
+    expect(await decodeSignal(ours.privateKey, new TextEncoder().encode(theirs))).to.deep.equal(msg);
+
+    const sent = new TextDecoder().decode(await encodeSignal(identity.publicKey, msg, WIRE_LEGACY));
+    expect(JSON.parse(await EthCrypto.decryptWithPrivateKey(identity.privateKey, sent))).to.deep.equal(msg);
+  });
+
+  it("refuses a cipher whose MAC or ciphertext was touched", async () => {
+    const ours   = createIdentity();
+    const cipher = await encrypt(ours.publicKey, new TextEncoder().encode("hello"));
+    expect(new TextDecoder().decode(await decrypt(ours.privateKey, cipher))).to.equal("hello");
+
+    const flip = (bytes, i) => Uint8Array.from(bytes, (b, j) => (j === i ? b ^ 1 : b));
+    for (const tampered of [
+      { ...cipher, mac: flip(cipher.mac, 31) },
+      { ...cipher, mac: cipher.mac.slice(0, 16) },
+      { ...cipher, ciphertext: flip(cipher.ciphertext, 0) },
+    ]) {
+      const err = await decrypt(ours.privateKey, tampered).then(() => null, e => e);
+      expect(err?.message).to.equal("SignalServerSdk: bad MAC");
+    }
+  });
+});
@@ -6,6 +6,11 @@ pragma solidity ^0.8.20;
  * @notice A contract to facilitate off-chain encrypted signalling between users.
  * Users encrypt messages using the recipient's public key off-chain and send
  * the encrypted payload through this contract, emitting an event.
+ * @dev Signals can also be relayed: the sender signs an EIP-712 `Signal` and
+ *      anyone (a relayer paying the gas) submits it through `sendSignalFor`,
+ *      which emits the event with the signer as sender.
+ *      `sendTaggedSignal` hides the recipient behind a tag that only the two
+ *      peers can compute.
  */
 contract SignalServer {
 
@@ -17,6 +22,27 @@ contract SignalServer {
      */
     event SignalSent(address indexed sender, address indexed recipient, bytes encryptedData);
 
+    /**
+     * @notice Emitted when a user sends a signal to a private recipient.
+     * @param sender The address initiating the signal.
+     * @param tag The recipient's tag, derived off-chain from a secret the two peers share.
+     * @param encryptedData The encrypted payload.
+     */
+    event TaggedSignal(address indexed sender, bytes32 indexed tag, bytes encryptedData);
+
+    /// @notice EIP-712 type of a relayed signal; `dataHash` is keccak256 of the encrypted payload.
+    bytes32 public constant SIGNAL_TYPEHASH =
+        keccak256("Signal(address sender,address recipient,bytes32 dataHash,uint256 nonce,uint256 deadline)");
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    // secp256k1n / 2: signatures with a higher s are malleable copies
+    uint256 private constant HALF_N = 0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0;
+
+    /// @notice Relayed-signal nonces a sender has used. Nonces are unordered: any unused value is valid.
+    mapping(address => mapping(uint256 => bool)) public nonceUsed;
+
     /**
      * @notice Sends an encrypted signal to a recipient.
      * @dev The encryption must be performed off-chain by the sender using the
@@ -26,9 +52,75 @@ contract SignalServer {
      * @param _encryptedData The off-chain encrypted data payload.
      */
     function sendSignal(address _recipient, bytes calldata _encryptedData) external {
+        _checkSignal(_recipient, _encryptedData);
+        emit SignalSent(msg.sender, _recipient, _encryptedData);
+    }
+
+    /**
+     * @notice Sends an encrypted signal to whoever watches `_tag`, without naming them.
+     * @param _tag The recipient's tag.
+     * @param _encryptedData The off-chain encrypted data payload.
+     */
+    function sendTaggedSignal(bytes32 _tag, bytes calldata _encryptedData) external {
+        require(_tag != bytes32(0), "SignalServer: Tag cannot be zero");
+        require(_encryptedData.length > 0, "SignalServer: Encrypted data cannot be empty");
+        emit TaggedSignal(msg.sender, _tag, _encryptedData);
+    }
+
+    /**
+     * @notice Sends a signal on behalf of `_sender`, who signed it as EIP-712 typed data.
+     * @dev The caller pays the gas; the event names `_sender`. Each nonce works once.
+     * @param _sender The address that signed the signal.
+     * @param _recipient The address of the user to send the signal to.
+     * @param _encryptedData The off-chain encrypted data payload.
+     * @param _nonce Any value `_sender` has not used yet.
+     * @param _deadline Unix time after which the signature is void.
+     * @param _signature The 65-byte (r, s, v) signature of `_sender`.
+     */
+    function sendSignalFor(
+        address _sender,
+        address _recipient,
+        bytes calldata _encryptedData,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external {
+        _checkSignal(_recipient, _encryptedData);
+        require(block.timestamp <= _deadline, "SignalServer: Signature expired");
+        require(!nonceUsed[_sender][_nonce], "SignalServer: Nonce already used");
+
+        bytes32 structHash = keccak256(
+            abi.encode(SIGNAL_TYPEHASH, _sender, _recipient, keccak256(_encryptedData), _nonce, _deadline)
+        );
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        require(_recover(digest, _signature) == _sender, "SignalServer: Invalid signature");
+
+        nonceUsed[_sender][_nonce] = true;
+        emit SignalSent(_sender, _recipient, _encryptedData);
+    }
+
+    /**
+     * @notice The EIP-712 domain separator: name "SignalServer", version "1", this chain and contract.
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256("SignalServer"), keccak256("1"), block.chainid, address(this))
+        );
+    }
+
+    function _checkSignal(address _recipient, bytes calldata _encryptedData) private pure {
         require(_recipient != address(0), "SignalServer: Recipient cannot be zero address");
         require(_encryptedData.length > 0, "SignalServer: Encrypted data cannot be empty");
+    }
 
-        emit SignalSent(msg.sender, _recipient, _encryptedData);
+    function _recover(bytes32 _digest, bytes calldata _signature) private pure returns (address) {
+        require(_signature.length == 65, "SignalServer: Invalid signature");
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        require(uint256(s) <= HALF_N && (v == 27 || v == 28), "SignalServer: Invalid signature");
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "SignalServer: Invalid signature");
+        return signer;
     }
-}
\ No newline at end of file
+}
@@ -50,4 +50,90 @@ contract SignalServerTest is Test {
         vm.prank(user1);
         signalServer.sendSignal(user2, ""); // Empty bytes string
     }
-}
\ No newline at end of file
+
+    // Test that a tagged signal emits the tag instead of a recipient
+    function test_SendTaggedSignal_EmitsEvent() public {
+        bytes32 tag = keccak256("tag");
+        vm.expectEmit(true, true, false, true);
+        emit SignalServer.TaggedSignal(user1, tag, sampleEncryptedData);
+
+        vm.prank(user1);
+        signalServer.sendTaggedSignal(tag, sampleEncryptedData);
+    }
+
+    // Test sending a tagged signal with a zero tag or empty data should revert
+    function test_RevertIf_SendTaggedSignalInvalid() public {
+        vm.expectRevert(bytes("SignalServer: Tag cannot be zero"));
+        signalServer.sendTaggedSignal(bytes32(0), sampleEncryptedData);
+
+        vm.expectRevert(bytes("SignalServer: Encrypted data cannot be empty"));
+        signalServer.sendTaggedSignal(keccak256("tag"), "");
+    }
+
+    // Relayed signals (sendSignalFor)
+
+    uint256 public signerKey = 1;
+    address public relayer = vm.addr(3);
+
+    // the EIP-712 digest user1 signs for a relayed signal
+    function _digest(address sender, address recipient, bytes memory data, uint256 nonce, uint256 deadline)
+        internal
+        view
+        returns (bytes32)
+    {
+        bytes32 structHash = keccak256(
+            abi.encode(signalServer.SIGNAL_TYPEHASH(), sender, recipient, keccak256(data), nonce, deadline)
+        );
+        return keccak256(abi.encodePacked("\x19\x01", signalServer.domainSeparator(), structHash));
+    }
+
+    function _sign(uint256 key, bytes32 digest) internal pure returns (bytes memory) {
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(key, digest);
+        return abi.encodePacked(r, s, v);
+    }
+
+    // Test that a relayed signal names the signer, not the relayer, as sender
+    function test_SendSignalFor_EmitsEventFromSigner() public {
+        uint256 deadline = block.timestamp + 60;
+        bytes memory sig = _sign(signerKey, _digest(user1, user2, sampleEncryptedData, 7, deadline));
+
+        vm.expectEmit(true, true, false, true);
+        emit SignalServer.SignalSent(user1, user2, sampleEncryptedData);
+
+        vm.prank(relayer);
+        signalServer.sendSignalFor(user1, user2, sampleEncryptedData, 7, deadline, sig);
+        assertTrue(signalServer.nonceUsed(user1, 7));
+    }
+
+    // Test that a relayed signal can't be submitted twice
+    function test_RevertIf_SendSignalForReusesNonce() public {
+        uint256 deadline = block.timestamp + 60;
+        bytes memory sig = _sign(signerKey, _digest(user1, user2, sampleEncryptedData, 7, deadline));
+        signalServer.sendSignalFor(user1, user2, sampleEncryptedData, 7, deadline, sig);
+
+        vm.expectRevert(bytes("SignalServer: Nonce already used"));
+        signalServer.sendSignalFor(user1, user2, sampleEncryptedData, 7, deadline, sig);
+    }
+
+    // Test that a relayed signal past its deadline reverts
+    function test_RevertIf_SendSignalForExpired() public {
+        uint256 deadline = block.timestamp + 60;
+        bytes memory sig = _sign(signerKey, _digest(user1, user2, sampleEncryptedData, 7, deadline));
+        vm.warp(deadline + 1);
+
+        vm.expectRevert(bytes("SignalServer: Signature expired"));
+        signalServer.sendSignalFor(user1, user2, sampleEncryptedData, 7, deadline, sig);
+    }
+
+    // Test that a signature by someone else, or over other data, reverts
+    function test_RevertIf_SendSignalForWrongSigner() public {
+        uint256 deadline = block.timestamp + 60;
+        bytes memory other = _sign(2, _digest(user1, user2, sampleEncryptedData, 7, deadline));
+        vm.expectRevert(bytes("SignalServer: Invalid signature"));
+        signalServer.sendSignalFor(user1, user2, sampleEncryptedData, 7, deadline, other);
+
+        bytes memory sig = _sign(signerKey, _digest(user1, user2, sampleEncryptedData, 7, deadline));
+        vm.expectRevert(bytes("SignalServer: Invalid signature"));
+        signalServer.sendSignalFor(user1, user2, hex"00", 7, deadline, sig);
+    }
+}